@@ -0,0 +1,95 @@
+// Keyboard and screen reader plumbing the views share: a roving tabindex for
+// panels of buttons (the tag list and the filter bar are one Tab stop each,
+// arrow keys move within them), the live region that reads out result
+// counts, and keeping Tab inside a dialog.
+
+const FOCUSABLE = 'a[href], button:not(:disabled), input:not(:disabled), select:not(:disabled), textarea:not(:disabled), [tabindex]:not([tabindex="-1"])';
+const ANNOUNCE_DELAY = 500;  // ms; changes in quick succession (e.g. typing) only announce the last
+
+let announceTimer = null;
+
+// Of the items in container only one is a Tab stop: the focused one, else the
+// one that was before the last render, else the pressed one, else the first.
+// Call after every render that can replace the items.
+function syncRovingTabindex(container, selector) {
+    const items = [...container.querySelectorAll(selector)];
+    const stop = items.find(item => item === document.activeElement) ||
+        items.find(item => item.getAttribute('tabindex') === '0') ||
+        items.find(item => item.getAttribute('aria-pressed') === 'true') ||
+        items[0];
+    items.forEach(item => item.setAttribute('tabindex', item === stop ? '0' : '-1'));
+}
+
+// Whatever gets focus (arrow keys or a click) becomes the Tab stop. Arrow keys
+// come from the navigation actions (see moveFocus); Home and End are handled here.
+function setupRovingTabindex(container, selector) {
+    container.addEventListener('focusin', (e) => {
+        if (e.target.matches(selector)) syncRovingTabindex(container, selector);
+    });
+    container.addEventListener('keydown', (e) => {
+        if ((e.key !== 'Home' && e.key !== 'End') || !e.target.matches(selector)) return;
+        e.preventDefault();
+        moveFocus([...container.querySelectorAll(selector)], e.key);
+    });
+    syncRovingTabindex(container, selector);
+}
+
+// Down/Right go to the next item, Up/Left to the previous one, Home and End
+// to either end. Nothing happens unless one of the items has focus.
+function moveFocus(items, key) {
+    const index = items.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    let next = index;
+    if (key === 'Home') {
+        next = 0;
+    } else if (key === 'End') {
+        next = items.length - 1;
+    } else if (key === 'ArrowDown' || key === 'ArrowRight') {
+        next = Math.min(index + 1, items.length - 1);
+    } else if (key === 'ArrowUp' || key === 'ArrowLeft') {
+        next = Math.max(index - 1, 0);
+    }
+
+    if (next !== index) {
+        items[next].focus();
+        items[next].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+// Screen readers read the message out once things settle (#live-status is a
+// polite live region)
+function announce(message) {
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        const status = document.getElementById('live-status');
+        if (status) status.textContent = message;
+    }, ANNOUNCE_DELAY);
+}
+
+// For a keydown in container: Tab and Shift+Tab go round its controls instead
+// of leaving it
+function trapFocus(container, e) {
+    if (e.key !== 'Tab') return;
+    const controls = [...container.querySelectorAll(FOCUSABLE)];
+    const first = controls[0];
+    const last = controls[controls.length - 1];
+    const focused = document.activeElement;
+    if (!first) {
+        e.preventDefault();
+    } else if (e.shiftKey && (focused === first || focused === container)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && focused === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+export {
+    syncRovingTabindex,
+    setupRovingTabindex,
+    moveFocus,
+    announce,
+    trapFocus
+};
@@ -1,243 +1,538 @@
-let bookmarks = [];
-let selectedTags = new Set();
-let searchQuery = '';
-let selectedCategory = null;  // null = "All"
-let selectedSection = null;
+import {
+    THEME_MODES,
+    themeSettings,
+    updateThemeSettings,
+    setThemeMode,
+    getCategoryColor,
+    openThemeSettings,
+    setupThemeSettings
+} from './theme.js';
+import { normalizeTagAliases, applyTagAliases, getTagCounts } from './tags.js';
+import { escapeHTML, safeUrl } from './html.js';
+import { parseSearchQuery, hasSearchTerms } from './search.js';
+import {
+    SORT_MODES,
+    filterByExcludedTags,
+    hasAnyFilter,
+    isRankedView,
+    listCategories,
+    listSections
+} from './filters.js';
+import { parseFilterParams, buildFilterParams, parseDraftHash } from './url-state.js';
+import { createStateStore } from './state.js';
+import { getBookmarkEdits, mergeBookmarkOverlay, shippedBookmarkUrl } from './store.js';
+import { openBookmarkEditor, confirmDeleteBookmark, resetLocalEdits, getExportCollection, exportMergedBookmarks } from './editor.js';
+import { chooseImportFile } from './import.js';
+import { EXPORT_FORMATS } from './exporters.js';
+import { checkBookmarkEntry } from './validate.js';
+import { mergeCollections, collectionFileName, loadCollections } from './collections.js';
+import { LINK_REPORT_FILE, classifyLinkResult } from './health.js';
+import { FAVICON_INDEX_FILE } from './favicons.js';
+import {
+    FALLBACK_FAVICON_HTML,
+    groupBookmarks,
+    sortBookmarkGroups,
+    groupKey,
+    renderLinkCard,
+    renderCategoryGroupNode,
+    renderSectionHeadingNode,
+    renderLinksGridNode,
+    listTagRows,
+    renderTagRows,
+    renderFilterPills
+} from './markup.js';
+import { getFrecency, recordBookmarkOpen, hasUsageHistory, getFrequentBookmarks, clearUsageHistory } from './usage.js';
+import { findSavedView, saveCurrentView, openViewByShortcut, renderSavedViews, setupSavedViews } from './views.js';
+import {
+    patchChildren,
+    getCardWindow,
+    resetCardWindow,
+    growCardWindow,
+    growCardWindowBack,
+    clampCardWindow,
+    showCardRange,
+    renderCardWindowSentinel,
+    watchCardWindow
+} from './render.js';
+import { syncRovingTabindex, setupRovingTabindex, moveFocus, announce, trapFocus } from './accessibility.js';
+import {
+    selectedIds,
+    syncSelection,
+    clearSelection,
+    toggleCardSelection,
+    anchorSelectionAt,
+    selectCardRange,
+    toggleCardGroup,
+    openSelected,
+    copySelected,
+    exportSelected,
+    openBulkEditor,
+    setupSelection
+} from './selection.js';
+import {
+    LAYOUTS,
+    layoutSettings,
+    collapsedGroups,
+    isGroupCollapsed,
+    toggleGroupCollapsed,
+    setAllCategoriesCollapsed,
+    setLayout,
+    setTableSort,
+    sortTableRows,
+    renderLayoutSwitch,
+    renderOutlineButton,
+    toggleOutlineMenu,
+    jumpToCategory,
+    renderBookmarkTable
+} from './layout.js';
+import {
+    registerAction,
+    expandKeyCombo,
+    getAction,
+    eventToKeyCombo,
+    matchesAction,
+    dispatchKeybinding,
+    formatKeyCombo,
+    renderActionKeys,
+    getHelpSections
+} from './keys.js';
+import { openKeybindingSettings, setupKeybindingSettings } from './keybindings.js';
+import { openCommandPalette } from './palette.js';
+
+let baseBookmarks = [];    // as shipped in bookmarks.json, or merged from the collections
+let collections = [];      // [{ id, name, src, color }] that loaded, in manifest order (collections.js)
+let bookmarkSources = new Map();  // shipped bookmark URL -> ids of the collections that have it
+let bookmarkEdits = [];    // local overlay records (store.js)
+let bookmarkEntries = [];  // merged [{ id, bookmark, origin }]
+let bookmarkIds = new Map();
+let bookmarkOrder = new Map();  // bookmark -> position in the merged list, oldest first
+let tagAliases = {};  // "tagAliases" from the collections, applied in applyLocalEdits
+let collectionAliases = new Map();  // collection id -> the "tagAliases" in its own file
+let expandedTags = loadExpandedTags();  // parent tags opened in the tag tree
+let linkReport = {};  // url -> result from link-report.json (see health.js)
+let faviconIcons = null;  // host -> self-hosted icon from favicons.json; null = use Google (see favicons.js)
+// The bookmarks with local edits applied, the filter state and what's derived from them
+const store = createStateStore({ getLinkHealth, getCollections: getBookmarkCollections });
 const isMac = /Mac|iPhone|iPad|iPod/.test(navigator.userAgent);
 
 async function loadBookmarks() {
     try {
-        const response = await fetch('bookmarks.json');
-        const data = await response.json();
-        bookmarks = data.bookmarks;
+        await Promise.all([fetchBookmarks(), loadLinkReport(), loadFaviconIndex()]);
+        await applyLocalEdits();
         applyFiltersFromURL();
         render();
         setupEventListeners();
+        openDraftFromURL();
+        // Index while idle so the first keystroke doesn't pay for it
+        (window.requestIdleCallback || setTimeout)(store.getSearchIndex);
     } catch (error) {
         console.error('Error loading bookmarks:', error);
+        reportDataIssues([{ severity: 'error', index: null, message: `Could not load bookmarks: ${error.message}` }]);
     }
 }
 
-function applyFiltersFromURL() {
-    const params = new URLSearchParams(window.location.search);
-    const queryParam = params.get('q') || '';
-    searchQuery = queryParam;
+async function fetchBookmarks() {
+    const loaded = await loadCollections();
+    // Invalid entries are skipped (and reported) instead of breaking the render
+    const merged = mergeCollections(loaded.sources);
+    collections = loaded.collections;
+    baseBookmarks = merged.bookmarks;
+    bookmarkSources = merged.bookmarkSources;
+    tagAliases = merged.tagAliases;
+    collectionAliases = merged.collectionAliases;
+    reportDataIssues([...loaded.issues, ...merged.issues]);
+}
 
-    const searchInput = document.getElementById('search-input');
-    if (searchInput) {
-        searchInput.value = queryParam;
+// Written by tools/check-links.js; optional, so a missing report is not an error
+async function loadLinkReport() {
+    try {
+        const response = await fetch(LINK_REPORT_FILE);
+        if (!response.ok) return;
+        const data = await response.json();
+        linkReport = data.links || {};
+    } catch (error) {
+        console.warn('Link report unavailable:', error);
     }
+}
 
-    // Category and section from URL
-    selectedCategory = params.get('category') || null;
-    selectedSection = params.get('section') || null;
-
-    // Validate: section requires matching category
-    if (selectedSection && !selectedCategory) {
-        selectedSection = null;
+// Written by tools/enrich-bookmarks.js; optional like the link report
+async function loadFaviconIndex() {
+    try {
+        const response = await fetch(FAVICON_INDEX_FILE);
+        if (!response.ok) return;
+        const data = await response.json();
+        faviconIcons = data.icons && typeof data.icons === 'object' ? data.icons : null;
+    } catch (error) {
+        console.warn('Favicon index unavailable:', error);
     }
+}
 
-    const tagValues = params.getAll('tag');
-    const parsedTags = new Set();
-    tagValues.forEach(value => {
-        value.split(',').forEach(tag => {
-            const trimmed = tag.trim();
-            if (trimmed) parsedTags.add(trimmed);
-        });
+function getLinkHealth(bookmark) {
+    return classifyLinkResult(bookmark.url, linkReport[bookmark.url]);
+}
+
+// Offline support (sw.js). The worker serves cached bookmark data first and
+// messages us when the network copy turned out to be different.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
     });
+    navigator.serviceWorker.addEventListener('message', async (e) => {
+        if (e.data?.type !== 'bookmarks-updated') return;
+        try {
+            await fetchBookmarks();
+            await refreshLocalEdits();
+        } catch (error) {
+            console.error('Error reloading bookmarks:', error);
+        }
+    });
+}
 
-    selectedTags = parsedTags;
+// Log every issue; show a banner for entries that had to be skipped
+function reportDataIssues(issues) {
+    if (issues.length > 0) {
+        console.groupCollapsed(`Bookmark data: ${issues.length} issue${issues.length !== 1 ? 's' : ''}`);
+        issues.forEach(issue => console[issue.severity === 'error' ? 'error' : 'warn'](issue.message));
+        console.groupEnd();
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const banner = document.getElementById('data-issues');
+    banner.classList.toggle('hidden', errors.length === 0);
+    if (errors.length === 0) return;
+
+    const skipped = errors.filter(issue => issue.index !== null).length;
+    banner.querySelector('summary').textContent = skipped > 0
+        ? `${skipped} bookmark${skipped !== 1 ? 's' : ''} skipped because of invalid data`
+        : errors[0].message;
+    const list = banner.querySelector('ul');
+    list.innerHTML = '';
+    errors.forEach(issue => {
+        const item = document.createElement('li');
+        item.textContent = issue.message;
+        list.appendChild(item);
+    });
 }
 
-function updateURLParams() {
-    const params = new URLSearchParams();
-    const trimmedQuery = searchQuery.trim();
-    if (trimmedQuery) {
-        params.set('q', trimmedQuery);
+async function applyLocalEdits() {
+    try {
+        bookmarkEdits = await getBookmarkEdits();
+    } catch (error) {
+        // IndexedDB unavailable (e.g. private browsing) - show shipped bookmarks only
+        console.warn('Local edits unavailable:', error);
+        bookmarkEdits = [];
     }
+    // Stored edits get the same checks as bookmarks.json; something else on
+    // this origin could have written them
+    bookmarkEdits = bookmarkEdits.filter(edit => {
+        const errors = edit.deleted ? [] : checkBookmarkEntry(edit.bookmark);
+        if (errors.length > 0) console.warn(`Skipping local edit ${edit.id}:`, errors.join(', '));
+        return errors.length === 0;
+    });
+    // Aliases also cover tags typed into local edits and imports
+    const aliases = normalizeTagAliases(tagAliases);
+    bookmarkEntries = mergeBookmarkOverlay(baseBookmarks, bookmarkEdits)
+        .map(entry => ({ ...entry, bookmark: applyTagAliases(entry.bookmark, aliases) }));
+    const bookmarks = bookmarkEntries.map(entry => entry.bookmark);
+    bookmarkIds = new Map(bookmarkEntries.map(entry => [entry.bookmark, entry.id]));
+    // Shipped bookmarks in file order, then local ones by creation time
+    bookmarkOrder = new Map(bookmarks.map((bookmark, index) => [bookmark, index]));
+    store.setBookmarks(bookmarks);
+}
 
-    // Add category and section to URL
-    if (selectedCategory) {
-        params.set('category', selectedCategory);
+async function refreshLocalEdits() {
+    await applyLocalEdits();
+    render();
+}
+
+// Ids of the collections a bookmark came from; none for ones added locally
+function getBookmarkCollections(bookmark) {
+    return bookmarkSources.get(shippedBookmarkUrl(bookmarkIds.get(bookmark))) || [];
+}
+
+function getCollection(id) {
+    return collections.find(collection => collection.id === id) || null;
+}
+
+function getBookmarkById(id) {
+    const entry = bookmarkEntries.find(e => e.id === id);
+    return entry ? entry.bookmark : null;
+}
+
+function applyFiltersFromURL() {
+    // A category or tag page starts on its own filter
+    const params = new URLSearchParams(window.location.search || getPageFilter());
+
+    // ?view=name loads a saved view instead of the other params
+    const view = params.get('view') ? findSavedView(params.get('view')) : null;
+    if (view) {
+        applyFilterParams(new URLSearchParams(view.query));
+        updateURLParams();
+        return;
     }
-    if (selectedSection) {
-        params.set('section', selectedSection);
+    applyFilterParams(params);
+}
+
+// Set the filter state from query-string params (also used by saved views)
+function applyFilterParams(params) {
+    store.setFilters(parseFilterParams(params, { isCollection: id => getCollection(id) !== null }));
+
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        searchInput.value = store.filters.searchQuery;
     }
+}
 
-    if (selectedTags.size > 0) {
-        [...selectedTags].sort((a, b) => a.localeCompare(b)).forEach(tag => {
-            params.append('tag', tag);
-        });
+// The browser extension opens the page at #add?… (see url-state.js) to save a
+// tab: the editor opens with it filled in
+function openDraftFromURL() {
+    const draft = parseDraftHash(window.location.hash);
+    if (!draft) return;
+    // Off the address bar, so a reload doesn't open it again
+    window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+    openBookmarkEditor(null, draft);
+}
+
+// Changes worth going Back to (category, tags, a committed search...) push a
+// history entry; the rest (sort order, tag matching, keystrokes) replace the current one
+function updateURLParams({ push = false } = {}) {
+    const queryString = buildFilterParams(store.filters).toString();
+    // Once the filter changes, a category or tag page's URL no longer says what's shown
+    const path = getPageFilter() ? new URL('./', window.location.href).pathname : window.location.pathname;
+    const newUrl = queryString ? `${path}?${queryString}` : path;
+    if (push && newUrl !== window.location.pathname + window.location.search) {
+        rememberHistoryView();
+        historyEntry = createHistoryEntry();
+        window.history.pushState({ entry: historyEntry }, '', newUrl);
+    } else {
+        window.history.replaceState({ entry: historyEntry }, '', newUrl);
     }
+}
+
+// The filter of a page written by tools/build-static.js for one category or
+// tag, as query-string params; '' on the main page
+function getPageFilter() {
+    return document.querySelector('meta[name="bookmarks-filter"]')?.content || '';
+}
+
+let historyEntry = null;  // id in the current history entry's state
+let historyEntryCount = 0;
+let historyFocusedCard = null;  // id of the card last focused on the current entry
+const historyViews = new Map();  // history entry id -> { scrollY, cardWindow, focusedId } it was left at
+
+function createHistoryEntry() {
+    return `${Date.now().toString(36)}-${historyEntryCount++}`;
+}
 
-    const queryString = params.toString();
-    const newUrl = queryString ? `${window.location.pathname}?${queryString}` : window.location.pathname;
-    window.history.replaceState({}, '', newUrl);
+// Called as the current entry is left
+function rememberHistoryView() {
+    const focusedId = getFocusedCard()?.dataset.id ?? historyFocusedCard;
+    historyViews.set(historyEntry, { scrollY: window.scrollY, cardWindow: getCardWindow(), focusedId });
+    historyFocusedCard = null;
 }
 
-function getAllTags(bookmarkList) {
-    const tagSet = new Set();
-    bookmarkList.forEach(b => b.tags.forEach(t => tagSet.add(t)));
-    return tagSet;
+// Back on an entry: render the cards it had, then put the focus and scroll
+// back. Entries it has nothing for (e.g. from before a reload) start at the top.
+function restoreHistoryView(view) {
+    if (!view) {
+        window.scrollTo(0, 0);
+        return;
+    }
+    const { start, size } = view.cardWindow;
+    if (size !== Infinity) showCardRange(start, start + size);
+    if (view.focusedId) {
+        document.querySelector(`#bookmarks-grid .link-card[data-id="${CSS.escape(view.focusedId)}"]`)?.focus({ preventScroll: true });
+    }
+    window.scrollTo(0, view.scrollY);
 }
 
 function getAllCategories() {
-    const categorySet = new Set();
-    bookmarks.forEach(b => {
-        if (b.category) categorySet.add(b.category);
-    });
-    return [...categorySet].sort((a, b) => a.localeCompare(b));
+    return listCategories(store.bookmarks);
 }
 
 function getSectionsForCategory(category) {
-    const sectionSet = new Set();
-    bookmarks.forEach(b => {
-        if (b.category === category && b.section) {
-            sectionSet.add(b.section);
-        }
-    });
-    return [...sectionSet].sort((a, b) => a.localeCompare(b));
+    return listSections(store.bookmarks, category);
 }
 
 function getFilteredBookmarks() {
-    let filtered = bookmarks;
+    return store.getFilterResults().filtered;
+}
 
-    // Apply category filter
-    if (selectedCategory) {
-        filtered = filtered.filter(b => b.category === selectedCategory);
+// Order within a section (and of search results outside the ranked view)
+function compareBookmarks(a, b) {
+    const { sortMode } = store.filters;
+    if (sortMode === 'frecency') {
+        const diff = getFrecency(b) - getFrecency(a);
+        if (diff !== 0) return diff;
+    } else if (sortMode === 'recent') {
+        return bookmarkOrder.get(b) - bookmarkOrder.get(a);
     }
+    return a.title.localeCompare(b.title);
+}
 
-    // Apply section filter (only if category is selected)
-    if (selectedCategory && selectedSection) {
-        filtered = filtered.filter(b => b.section === selectedSection);
+function loadExpandedTags() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem('bookmarks.expandedTags') || '[]'));
+    } catch {
+        return new Set();
     }
+}
 
-    // Apply search filter
-    if (searchQuery.trim()) {
-        const q = searchQuery.toLowerCase();
-        filtered = filtered.filter(b =>
-            b.title.toLowerCase().includes(q) ||
-            b.url.toLowerCase().includes(q) ||
-            (b.description && b.description.toLowerCase().includes(q)) ||
-            b.tags.some(t => t.toLowerCase().includes(q))
-        );
+function toggleTagExpanded(tag, expand = !expandedTags.has(tag)) {
+    if (expand) {
+        expandedTags.add(tag);
+    } else {
+        expandedTags.delete(tag);
     }
-
-    // Apply tag filter (AND logic)
-    if (selectedTags.size > 0) {
-        filtered = filtered.filter(b =>
-            [...selectedTags].every(tag => b.tags.includes(tag))
-        );
+    try {
+        localStorage.setItem('bookmarks.expandedTags', JSON.stringify([...expandedTags]));
+    } catch (error) {
+        console.warn('Could not save tag tree state:', error);
     }
-
-    return filtered;
-}
-
-function getTagCounts(bookmarkList) {
-    const counts = {};
-    bookmarkList.forEach(b => {
-        b.tags.forEach(tag => {
-            counts[tag] = (counts[tag] || 0) + 1;
-        });
-    });
-    return counts;
+    renderTagList();
 }
 
 function renderTagList() {
     const nav = document.getElementById('tag-list');
-    const filtered = getFilteredBookmarks();
+    const { filters } = store;
+    const { selectedTags, tagMode } = filters;
+    const { untagged, filtered } = store.getFilterResults();
+    // Counts are for the resulting set
     const counts = getTagCounts(filtered);
+    // Rows come from the full tag tree (see listTagRows)
+    const rows = listTagRows(store.getTagTree(), {
+        counts,
+        // With OR, a tag can widen the result, so keep tags that exist outside it
+        available: tagMode === 'any' && selectedTags.size > 0 ? getTagCounts(filterByExcludedTags(untagged, filters)) : counts,
+        selectedTags,
+        excludedTags: filters.excludedTags,
+        expandedTags,
+        active: hasAnyFilter(filters)
+    });
 
-    // Get all tags from full bookmark set for initial display
-    const allTags = getAllTags(bookmarks);
-
-    const tagData = [...allTags]
-        .map(tag => ({ tag, count: counts[tag] || 0 }))
-        .filter(({ tag, count }) => {
-            if (selectedTags.has(tag)) return true;
-            const hasActiveFilters = selectedTags.size > 0 || selectedCategory || searchQuery.trim();
-            if (hasActiveFilters && count === 0) return false;
-            return true;
-        })
-        .sort((a, b) => {
-            const aSelected = selectedTags.has(a.tag) ? 1 : 0;
-            const bSelected = selectedTags.has(b.tag) ? 1 : 0;
-            if (aSelected !== bSelected) return bSelected - aSelected;
-            if (b.count !== a.count) return b.count - a.count;
-            return a.tag.localeCompare(b.tag);
-        });
-
-    const maxCount = tagData.reduce((max, { count }) => Math.max(max, count), 0);
+    // AND/OR only matters once two tags are included
+    const modeSwitch = selectedTags.size > 1 ? [{ key: 'mode', html: `
+        <div class="tag-mode-switch" role="group" aria-label="Match included tags">
+            <button class="tag-mode-option${tagMode === 'all' ? ' selected' : ''}" data-tag-mode="all" aria-pressed="${tagMode === 'all'}">All tags</button>
+            <button class="tag-mode-option${tagMode === 'any' ? ' selected' : ''}" data-tag-mode="any" aria-pressed="${tagMode === 'any'}">Any tag</button>
+        </div>
+    ` }] : [];
 
-    nav.innerHTML = tagData.map(({ tag, count }) => {
-        const fill = maxCount > 0 ? Math.round((count / maxCount) * 100) : 0;
-        return `
-        <button class="tag-item${selectedTags.has(tag) ? ' selected' : ''}" data-tag="${tag}" style="--tag-fill: ${fill}%">
-            <span class="tag-label">${tag}</span>
-            <span class="tag-count">${count}</span>
-        </button>
-    `;
-    }).join('');
+    patchChildren(nav, modeSwitch.concat(renderTagRows(rows)));
+    syncRovingTabindex(nav, '.tag-item');
 
     // Update clear button visibility
     const clearBtn = document.getElementById('clear-filters');
-    const hasFilters = selectedTags.size > 0 || selectedCategory !== null || searchQuery.trim();
-    clearBtn.classList.toggle('hidden', !hasFilters);
+    clearBtn.classList.toggle('hidden', !hasAnyFilter(filters));
 }
 
-function groupBookmarks(bookmarkList) {
-    // Group by category, then by section
-    const grouped = {};
+function renderSidebarFooter() {
+    const resetBtn = document.getElementById('reset-edits');
+    resetBtn.classList.toggle('hidden', bookmarkEdits.length === 0);
+    resetBtn.title = `Discard ${bookmarkEdits.length} local change${bookmarkEdits.length !== 1 ? 's' : ''}`;
+}
 
-    bookmarkList.forEach(b => {
-        const cat = b.category || 'Uncategorized';
-        const sec = b.section || '';
+function renderBookmarkCard(link, index, showBreadcrumb = false) {
+    return renderLinkCard(link, index, showBreadcrumb, getCardContext());
+}
 
-        if (!grouped[cat]) grouped[cat] = { noSection: [], sections: {} };
+// What renderLinkCard() needs to know besides the bookmark
+function getCardContext() {
+    return {
+        query: store.filters.searchQuery,
+        selectedTags: store.filters.selectedTags,
+        categoryColors: themeSettings.categoryColors,
+        faviconIcons,
+        linkReport,
+        bookmarkId: link => bookmarkIds.get(link),
+        badgeLabel: positionBadgeLabel,
+        collectionsOf: link => collections.length > 1 ? getBookmarkCollections(link).map(getCollection) : []
+    };
+}
 
-        if (sec) {
-            if (!grouped[cat].sections[sec]) grouped[cat].sections[sec] = [];
-            grouped[cat].sections[sec].push(b);
-        } else {
-            grouped[cat].noSection.push(b);
-        }
-    });
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-    return grouped;
+// Human-readable name for the current filter state, used as export title
+function describeCurrentView() {
+    const { selectedCollection, selectedCategory, selectedSection, selectedTags, excludedTags, tagMode, showBrokenLinks, searchQuery } = store.filters;
+    const parts = [];
+    if (selectedCollection) {
+        parts.push(getCollection(selectedCollection).name);
+    }
+    if (selectedCategory) {
+        parts.push(selectedSection ? `${selectedCategory} › ${selectedSection}` : selectedCategory);
+    }
+    if (selectedTags.size > 0) {
+        parts.push([...selectedTags].map(t => `#${t}`).join(tagMode === 'any' ? ' or ' : ' '));
+    }
+    if (excludedTags.size > 0) {
+        parts.push([...excludedTags].map(t => `-#${t}`).join(' '));
+    }
+    if (showBrokenLinks) {
+        parts.push('broken links');
+    }
+    if (searchQuery.trim()) {
+        parts.push(`"${searchQuery.trim()}"`);
+    }
+    return parts.length > 0 ? `Bookmarks: ${parts.join(' ')}` : 'Bookmarks';
+}
+
+function exportCurrentView(format) {
+    const { extension, type, serialize } = EXPORT_FORMATS[format];
+    const title = describeCurrentView();
+    const fileName = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadFile(`${fileName}.${extension}`, serialize(groupBookmarks(getFilteredBookmarks()), title), type);
+}
+
+function renderExportMenu() {
+    const count = getFilteredBookmarks().length;
+    const menu = document.getElementById('export-menu');
+    menu.innerHTML = `
+        <span class="popover-label">Current view (${count})</span>
+        ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) =>
+            `<button role="menuitem" data-export="${format}"${count === 0 ? ' disabled' : ''}>${label}</button>`
+        ).join('')}
+        ${renderCollectionExport()}
+    `;
 }
 
-function renderBookmarkCard(link, index) {
-    const host = new URL(link.url).hostname;
-    const title = searchQuery ? highlightMatch(link.title, searchQuery) : link.title;
-    const desc = link.description || '';
-    const badge = index < 9 ? `<span class="position-badge">${isMac ? '⌥' : 'Alt+'}${index + 1}</span>` : '';
+// With several collections, the file of the one being viewed (see getExportCollection)
+function renderCollectionExport() {
+    const collection = getExportCollection();
+    if (!collection) return '';
+    const label = collections.length > 1 ? `${collection.name} collection` : 'Whole collection';
     return `
-        <a href="${link.url}" class="link-card" target="_blank" rel="noopener noreferrer">
-            ${badge}
-            <div class="link-left">
-                <div class="link-favicon" aria-hidden="true">
-                    <img data-favicon src="https://www.google.com/s2/favicons?domain=${host}&sz=32" alt="" loading="lazy">
-                </div>
-                <button class="copy-btn" data-url="${link.url}" data-title="${link.title.replace(/"/g, '&quot;')}" aria-label="Copy link">
-                    <span class="material-icons">content_copy</span>
-                </button>
-            </div>
-            <div class="link-info">
-                <span class="link-title">${title}</span>
-                <span class="link-url">${host}</span>
-                ${desc ? `<span class="link-description">${desc}</span>` : ''}
-                <span class="link-tags">${link.tags.map(t =>
-                    `<span class="link-tag${selectedTags.has(t) ? ' active' : ''}">${t}</span>`
-                ).join('')}</span>
-            </div>
-        </a>
+        <span class="popover-label">${escapeHTML(label)}</span>
+        <button role="menuitem" data-export="json">${escapeHTML(collectionFileName(collection))}</button>
     `;
 }
 
+function toggleExportMenu(force) {
+    const menu = document.getElementById('export-menu');
+    const open = force ?? menu.classList.contains('hidden');
+    if (open) renderExportMenu();
+    menu.classList.toggle('hidden', !open);
+    document.getElementById('export-bookmarks').setAttribute('aria-expanded', String(open));
+    if (open) menu.querySelector('button:not(:disabled)')?.focus();
+}
+
 async function copyLink(url, title) {
-    const html = `<a href="${url}">${title}</a>`;
-    const text = url;
+    return writeClipboard(`<a href="${escapeHTML(safeUrl(url))}">${escapeHTML(title)}</a>`, url);
+}
 
+// Rich text for apps that take it, plain text for everything else
+async function writeClipboard(html, text) {
     try {
         await navigator.clipboard.write([
             new ClipboardItem({
@@ -248,103 +543,223 @@ async function copyLink(url, title) {
         return true;
     } catch {
         // Fallback for browsers that don't support ClipboardItem
-        await navigator.clipboard.writeText(url);
+        await navigator.clipboard.writeText(text);
         return true;
     }
 }
 
+// What the last renderBookmarks() laid out, cards outside the render window
+// included: card ids in grid order, the ids behind each select-all button and
+// .links-grid, and how many cards come before each category
+let gridLayout = { ids: [], groups: new Map(), categoryStarts: new Map() };
+let windowedResults = null;  // filter results the card window was sized for
+let cardMarkupCache = { context: null, cards: new Map() };
+
 function renderBookmarks() {
     const grid = document.getElementById('bookmarks-grid');
     const noResults = document.getElementById('no-results');
-    const filtered = getFilteredBookmarks();
+    const results = store.getFilterResults();
+    const { filtered } = results;
+    const { layout } = layoutSettings;
+    gridLayout = { ids: [], groups: new Map(), categoryStarts: new Map() };
+
+    // Update sidebar title with count
+    const countLabel = `${filtered.length} bookmark${filtered.length !== 1 ? 's' : ''}`;
+    document.getElementById('bookmark-count').textContent = countLabel;
+
+    // New results start over with a small window, and screen readers hear how
+    // many there are (not on the first render - that's just the page loading)
+    if (results !== windowedResults) {
+        if (windowedResults) announce(filtered.length > 0 ? countLabel : 'No bookmarks match your filters');
+        windowedResults = results;
+        resetCardWindow();
+    }
 
     if (filtered.length === 0) {
         grid.classList.add('hidden');
         noResults.classList.remove('hidden');
-        document.getElementById('bookmark-count').textContent = '0 bookmarks';
+        syncSelection(filtered);
         return;
     }
 
     grid.classList.remove('hidden');
     noResults.classList.add('hidden');
+    grid.classList.toggle('layout-list', layout === 'list');
+    grid.classList.toggle('layout-table', layout === 'table');
+
+    // Table rows and ranked results aren't grouped, so there's nothing to jump to
+    const rankedView = isRankedView(store.filters);
+    const grouped = layout !== 'table' && !rankedView;
+    const nodes = [{
+        key: 'toolbar',
+        html: hasSearchTerms(parseSearchQuery(store.filters.searchQuery)) ? renderSearchHeader(grouped) : renderSortToolbar(grouped)
+    }];
+    updateCardMarkupCache();
+
+    // Cards come out in grid order; only those inside the window get rendered
+    const { start, size } = getCardWindow();
+    const end = start + size;
+    let position = 0;
+    const takeCards = list => {
+        const shown = list.slice(Math.max(start - position, 0), Math.max(end - position, 0));
+        position += list.length;
+        return shown;
+    };
+    // Whether a group starting here with this many cards shows; collapsed ones
+    // (no cards) show when the window reaches them
+    const inWindow = count => count > 0 ? position + count > start && position < end : position >= start && position <= end;
+    const recordGroup = (id, list) => {
+        const ids = list.map(link => bookmarkIds.get(link));
+        gridLayout.groups.set(id, ids);
+        return ids;
+    };
+    const renderGrid = (id, list, showBreadcrumb = false) => {
+        gridLayout.ids.push(...recordGroup(id, list));
+        const first = position + Math.max(start - position, 0);  // grid position of the first card shown
+        return renderLinksGridNode(id, takeCards(list).map((link, index) => ({ key: bookmarkIds.get(link), html: renderCardMarkup(link, first + index, showBreadcrumb) })));
+    };
+
+    if (layout === 'table') {
+        // Column sorting goes on top of the current sort mode
+        const rows = sortTableRows(rankedView ? filtered : [...filtered].sort(compareBookmarks));
+        gridLayout.ids = recordGroup('results', rows);
+        nodes.push(renderBookmarkTable(takeCards(rows)));
+    } else if (rankedView) {
+        // Already sorted by score in filterUntagged
+        nodes.push(renderGrid('results', filtered, true));
+    } else {
+        // Pinned most-used links come first, so Alt+1-9 lands on them
+        const frequent = getFrequentBookmarks(filtered);
+        if (frequent.length > 0) {
+            nodes.push({ key: 'frequent', html: `<div class="category-group frequent-group"></div>`, children: [
+                { key: 'heading', html: `<div class="frequent-heading"><h1 class="category-heading">Frequent</h1><button class="clear-history" title="Forget which bookmarks were opened"><span class="material-icons">history</span>Clear history</button></div>` },
+                renderGrid('frequent', frequent, true)
+            ] });
+        }
 
-    // Update sidebar title with count
-    document.getElementById('bookmark-count').textContent = `${filtered.length} bookmark${filtered.length !== 1 ? 's' : ''}`;
-
-    const grouped = groupBookmarks(filtered);
-    const sortedCategories = Object.keys(grouped).sort((a, b) => a.localeCompare(b));
-
-    let html = '';
-    let cardIndex = 0;
+        sortBookmarkGroups(groupBookmarks(filtered), compareBookmarks).forEach(({ category, noSection, sections }) => {
+            const catKey = groupKey(category);
+            const catCollapsed = isGroupCollapsed(catKey);
+            const catCount = noSection.length + sections.reduce((sum, [, list]) => sum + list.length, 0);
+            const catId = `category:${category}`;
+            const catGroup = renderCategoryGroupNode(category, { count: catCount, collapsed: catCollapsed, color: getCategoryColor(category) });
+            const catShown = catCollapsed ? 0 : noSection.length + sections
+                .filter(([section]) => !isGroupCollapsed(groupKey(category, section)))
+                .reduce((sum, [, list]) => sum + list.length, 0);
+            gridLayout.categoryStarts.set(category, position);
+            if (inWindow(catShown)) nodes.push(catGroup);
+
+            // Collapsed: heading only, so its cards are out of arrow-key reach too
+            if (catCollapsed) {
+                recordGroup(catId, []);
+                return;
+            }
+            const catBookmarks = [];
 
-    sortedCategories.forEach(category => {
-        const catData = grouped[category];
-        html += `<div class="category-group">`;
-        html += `<h1 class="category-heading">${category}</h1>`;
+            // Render bookmarks without a section first (directly under category)
+            if (noSection.length > 0) {
+                catBookmarks.push(...noSection);
+                const cards = renderGrid(`grid:${catKey}`, noSection);
+                if (cards.children.length > 0) catGroup.children.push(cards);
+            }
 
-        // Render bookmarks without a section first (directly under category)
-        if (catData.noSection.length > 0) {
-            const sorted = catData.noSection.sort((a, b) => a.title.localeCompare(b.title));
-            html += `<div class="links-grid">`;
-            sorted.forEach(link => {
-                html += renderBookmarkCard(link, cardIndex++);
+            // Render sections
+            sections.forEach(([section, sectionBookmarks]) => {
+                const secKey = groupKey(category, section);
+                const secCollapsed = isGroupCollapsed(secKey);
+                if (inWindow(secCollapsed ? 0 : sectionBookmarks.length)) {
+                    catGroup.children.push(renderSectionHeadingNode(category, section, { count: sectionBookmarks.length, collapsed: secCollapsed }));
+                }
+                if (secCollapsed) return;
+                catBookmarks.push(...sectionBookmarks);
+                const cards = renderGrid(`grid:${secKey}`, sectionBookmarks);
+                if (cards.children.length > 0) catGroup.children.push(cards);
             });
-            html += `</div>`;
-        }
 
-        // Render sections
-        const sortedSections = Object.keys(catData.sections).sort((a, b) => a.localeCompare(b));
-        sortedSections.forEach(section => {
-            const sectionBookmarks = catData.sections[section].sort((a, b) => a.title.localeCompare(b.title));
-            html += `<h2 class="section-heading">${section}</h2>`;
-            html += `<div class="links-grid">`;
-            sectionBookmarks.forEach(link => {
-                html += renderBookmarkCard(link, cardIndex++);
-            });
-            html += `</div>`;
+            recordGroup(catId, catBookmarks);
         });
+    }
 
-        html += `</div>`;
-    });
-
-    grid.innerHTML = html;
-    wireFaviconFallback(grid);
+    if (clampCardWindow(position)) {
+        renderBookmarks();
+        return;
+    }
+    if (start > 0) nodes.splice(1, 0, renderCardWindowSentinel('start'));
+    if (end < position) nodes.push(renderCardWindowSentinel('end'));
+    patchChildren(grid, nodes);
+    watchCardWindow(grid);
+    syncSelection(filtered);
 }
 
-function renderCategoryFilter() {
-    const container = document.getElementById('category-filter');
-    const categories = getAllCategories();
+// A card's markup depends on the bookmark, its position badge, whether it shows
+// a breadcrumb, the search highlight, the tag filter and category colours.
+// Growing the window or collapsing a group reuses what's already built.
+function updateCardMarkupCache() {
+    const { searchQuery, selectedTags } = store.filters;
+    const context = JSON.stringify([searchQuery, [...selectedTags], positionBadgeLabel(1), themeSettings.categoryColors]);
+    if (cardMarkupCache.context !== context) cardMarkupCache = { context, cards: new Map() };
+}
 
-    let html = '';
+function renderCardMarkup(link, index, showBreadcrumb) {
+    const key = `${bookmarkIds.get(link)}\u0000${index < 9 ? index : ''}\u0000${showBreadcrumb}`;
+    const cached = cardMarkupCache.cards.get(key);
+    if (cached?.link === link) return cached.html;
+    const html = renderBookmarkCard(link, index, showBreadcrumb);
+    cardMarkupCache.cards.set(key, { link, html });
+    return html;
+}
 
-    // "All" pill - always visible
-    html += `<button class="filter-pill${!selectedCategory ? ' selected' : ''}" data-category="all">All</button>`;
+function renderSortSwitch(modes, selected) {
+    return `<div class="sort-switch">${modes.map(([mode, label]) =>
+        `<button class="sort-option${selected === mode ? ' selected' : ''}" data-sort="${mode}" aria-pressed="${selected === mode}">${label}</button>`
+    ).join('')}</div>`;
+}
 
-    if (!selectedCategory) {
-        // No category selected: show all category pills
-        categories.forEach(cat => {
-            html += `<button class="filter-pill" data-category="${cat}">${cat}</button>`;
-        });
-    } else {
-        // Category selected: show only selected category + sections
-        html += `<button class="filter-pill selected" data-category="${selectedCategory}">${selectedCategory}</button>`;
+function renderSearchHeader(grouped) {
+    const { sortMode } = store.filters;
+    return `
+        <div class="search-header">
+            <h2>${sortMode === 'best' ? 'Best matches' : 'Search results'}</h2>
+            ${renderSortSwitch(Object.entries(SORT_MODES), sortMode)}
+            ${renderViewControls(grouped)}
+        </div>
+    `;
+}
 
-        // Get sections for selected category
-        const sections = getSectionsForCategory(selectedCategory);
+// Outside search, "best" simply means A–Z
+function renderSortToolbar(grouped) {
+    const modes = [['best', SORT_MODES.az], ['frecency', SORT_MODES.frecency], ['recent', SORT_MODES.recent]];
+    const { sortMode } = store.filters;
+    return `<div class="sort-toolbar">${renderSortSwitch(modes, sortMode === 'az' ? 'best' : sortMode)}${renderViewControls(grouped)}</div>`;
+}
 
-        if (sections.length > 0) {
-            // Add visual divider
-            html += `<span class="filter-divider"></span>`;
+// Outline (only while grouped by category) and layout switch, right of the sort switch
+function renderViewControls(grouped) {
+    return `<div class="view-controls">${grouped ? renderOutlineButton() : ''}${renderLayoutSwitch()}</div>`;
+}
 
-            // Section pills
-            sections.forEach(sec => {
-                const isSelected = selectedSection === sec;
-                html += `<button class="filter-pill section-pill${isSelected ? ' selected' : ''}" data-section="${sec}">${sec}</button>`;
-            });
-        }
-    }
+function renderCategoryFilter() {
+    const container = document.getElementById('category-filter');
+    const { bookmarks } = store;
+    const { selectedCollection, selectedCategory, selectedSection, showBrokenLinks } = store.filters;
+    const pills = renderFilterPills({
+        // Collection switcher - only once there's more than one
+        collections: collections.length > 1 ? collections.map(collection => ({
+            collection,
+            count: bookmarks.filter(b => getBookmarkCollections(b).includes(collection.id)).length
+        })) : [],
+        selectedCollection,
+        brokenCount: bookmarks.filter(b => getLinkHealth(b) === 'dead').length,
+        showBrokenLinks,
+        categories: getAllCategories(),
+        selectedCategory,
+        sections: selectedCategory ? getSectionsForCategory(selectedCategory) : [],
+        selectedSection,
+        categoryColors: themeSettings.categoryColors
+    });
 
-    container.innerHTML = html;
+    patchChildren(container, pills);
+    syncRovingTabindex(container, '.filter-pill');
     updateFilterScrollFade();
 }
 
@@ -355,27 +770,32 @@ function updateFilterScrollFade() {
     wrapper.classList.toggle('at-end', isAtEnd);
 }
 
+// Clicking the selected collection again shows all of them
+function selectCollection(id) {
+    store.setFilters({ selectedCollection: id === store.filters.selectedCollection ? null : id });
+    updateURLParams({ push: true });
+    render();
+}
+
 function selectCategory(category) {
-    if (category === 'all' || category === selectedCategory) {
-        // Clicking "All" or clicking selected category = reset
-        selectedCategory = null;
-        selectedSection = null;
-    } else {
-        selectedCategory = category;
-        selectedSection = null;  // Reset section when changing category
-    }
-    updateURLParams();
+    // Clicking "All" or clicking selected category = reset
+    const reset = category === 'all' || category === store.filters.selectedCategory;
+    // Changing category resets the section too
+    store.setFilters({ selectedCategory: reset ? null : category, selectedSection: null });
+    updateURLParams({ push: true });
     render();
 }
 
 function selectSection(section) {
-    if (selectedSection === section) {
-        // Toggle off
-        selectedSection = null;
-    } else {
-        selectedSection = section;
-    }
-    updateURLParams();
+    // Clicking the selected section again toggles it off
+    store.setFilters({ selectedSection: section === store.filters.selectedSection ? null : section });
+    updateURLParams({ push: true });
+    render();
+}
+
+function toggleBrokenLinks() {
+    store.setFilters({ showBrokenLinks: !store.filters.showBrokenLinks });
+    updateURLParams({ push: true });
     render();
 }
 
@@ -383,46 +803,67 @@ function render() {
     renderCategoryFilter();
     renderTagList();
     renderBookmarks();
+    renderSidebarFooter();
+    renderSavedViews();
+}
+
+function setSortMode(mode) {
+    if (mode === store.filters.sortMode) return;
+    store.setFilters({ sortMode: mode });
+    updateURLParams();
+    renderBookmarks();
+    renderSavedViews();
 }
 
+// Cycles off -> include -> exclude -> off
 function toggleTag(tag) {
+    // New Sets: the store's filter state is never changed in place
+    const selectedTags = new Set(store.filters.selectedTags);
+    const excludedTags = new Set(store.filters.excludedTags);
     if (selectedTags.has(tag)) {
         selectedTags.delete(tag);
+        excludedTags.add(tag);
+    } else if (excludedTags.has(tag)) {
+        excludedTags.delete(tag);
     } else {
         selectedTags.add(tag);
     }
-    updateURLParams();
+    store.setFilters({ selectedTags, excludedTags });
+    updateURLParams({ push: true });
     render();
 }
 
-function clearFilters() {
-    selectedTags.clear();
-    selectedCategory = null;
-    selectedSection = null;
-    searchQuery = '';
-    document.getElementById('search-input').value = '';
+function setTagMode(mode) {
+    if (mode === store.filters.tagMode) return;
+    store.setFilters({ tagMode: mode });
     updateURLParams();
     render();
 }
 
-function wireFaviconFallback(rootEl) {
-    if (!rootEl) return;
-    rootEl.querySelectorAll('img[data-favicon]').forEach(img => {
-        img.addEventListener('error', () => {
-            const holder = img.closest('.link-favicon');
-            if (!holder) return;
-            holder.innerHTML = `<span class="material-icons link-fallback-icon">link</span>`;
-        }, { once: true });
+// Sort and tag matching stay as they are
+function clearFilters() {
+    store.setFilters({
+        selectedTags: new Set(),
+        excludedTags: new Set(),
+        showBrokenLinks: false,
+        selectedCollection: null,
+        selectedCategory: null,
+        selectedSection: null,
+        searchQuery: ''
     });
+    document.getElementById('search-input').value = '';
+    updateURLParams({ push: true });
+    render();
 }
 
-function highlightMatch(text, query) {
-    const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-    return text.replace(regex, '<mark>$1</mark>');
-}
-
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// One listener for every favicon: error events don't bubble, but they can be captured
+function setupFaviconFallback() {
+    document.addEventListener('error', (e) => {
+        if (!e.target.matches?.('img[data-favicon]')) return;
+        const holder = e.target.closest('.link-favicon');
+        if (!holder) return;
+        holder.innerHTML = FALLBACK_FAVICON_HTML;
+    }, true);
 }
 
 function isEditableTarget(el) {
@@ -441,6 +882,16 @@ function isPrintableKey(e) {
 function setupEventListeners() {
     // Tag list click handler
     document.getElementById('tag-list').addEventListener('click', (e) => {
+        const expandToggle = e.target.closest('.tag-expand');
+        if (expandToggle) {
+            toggleTagExpanded(expandToggle.dataset.expand);
+            return;
+        }
+        const modeOption = e.target.closest('.tag-mode-option');
+        if (modeOption) {
+            setTagMode(modeOption.dataset.tagMode);
+            return;
+        }
         const tagItem = e.target.closest('.tag-item');
         if (tagItem) {
             toggleTag(tagItem.dataset.tag);
@@ -453,7 +904,11 @@ function setupEventListeners() {
         const pill = e.target.closest('.filter-pill');
         if (!pill) return;
 
-        if (pill.dataset.section) {
+        if (pill.dataset.health) {
+            toggleBrokenLinks();
+        } else if (pill.dataset.collection) {
+            selectCollection(pill.dataset.collection);
+        } else if (pill.dataset.section) {
             selectSection(pill.dataset.section);
         } else if (pill.dataset.category) {
             selectCategory(pill.dataset.category);
@@ -466,26 +921,169 @@ function setupEventListeners() {
     // Clear filters button
     document.getElementById('clear-filters').addEventListener('click', clearFilters);
 
+    // Local editing
+    document.getElementById('add-bookmark').addEventListener('click', () => openBookmarkEditor());
+    document.getElementById('import-bookmarks').addEventListener('click', chooseImportFile);
+
+    // Export menu
+    const exportMenu = document.getElementById('export-menu');
+    document.getElementById('export-bookmarks').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu();
+    });
+    exportMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-export]');
+        if (!item) return;
+        if (item.dataset.export === 'json') {
+            exportMergedBookmarks();
+        } else {
+            exportCurrentView(item.dataset.export);
+        }
+        toggleExportMenu(false);
+    });
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.contains(e.target)) toggleExportMenu(false);
+        if (!e.target.closest('#outline-menu')) toggleOutlineMenu(false);
+    });
+    document.getElementById('reset-edits').addEventListener('click', resetLocalEdits);
+
+    // Saved views
+    setupSavedViews();
+
+    // Keyboard shortcuts panel
+    setupKeybindingSettings();
+
+    // Theme, accent and category colours
+    setupThemeSettings();
+
+    // Multi-select bar
+    setupSelection();
+
+    // Favicons that fail to load
+    setupFaviconFallback();
+
     // Mobile tags toggle
-    document.getElementById('toggle-tags').addEventListener('click', () => {
-        document.querySelector('.sidebar').classList.toggle('expanded');
+    document.getElementById('toggle-tags').addEventListener('click', (e) => {
+        const expanded = document.querySelector('.sidebar').classList.toggle('expanded');
+        e.currentTarget.setAttribute('aria-expanded', String(expanded));
     });
 
-    // Search input
+    // The tag list and the filter bar are one Tab stop each; arrow keys move within them
+    setupRovingTabindex(document.getElementById('tag-list'), '.tag-item');
+    setupRovingTabindex(document.getElementById('category-filter'), '.filter-pill');
+
+    // Search input. A search is one step back: its first update pushes a history
+    // entry and the rest replace it, until it's committed (its change event, e.g. on leaving the box).
     const searchInput = document.getElementById('search-input');
-    let debounceTimer;
+    let debounceTimer = null;
+    let searchEntry = null;  // history entry the search being typed writes to
+
+    const applySearch = () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = null;
+        store.setFilters({ searchQuery: searchInput.value });
+        updateURLParams({ push: searchEntry !== historyEntry });
+        searchEntry = historyEntry;
+        render();
+    };
+    searchInput.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(applySearch, 150);
+    });
+    searchInput.addEventListener('change', () => {
+        if (debounceTimer) applySearch();
+        searchEntry = null;
+    });
 
-    searchInput.addEventListener('input', (e) => {
+    // Back and Forward re-apply the filters in the URL, and the browser's own
+    // scroll restoration would run before the cards are back
+    window.history.scrollRestoration = 'manual';
+    historyEntry = window.history.state?.entry ?? createHistoryEntry();
+    window.history.replaceState({ entry: historyEntry }, '');
+    window.addEventListener('popstate', (e) => {
         clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(() => {
-            searchQuery = e.target.value;
-            updateURLParams();
-            render();
-        }, 150);
+        debounceTimer = null;
+        rememberHistoryView();
+        historyEntry = e.state?.entry ?? createHistoryEntry();
+        // e.g. a #hash typed into the address bar
+        if (!e.state?.entry) window.history.replaceState({ entry: historyEntry }, '');
+        applyFiltersFromURL();
+        render();
+        restoreHistoryView(historyViews.get(historyEntry));
     });
+    window.addEventListener('hashchange', openDraftFromURL);
 
     // Action button handlers (delegated)
     document.getElementById('bookmarks-grid').addEventListener('click', async (e) => {
+        const sortOption = e.target.closest('.sort-option');
+        if (sortOption) {
+            setSortMode(sortOption.dataset.sort);
+            return;
+        }
+
+        const layoutOption = e.target.closest('.layout-option');
+        if (layoutOption) {
+            setLayout(layoutOption.dataset.layout);
+            document.querySelector(`.layout-option[data-layout="${layoutOption.dataset.layout}"]`)?.focus();
+            return;
+        }
+
+        const groupToggle = e.target.closest('.group-toggle');
+        if (groupToggle) {
+            const key = groupToggle.dataset.group;
+            toggleGroupCollapsed(key);
+            document.querySelector(`.group-toggle[data-group="${CSS.escape(key)}"]`)?.focus();
+            return;
+        }
+
+        const tableSort = e.target.closest('.table-sort');
+        if (tableSort) {
+            setTableSort(tableSort.dataset.column);
+            document.querySelector(`.table-sort[data-column="${tableSort.dataset.column}"]`)?.focus();
+            return;
+        }
+
+        if (e.target.closest('.outline-toggle')) {
+            e.stopPropagation();
+            toggleOutlineMenu();
+            return;
+        }
+
+        const jump = e.target.closest('[data-jump]');
+        if (jump) {
+            toggleOutlineMenu(false);
+            jumpToCategory(jump.dataset.jump);
+            return;
+        }
+
+        if (e.target.closest('.clear-history')) {
+            clearUsageHistory();
+            return;
+        }
+
+        // Select all under a section heading, or in a whole category, rendered yet or not
+        const selectGroup = e.target.closest('.select-group');
+        if (selectGroup) {
+            toggleCardGroup(gridLayout.groups.get(selectGroup.dataset.group) || []);
+            return;
+        }
+
+        const editBtn = e.target.closest('.edit-btn');
+        if (editBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            openBookmarkEditor(editBtn.closest('.link-card').dataset.id);
+            return;
+        }
+
+        const deleteBtn = e.target.closest('.delete-btn');
+        if (deleteBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            await confirmDeleteBookmark(deleteBtn.closest('.link-card').dataset.id);
+            return;
+        }
+
         const copyBtn = e.target.closest('.copy-btn');
         if (copyBtn) {
             e.preventDefault();
@@ -498,127 +1096,482 @@ function setupEventListeners() {
             setTimeout(() => {
                 icon.textContent = 'content_copy';
             }, 1500);
-        }
-    });
-
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        const cards = document.querySelectorAll('.link-card');
-        const isInSearch = document.activeElement === searchInput;
-
-        // Escape - close help, clear filters, or blur search
-        if (e.key === 'Escape') {
-            const helpOverlay = document.getElementById('help-overlay');
-            if (helpOverlay?.classList.contains('visible')) {
-                helpOverlay.classList.remove('visible');
-                return;
-            }
-            const hasAnyFilter = selectedTags.size > 0 || selectedCategory || searchQuery.trim();
-            if (hasAnyFilter) {
-                clearFilters();
-            }
-            searchInput.blur();
             return;
         }
 
-        // Enter in search - open first result
-        if (e.key === 'Enter' && isInSearch && cards.length > 0) {
+        // Ctrl/Cmd-click toggles a card, Shift-click selects up to it
+        const card = e.target.closest('.link-card');
+        if (card && (e.shiftKey || e.ctrlKey || e.metaKey)) {
             e.preventDefault();
-            window.open(cards[0].href, '_blank', 'noopener,noreferrer');
+            if (e.shiftKey) {
+                selectCardRange(card);
+            } else {
+                toggleCardSelection(card);
+            }
             return;
         }
 
-        // Skip other shortcuts if in editable field
-        if (isEditableTarget(e.target) || isInSearch) return;
+        // Clicks and Enter on a focused card both open the link
+        if (card) recordBookmarkOpen(getBookmarkById(card.dataset.id));
+    });
+    // Middle-click opens too
+    document.getElementById('bookmarks-grid').addEventListener('auxclick', (e) => {
+        const card = e.button === 1 && e.target.closest('.link-card');
+        if (card) recordBookmarkOpen(getBookmarkById(card.dataset.id));
+    });
+    // Back brings focus to this card even if a click on a filter took it
+    document.getElementById('bookmarks-grid').addEventListener('focusin', (e) => {
+        const card = e.target.closest('.link-card');
+        if (card) historyFocusedCard = card.dataset.id;
+    });
 
-        // Alt/Option + 1-9 - open card at position
-        if (e.altKey && e.key >= '1' && e.key <= '9') {
-            const index = parseInt(e.key) - 1;
-            if (cards[index]) {
+    // Keyboard shortcuts (actions are registered in registerAppActions)
+    document.addEventListener('keydown', (e) => {
+        // Modal dialogs (e.g. the bookmark editor) handle their own keys
+        if (document.querySelector('dialog[open]')) return;
+        // The help is modal too; only the keys that close it work while it's open
+        if (isHelpOpen()) {
+            if (e.key === 'Escape' || matchesAction('help.toggle', e)) {
                 e.preventDefault();
-                window.open(cards[index].href, '_blank', 'noopener,noreferrer');
+                setHelpOpen(false);
             }
             return;
         }
 
-        // Arrow keys - navigate within current context
-        if (['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+        const inInput = isEditableTarget(e.target) || document.activeElement === searchInput;
+        if (dispatchKeybinding(e, { inInput })) return;
+
+        // Printable keys - start typing in search
+        if (!inInput && isPrintableKey(e)) {
             e.preventDefault();
-            const focused = document.activeElement;
+            searchInput.focus();
+            searchInput.value += e.key;
+            searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    });
+}
+
+function getCards() {
+    return document.querySelectorAll('.link-card');
+}
+
+function getFocusedCard() {
+    const focused = document.activeElement;
+    return focused?.classList.contains('link-card') ? focused : null;
+}
 
-            // Navigate within tag panel
-            if (focused.classList.contains('tag-item')) {
-                navigatePanel('.tag-item', e.key);
+// Every shortcut and palette command. Sections group the help overlay; actions
+// without one only show up in the command palette.
+function registerAppActions() {
+    const searchInput = document.getElementById('search-input');
+
+    // Quick actions
+    registerAction({
+        id: 'palette.open',
+        label: 'Command palette',
+        section: 'Quick Actions',
+        keys: ['Mod+k'],
+        global: true,
+        palette: false,
+        run: openCommandPalette
+    });
+    registerAction({
+        id: 'search.focus',
+        label: 'Focus search',
+        section: 'Quick Actions',
+        keys: ['/'],
+        run: () => searchInput.focus()
+    });
+    registerAction({
+        id: 'card.open-position',
+        label: 'Open result #',
+        section: 'Quick Actions',
+        keys: ['Alt+1-9'],
+        digits: true,
+        palette: false,
+        run: (e) => {
+            // By grid position, so it works while the window is scrolled away from the top
+            const bookmark = getBookmarkById(gridLayout.ids[Number(eventToKeyCombo(e).slice(-1)) - 1]);
+            if (!openBookmark(bookmark)) return false;
+        }
+    });
+    registerAction({
+        id: 'search.open-first',
+        label: 'Open first result (in search)',
+        section: 'Quick Actions',
+        keys: ['Enter'],
+        global: true,
+        palette: false,
+        when: () => document.activeElement === searchInput && getCards().length > 0,
+        run: () => openCard(getCards()[0])
+    });
+    registerAction({
+        id: 'escape',
+        label: 'Clear selection / filters / close',
+        section: 'Quick Actions',
+        keys: ['Escape'],
+        global: true,
+        palette: false,
+        run: () => {
+            if (!document.getElementById('export-menu').classList.contains('hidden')) {
+                toggleExportMenu(false);
+                document.getElementById('export-bookmarks').focus();
                 return;
             }
-
-            // Navigate within filter pills
-            if (focused.classList.contains('filter-pill')) {
-                navigatePanel('.filter-pill', e.key);
+            const outlineMenu = document.getElementById('outline-menu');
+            if (outlineMenu && !outlineMenu.classList.contains('hidden')) {
+                toggleOutlineMenu(false);
+                document.querySelector('.outline-toggle').focus();
                 return;
             }
-
-            // Default: navigate cards
-            navigateCards(e.key, cards);
-            return;
+            if (selectedIds.size > 0) {
+                clearSelection();
+                return;
+            }
+            if (hasAnyFilter(store.filters)) {
+                clearFilters();
+            }
+            searchInput.blur();
         }
+    });
+    registerAction({
+        id: 'help.toggle',
+        label: 'Keyboard shortcuts',
+        section: 'Quick Actions',
+        keys: ['?'],
+        run: toggleHelpOverlay
+    });
 
-        // c - copy focused card's link
-        if (e.key === 'c') {
-            const focused = document.activeElement;
-            if (focused.classList.contains('link-card')) {
-                e.preventDefault();
-                const copyBtn = focused.querySelector('.copy-btn');
-                if (copyBtn) copyBtn.click();
+    // Navigation
+    [['up', 'ArrowUp'], ['down', 'ArrowDown'], ['left', 'ArrowLeft'], ['right', 'ArrowRight']].forEach(([direction, key]) => registerAction({
+        id: `navigate.${direction}`,
+        label: `Move ${direction}`,
+        section: 'Navigation',
+        keys: [key],
+        palette: false,
+        run: () => navigateFromKey(key)
+    }));
+    // Enter on a card is the link's own activation; listed for the help overlay
+    registerAction({
+        id: 'card.open',
+        label: 'Open focused card',
+        section: 'Navigation',
+        keyLabel: 'Enter',
+        palette: false,
+        fixed: true,
+        run: () => {}
+    });
+    registerAction({
+        id: 'card.copy',
+        label: 'Copy focused link',
+        section: 'Navigation',
+        keys: ['c'],
+        when: () => getFocusedCard() !== null,
+        run: () => {
+            const card = getFocusedCard();
+            const copyBtn = card.querySelector('.copy-btn');
+            if (copyBtn) {
+                copyBtn.click();
+            } else {
+                // Table rows have no copy button
+                const bookmark = getBookmarkById(card.dataset.id);
+                copyLink(bookmark.url, bookmark.title);
             }
-            return;
         }
+    });
+    registerAction({
+        id: 'card.edit',
+        label: 'Edit focused bookmark',
+        section: 'Navigation',
+        keys: ['e'],
+        when: () => getFocusedCard() !== null,
+        run: () => openBookmarkEditor(getFocusedCard().dataset.id)
+    });
 
-        // t - focus tag panel
-        if (e.key === 't') {
-            e.preventDefault();
-            const firstTag = document.querySelector('.tag-item');
-            if (firstTag) firstTag.focus();
-            return;
-        }
+    // Selection
+    [['up', 'ArrowUp'], ['down', 'ArrowDown'], ['left', 'ArrowLeft'], ['right', 'ArrowRight']].forEach(([direction, key]) => registerAction({
+        id: `select.${direction}`,
+        label: `Extend selection ${direction}`,
+        section: 'Selection',
+        keys: [`Shift+${key}`],
+        palette: false,
+        when: () => getFocusedCard() !== null,
+        run: () => navigateCards(key, getCards(), true)
+    }));
+    registerAction({
+        id: 'select.toggle',
+        label: 'Select focused card',
+        section: 'Selection',
+        keys: ['x'],
+        palette: false,
+        when: () => getFocusedCard() !== null,
+        run: () => toggleCardSelection(getFocusedCard())
+    });
+    registerAction({
+        id: 'select.group',
+        label: 'Select all in section',
+        section: 'Selection',
+        keys: ['Mod+a'],
+        when: () => getFocusedCard() !== null,
+        run: () => toggleCardGroup(gridLayout.groups.get(getFocusedCard().closest('[data-group]').dataset.group) || [])
+    });
+    const hasSelection = () => selectedIds.size > 0;
+    registerAction({
+        id: 'selection.open',
+        label: 'Open selected bookmarks',
+        section: 'Selection',
+        keys: ['Shift+Enter'],
+        when: hasSelection,
+        run: openSelected
+    });
+    registerAction({
+        id: 'selection.copy-markdown',
+        label: 'Copy selection as Markdown list',
+        when: hasSelection,
+        run: () => copySelected('markdown')
+    });
+    registerAction({
+        id: 'selection.copy-html',
+        label: 'Copy selection as HTML list',
+        when: hasSelection,
+        run: () => copySelected('html')
+    });
+    Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => registerAction({
+        id: `selection.export.${format}`,
+        label: `Export selection: ${label}`,
+        when: hasSelection,
+        run: () => exportSelected(format)
+    }));
+    registerAction({
+        id: 'selection.tags',
+        label: 'Tag selected bookmarks',
+        when: hasSelection,
+        run: () => openBulkEditor('tags')
+    });
+    registerAction({
+        id: 'selection.move',
+        label: 'Move selected bookmarks',
+        when: hasSelection,
+        run: () => openBulkEditor('move')
+    });
 
-        // f - focus category filter
-        if (e.key === 'f') {
-            e.preventDefault();
-            const firstPill = document.querySelector('.filter-pill');
-            if (firstPill) firstPill.focus();
-            return;
-        }
+    registerAction({
+        id: 'outline.open',
+        label: 'Jump to category',
+        section: 'Navigation',
+        keys: ['g'],
+        when: () => document.querySelector('.outline-toggle') !== null,
+        run: () => toggleOutlineMenu(true)
+    });
 
-        // ? - toggle help overlay
-        if (e.key === '?') {
-            e.preventDefault();
-            toggleHelpOverlay();
-            return;
+    // Filters
+    registerAction({
+        id: 'tags.focus',
+        label: 'Focus tags',
+        section: 'Filters',
+        keys: ['t'],
+        run: () => document.querySelector('.tag-item')?.focus()
+    });
+    registerAction({
+        id: 'categories.focus',
+        label: 'Focus categories',
+        section: 'Filters',
+        keys: ['f'],
+        run: () => document.querySelector('.filter-pill')?.focus()
+    });
+    // Enter on a tag clicks the button; listed for the help overlay
+    registerAction({
+        id: 'tag.cycle',
+        label: 'Tag: include → exclude → off',
+        section: 'Filters',
+        keyLabel: 'Enter',
+        palette: false,
+        fixed: true,
+        run: () => {}
+    });
+    registerAction({
+        id: 'view.open',
+        label: 'Open saved view',
+        section: 'Filters',
+        keys: ['Shift+1-9'],
+        digits: true,
+        palette: false,
+        run: (e) => {
+            openViewByShortcut(eventToKeyCombo(e).slice(-1));
         }
+    });
 
-        // / - focus search
-        if (e.key === '/') {
-            e.preventDefault();
-            searchInput.focus();
+    // Palette-only commands
+    registerAction({
+        id: 'filters.clear',
+        label: 'Clear all filters',
+        when: () => hasAnyFilter(store.filters),
+        run: clearFilters
+    });
+    registerAction({
+        id: 'tags.mode',
+        label: 'Switch tag matching (AND/OR)',
+        when: () => store.filters.selectedTags.size > 1,
+        run: () => setTagMode(store.filters.tagMode === 'all' ? 'any' : 'all')
+    });
+    registerAction({
+        id: 'links.broken',
+        label: 'Show broken links',
+        when: () => store.filters.showBrokenLinks || store.bookmarks.some(b => getLinkHealth(b) === 'dead'),
+        run: toggleBrokenLinks
+    });
+    Object.entries(SORT_MODES).forEach(([mode, label]) => registerAction({
+        id: `sort.${mode}`,
+        label: `Sort: ${label}`,
+        when: () => store.filters.sortMode !== mode,
+        run: () => setSortMode(mode)
+    }));
+    Object.entries(LAYOUTS).forEach(([layout, { label }]) => registerAction({
+        id: `layout.${layout}`,
+        label: `Layout: ${label}`,
+        when: () => layoutSettings.layout !== layout,
+        run: () => setLayout(layout)
+    }));
+    registerAction({
+        id: 'groups.collapse',
+        label: 'Collapse all categories',
+        when: () => layoutSettings.layout !== 'table' && !isRankedView(store.filters),
+        run: () => setAllCategoriesCollapsed(true)
+    });
+    registerAction({
+        id: 'groups.expand',
+        label: 'Expand all categories',
+        when: () => collapsedGroups.size > 0,
+        run: () => setAllCategoriesCollapsed(false)
+    });
+    registerAction({
+        id: 'view.save',
+        label: 'Save current view',
+        run: saveCurrentView
+    });
+    registerAction({
+        id: 'bookmark.add',
+        label: 'Add bookmark',
+        run: () => openBookmarkEditor()
+    });
+    registerAction({
+        id: 'bookmarks.import',
+        label: 'Import bookmarks',
+        run: chooseImportFile
+    });
+    Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => registerAction({
+        id: `export.${format}`,
+        label: `Export current view: ${label}`,
+        when: () => getFilteredBookmarks().length > 0,
+        run: () => exportCurrentView(format)
+    }));
+    registerAction({
+        id: 'export.json',
+        label: 'Export collection file (JSON)',
+        when: () => getExportCollection() !== null,
+        run: exportMergedBookmarks
+    });
+    Object.entries(THEME_MODES).forEach(([mode, { label }]) => registerAction({
+        id: `theme.${mode}`,
+        label: `Theme: ${label}`,
+        when: () => themeSettings.mode !== mode,
+        run: () => setThemeMode(mode)
+    }));
+    registerAction({
+        id: 'theme.contrast',
+        label: 'Toggle high contrast',
+        run: () => updateThemeSettings({ highContrast: !themeSettings.highContrast })
+    });
+    registerAction({
+        id: 'theme.settings',
+        label: 'Appearance: theme, accent and category colours',
+        run: openThemeSettings
+    });
+    registerAction({
+        id: 'keys.settings',
+        label: 'Customize keyboard shortcuts',
+        run: openKeybindingSettings
+    });
+    registerAction({
+        id: 'history.clear',
+        label: 'Clear history of opened bookmarks',
+        when: hasUsageHistory,
+        run: clearUsageHistory
+    });
+}
+
+// Arrow keys move within whatever panel has focus, cards otherwise
+function navigateFromKey(key) {
+    const focused = document.activeElement;
+
+    // Navigate within tag panel
+    if (focused.classList.contains('tag-item')) {
+        // Right/Left open and close a parent tag before moving on
+        const expanded = focused.dataset.expanded;
+        if ((key === 'ArrowRight' && expanded === 'false') || (key === 'ArrowLeft' && expanded === 'true')) {
+            const tag = focused.dataset.tag;
+            toggleTagExpanded(tag, key === 'ArrowRight');
+            document.querySelector(`.tag-item[data-tag="${CSS.escape(tag)}"]`)?.focus();
             return;
         }
+        moveFocus([...document.querySelectorAll('#tag-list .tag-item')], key);
+        return;
+    }
 
-        // Printable keys - start typing in search
-        if (isPrintableKey(e)) {
-            e.preventDefault();
-            searchInput.focus();
-            searchInput.value += e.key;
-            searchInput.dispatchEvent(new Event('input', { bubbles: true }));
-        }
-    });
+    // Navigate within filter pills
+    if (focused.classList.contains('filter-pill')) {
+        moveFocus([...document.querySelectorAll('#category-filter .filter-pill')], key);
+        return;
+    }
+
+    // Navigate within the export menu and the outline
+    if (focused.closest('#export-menu')) {
+        moveFocus([...document.querySelectorAll('#export-menu button:not(:disabled)')], key);
+        return;
+    }
+    if (focused.closest('#outline-menu')) {
+        moveFocus([...document.querySelectorAll('#outline-menu button')], key);
+        return;
+    }
+
+    // Default: navigate cards
+    navigateCards(key, getCards());
+}
+
+// Open a card from the keyboard, counting it like a click
+function openCard(card) {
+    openBookmark(getBookmarkById(card.dataset.id));
+}
+
+// New tab, counted for frecency. Only for URL schemes we'd link to; false when
+// the URL isn't one or the browser blocked the tab. With noopener window.open()
+// returns null either way, so the opener is cut off here instead (and the
+// referrer by the page's referrer policy).
+function openBookmark(bookmark) {
+    const url = bookmark && safeUrl(bookmark.url);
+    if (!url) return false;
+    const tab = window.open(url, '_blank');
+    if (!tab) return false;
+    tab.opener = null;
+    recordBookmarkOpen(bookmark);
+    return true;
 }
 
 // Navigate between cards with arrow keys
-function navigateCards(key, cards) {
+// extendSelection (Shift+arrows) selects from where the move started
+function navigateCards(key, cards, extendSelection = false) {
     if (cards.length === 0) return;
 
     const focused = document.activeElement;
+    // Moving on from the first or last rows of the render window renders the next part first
+    const focusedIndex = Array.prototype.indexOf.call(cards, focused);
+    if ((key === 'ArrowDown' || key === 'ArrowRight') && focusedIndex >= cards.length - 20 && document.querySelector('.grid-window-end')) {
+        growCardWindow();
+        cards = getCards();
+    } else if ((key === 'ArrowUp' || key === 'ArrowLeft') && focusedIndex !== -1 && focusedIndex < 20 && document.querySelector('.grid-window-start')) {
+        growCardWindowBack();
+        cards = getCards();
+    }
     const cardsArray = Array.from(cards);
     let currentIndex = cardsArray.indexOf(focused);
 
@@ -629,16 +1582,19 @@ function navigateCards(key, cards) {
         return;
     }
 
+    if (extendSelection) anchorSelectionAt(focused.dataset.id);
     let nextIndex = currentIndex;
 
-    // Left/Right: sequential navigation
-    if (key === 'ArrowRight') {
+    // Left/Right: sequential navigation. Up/Down too when there's no layout to
+    // measure (e.g. the grid is hidden) - then grid order is all there is.
+    const currentRect = focused.getBoundingClientRect();
+    const laidOut = currentRect.width > 0 || currentRect.height > 0;
+    if (key === 'ArrowRight' || (key === 'ArrowDown' && !laidOut)) {
         nextIndex = Math.min(currentIndex + 1, cards.length - 1);
-    } else if (key === 'ArrowLeft') {
+    } else if (key === 'ArrowLeft' || (key === 'ArrowUp' && !laidOut)) {
         nextIndex = Math.max(currentIndex - 1, 0);
     } else if (key === 'ArrowDown' || key === 'ArrowUp') {
         // Up/Down: find visually adjacent card using bounding rects
-        const currentRect = focused.getBoundingClientRect();
         const currentCenterX = currentRect.left + currentRect.width / 2;
         const currentCenterY = currentRect.top + currentRect.height / 2;
 
@@ -677,87 +1633,163 @@ function navigateCards(key, cards) {
     if (nextIndex !== currentIndex) {
         cards[nextIndex].focus();
         cards[nextIndex].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        if (extendSelection) selectCardRange(cards[nextIndex]);
     }
 }
 
-// Navigate within a panel (tags or filter pills)
-function navigatePanel(selector, key) {
-    const items = document.querySelectorAll(selector);
-    if (items.length === 0) return;
+// Help rows come from the action registry, so they list the bindings in use
+function renderHelpSections() {
+    return getHelpSections().map(({ section, actions }) => `
+        <div class="help-section">
+            <h4>${section}</h4>
+            ${actions.map(action => `<div class="help-row">${renderActionKeys(action)} <span>${action.label}</span></div>`).join('')}
+        </div>
+    `).join('');
+}
 
-    const focused = document.activeElement;
-    let currentIndex = Array.from(items).indexOf(focused);
+// After the bindings change: help rows, the search hint and the card position badges
+function renderKeybindingHints() {
+    const helpSections = document.querySelector('#help-overlay .help-sections');
+    if (helpSections) helpSections.innerHTML = renderHelpSections();
+    renderSearchShortcut();
+    renderBookmarks();
+}
 
-    if (currentIndex === -1) return;
+function renderSearchShortcut() {
+    const hint = document.querySelector('.search-shortcut');
+    const combo = getAction('search.focus')?.keys[0];
+    hint.classList.toggle('hidden', !combo);
+    if (combo) hint.textContent = formatKeyLabel(combo);
+}
 
-    let nextIndex = currentIndex;
+// "⌥3" on macOS, "Alt+3" elsewhere
+function formatKeyLabel(combo) {
+    return formatKeyCombo(combo).join(isMac ? '' : '+');
+}
 
-    if (key === 'ArrowDown' || key === 'ArrowRight') {
-        nextIndex = Math.min(currentIndex + 1, items.length - 1);
-    } else if (key === 'ArrowUp' || key === 'ArrowLeft') {
-        nextIndex = Math.max(currentIndex - 1, 0);
-    }
+// Badge for the card at position (1-9), or null when no binding opens it
+function positionBadgeLabel(position) {
+    const combo = (getAction('card.open-position')?.keys || [])
+        .flatMap(expandKeyCombo)
+        .find(key => key === String(position) || key.endsWith(`+${position}`));
+    return combo ? formatKeyLabel(combo) : null;
+}
 
-    if (nextIndex !== currentIndex) {
-        items[nextIndex].focus();
-        items[nextIndex].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-    }
+let helpOpener = null;  // what had focus before the help opened
+
+function isHelpOpen() {
+    return document.getElementById('help-overlay')?.classList.contains('visible') ?? false;
 }
 
-// Toggle help overlay
 function toggleHelpOverlay() {
+    setHelpOpen(!isHelpOpen());
+}
+
+// The help is a modal dialog: opening it moves focus in (Tab stays there, see
+// createHelpOverlay) and closing gives focus back unless a click took it elsewhere
+function setHelpOpen(open) {
     let overlay = document.getElementById('help-overlay');
     if (!overlay) {
         overlay = createHelpOverlay();
         document.body.appendChild(overlay);
     }
-    overlay.classList.toggle('visible');
+    if (open === isHelpOpen()) return;
+    const content = overlay.querySelector('.help-content');
+    const hadFocus = content.contains(document.activeElement);
+    overlay.classList.toggle('visible', open);
+    overlay.querySelector('.help-trigger').setAttribute('aria-expanded', String(open));
+    if (open) {
+        helpOpener = document.activeElement;
+        content.focus();
+    } else {
+        if (hadFocus) helpOpener?.focus();
+        helpOpener = null;
+    }
 }
 
 function createHelpOverlay() {
     const overlay = document.createElement('div');
     overlay.id = 'help-overlay';
     overlay.innerHTML = `
-        <button class="help-trigger" aria-label="Keyboard shortcuts"><span class="material-icons">keyboard</span></button>
-        <div class="help-content">
-            <h3>Keyboard Shortcuts</h3>
+        <button class="help-trigger" aria-label="Keyboard shortcuts" aria-haspopup="dialog" aria-expanded="false" aria-controls="help-dialog"><span class="material-icons">keyboard</span></button>
+        <div id="help-dialog" class="help-content" role="dialog" aria-modal="true" aria-labelledby="help-title" tabindex="-1">
+            <h3 id="help-title">Keyboard Shortcuts</h3>
+            <div class="help-sections">${renderHelpSections()}</div>
             <div class="help-section">
-                <h4>Quick Actions</h4>
-                <div class="help-row"><kbd>/</kbd> <span>Focus search</span></div>
-                <div class="help-row"><kbd>${isMac ? '⌥' : 'Alt+'}</kbd><kbd>1</kbd>-<kbd>9</kbd> <span>Open result #</span></div>
-                <div class="help-row"><kbd>Enter</kbd> <span>Open first result (in search)</span></div>
-                <div class="help-row"><kbd>Esc</kbd> <span>Clear filters / close</span></div>
-            </div>
-            <div class="help-section">
-                <h4>Navigation</h4>
-                <div class="help-row"><kbd>↑</kbd><kbd>↓</kbd><kbd>←</kbd><kbd>→</kbd> <span>Navigate</span></div>
-                <div class="help-row"><kbd>Enter</kbd> <span>Open focused card</span></div>
-                <div class="help-row"><kbd>c</kbd> <span>Copy focused link</span></div>
-            </div>
-            <div class="help-section">
-                <h4>Filters</h4>
-                <div class="help-row"><kbd>t</kbd> <span>Focus tags</span></div>
-                <div class="help-row"><kbd>f</kbd> <span>Focus categories</span></div>
+                <h4>Search</h4>
+                <div class="help-row"><kbd>tag:</kbd><kbd>cat:</kbd><kbd>site:</kbd> <span>Filter by field</span></div>
+                <div class="help-row"><kbd>"…"</kbd> <span>Exact phrase</span></div>
+                <div class="help-row"><kbd>-word</kbd> <span>Exclude</span></div>
             </div>
+            <button type="button" class="help-customize"><span class="material-icons">tune</span>Customize shortcuts</button>
         </div>
     `;
     // Click trigger button to toggle
-    overlay.querySelector('.help-trigger').addEventListener('click', () => {
-        overlay.classList.toggle('visible');
+    overlay.querySelector('.help-trigger').addEventListener('click', toggleHelpOverlay);
+    overlay.querySelector('.help-customize').addEventListener('click', () => {
+        setHelpOpen(false);
+        openKeybindingSettings();
+    });
+    // Escape and the help shortcut close it (see the keydown handler)
+    overlay.querySelector('.help-content').addEventListener('keydown', (e) => {
+        trapFocus(e.currentTarget, e);
     });
     // Click outside to close
     document.addEventListener('click', (e) => {
-        if (overlay.classList.contains('visible') && !overlay.contains(e.target)) {
-            overlay.classList.remove('visible');
-        }
+        if (isHelpOpen() && !overlay.contains(e.target)) setHelpOpen(false);
     });
     return overlay;
 }
 
-// Create help overlay on load
-document.addEventListener('DOMContentLoaded', () => {
+// Runs once the page is parsed (main.js): register shortcuts, create the help
+// overlay and load the bookmarks. Resolves after the first render.
+async function startApp() {
+    registerAppActions();
+    renderSearchShortcut();
     const overlay = createHelpOverlay();
     document.body.appendChild(overlay);
-});
 
-document.addEventListener('DOMContentLoaded', loadBookmarks);
+    window.addEventListener('load', registerServiceWorker);
+    await loadBookmarks();
+}
+
+export {
+    collections,
+    collectionAliases,
+    bookmarkEdits,
+    bookmarkEntries,
+    bookmarkIds,
+    tagAliases,
+    linkReport,
+    faviconIcons,
+    store,
+    isMac,
+    refreshLocalEdits,
+    getBookmarkById,
+    getBookmarkCollections,
+    getCollection,
+    applyFiltersFromURL,
+    applyFilterParams,
+    updateURLParams,
+    getAllCategories,
+    getSectionsForCategory,
+    getFilteredBookmarks,
+    downloadFile,
+    describeCurrentView,
+    copyLink,
+    writeClipboard,
+    gridLayout,
+    renderBookmarks,
+    selectCollection,
+    selectCategory,
+    selectSection,
+    render,
+    setSortMode,
+    toggleTag,
+    clearFilters,
+    getCards,
+    openBookmark,
+    renderKeybindingHints,
+    formatKeyLabel,
+    startApp
+};
@@ -0,0 +1,165 @@
+// Rendering benchmark: runs the app (see harness.js) on a generated
+// collection, 10,000 bookmarks by default, and times typing, filtering and
+// layout changes.
+//
+//   bench.html?count=10000&runs=5
+
+import { buildSearchIndex } from './search.js';
+import { growCardWindow } from './render.js';
+import { layoutSettings, setLayout } from './layout.js';
+import { store, getAllCategories, selectCategory, render, setSortMode, toggleTag, clearFilters } from './app.js';
+import { installBookmarksFetch, loadHarnessApp, nextFrame } from './harness.js';
+
+const BENCH_FRAME_BUDGET = 16;  // ms; keystrokes over this drop a frame
+const BENCH_QUERIES = ['react', 'design system', 'tag:design icons', 'pythn tutorial'];
+const BENCH_WORDS = [
+    'react', 'vue', 'svelte', 'design', 'system', 'color', 'palette', 'font', 'icons', 'guide', 'tutorial',
+    'course', 'api', 'docs', 'reference', 'cloud', 'python', 'rust', 'go', 'testing', 'deploy', 'docker',
+    'linux', 'shell', 'regex', 'css', 'grid', 'layout', 'motion', 'audio', 'video', 'music', 'photo',
+    'maps', 'data', 'chart', 'math', 'notes', 'wiki', 'blog', 'news', 'tools', 'cheatsheet', 'examples'
+];
+const BENCH_TAGS = [
+    'design', 'design/color', 'design/fonts', 'design/icons', 'dev', 'dev/javascript', 'dev/python',
+    'dev/rust', 'dev/devops', 'learning', 'reference', 'tools', 'media', 'media/audio', 'media/video', 'data'
+];
+
+// Same count, same bookmarks: a small LCG instead of Math.random
+function createBenchRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function generateBenchBookmarks(count) {
+    const random = createBenchRandom();
+    const pick = list => list[Math.floor(random() * list.length)];
+    const words = n => Array.from({ length: n }, () => pick(BENCH_WORDS));
+    const categories = Array.from({ length: 12 }, (_, i) => `Category ${String.fromCharCode(65 + i)}`);
+
+    return Array.from({ length: count }, (_, i) => {
+        const title = words(2 + Math.floor(random() * 3)).join(' ');
+        return {
+            title: `${title[0].toUpperCase()}${title.slice(1)} ${i + 1}`,
+            url: `https://${pick(BENCH_WORDS)}${i % 500}.example.com/${words(2).join('/')}/${i}`,
+            description: random() < 0.7 ? `${words(6 + Math.floor(random() * 10)).join(' ')}.` : '',
+            category: pick(categories),
+            section: random() < 0.8 ? `Section ${1 + Math.floor(random() * 6)}` : '',
+            tags: [...new Set(Array.from({ length: 1 + Math.floor(random() * 4) }, () => pick(BENCH_TAGS)))]
+        };
+    });
+}
+
+// { script, frame }: time in our code, and until the next frame was painted
+async function timeBench(run) {
+    await nextFrame();
+    const start = performance.now();
+    run();
+    const script = performance.now() - start;
+    await nextFrame();
+    return { script, frame: performance.now() - start };
+}
+
+function summarizeBench(name, samples) {
+    const sorted = key => samples.map(sample => sample[key]).sort((a, b) => a - b);
+    const percentile = (values, p) => values[Math.min(values.length - 1, Math.floor(values.length * p))];
+    const script = sorted('script');
+    const frame = sorted('frame');
+    return {
+        name,
+        samples: samples.length,
+        median: percentile(script, 0.5),
+        p95: percentile(script, 0.95),
+        max: script[script.length - 1],
+        frame: percentile(frame, 0.5)
+    };
+}
+
+// Types each query a character at a time, the way the (debounced) search box
+// would pass it on, and clears it again
+async function benchTyping(runs) {
+    const input = document.getElementById('search-input');
+    const samples = [];
+    for (let run = 0; run < runs; run++) {
+        for (const query of BENCH_QUERIES) {
+            for (let i = 1; i <= query.length; i++) {
+                samples.push(await timeBench(() => {
+                    input.value = query.slice(0, i);
+                    store.setFilters({ searchQuery: input.value });
+                    render();
+                }));
+            }
+            await timeBench(() => clearFilters());
+        }
+    }
+    return summarizeBench('Typing (per keystroke)', samples);
+}
+
+async function benchRepeated(name, runs, steps) {
+    const samples = [];
+    for (let run = 0; run < runs; run++) {
+        for (const step of steps) samples.push(await timeBench(step));
+    }
+    return summarizeBench(name, samples);
+}
+
+async function runBench() {
+    const params = new URLSearchParams(location.search);
+    const count = Number(params.get('count')) || 10000;
+    const runs = Number(params.get('runs')) || 3;
+    const status = document.getElementById('bench-status');
+
+    status.textContent = `Generating ${count.toLocaleString()} bookmarks…`;
+    installBookmarksFetch({ bookmarks: generateBenchBookmarks(count) });
+
+    status.textContent = 'Loading the app…';
+    const loadStart = performance.now();
+    await loadHarnessApp();
+    const results = [{ name: 'Load, validate and first render', samples: 1, median: performance.now() - loadStart }];
+
+    status.textContent = 'Running…';
+    clearFilters();
+    const topTag = document.querySelector('.tag-item').dataset.tag;
+    const category = getAllCategories()[0];
+    results.push(await benchRepeated('Build search index', runs, [() => buildSearchIndex(store.bookmarks)]));
+    results.push(await benchTyping(runs));
+    results.push(await benchRepeated('Tag include / exclude / clear', runs, [0, 1, 2].map(() => () => toggleTag(topTag))));
+    results.push(await benchRepeated('Category on / off', runs, [() => selectCategory(category), () => selectCategory('all')]));
+    results.push(await benchRepeated('Sort mode', runs, ['frecency', 'recent', 'best'].map(mode => () => setSortMode(mode))));
+    const layout = layoutSettings.layout;
+    results.push(await benchRepeated('Layout switch', runs, ['table', 'list', 'cards', layout].map(next => () => setLayout(next))));
+    results.push(await benchRepeated('Render more cards (scrolling)', runs, [() => growCardWindow()]));
+    results.push(await benchRepeated('Re-render, nothing changed', runs, [() => render()]));
+    clearFilters();
+
+    status.textContent = `${count.toLocaleString()} bookmarks, ${runs} run${runs !== 1 ? 's' : ''}, ${layoutSettings.layout} layout. Times in ms; frame is to the next paint.`;
+    renderBenchResults(results);
+    console.table(results);
+}
+
+function renderBenchResults(results) {
+    const format = value => value === undefined ? '' : value.toFixed(1);
+    document.getElementById('bench-results').innerHTML = `
+        <thead><tr><th>Scenario</th><th>Samples</th><th>Median</th><th>p95</th><th>Max</th><th>Frame</th></tr></thead>
+        <tbody>${results.map(result => `
+            <tr class="${result.p95 > BENCH_FRAME_BUDGET ? 'failed' : ''}">
+                <td>${result.name}</td>
+                <td>${result.samples}</td>
+                <td>${format(result.median)}</td>
+                <td>${format(result.p95)}</td>
+                <td>${format(result.max)}</td>
+                <td>${format(result.frame)}</td>
+            </tr>
+        `).join('')}</tbody>
+    `;
+}
+
+// Module scripts run once the page is parsed
+document.getElementById('bench-run').addEventListener('click', (e) => {
+    e.target.disabled = true;
+    runBench().catch(error => {
+        document.getElementById('bench-status').textContent = `Benchmark failed: ${error.message}`;
+        console.error(error);
+    });
+});
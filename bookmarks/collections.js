@@ -0,0 +1,163 @@
+// Collections: bookmarks can come from several files, e.g. a shared team
+// collection next to a personal one. collections.json lists them, local paths
+// (relative to the manifest) or URLs:
+//
+//   { "collections": [
+//       { "name": "Team", "src": "https://example.com/team/bookmarks.json", "color": "#3b82f6" },
+//       { "name": "Personal", "src": "bookmarks.json", "color": "#f59e0b" }
+//   ] }
+//
+// Each file has the bookmarks.json format. Without a manifest there is one
+// collection, bookmarks.json. When files share a URL the collection listed
+// first wins, and the bookmark counts as part of every collection that has it.
+
+import { normalizeUrlForCompare } from './importers.js';
+import { validateBookmarks } from './validate.js';
+
+const COLLECTIONS_FILE = 'collections.json';
+const DEFAULT_COLLECTIONS = [{ id: 'bookmarks', name: 'Bookmarks', src: 'bookmarks.json', color: '' }];
+// Colours end up in a style attribute, so only hex
+const COLLECTION_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// "Team Links" -> "team-links"; used in ?collection= when the manifest gives no id
+function collectionId(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'collection';
+}
+
+// Returns { collections: [{ id, name, src, color }], issues } for a parsed
+// collections.json. Entries without a name or src are skipped; ids are unique.
+function parseCollectionManifest(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.collections)) {
+        return {
+            collections: [],
+            issues: [{ severity: 'error', index: null, message: `${COLLECTIONS_FILE} must be an object with a "collections" array` }]
+        };
+    }
+
+    const collections = [];
+    const issues = [];
+    const ids = new Set();
+    data.collections.forEach((entry, index) => {
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        const src = typeof entry?.src === 'string' ? entry.src.trim() : '';
+        if (!name || !src) {
+            issues.push({ severity: 'error', index: null, message: `Collection #${index + 1} needs a "name" and a "src"` });
+            return;
+        }
+
+        const color = typeof entry.color === 'string' && COLLECTION_COLOR.test(entry.color.trim()) ? entry.color.trim() : '';
+        if (entry.color !== undefined && !color) {
+            issues.push({ severity: 'warning', index: null, message: `Collection "${name}" has colour ${JSON.stringify(entry.color)}; use #rgb or #rrggbb` });
+        }
+
+        const base = typeof entry.id === 'string' && entry.id.trim() ? entry.id.trim() : collectionId(name);
+        let id = base;
+        for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+        ids.add(id);
+        collections.push({ id, name, src, color });
+    });
+    return { collections, issues };
+}
+
+// sources: [{ collection, data }] in manifest order, data being a parsed
+// collection file. Returns { bookmarks, tagAliases, collectionAliases, bookmarkSources, issues }:
+// the valid bookmarks with cross-collection duplicates dropped, the aliases
+// (first definition wins), each collection's own aliases by id, bookmark URL ->
+// ids of the collections that have it, and validation issues, prefixed with the
+// collection name when there are several.
+function mergeCollections(sources) {
+    const bookmarks = [];
+    const tagAliases = {};
+    const collectionAliases = new Map();
+    const bookmarkSources = new Map();
+    const issues = [];
+    const firstByUrl = new Map();  // normalizeUrlForCompare() -> { bookmark, collection }
+    const label = (collection, message) => sources.length > 1 ? `${collection.name}: ${message}` : message;
+
+    sources.forEach(({ collection, data }) => {
+        const result = validateBookmarks(data);
+        issues.push(...result.issues.map(issue => ({ ...issue, message: label(collection, issue.message) })));
+        collectionAliases.set(collection.id, result.tagAliases);
+
+        Object.entries(result.tagAliases).forEach(([alias, tag]) => {
+            if (!Object.hasOwn(tagAliases, alias)) {
+                tagAliases[alias] = tag;
+            } else if (tagAliases[alias] !== tag) {
+                issues.push({ severity: 'warning', index: null, message: label(collection, `Tag alias "${alias}" is "${tagAliases[alias]}" in an earlier collection; ignoring "${tag}"`) });
+            }
+        });
+
+        result.bookmarks.forEach(bookmark => {
+            const key = normalizeUrlForCompare(bookmark.url);
+            const first = firstByUrl.get(key);
+            // Duplicates within one file stay, as they always have (validation warns)
+            if (!first || first.collection === collection) {
+                if (!first) firstByUrl.set(key, { bookmark, collection });
+                bookmarks.push(bookmark);
+                if (!bookmarkSources.has(bookmark.url)) bookmarkSources.set(bookmark.url, [collection.id]);
+                return;
+            }
+
+            const ids = bookmarkSources.get(first.bookmark.url);
+            if (!ids.includes(collection.id)) ids.push(collection.id);
+            issues.push({ severity: 'warning', index: null, message: label(collection, `"${bookmark.title}" is left out: ${first.collection.name} has the same link as "${first.bookmark.title}"`) });
+        });
+    });
+
+    return { bookmarks, tagAliases, collectionAliases, bookmarkSources, issues };
+}
+
+// "lists/team.json?v=2" -> "team.json": what the collection's file is called
+function collectionFileName(collection) {
+    return collection.src.split(/[?#]/)[0].split('/').pop() || 'bookmarks.json';
+}
+
+// Fetches the manifest (or falls back to bookmarks.json alone) and every file in
+// it, relative to the page or to base (the browser extension reads the site's,
+// or the copy it was built with). Returns { collections, sources, issues }
+// with only the collections that loaded; throws if none did.
+async function loadCollections(base = location.href) {
+    const issues = [];
+    let listed = DEFAULT_COLLECTIONS;
+    const manifestUrl = new URL(COLLECTIONS_FILE, base);
+
+    // A missing manifest is the usual single-file setup, not an error
+    const response = await fetch(manifestUrl).catch(() => null);
+    if (response?.ok) {
+        try {
+            const manifest = parseCollectionManifest(await response.json());
+            issues.push(...manifest.issues);
+            if (manifest.collections.length > 0) listed = manifest.collections;
+        } catch (error) {
+            issues.push({ severity: 'error', index: null, message: `Could not read ${COLLECTIONS_FILE}: ${error.message}` });
+        }
+    }
+
+    const results = await Promise.allSettled(listed.map(async collection => {
+        const fileResponse = await fetch(new URL(collection.src, manifestUrl));
+        if (!fileResponse.ok) throw new Error(`HTTP ${fileResponse.status}`);
+        return { collection, data: await fileResponse.json() };
+    }));
+
+    const sources = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            sources.push(result.value);
+        } else {
+            issues.push({ severity: 'error', index: null, message: `Could not load ${listed[index].src}: ${result.reason.message}` });
+        }
+    });
+    if (sources.length === 0) throw new Error(listed.map((collection, index) => `${collection.src}: ${results[index].reason.message}`).join('; '));
+
+    return { collections: sources.map(source => source.collection), sources, issues };
+}
+
+export {
+    COLLECTIONS_FILE,
+    DEFAULT_COLLECTIONS,
+    collectionId,
+    parseCollectionManifest,
+    mergeCollections,
+    collectionFileName,
+    loadCollections
+};
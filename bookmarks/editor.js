@@ -0,0 +1,351 @@
+// Bookmark editor: add, edit and delete bookmarks. Changes are stored as local
+// edits (store.js) and can be exported as a collection's file with them merged in.
+
+import { normalizeTagAliases, resolveTagAlias } from './tags.js';
+import { getAllTags } from './filters.js';
+import { collectionFileName } from './collections.js';
+import {
+    putBookmarkEdit,
+    removeBookmarkEdit,
+    putBookmarkEditList,
+    clearBookmarkEdits,
+    createLocalBookmarkId,
+    toSchemaBookmark,
+    normalizeTag,
+    serializeBookmarks
+} from './store.js';
+import {
+    collections,
+    collectionAliases,
+    bookmarkEdits,
+    bookmarkEntries,
+    bookmarkIds,
+    tagAliases,
+    store,
+    refreshLocalEdits,
+    getBookmarkById,
+    getBookmarkCollections,
+    getCollection,
+    getAllCategories,
+    getSectionsForCategory,
+    downloadFile
+} from './app.js';
+
+let editorBookmarkId = null;  // null = adding a new bookmark
+let editorTags = [];
+
+function getBookmarkEditor() {
+    let dialog = document.getElementById('bookmark-editor');
+    if (!dialog) {
+        dialog = createBookmarkEditor();
+        document.body.appendChild(dialog);
+    }
+    return dialog;
+}
+
+function createBookmarkEditor() {
+    const dialog = document.createElement('dialog');
+    dialog.id = 'bookmark-editor';
+    dialog.className = 'editor-dialog';
+    dialog.innerHTML = `
+        <form class="editor-form" novalidate>
+            <h3 class="editor-heading">Add bookmark</h3>
+            <label class="editor-field">
+                <span>Title</span>
+                <input name="title" required autocomplete="off">
+            </label>
+            <label class="editor-field">
+                <span>URL</span>
+                <input name="url" type="url" required placeholder="https://" autocomplete="off">
+            </label>
+            <label class="editor-field">
+                <span>Description</span>
+                <input name="description" autocomplete="off">
+            </label>
+            <div class="editor-row">
+                <label class="editor-field">
+                    <span>Category</span>
+                    <input name="category" list="editor-categories" autocomplete="off">
+                </label>
+                <label class="editor-field">
+                    <span>Section</span>
+                    <input name="section" list="editor-sections" autocomplete="off">
+                </label>
+            </div>
+            <div class="editor-field">
+                <span>Tags</span>
+                <div class="tag-input">
+                    <span class="tag-chips"></span>
+                    <input name="tag-entry" list="editor-tags" placeholder="Add tag…" autocomplete="off" aria-label="Add tag">
+                </div>
+            </div>
+            <datalist id="editor-categories"></datalist>
+            <datalist id="editor-sections"></datalist>
+            <datalist id="editor-tags"></datalist>
+            <p class="editor-error hidden"></p>
+            <div class="editor-actions">
+                <button type="button" class="editor-button danger editor-delete">Delete</button>
+                <button type="button" class="editor-button editor-cancel">Cancel</button>
+                <button type="submit" class="editor-button primary">Save</button>
+            </div>
+        </form>
+    `;
+
+    const form = dialog.querySelector('form');
+    const tagEntry = form.elements['tag-entry'];
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveBookmarkFromEditor(form);
+    });
+
+    form.elements.category.addEventListener('input', () => {
+        fillDatalist('editor-sections', getSectionsForCategory(form.elements.category.value.trim()));
+    });
+
+    tagEntry.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addEditorTag(tagEntry.value);
+            tagEntry.value = '';
+        } else if (e.key === 'Backspace' && !tagEntry.value && editorTags.length > 0) {
+            editorTags.pop();
+            renderEditorTags();
+        }
+    });
+
+    // Picking a datalist suggestion replaces the whole value in one go
+    tagEntry.addEventListener('input', (e) => {
+        if (!e.inputType || e.inputType === 'insertReplacementText') {
+            addEditorTag(tagEntry.value);
+            tagEntry.value = '';
+        }
+    });
+
+    dialog.querySelector('.tag-chips').addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (!chip) return;
+        editorTags = editorTags.filter(tag => tag !== chip.dataset.tag);
+        renderEditorTags();
+    });
+
+    dialog.querySelector('.editor-cancel').addEventListener('click', () => dialog.close());
+
+    // Click on the backdrop closes without saving
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    dialog.querySelector('.editor-delete').addEventListener('click', async () => {
+        if (editorBookmarkId && await confirmDeleteBookmark(editorBookmarkId)) {
+            dialog.close();
+        }
+    });
+
+    return dialog;
+}
+
+function fillDatalist(id, values) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        list.appendChild(option);
+    });
+}
+
+function addEditorTag(value) {
+    const aliases = normalizeTagAliases(tagAliases);
+    value.split(',').map(tag => resolveTagAlias(normalizeTag(tag), aliases)).forEach(tag => {
+        if (tag && !editorTags.includes(tag)) editorTags.push(tag);
+    });
+    renderEditorTags();
+}
+
+function renderEditorTags() {
+    const chips = document.querySelector('#bookmark-editor .tag-chips');
+    chips.innerHTML = '';
+    editorTags.forEach(tag => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'tag-chip';
+        chip.dataset.tag = tag;
+        chip.setAttribute('aria-label', `Remove tag ${tag}`);
+        chip.textContent = tag;
+        chips.appendChild(chip);
+    });
+}
+
+// draft: fields to start a new bookmark with (the #add?… link, see url-state.js)
+function openBookmarkEditor(id = null, draft = null) {
+    const dialog = getBookmarkEditor();
+    const form = dialog.querySelector('form');
+    const bookmark = id ? getBookmarkById(id) : null;
+
+    const { selectedTags, selectedCategory, selectedSection } = store.filters;
+    // New bookmarks start in the category/section currently being viewed
+    const fields = bookmark || draft || { category: selectedCategory, section: selectedSection };
+    editorBookmarkId = bookmark ? id : null;
+    editorTags = bookmark ? [...bookmark.tags] : draft ? [] : [...selectedTags];
+
+    form.reset();
+    form.elements.title.value = fields.title || '';
+    form.elements.url.value = fields.url || '';
+    form.elements.description.value = fields.description || '';
+    form.elements.category.value = fields.category || '';
+    form.elements.section.value = fields.section || '';
+    // A draft's tags were typed elsewhere; they're normalized and aliased like typed ones
+    if (!bookmark && draft) addEditorTag(draft.tags.join(','));
+
+    dialog.querySelector('.editor-heading').textContent = bookmark ? 'Edit bookmark' : 'Add bookmark';
+    dialog.querySelector('.editor-delete').classList.toggle('hidden', !bookmark);
+    showEditorError('');
+
+    fillDatalist('editor-categories', getAllCategories());
+    fillDatalist('editor-sections', getSectionsForCategory(form.elements.category.value));
+    fillDatalist('editor-tags', [...getAllTags(store.bookmarks)].sort((a, b) => a.localeCompare(b)));
+    renderEditorTags();
+
+    dialog.showModal();
+    form.elements.title.focus();
+}
+
+function showEditorError(message) {
+    const error = document.querySelector('#bookmark-editor .editor-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+}
+
+function readEditorForm(form) {
+    // Count a tag that was typed but not committed with Enter
+    addEditorTag(form.elements['tag-entry'].value);
+    form.elements['tag-entry'].value = '';
+
+    return {
+        title: form.elements.title.value.trim(),
+        url: form.elements.url.value.trim(),
+        description: form.elements.description.value.trim(),
+        category: form.elements.category.value.trim(),
+        section: form.elements.section.value.trim(),
+        tags: [...editorTags]
+    };
+}
+
+function validateEditorBookmark(bookmark) {
+    if (!bookmark.title) return 'Title is required';
+    if (!bookmark.url) return 'URL is required';
+    try {
+        const { protocol } = new URL(bookmark.url);
+        if (protocol !== 'http:' && protocol !== 'https:') return 'URL must start with http:// or https://';
+    } catch {
+        return 'URL is not valid';
+    }
+    if (!bookmark.category) return 'Category is required';
+
+    const duplicate = store.bookmarks.find(b => b.url === bookmark.url && bookmarkIds.get(b) !== editorBookmarkId);
+    if (duplicate) return `Already bookmarked as "${duplicate.title}"`;
+    return '';
+}
+
+async function saveBookmarkFromEditor(form) {
+    const bookmark = readEditorForm(form);
+    const error = validateEditorBookmark(bookmark);
+    if (error) {
+        showEditorError(error);
+        return;
+    }
+
+    try {
+        await saveBookmark(editorBookmarkId, bookmark);
+        getBookmarkEditor().close();
+    } catch (err) {
+        console.error('Error saving bookmark:', err);
+        showEditorError('Could not save - local storage is unavailable');
+    }
+}
+
+async function saveBookmark(id, bookmark) {
+    const existing = bookmarkEdits.find(edit => edit.id === id);
+    await putBookmarkEdit({
+        id: id || createLocalBookmarkId(),
+        bookmark: toSchemaBookmark(bookmark),
+        createdAt: existing?.createdAt || Date.now()
+    });
+    await refreshLocalEdits();
+}
+
+// [{ id, bookmark }] in one transaction (bulk re-tag and move)
+async function saveBookmarkList(changes) {
+    await putBookmarkEditList(changes.map(({ id, bookmark }) => ({
+        id,
+        bookmark: toSchemaBookmark(bookmark),
+        createdAt: bookmarkEdits.find(edit => edit.id === id)?.createdAt || Date.now()
+    })));
+    await refreshLocalEdits();
+}
+
+async function deleteBookmark(id) {
+    const entry = bookmarkEntries.find(e => e.id === id);
+    if (!entry) return;
+
+    if (entry.origin === 'local') {
+        await removeBookmarkEdit(id);
+    } else {
+        // Shipped bookmarks need a tombstone so the JSON entry stays hidden
+        await putBookmarkEdit({ id, deleted: true });
+    }
+    await refreshLocalEdits();
+}
+
+async function confirmDeleteBookmark(id) {
+    const bookmark = getBookmarkById(id);
+    if (!bookmark || !window.confirm(`Delete "${bookmark.title}"?`)) return false;
+    try {
+        await deleteBookmark(id);
+        return true;
+    } catch (err) {
+        console.error('Error deleting bookmark:', err);
+        return false;
+    }
+}
+
+async function resetLocalEdits() {
+    if (!window.confirm(`Discard ${bookmarkEdits.length} local change${bookmarkEdits.length !== 1 ? 's' : ''}?`)) return;
+    try {
+        await clearBookmarkEdits();
+        await refreshLocalEdits();
+    } catch (err) {
+        console.error('Error discarding local changes:', err);
+        window.alert('Could not discard local changes - local storage is unavailable');
+    }
+}
+
+// The collection whose file the JSON export writes: the one being viewed, or
+// the first, which is also where bookmarks added here belong
+function getExportCollection() {
+    return getCollection(store.filters.selectedCollection) || collections[0] || null;
+}
+
+// That collection's file with local edits applied, so it can replace the shipped one
+function exportMergedBookmarks() {
+    const collection = getExportCollection();
+    if (!collection) return;
+    const takesLocal = collection === collections[0];
+    const list = store.bookmarks.filter(bookmark => {
+        const sources = getBookmarkCollections(bookmark);
+        return sources.length > 0 ? sources.includes(collection.id) : takesLocal;
+    });
+    const aliases = collectionAliases.get(collection.id) || {};
+    downloadFile(collectionFileName(collection), serializeBookmarks(list, aliases), 'application/json');
+}
+
+export {
+    fillDatalist,
+    openBookmarkEditor,
+    saveBookmarkList,
+    confirmDeleteBookmark,
+    resetLocalEdits,
+    getExportCollection,
+    exportMergedBookmarks
+};
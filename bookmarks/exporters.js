@@ -0,0 +1,175 @@
+// Export serializers for a grouped set of bookmarks (the shape groupBookmarks
+// returns). Groups are written in the same order renderBookmarks shows them.
+// Links whose URL safeUrl() turns away are dropped from bookmark files and
+// copied as plain text, so nothing exported runs script when it's opened.
+
+import { safeUrl } from './html.js';
+
+const EXPORT_FORMATS = {
+    html: { label: 'Browser bookmarks (HTML)', extension: 'html', type: 'text/html', serialize: toNetscapeHTML },
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown', serialize: toMarkdown },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv', serialize: toCSV },
+    opml: { label: 'OPML', extension: 'opml', type: 'text/x-opml', serialize: toOPML }
+};
+
+const compareByTitle = (a, b) => a.title.localeCompare(b.title);
+
+// [{ category, bookmarks, sections: [{ section, bookmarks }] }], sorted like the grid
+function orderGroups(grouped) {
+    return Object.keys(grouped)
+        .sort((a, b) => a.localeCompare(b))
+        .map(category => ({
+            category,
+            bookmarks: [...grouped[category].noSection].sort(compareByTitle),
+            sections: Object.keys(grouped[category].sections)
+                .sort((a, b) => a.localeCompare(b))
+                .map(section => ({
+                    section,
+                    bookmarks: [...grouped[category].sections[section]].sort(compareByTitle)
+                }))
+        }));
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Netscape bookmark file - imports into any browser with categories/sections as folders
+function toNetscapeHTML(grouped, title) {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        `<TITLE>${escapeXML(title)}</TITLE>`,
+        `<H1>${escapeXML(title)}</H1>`,
+        '<DL><p>'
+    ];
+    const link = (b, indent) => {
+        if (!safeUrl(b.url)) return;
+        const tags = b.tags.length > 0 ? ` TAGS="${escapeXML(b.tags.join(','))}"` : '';
+        lines.push(`${indent}<DT><A HREF="${escapeXML(b.url)}"${tags}>${escapeXML(b.title)}</A>`);
+        if (b.description) lines.push(`${indent}<DD>${escapeXML(b.description)}`);
+    };
+    const folder = (name, indent, writeContents) => {
+        lines.push(`${indent}<DT><H3>${escapeXML(name)}</H3>`);
+        lines.push(`${indent}<DL><p>`);
+        writeContents(indent + '    ');
+        lines.push(`${indent}</DL><p>`);
+    };
+
+    orderGroups(grouped).forEach(group => {
+        folder(group.category, '    ', indent => {
+            group.bookmarks.forEach(b => link(b, indent));
+            group.sections.forEach(({ section, bookmarks }) => {
+                folder(section, indent, inner => bookmarks.forEach(b => link(b, inner)));
+            });
+        });
+    });
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+// Plain text for a URL that isn't safe, or that would break out of the <> around it
+function markdownLink(b) {
+    return safeUrl(b.url) && !/[<>\s]/.test(b.url) ? `[${escapeMarkdown(b.title)}](<${b.url}>)` : escapeMarkdown(b.title);
+}
+
+function toMarkdown(grouped, title) {
+    const lines = [`# ${escapeMarkdown(title)}`];
+    const list = bookmarkList => {
+        lines.push('');
+        bookmarkList.forEach(b => {
+            let line = `- ${markdownLink(b)}`;
+            if (b.description) line += ` - ${escapeMarkdown(b.description)}`;
+            if (b.tags.length > 0) line += ` ${b.tags.map(t => `\`#${t}\``).join(' ')}`;
+            lines.push(line);
+        });
+    };
+
+    orderGroups(grouped).forEach(group => {
+        lines.push('', `## ${escapeMarkdown(group.category)}`);
+        if (group.bookmarks.length > 0) list(group.bookmarks);
+        group.sections.forEach(({ section, bookmarks }) => {
+            lines.push('', `### ${escapeMarkdown(section)}`);
+            list(bookmarks);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Flat lists for the clipboard, in the order given (multi-select copy)
+function toMarkdownList(bookmarkList) {
+    return bookmarkList.map(b => `- ${markdownLink(b)}`).join('\n');
+}
+
+function toHTMLList(bookmarkList) {
+    const items = bookmarkList.map(b => (safeUrl(b.url)
+        ? `    <li><a href="${escapeXML(b.url)}">${escapeXML(b.title)}</a></li>`
+        : `    <li>${escapeXML(b.title)}</li>`));
+    return ['<ul>', ...items, '</ul>'].join('\n');
+}
+
+function csvField(value) {
+    let text = String(value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(grouped) {
+    const rows = [['title', 'url', 'description', 'category', 'section', 'tags']];
+    orderGroups(grouped).forEach(group => {
+        const add = (b, section) => rows.push([b.title, b.url, b.description || '', group.category, section, b.tags.join(';')]);
+        group.bookmarks.forEach(b => add(b, ''));
+        group.sections.forEach(({ section, bookmarks }) => bookmarks.forEach(b => add(b, section)));
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toOPML(grouped, title) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${escapeXML(title)}</title>`,
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>'
+    ];
+    const link = (b, indent) => {
+        const attrs = [
+            `type="link"`,
+            `text="${escapeXML(b.title)}"`,
+            `url="${escapeXML(b.url)}"`
+        ];
+        if (b.description) attrs.push(`description="${escapeXML(b.description)}"`);
+        if (b.tags.length > 0) attrs.push(`category="${escapeXML(b.tags.join(','))}"`);
+        lines.push(`${indent}<outline ${attrs.join(' ')}/>`);
+    };
+
+    orderGroups(grouped).forEach(group => {
+        lines.push(`    <outline text="${escapeXML(group.category)}">`);
+        group.bookmarks.forEach(b => link(b, '      '));
+        group.sections.forEach(({ section, bookmarks }) => {
+            lines.push(`      <outline text="${escapeXML(section)}">`);
+            bookmarks.forEach(b => link(b, '        '));
+            lines.push('      </outline>');
+        });
+        lines.push('    </outline>');
+    });
+
+    lines.push('  </body>', '</opml>');
+    return lines.join('\n') + '\n';
+}
+
+export { EXPORT_FORMATS, orderGroups, toNetscapeHTML, toMarkdown, toMarkdownList, toHTMLList, toCSV, toOPML };
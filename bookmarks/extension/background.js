@@ -0,0 +1,65 @@
+// Service worker: the "bm" keyword in the address bar. "bm css grid" lists
+// the bookmarks the app's search finds for "css grid"; Enter opens the one
+// picked, or else the bookmarks page with all of the results (the best match
+// when the site's address isn't set).
+
+import { getSettings, getCollection, resetCollection, searchCollection, searchPageUrl } from './collection.js';
+import { escapeHTML, safeUrl } from '../html.js';
+
+const MAX_SUGGESTIONS = 6;
+
+// Descriptions are XML (<match>, <dim>, <url>), so the text is escaped
+function describeBookmark(bookmark) {
+    const place = [bookmark.category, bookmark.section].filter(Boolean).join(' / ');
+    return `<match>${escapeHTML(bookmark.title)}</match> <dim>${escapeHTML(place)}</dim> <url>${escapeHTML(bookmark.url)}</url>`;
+}
+
+// A suggestion's content is its URL, which is what onInputEntered gets when it's picked
+async function suggestBookmarks(text) {
+    if (!text.trim()) return [];
+    const store = await getCollection();
+    return searchCollection(store, text)
+        .filter(bookmark => safeUrl(bookmark.url))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(bookmark => ({ content: bookmark.url, description: describeBookmark(bookmark) }));
+}
+
+async function openFromOmnibox(text, disposition) {
+    const store = await getCollection();
+    const picked = store.bookmarks.find(bookmark => bookmark.url === text);
+    let url = picked ? safeUrl(picked.url) : '';
+    if (!url && text.trim()) {
+        const { siteUrl } = await getSettings();
+        url = siteUrl ? searchPageUrl(siteUrl, text) : safeUrl(searchCollection(store, text)[0]?.url ?? '');
+    }
+    if (!url) return;
+
+    if (disposition === 'currentTab') {
+        await chrome.tabs.update({ url });
+    } else {
+        await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+    }
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: 'Search bookmarks for <match>%s</match>' });
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+    try {
+        suggest(await suggestBookmarks(text));
+    } catch (error) {
+        console.error('Could not search bookmarks:', error);
+    }
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+    try {
+        await openFromOmnibox(text, disposition);
+    } catch (error) {
+        console.error('Could not open bookmark:', error);
+    }
+});
+
+// A new site address means another collection
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes.siteUrl) resetCollection();
+});
@@ -0,0 +1,101 @@
+// What the popup and the omnibox share: the settings, and the collection they
+// suggest and search from. That's the bookmarks site's, once the options page
+// has its address and permission to read it; until then, or when the site
+// can't be reached, the copy tools/build-extension.js bundles. Local edits
+// made in the app live in the site's IndexedDB and aren't included.
+
+import { loadCollections, mergeCollections } from '../collections.js';
+import { normalizeTagAliases, applyTagAliases } from '../tags.js';
+import { createFilters, isRankedView } from '../filters.js';
+import { createStateStore } from '../state.js';
+import { buildFilterParams, buildDraftHash } from '../url-state.js';
+
+let collectionPromise = null;
+
+// { siteUrl }: the address of the bookmarks page, '' until it's set
+async function getSettings() {
+    const { siteUrl = '' } = await chrome.storage.sync.get('siteUrl');
+    return { siteUrl };
+}
+
+async function loadCollection() {
+    const { siteUrl } = await getSettings();
+    let loaded = null;
+    if (siteUrl) {
+        try {
+            loaded = await loadCollections(siteUrl);
+        } catch (error) {
+            console.warn(`Could not load bookmarks from ${siteUrl}; using the bundled copy:`, error);
+        }
+    }
+    loaded ??= await loadCollections(chrome.runtime.getURL('/'));
+
+    // Merged as the app merges them (see fetchBookmarks in app.js)
+    const merged = mergeCollections(loaded.sources);
+    const aliases = normalizeTagAliases(merged.tagAliases);
+    const store = createStateStore({ getLinkHealth: () => null, getCollections: () => [] });
+    store.setBookmarks(merged.bookmarks.map(bookmark => applyTagAliases(bookmark, aliases)));
+    return store;
+}
+
+// Resolves to a state store (state.js) of the collection. Loaded once, and
+// again after resetCollection().
+function getCollection() {
+    collectionPromise ??= loadCollection().catch(error => {
+        collectionPromise = null;
+        throw error;
+    });
+    return collectionPromise;
+}
+
+function resetCollection() {
+    collectionPromise = null;
+}
+
+// The bookmarks the app shows for query (getFilteredBookmarks), best match
+// first, or A–Z when there's nothing to rank by (e.g. only "tag:css")
+function searchCollection(store, query) {
+    store.setFilters(createFilters({ searchQuery: query }));
+    const results = store.getFilterResults().filtered;
+    return isRankedView(store.filters) ? results : [...results].sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// The address typed into the options page as the directory the site's files
+// are in: "https://example.com/bookmarks" gets its trailing slash, index.html
+// is kept. null for anything but an http(s) URL.
+function normalizeSiteUrl(value) {
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (!/\/$|\.[^/]*$/.test(url.pathname)) url.pathname += '/';
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
+
+// The bookmarks page with the results for query
+function searchPageUrl(siteUrl, query) {
+    const url = new URL(siteUrl);
+    url.search = buildFilterParams(createFilters({ searchQuery: query }));
+    url.hash = '';
+    return url.href;
+}
+
+// The bookmarks page with its editor open on bookmark (see url-state.js)
+function addBookmarkUrl(siteUrl, bookmark) {
+    return new URL(buildDraftHash(bookmark), siteUrl).href;
+}
+
+export {
+    getSettings,
+    normalizeSiteUrl,
+    getCollection,
+    resetCollection,
+    searchCollection,
+    searchPageUrl,
+    addBookmarkUrl
+};
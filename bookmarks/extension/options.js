@@ -0,0 +1,39 @@
+// Options page: the address of the bookmarks page. Saving it asks for
+// permission to read that site, so the popup and the omnibox can use its
+// current bookmarks rather than the bundled copy.
+
+import { getSettings, normalizeSiteUrl } from './collection.js';
+
+const form = document.getElementById('options-form');
+const status = document.getElementById('options-status');
+
+function showStatus(message, isError = false) {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = form.elements.siteUrl.value.trim();
+    const siteUrl = value ? normalizeSiteUrl(value) : '';
+    if (siteUrl === null) {
+        showStatus('Enter the http:// or https:// address of your bookmarks page', true);
+        return;
+    }
+
+    // Asked for while handling the click; browsers only prompt in response to one
+    const granted = siteUrl && await chrome.permissions.request({ origins: [`${new URL(siteUrl).origin}/*`] });
+    await chrome.storage.sync.set({ siteUrl });
+    form.elements.siteUrl.value = siteUrl;
+    if (!siteUrl) {
+        showStatus('Saved. The popup can\'t save tabs until there\'s an address.');
+    } else if (granted) {
+        showStatus('Saved');
+    } else {
+        showStatus('Saved. Without permission to read the site, suggestions come from the bundled bookmarks.', true);
+    }
+});
+
+getSettings().then(({ siteUrl }) => {
+    form.elements.siteUrl.value = siteUrl;
+});
@@ -0,0 +1,5 @@
+// Entry point: popup.html loads this one module, which imports the rest.
+
+import { startPopup } from './popup.js';
+
+startPopup();
@@ -0,0 +1,152 @@
+// Popup: the current tab as a new bookmark - its title, its URL and the text
+// selected on the page as the description - with a category, section and tags
+// suggested from the collection (placement.js). Save opens the bookmarks page
+// with its editor filled in (see url-state.js), and the bookmark is stored with
+// the app's other local edits once it's saved there.
+
+import { getSettings, getCollection, addBookmarkUrl } from './collection.js';
+import { suggestPlacement } from '../placement.js';
+import { getAllTags, listCategories, listSections } from '../filters.js';
+import { normalizeUrlForCompare } from '../importers.js';
+import { normalizeTag } from '../store.js';
+
+let bookmarks = [];  // the collection's; none when it couldn't be loaded
+let allTags = [];
+
+// '' on pages extensions can't run scripts in (the browser's own, the web store)
+async function getSelectedText(tabId) {
+    try {
+        const [frame] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => window.getSelection().toString()
+        });
+        return (frame?.result || '').replace(/\s+/g, ' ').trim();
+    } catch {
+        return '';
+    }
+}
+
+async function loadBookmarks() {
+    try {
+        return (await getCollection()).bookmarks;
+    } catch (error) {
+        // Saving still works, just without suggestions
+        console.warn('Could not load bookmarks:', error);
+        return [];
+    }
+}
+
+async function startPopup() {
+    const form = document.getElementById('save-form');
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const [{ siteUrl }, loaded, selection] = await Promise.all([getSettings(), loadBookmarks(), getSelectedText(tab.id)]);
+    bookmarks = loaded;
+    allTags = [...getAllTags(bookmarks)].sort((a, b) => a.localeCompare(b));
+
+    const page = { title: tab.title || '', url: tab.url || '', description: selection };
+    const placement = suggestPlacement(page, bookmarks);
+    form.elements.title.value = page.title;
+    form.elements.url.value = page.url;
+    form.elements.description.value = page.description;
+    form.elements.category.value = placement.category;
+    form.elements.section.value = placement.section;
+    form.elements.tags.value = placement.tags.join(', ');
+
+    fillDatalist('categories', listCategories(bookmarks));
+    fillDatalist('sections', listSections(bookmarks, placement.category));
+    fillTagList(form.elements.tags);
+    form.elements.category.addEventListener('input', () => {
+        fillDatalist('sections', listSections(bookmarks, form.elements.category.value.trim()));
+    });
+    form.elements.tags.addEventListener('input', () => fillTagList(form.elements.tags));
+    form.elements.url.addEventListener('input', () => showStatus(describeUrl(form.elements.url.value, placement)));
+
+    document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveBookmark(form, siteUrl);
+    });
+
+    if (siteUrl) {
+        showStatus(describeUrl(page.url, placement));
+    } else {
+        form.querySelector('[type="submit"]').disabled = true;
+        showStatus('Set the address of your bookmarks page in Options to save', true);
+    }
+    form.elements.title.focus();
+}
+
+// Whether url is bookmarked already, else what the suggestions are based on
+function describeUrl(url, placement) {
+    const key = normalizeUrlForCompare(url.trim());
+    const existing = bookmarks.find(bookmark => normalizeUrlForCompare(bookmark.url) === key);
+    if (existing) return `Already bookmarked as "${existing.title}"`;
+    if (placement.similar.length === 0) return '';
+    return `Suggested from ${placement.similar.slice(0, 2).map(bookmark => `"${bookmark.title}"`).join(' and ')}`;
+}
+
+function showStatus(message, isError = false) {
+    const status = document.getElementById('save-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+function fillDatalist(id, values) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        list.appendChild(option);
+    });
+}
+
+// Datalists complete the whole value, so each option is what's typed so far
+// with the tag being typed completed
+function fillTagList(input) {
+    const typed = input.value.split(',').map(tag => tag.trim());
+    const partial = typed.pop().toLowerCase();
+    const prefix = typed.filter(Boolean).map(tag => `${tag}, `).join('');
+    fillDatalist('tags', allTags
+        .filter(tag => tag.includes(partial) && !typed.includes(tag))
+        .map(tag => prefix + tag));
+}
+
+function readForm(form) {
+    return {
+        title: form.elements.title.value.trim(),
+        url: form.elements.url.value.trim(),
+        description: form.elements.description.value.trim(),
+        category: form.elements.category.value.trim(),
+        section: form.elements.section.value.trim(),
+        tags: [...new Set(form.elements.tags.value.split(',').map(normalizeTag).filter(Boolean))]
+    };
+}
+
+// The editor checks again, along with duplicates among the local edits
+function validateBookmark(bookmark) {
+    if (!bookmark.title) return 'Title is required';
+    try {
+        const { protocol } = new URL(bookmark.url);
+        if (protocol !== 'http:' && protocol !== 'https:') return 'Only http:// and https:// pages can be saved';
+    } catch {
+        return 'URL is not valid';
+    }
+    if (!bookmark.category) return 'Category is required';
+    return '';
+}
+
+async function saveBookmark(form, siteUrl) {
+    const bookmark = readForm(form);
+    const error = validateBookmark(bookmark);
+    if (error) {
+        showStatus(error, true);
+        return;
+    }
+    await chrome.tabs.create({ url: addBookmarkUrl(siteUrl, bookmark) });
+    window.close();
+}
+
+export {
+    startPopup
+};
@@ -0,0 +1,34 @@
+// Self-hosted favicons. tools/enrich-bookmarks.js saves each site's own icon to
+// favicons/ and lists it in favicons.json next to bookmarks.json:
+//
+//   { "generatedAt": "...", "icons": { "github.com": "favicons/github.com.svg" } }
+//
+// The app uses those icons where there is one, and Google's favicon service for
+// every other host.
+
+const FAVICON_INDEX_FILE = 'favicons.json';
+const FAVICON_DIR = 'favicons';
+const FAVICON_EXTENSIONS = {
+    'image/png': 'png',
+    'image/svg+xml': 'svg',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+    'image/gif': 'gif',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+// "github.com", "image/png" -> "favicons/github.com.png"; null for types that aren't icons
+function faviconPath(host, contentType) {
+    const ext = FAVICON_EXTENSIONS[(contentType || '').split(';')[0].trim().toLowerCase()];
+    if (!ext) return null;
+    return `${FAVICON_DIR}/${host.toLowerCase().replace(/[^a-z0-9.-]/g, '_')}.${ext}`;
+}
+
+// icons: the "icons" of favicons.json, or null when there is none
+function resolveFaviconUrl(host, icons) {
+    if (icons && Object.hasOwn(icons, host) && typeof icons[host] === 'string' && icons[host]) return icons[host];
+    return `https://www.google.com/s2/favicons?domain=${encodeURIComponent(host)}&sz=32`;
+}
+
+export { FAVICON_INDEX_FILE, FAVICON_DIR, FAVICON_EXTENSIONS, faviconPath, resolveFaviconUrl };
@@ -0,0 +1,162 @@
+// Filter state and the filters it drives: collection, category and section,
+// broken links, search and the tag panel. A filter state is a plain object
+// that is replaced, never changed in place (see state.js).
+// Pure functions only - no DOM access, so this file also loads in Node.
+
+import { tagAncestors, hasTagOrDescendant } from './tags.js';
+import { parseSearchQuery, hasSearchTerms, searchBookmarks, compareSearchResults } from './search.js';
+
+const SORT_MODES = {
+    best: 'Best match',
+    az: 'A–Z',
+    frecency: 'Frecency',
+    recent: 'Recently added'
+};
+
+// The state with nothing filtered, with changes applied
+function createFilters(changes = {}) {
+    return normalizeFilters({
+        searchQuery: '',
+        selectedCollection: null,  // collection id; null = all of them
+        selectedCategory: null,    // null = "All"
+        selectedSection: null,
+        selectedTags: new Set(),   // included tags
+        excludedTags: new Set(),
+        tagMode: 'all',            // included tags must 'all' match, or 'any' of them
+        showBrokenLinks: false,
+        sortMode: 'best',          // 'best' = rank by relevance while searching (A–Z otherwise), or a SORT_MODES key
+        ...changes
+    });
+}
+
+// A valid state whichever way it was put together; the Sets are copies
+function normalizeFilters(filters) {
+    const selectedTags = new Set(filters.selectedTags);
+    return {
+        searchQuery: filters.searchQuery || '',
+        selectedCollection: filters.selectedCollection || null,
+        selectedCategory: filters.selectedCategory || null,
+        // A section only means something within its category
+        selectedSection: (filters.selectedCategory && filters.selectedSection) || null,
+        selectedTags,
+        // A tag can't be both included and excluded; inclusion wins
+        excludedTags: new Set([...filters.excludedTags].filter(tag => !selectedTags.has(tag))),
+        tagMode: filters.tagMode === 'any' ? 'any' : 'all',
+        showBrokenLinks: filters.showBrokenLinks === true,
+        sortMode: Object.hasOwn(SORT_MODES, filters.sortMode) ? filters.sortMode : 'best'
+    };
+}
+
+// Every filter except the tag panel (collection, category, section, broken links, search).
+// context: { getLinkHealth(bookmark), getCollections(bookmark), getSearchIndex() }
+function filterUntagged(bookmarkList, filters, context) {
+    const { searchQuery, selectedCollection, selectedCategory, selectedSection, showBrokenLinks } = filters;
+    let filtered = bookmarkList;
+
+    if (showBrokenLinks) {
+        filtered = filtered.filter(b => context.getLinkHealth(b) === 'dead');
+    }
+
+    if (selectedCollection) {
+        filtered = filtered.filter(b => context.getCollections(b).includes(selectedCollection));
+    }
+
+    // Apply category filter
+    if (selectedCategory) {
+        filtered = filtered.filter(b => b.category === selectedCategory);
+    }
+
+    // Apply section filter (only if category is selected)
+    if (selectedCategory && selectedSection) {
+        filtered = filtered.filter(b => b.section === selectedSection);
+    }
+
+    // Apply search filter (fuzzy terms, phrases and operators - see search.js)
+    if (searchQuery.trim()) {
+        const results = searchBookmarks(filtered, searchQuery, context.getSearchIndex?.() ?? null);
+        if (isRankedView(filters)) results.sort(compareSearchResults);
+        filtered = results.map(r => r.bookmark);
+    }
+
+    return filtered;
+}
+
+// Included tags match with AND or OR (tagMode); excluded tags always drop a bookmark
+function filterByTags(bookmarkList, filters) {
+    const remaining = filterByExcludedTags(bookmarkList, filters);
+    if (filters.selectedTags.size === 0) return remaining;
+
+    // A parent tag matches its children
+    const included = [...filters.selectedTags];
+    return filters.tagMode === 'any'
+        ? remaining.filter(b => included.some(tag => hasTagOrDescendant(b.tags, tag)))
+        : remaining.filter(b => included.every(tag => hasTagOrDescendant(b.tags, tag)));
+}
+
+function filterByExcludedTags(bookmarkList, filters) {
+    if (filters.excludedTags.size === 0) return bookmarkList;
+    const excluded = [...filters.excludedTags];
+    return bookmarkList.filter(b => !excluded.some(tag => hasTagOrDescendant(b.tags, tag)));
+}
+
+function hasTagFilters(filters) {
+    return filters.selectedTags.size > 0 || filters.excludedTags.size > 0;
+}
+
+function hasAnyFilter(filters) {
+    return hasTagFilters(filters) || filters.selectedCollection !== null || filters.selectedCategory !== null ||
+        filters.showBrokenLinks || Boolean(filters.searchQuery.trim());
+}
+
+// 'include' | 'exclude' | null
+function getTagState(filters, tag) {
+    if (filters.selectedTags.has(tag)) return 'include';
+    if (filters.excludedTags.has(tag)) return 'exclude';
+    return null;
+}
+
+// Results are shown as one flat list ordered by score
+function isRankedView(filters) {
+    return filters.sortMode === 'best' && hasSearchTerms(parseSearchQuery(filters.searchQuery));
+}
+
+// Includes parents of namespaced tags ("design" for "design/color")
+function getAllTags(bookmarkList) {
+    const tagSet = new Set();
+    bookmarkList.forEach(b => b.tags.forEach(t => tagAncestors(t).forEach(tag => tagSet.add(tag))));
+    return tagSet;
+}
+
+function listCategories(bookmarkList) {
+    const categorySet = new Set();
+    bookmarkList.forEach(b => {
+        if (b.category) categorySet.add(b.category);
+    });
+    return [...categorySet].sort((a, b) => a.localeCompare(b));
+}
+
+function listSections(bookmarkList, category) {
+    const sectionSet = new Set();
+    bookmarkList.forEach(b => {
+        if (b.category === category && b.section) {
+            sectionSet.add(b.section);
+        }
+    });
+    return [...sectionSet].sort((a, b) => a.localeCompare(b));
+}
+
+export {
+    SORT_MODES,
+    createFilters,
+    normalizeFilters,
+    filterUntagged,
+    filterByTags,
+    filterByExcludedTags,
+    hasTagFilters,
+    hasAnyFilter,
+    getTagState,
+    isRankedView,
+    getAllTags,
+    listCategories,
+    listSections
+};
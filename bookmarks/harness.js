@@ -0,0 +1,37 @@
+// Runs the app inside a dev page (bench.html, hostile.html) on other data.
+// The app's markup comes from index.html as is; only bookmarks.json is
+// swapped, and the link report, collections.json and favicons.json are left
+// out. Layout, collapsed groups and other settings saved in localStorage
+// apply here too.
+
+import { startApp } from './app.js';
+
+// data: what bookmarks.json should contain, e.g. { bookmarks: [...] }
+function installBookmarksFetch(data) {
+    const realFetch = window.fetch.bind(window);
+    window.fetch = (input, init) => {
+        const url = new URL(input instanceof Request ? input.url : input, location.href);
+        if (url.pathname.endsWith('/bookmarks.json')) {
+            return Promise.resolve(new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json' } }));
+        }
+        if (['/link-report.json', '/collections.json', '/favicons.json'].some(file => url.pathname.endsWith(file))) {
+            return Promise.resolve(new Response('', { status: 404 }));
+        }
+        return realFetch(input, init);
+    };
+}
+
+// Copies index.html's markup in and starts the app on it
+async function loadHarnessApp() {
+    const page = new DOMParser().parseFromString(await (await fetch('index.html')).text(), 'text/html');
+    document.body.prepend(document.importNode(page.querySelector('.app'), true));
+    // Whatever tools/build-static.js pre-rendered is bookmarks.json's
+    document.querySelectorAll('[data-patch-key]').forEach(el => el.remove());
+    await startApp();
+}
+
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+}
+
+export { installBookmarksFetch, loadHarnessApp, nextFrame };
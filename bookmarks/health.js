@@ -0,0 +1,34 @@
+// Link health from the report tools/check-links.js writes next to
+// bookmarks.json. The app only reads the report; checking happens offline.
+
+import { normalizeUrlForCompare } from './importers.js';
+
+const LINK_REPORT_FILE = 'link-report.json';
+const SLOW_LINK_MS = 3000;
+// These mean the server is up but turns away scripted requests - not dead
+const BOT_BLOCK_STATUSES = [401, 403, 429];
+
+// 'dead' | 'redirected' | 'slow' | 'ok', or null when the link wasn't checked
+function classifyLinkResult(url, result) {
+    if (!result) return null;
+    if (result.error || (result.status >= 400 && !BOT_BLOCK_STATUSES.includes(result.status))) return 'dead';
+    // http -> https, www. and trailing-slash redirects aren't worth a badge
+    if (result.finalUrl && normalizeUrlForCompare(result.finalUrl) !== normalizeUrlForCompare(url)) return 'redirected';
+    if (result.durationMs > SLOW_LINK_MS) return 'slow';
+    return 'ok';
+}
+
+// One line for tooltips, e.g. "404 · checked 3 Oct 2026"
+function describeLinkResult(result) {
+    const parts = [];
+    if (result.error) parts.push(result.error);
+    else if (result.status) parts.push(String(result.status));
+    if (result.redirects && result.redirects.length > 0) parts.push(`redirects to ${result.finalUrl}`);
+    if (result.durationMs !== undefined) parts.push(`${(result.durationMs / 1000).toFixed(1)} s`);
+    if (result.checkedAt) {
+        parts.push(`checked ${new Date(result.checkedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`);
+    }
+    return parts.join(' · ');
+}
+
+export { LINK_REPORT_FILE, SLOW_LINK_MS, classifyLinkResult, describeLinkResult };
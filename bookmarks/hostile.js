@@ -0,0 +1,183 @@
+// Hostile data checks: runs the app (see harness.js) on
+// fixtures/hostile-bookmarks.json - markup, attribute breakouts and
+// javascript: URLs in every field - through searches, filters and layouts,
+// and checks that none of it turns into markup or a link. The page has no
+// Content-Security-Policy, so a payload that gets through actually runs and
+// calls hostilePayloadRan().
+//
+//   hostile.html
+
+import { escapeHTML, safeUrl, highlightHTML } from './html.js';
+import { getAllTags } from './filters.js';
+import { groupKey } from './markup.js';
+import { LAYOUTS, toggleGroupCollapsed, setLayout, toggleOutlineMenu } from './layout.js';
+import {
+    store,
+    getBookmarkById,
+    applyFiltersFromURL,
+    getAllCategories,
+    getSectionsForCategory,
+    selectCategory,
+    selectSection,
+    render,
+    toggleTag,
+    clearFilters,
+    getCards
+} from './app.js';
+import { installBookmarksFetch, loadHarnessApp, nextFrame } from './harness.js';
+
+const HOSTILE_FIXTURES = 'fixtures/hostile-bookmarks.json';
+const HOSTILE_QUERIES = ['<img', '"><', 'onerror', '&amp;', 'mark', "'"];
+const HOSTILE_ELEMENTS = ['script', 'iframe', 'object', 'embed', 'svg', 'math', 'style', 'base', 'meta', 'link'];
+const HOSTILE_URL_CASES = [
+    ['https://example.com/', true],
+    ['http://example.com/', true],
+    ['mailto:someone@example.com', true],
+    ['javascript:alert(1)', false],
+    [' JaVaScRiPt:alert(1)', false],
+    ['java\tscript:alert(1)', false],
+    ['data:text/html,<script>alert(1)</script>', false],
+    ['vbscript:msgbox(1)', false],
+    ['//example.com/', false],
+    ['example.com', false]
+];
+
+let hostileRuns = [];  // payload names, in the order they ran
+
+// Payloads call it as a global
+window.hostilePayloadRan = (name) => {
+    hostileRuns.push(name);
+};
+
+// Problems in the page as it is now, as strings
+function inspectHostilePage(fixtures) {
+    const problems = [];
+    const root = document.querySelector('.app');
+    const elements = [...root.querySelectorAll('*'), ...document.querySelectorAll('dialog *')];
+
+    elements.forEach(el => {
+        const handlers = [...el.attributes].filter(attr => attr.name.startsWith('on'));
+        if (handlers.length > 0) problems.push(`<${el.localName}> has ${handlers.map(attr => attr.name).join(', ')}`);
+        if (HOSTILE_ELEMENTS.includes(el.localName)) problems.push(`<${el.localName}> in the page`);
+        if (el.localName === 'img' && !el.matches('img[data-favicon]')) problems.push(`<img src="${el.getAttribute('src')}">`);
+        if (el.localName === 'a' && el.hasAttribute('href') && !safeUrl(el.href)) problems.push(`link to ${el.getAttribute('href')}`);
+    });
+
+    // Cards show exactly the text they were given
+    getCards().forEach(card => {
+        const bookmark = getBookmarkById(card.dataset.id);
+        const title = card.querySelector('.link-title').textContent;
+        if (title !== bookmark.title) problems.push(`card shows "${title}" for "${bookmark.title}"`);
+    });
+
+    const unsafe = fixtures.bookmarks.filter(bookmark => !safeUrl(bookmark.url)).map(bookmark => bookmark.url);
+    store.bookmarks.filter(bookmark => unsafe.includes(bookmark.url)).forEach(bookmark => problems.push(`${bookmark.url} was loaded`));
+    return problems;
+}
+
+// Runs a step, lets images fail and autofocus happen, then inspects the page
+async function checkHostileStep(name, step, fixtures) {
+    const runsBefore = hostileRuns.length;
+    let problems;
+    try {
+        step();
+        await nextFrame();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        problems = inspectHostilePage(fixtures);
+    } catch (error) {
+        problems = [`threw ${error.message}`];
+    }
+    hostileRuns.slice(runsBefore).forEach(payload => problems.push(`payload "${payload}" ran`));
+    return { name, problems };
+}
+
+function checkHostileHelpers() {
+    const problems = [];
+    HOSTILE_URL_CASES.forEach(([url, allowed]) => {
+        if (Boolean(safeUrl(url)) !== allowed) problems.push(`safeUrl(${JSON.stringify(url)}) should be ${allowed ? 'allowed' : "''"}`);
+    });
+    if (escapeHTML(`<a href="x" title='y'>&amp;</a>`) !== '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;amp;&lt;/a&gt;') {
+        problems.push('escapeHTML() leaves markup');
+    }
+    if (highlightHTML('<b>', new Set([1])) !== '&lt;<mark>b</mark>&gt;') problems.push('highlightHTML() leaves markup');
+    return { name: 'escapeHTML, safeUrl, highlightHTML', problems };
+}
+
+async function runHostileChecks() {
+    const status = document.getElementById('hostile-status');
+    const fixtures = await (await fetch(HOSTILE_FIXTURES)).json();
+    installBookmarksFetch(fixtures);
+
+    status.textContent = 'Loading the app…';
+    await loadHarnessApp();
+
+    status.textContent = 'Running…';
+    const step = (name, run) => checkHostileStep(name, run, fixtures);
+    const results = [checkHostileHelpers(), await step('Load and first render', () => {})];
+
+    for (const layout of Object.keys(LAYOUTS)) {
+        results.push(await step(`${LAYOUTS[layout].label} layout`, () => setLayout(layout)));
+        for (const query of HOSTILE_QUERIES) {
+            results.push(await step(`${LAYOUTS[layout].label}, search ${query}`, () => {
+                document.getElementById('search-input').value = query;
+                store.setFilters({ searchQuery: query });
+                render();
+            }));
+        }
+        results.push(await step(`${LAYOUTS[layout].label}, clear`, () => clearFilters()));
+    }
+    setLayout('cards');
+
+    for (const category of getAllCategories()) {
+        results.push(await step(`Category ${category}`, () => selectCategory(category)));
+        for (const section of getSectionsForCategory(category)) {
+            results.push(await step(`Section ${section}`, () => selectSection(section)));
+        }
+        results.push(await step(`Collapse ${category}`, () => toggleGroupCollapsed(groupKey(category), true)));
+        results.push(await step(`Expand ${category}`, () => toggleGroupCollapsed(groupKey(category), false)));
+        clearFilters();
+    }
+    for (const tag of getAllTags(store.bookmarks)) {
+        results.push(await step(`Tag ${tag}`, () => [0, 1].forEach(() => toggleTag(tag))));
+        clearFilters();
+    }
+    results.push(await step('Jump-to menu', () => toggleOutlineMenu(true)));
+    results.push(await step('Filters from the URL', () => {
+        const params = new URLSearchParams();
+        params.set('category', fixtures.bookmarks[0].category);
+        params.set('section', fixtures.bookmarks[0].section);
+        fixtures.bookmarks[0].tags.forEach(tag => params.append('tag', tag));
+        params.set('q', fixtures.bookmarks[0].title);
+        history.replaceState(null, '', `?${params}`);
+        applyFiltersFromURL();
+        render();
+    }));
+    clearFilters();
+
+    const failed = results.filter(result => result.problems.length > 0);
+    status.textContent = failed.length === 0
+        ? `All ${results.length} checks passed.`
+        : `${failed.length} of ${results.length} checks failed.`;
+    renderHostileResults(results);
+    console.table(results.map(({ name, problems }) => ({ name, problems: problems.join('; ') })));
+}
+
+function renderHostileResults(results) {
+    const table = document.getElementById('hostile-results');
+    table.innerHTML = '<thead><tr><th>Check</th><th>Problems</th></tr></thead><tbody></tbody>';
+    results.forEach(({ name, problems }) => {
+        const row = table.tBodies[0].insertRow();
+        row.classList.toggle('failed', problems.length > 0);
+        row.insertCell().textContent = name;
+        row.insertCell().textContent = problems.join('; ') || 'none';
+    });
+}
+
+// Module scripts run once the page is parsed
+document.getElementById('hostile-run').addEventListener('click', (e) => {
+    e.target.disabled = true;
+    runHostileChecks().catch(error => {
+        document.getElementById('hostile-status').textContent = `Checks failed to run: ${error.message}`;
+        console.error(error);
+    });
+});
@@ -0,0 +1,38 @@
+// Escaping for the HTML strings the views are built from. Bookmark fields,
+// tags, categories and anything read from the URL or local storage go through
+// escapeHTML() before they're interpolated, in text and attribute values
+// alike, and links through safeUrl() - so imported data is only ever text.
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// The URL if it's absolute and its scheme is allowed; '' for javascript:,
+// data: and anything that doesn't parse
+function safeUrl(url) {
+    try {
+        return SAFE_URL_SCHEMES.includes(new URL(url).protocol) ? url : '';
+    } catch {
+        return '';
+    }
+}
+
+// text, escaped, with each run of characters at indices (a Set) wrapped in <mark>
+function highlightHTML(text, indices) {
+    let html = '';
+    let inMark = false;
+    for (let i = 0; i < text.length; i++) {
+        const matched = indices.has(i);
+        if (matched !== inMark) {
+            html += matched ? '<mark>' : '</mark>';
+            inMark = matched;
+        }
+        html += escapeHTML(text[i]);
+    }
+    return inMark ? html + '</mark>' : html;
+}
+
+export { SAFE_URL_SCHEMES, escapeHTML, safeUrl, highlightHTML };
@@ -0,0 +1,198 @@
+// Import dialog: pick a file, preview what it contains against the current
+// collection, then write the selected entries as local edits.
+
+import { bookmarkHost } from './search.js';
+import { putBookmarkEditList, createLocalBookmarkId } from './store.js';
+import { parseImportFile, diffImport, mergeImportedBookmark } from './importers.js';
+import { bookmarkEdits, bookmarkIds, store, refreshLocalEdits } from './app.js';
+
+// diffImport() result for the file being previewed, then its rejected entries as
+// { bookmark, status: 'invalid', errors }
+let importRows = [];
+
+function getImportDialog() {
+    let dialog = document.getElementById('import-dialog');
+    if (!dialog) {
+        dialog = createImportDialog();
+        document.body.appendChild(dialog);
+    }
+    return dialog;
+}
+
+function createImportDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.id = 'import-dialog';
+    dialog.className = 'editor-dialog import-dialog';
+    dialog.innerHTML = `
+        <form class="editor-form">
+            <h3 class="editor-heading">Import bookmarks</h3>
+            <p class="import-summary"></p>
+            <label class="import-toggle">
+                <input type="checkbox" class="import-toggle-all" checked>
+                <span>Select all new</span>
+            </label>
+            <ul class="import-list"></ul>
+            <p class="editor-error hidden"></p>
+            <div class="editor-actions">
+                <button type="button" class="editor-button editor-cancel">Cancel</button>
+                <button type="submit" class="editor-button primary import-confirm">Import</button>
+            </div>
+        </form>
+    `;
+
+    const form = dialog.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await applyImport();
+    });
+    form.addEventListener('change', (e) => {
+        if (e.target.classList.contains('import-toggle-all')) {
+            form.querySelectorAll('.import-row[data-status="new"] input').forEach(input => {
+                input.checked = e.target.checked;
+            });
+        }
+        updateImportConfirm();
+    });
+    dialog.querySelector('.editor-cancel').addEventListener('click', () => dialog.close());
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    return dialog;
+}
+
+function chooseImportFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.html,.htm,.json';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (file) await previewImportFile(file);
+    });
+    input.click();
+}
+
+async function previewImportFile(file) {
+    let parsed;
+    try {
+        parsed = parseImportFile(await file.text());
+    } catch (error) {
+        window.alert(`Could not import ${file.name}: ${error.message}`);
+        return;
+    }
+    if (parsed.bookmarks.length === 0 && parsed.rejected.length === 0) {
+        window.alert(`No http(s) bookmarks found in ${file.name}`);
+        return;
+    }
+    importRows = [
+        ...diffImport(store.bookmarks, parsed.bookmarks),
+        ...parsed.rejected.map(({ bookmark, errors }) => ({ bookmark, status: 'invalid', errors }))
+    ];
+    renderImportPreview(file.name, parsed.format);
+    getImportDialog().showModal();
+}
+
+function describeImportRow({ bookmark, status, existing, errors }) {
+    if (status === 'invalid') return `Can't import: ${errors.join(', ')}`;
+    if (status === 'repeat') return 'Repeated in this file';
+    if (status === 'duplicate') {
+        const newTags = bookmark.tags.filter(t => !existing.tags.includes(t));
+        const extra = newTags.length > 0 ? ` · adds ${newTags.map(t => `#${t}`).join(' ')}` : '';
+        return `Already saved as "${existing.title}"${extra}`;
+    }
+    return [bookmark.category || 'Uncategorized', bookmark.section].filter(Boolean).join(' › ');
+}
+
+function renderImportPreview(fileName, format) {
+    const dialog = getImportDialog();
+    const counts = { new: 0, duplicate: 0, repeat: 0, invalid: 0 };
+    importRows.forEach(row => counts[row.status]++);
+
+    dialog.querySelector('.import-summary').textContent =
+        `${fileName} (${format}): ${counts.new} new, ${counts.duplicate} already in collection` +
+        (counts.repeat ? `, ${counts.repeat} repeated` : '') +
+        (counts.invalid ? `, ${counts.invalid} invalid` : '');
+    dialog.querySelector('.import-toggle-all').checked = true;
+
+    const list = dialog.querySelector('.import-list');
+    list.innerHTML = '';
+    importRows.forEach((row, index) => {
+        const item = document.createElement('li');
+        item.className = 'import-row';
+        item.dataset.status = row.status;
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = index;
+        // Duplicates are opt-in (merging tags into the existing entry)
+        checkbox.checked = row.status === 'new';
+        checkbox.disabled = row.status === 'repeat' || row.status === 'invalid';
+
+        const info = document.createElement('span');
+        info.className = 'import-info';
+        const title = document.createElement('span');
+        title.className = 'import-title';
+        title.textContent = row.bookmark.title;
+        const detail = document.createElement('span');
+        detail.className = 'import-detail';
+        detail.textContent = `${bookmarkHost(row.bookmark)} · ${describeImportRow(row)}`;
+        info.append(title, detail);
+
+        const badge = document.createElement('span');
+        badge.className = 'import-badge';
+        badge.textContent = { new: 'new', duplicate: 'duplicate', repeat: 'skip', invalid: 'invalid' }[row.status];
+
+        label.append(checkbox, info, badge);
+        item.appendChild(label);
+        list.appendChild(item);
+    });
+
+    dialog.querySelector('.editor-error').classList.add('hidden');
+    updateImportConfirm();
+}
+
+function getCheckedImportRows() {
+    return [...document.querySelectorAll('#import-dialog .import-row input:checked')]
+        .map(input => importRows[Number(input.value)]);
+}
+
+function updateImportConfirm() {
+    const count = getCheckedImportRows().length;
+    const button = document.querySelector('#import-dialog .import-confirm');
+    button.textContent = `Import ${count}`;
+    button.disabled = count === 0;
+}
+
+function importRowToEdit(row, createdAt) {
+    if (row.status === 'new') {
+        return { id: createLocalBookmarkId(), bookmark: row.bookmark, createdAt };
+    }
+    const id = bookmarkIds.get(row.existing);
+    const existingEdit = bookmarkEdits.find(edit => edit.id === id);
+    return {
+        id,
+        bookmark: mergeImportedBookmark(row.existing, row.bookmark),
+        createdAt: existingEdit?.createdAt || createdAt
+    };
+}
+
+async function applyImport() {
+    const dialog = getImportDialog();
+    // Offset timestamps so imported entries keep the file's order
+    const now = Date.now();
+    const edits = getCheckedImportRows().map((row, i) => importRowToEdit(row, now + i));
+
+    try {
+        await putBookmarkEditList(edits);
+        await refreshLocalEdits();
+        dialog.close();
+    } catch (error) {
+        console.error('Error importing bookmarks:', error);
+        const message = dialog.querySelector('.editor-error');
+        message.textContent = 'Could not save - local storage is unavailable';
+        message.classList.remove('hidden');
+    }
+}
+
+export { chooseImportFile };
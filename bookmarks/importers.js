@@ -0,0 +1,276 @@
+// Import parsers: Netscape bookmark HTML (browsers, Pocket), Pinboard JSON,
+// Chrome/Firefox bookmark JSON and bookmarks.json itself. Each returns bookmarks
+// in the bookmarks.json schema; folder paths become category (first folder) and
+// section (the rest). String-based on purpose so it runs the same in Node and
+// the browser.
+
+import { toSchemaBookmark, normalizeTag } from './store.js';
+import { checkBookmarkEntry } from './validate.js';
+
+// bookmarks.schema.json requires a category; used for links outside any folder
+const DEFAULT_IMPORT_CATEGORY = 'Imported';
+
+// Top-level containers every browser adds - not meaningful as categories
+const ROOT_FOLDER_NAMES = new Set([
+    '', 'bookmarks', 'bookmarks bar', 'bookmarks toolbar', 'bookmarks menu', 'bookmarksbar',
+    'other bookmarks', 'mobile bookmarks', 'favorites', 'favorites bar',
+    'menu', 'toolbar', 'unfiled', 'mobile'
+]);
+
+// Only web links come in; javascript:, chrome://, place: and the like are dropped
+function isImportableUrl(url) {
+    return typeof url === 'string' && /^https?:/i.test(url);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const [, name, dq, sq, bare] of source.matchAll(/([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attrs[name.toLowerCase()] = decodeEntities(dq ?? sq ?? bare ?? '');
+    }
+    return attrs;
+}
+
+function folderPathToPlacement(path) {
+    const folders = path.filter(name => name && !ROOT_FOLDER_NAMES.has(name.toLowerCase()));
+    return {
+        category: folders[0] || DEFAULT_IMPORT_CATEGORY,
+        section: folders.slice(1).join(' / ')
+    };
+}
+
+function splitTags(value, separator) {
+    if (!value) return [];
+    const tags = value.split(separator).map(normalizeTag).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+function makeImportedBookmark({ title, url, description, path, tags }) {
+    return toSchemaBookmark({
+        title: title || url,
+        url,
+        description: description || '',
+        ...folderPathToPlacement(path),
+        tags
+    });
+}
+
+// Netscape bookmark file: <DT><H3>Folder</H3><DL><p> ... <DT><A HREF TAGS>Title</A><DD>Note ... </DL>
+function parseNetscapeHTML(html) {
+    const results = [];
+    const path = [];
+    const openLists = [];  // for each open <DL>: did it push a folder onto path?
+    let pendingFolder = null;
+    let last = null;
+
+    const tokenRe = /<(h[1-6])\b([^>]*)>([\s\S]*?)<\/\1\s*>|<a\b([^>]*)>([\s\S]*?)<\/a\s*>|<(dl|ul)\b[^>]*>|<\/(dl|ul)\s*>|<dd\b[^>]*>([\s\S]*?)(?=<d[tdl]\b|<\/dl|<li\b|<\/ul|$)/gi;
+    for (const match of html.matchAll(tokenRe)) {
+        const [, heading, headingAttrs, headingText, anchorAttrs, anchorText, listOpen, listClose, note] = match;
+
+        if (heading) {
+            // Only H3 marks a folder; H1 is the file title ("Bookmarks", Pocket's "Unread")
+            const attrs = parseAttributes(headingAttrs);
+            const isToolbar = 'personal_toolbar_folder' in attrs;
+            pendingFolder = heading.toLowerCase() === 'h3' && !isToolbar ? stripTags(headingText) : '';
+        } else if (listOpen) {
+            const pushed = pendingFolder !== null;
+            if (pushed) path.push(pendingFolder);
+            openLists.push(pushed);
+            pendingFolder = null;
+        } else if (listClose) {
+            if (openLists.pop()) path.pop();
+        } else if (anchorAttrs !== undefined) {
+            const attrs = parseAttributes(anchorAttrs);
+            last = null;
+            if (!isImportableUrl(attrs.href)) continue;
+            last = makeImportedBookmark({
+                title: stripTags(anchorText),
+                url: attrs.href,
+                path,
+                tags: splitTags(attrs.tags, ',')
+            });
+            results.push(last);
+        } else if (note !== undefined && last) {
+            last.description = stripTags(note);
+            last = null;
+        }
+    }
+
+    return results;
+}
+
+// Pinboard /posts/all JSON: [{ href, description (title), extended, tags: "a b" }]
+function parsePinboardJSON(data) {
+    return data
+        .filter(post => post && isImportableUrl(post.href))
+        .map(post => makeImportedBookmark({
+            title: post.description,
+            url: post.href,
+            description: post.extended,
+            path: [],
+            tags: splitTags(post.tags, /\s+/)
+        }));
+}
+
+// Chrome "Bookmarks" file: { roots: { bookmark_bar: { children: [...] }, other, synced } }
+function parseChromeJSON(data) {
+    const results = [];
+    const walk = (node, path) => {
+        if (node.type === 'url') {
+            if (!isImportableUrl(node.url)) return;
+            results.push(makeImportedBookmark({ title: node.name, url: node.url, path, tags: [] }));
+        } else if (node.children) {
+            node.children.forEach(child => walk(child, [...path, node.name]));
+        }
+    };
+    Object.values(data.roots).forEach(root => {
+        if (root && typeof root === 'object') walk(root, []);
+    });
+    return results;
+}
+
+// Firefox JSON backup: nested { title, children, type: 'text/x-moz-place-container' }
+function parseFirefoxJSON(data) {
+    const results = [];
+    const walk = (node, path) => {
+        if (node.type === 'text/x-moz-place' && node.uri) {
+            if (!isImportableUrl(node.uri)) return;
+            results.push(makeImportedBookmark({
+                title: node.title,
+                url: node.uri,
+                path,
+                tags: splitTags(node.tags, ',')
+            }));
+        } else if (node.children) {
+            node.children.forEach(child => walk(child, [...path, node.title || '']));
+        }
+    };
+    walk(data, []);
+    return results;
+}
+
+// Another copy of bookmarks.json. Entries get the checks local edits get (see
+// applyLocalEdits in app.js), so whatever the preview offers stays once imported.
+// Returns { bookmarks, rejected }: rejected are { bookmark: { title, url }, errors }.
+function parseBookmarksJSON(data) {
+    const bookmarks = [];
+    const rejected = [];
+    const isBlank = value => value === undefined || (typeof value === 'string' && !value.trim());
+    data.bookmarks.forEach(entry => {
+        if (!isImportableUrl(entry?.url)) return;
+        const candidate = {
+            ...entry,
+            title: isBlank(entry.title) ? entry.url : entry.title,
+            category: isBlank(entry.category) ? DEFAULT_IMPORT_CATEGORY : entry.category,
+            tags: typeof entry.tags === 'string' ? splitTags(entry.tags, /[\s,]+/) : entry.tags ?? []
+        };
+        const errors = checkBookmarkEntry(candidate);
+        if (errors.length === 0) {
+            bookmarks.push(toSchemaBookmark(candidate));
+        } else {
+            const title = typeof entry.title === 'string' && entry.title.trim() ? entry.title.trim() : entry.url;
+            rejected.push({ bookmark: { title, url: entry.url }, errors });
+        }
+    });
+    return { bookmarks, rejected };
+}
+
+// Detect the format from content and return { format, bookmarks, rejected }:
+// rejected lists entries a bookmarks.json has that can't be imported
+function parseImportFile(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        if (Array.isArray(data)) {
+            return { format: 'Pinboard JSON', bookmarks: parsePinboardJSON(data), rejected: [] };
+        }
+        if (data.roots) {
+            return { format: 'Chrome bookmarks', bookmarks: parseChromeJSON(data), rejected: [] };
+        }
+        if (data.type === 'text/x-moz-place-container') {
+            return { format: 'Firefox bookmarks', bookmarks: parseFirefoxJSON(data), rejected: [] };
+        }
+        if (Array.isArray(data.bookmarks)) {
+            return { format: 'bookmarks.json', ...parseBookmarksJSON(data) };
+        }
+        throw new Error('Unrecognized JSON bookmark format');
+    }
+
+    if (/<a\b[^>]*href/i.test(trimmed)) {
+        return { format: 'Netscape bookmark HTML', bookmarks: parseNetscapeHTML(trimmed), rejected: [] };
+    }
+    throw new Error('No bookmarks found in file');
+}
+
+// Comparable form of a URL for duplicate detection
+function normalizeUrlForCompare(url) {
+    try {
+        const parsed = new URL(url);
+        const host = parsed.hostname.replace(/^www\./, '');
+        const pathname = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${pathname}${parsed.search}`.toLowerCase();
+    } catch {
+        return url.trim().toLowerCase();
+    }
+}
+
+// Classify incoming bookmarks against the existing list.
+// Returns [{ bookmark, status: 'new' | 'duplicate' | 'repeat', existing }]
+// where 'repeat' means the URL already appeared earlier in the same import.
+function diffImport(existingList, incoming) {
+    const existingByUrl = new Map();
+    existingList.forEach(b => existingByUrl.set(normalizeUrlForCompare(b.url), b));
+
+    const seen = new Set();
+    return incoming.map(bookmark => {
+        const key = normalizeUrlForCompare(bookmark.url);
+        const existing = existingByUrl.get(key) || null;
+        let status = 'new';
+        if (existing) status = 'duplicate';
+        else if (seen.has(key)) status = 'repeat';
+        seen.add(key);
+        return { bookmark, status, existing };
+    });
+}
+
+// Combine a duplicate into the existing entry without moving it:
+// union of tags, and the imported description only where ours is empty
+function mergeImportedBookmark(existing, imported) {
+    return toSchemaBookmark({
+        ...existing,
+        description: existing.description || imported.description,
+        tags: [...new Set([...existing.tags, ...imported.tags])]
+    });
+}
+
+export {
+    DEFAULT_IMPORT_CATEGORY,
+    decodeEntities,
+    stripTags,
+    parseAttributes,
+    parseNetscapeHTML,
+    parsePinboardJSON,
+    parseChromeJSON,
+    parseFirefoxJSON,
+    parseBookmarksJSON,
+    parseImportFile,
+    normalizeUrlForCompare,
+    diffImport,
+    mergeImportedBookmark
+};
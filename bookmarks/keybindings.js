@@ -0,0 +1,222 @@
+// Keyboard shortcuts panel: remap any registered action, pick a preset, and
+// see where two actions share a key. Changes are saved as they're made
+// (keys.js) and the help overlay follows.
+
+import {
+    KEYBINDINGS_KEY,
+    registeredActions,
+    KEYMAP_PRESETS,
+    keybindingSettings,
+    setKeymapPreset,
+    setActionKeys,
+    isActionCustomized,
+    reloadKeybindings,
+    resetKeybindings,
+    expandKeyCombo,
+    findConflictingActions,
+    getAction,
+    eventToKeyCombo,
+    renderKeyCombo,
+    escapeKeyLabel
+} from './keys.js';
+import { isMac, renderKeybindingHints, formatKeyLabel } from './app.js';
+
+let recordingActionId = null;  // action waiting for its new key in the panel
+
+function getKeybindingDialog() {
+    let dialog = document.getElementById('keybinding-dialog');
+    if (!dialog) {
+        dialog = createKeybindingDialog();
+        document.body.appendChild(dialog);
+    }
+    return dialog;
+}
+
+function createKeybindingDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.id = 'keybinding-dialog';
+    dialog.className = 'editor-dialog keybinding-dialog';
+    dialog.innerHTML = `
+        <form method="dialog" class="editor-form">
+            <h3 class="editor-heading">Keyboard shortcuts</h3>
+            <label class="editor-field">
+                Preset
+                <select class="keymap-preset">
+                    ${Object.entries(KEYMAP_PRESETS).map(([preset, { label }]) =>
+                        `<option value="${preset}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <div class="keybinding-list"></div>
+            <div class="editor-actions">
+                <button type="button" class="editor-button danger keybinding-reset-all">Reset all</button>
+                <button type="submit" class="editor-button primary">Done</button>
+            </div>
+        </form>
+    `;
+
+    dialog.querySelector('.keymap-preset').addEventListener('change', (e) => {
+        setKeymapPreset(e.target.value);
+        onKeybindingsChanged();
+    });
+
+    dialog.querySelector('.keybinding-list').addEventListener('click', (e) => {
+        const row = e.target.closest('.keybinding-row');
+        if (!row) return;
+        const id = row.dataset.action;
+
+        const removeBtn = e.target.closest('[data-remove]');
+        if (removeBtn) {
+            setActionKeys(id, getAction(id).keys.filter(combo => combo !== removeBtn.dataset.remove));
+            onKeybindingsChanged();
+        } else if (e.target.closest('.keybinding-record')) {
+            recordingActionId = recordingActionId === id ? null : id;
+            renderKeybindingList();
+            dialog.querySelector('.keybinding-record.recording')?.focus();
+        } else if (e.target.closest('.keybinding-reset')) {
+            setActionKeys(id, null);
+            onKeybindingsChanged();
+        }
+    });
+
+    dialog.querySelector('.keybinding-reset-all').addEventListener('click', () => {
+        if (!window.confirm('Reset all keyboard shortcuts to the defaults?')) return;
+        resetKeybindings();
+        onKeybindingsChanged();
+    });
+
+    // Capture the next key while recording, before the dialog sees Escape
+    dialog.addEventListener('keydown', (e) => {
+        if (!recordingActionId) return;
+        if (['Control', 'Alt', 'Shift', 'Meta', 'Tab'].includes(e.key)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const id = recordingActionId;
+        recordingActionId = null;
+        if (e.key !== 'Escape') recordKeybinding(id, e);
+        renderKeybindingList();
+        dialog.querySelector(`.keybinding-row[data-action="${CSS.escape(id)}"] .keybinding-record`)?.focus();
+    }, true);
+
+    // Click on the backdrop closes
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+    dialog.addEventListener('close', () => {
+        recordingActionId = null;
+    });
+
+    return dialog;
+}
+
+function openKeybindingSettings() {
+    const dialog = getKeybindingDialog();
+    recordingActionId = null;
+    renderKeybindingSettings();
+    dialog.showModal();
+}
+
+function onKeybindingsChanged() {
+    renderKeybindingSettings();
+    renderKeybindingHints();
+}
+
+// Adds the pressed combo to the action, after checking what else uses it
+function recordKeybinding(id, e) {
+    const action = getAction(id);
+    let combo = eventToKeyCombo(e);
+
+    if (action.digits) {
+        // Digit actions take a modifier and cover the whole 1-9 row
+        if (!/(^|\+)[1-9]$/.test(combo)) {
+            window.alert(`"${action.label}" needs a digit key, e.g. ${formatKeyLabel('Alt+1')}.`);
+            return;
+        }
+        combo = combo.replace(/[1-9]$/, '1-9');
+    }
+    // Shortcuts that work while typing must not type anything
+    if (action.global && !/^(Ctrl|Alt|Meta)\+/.test(combo) && combo.split('+').pop().length === 1) {
+        window.alert(`"${action.label}" also works in the search box, so it needs Ctrl, Alt or ${isMac ? '⌘' : 'Win'}.`);
+        return;
+    }
+    if (action.keys.includes(combo)) return;
+
+    const conflicts = findConflictingActions(combo, id);
+    if (conflicts.length > 0) {
+        const names = conflicts.map(other => `"${other.label}"`).join(', ');
+        if (!window.confirm(`${formatKeyLabel(combo)} is already used by ${names}. Move it to "${action.label}"?`)) return;
+        conflicts.forEach(other => setActionKeys(other.id, other.keys.filter(binding => !sharesKey(binding, combo))));
+    }
+    setActionKeys(id, [...action.keys, combo]);
+    onKeybindingsChanged();
+}
+
+function sharesKey(a, b) {
+    const keys = expandKeyCombo(a);
+    return expandKeyCombo(b).some(key => keys.includes(key));
+}
+
+function renderKeybindingSettings() {
+    const dialog = getKeybindingDialog();
+    dialog.querySelector('.keymap-preset').value = keybindingSettings.preset;
+    renderKeybindingList();
+}
+
+// Grouped like the help overlay; palette-only actions go under "Commands"
+function renderKeybindingList() {
+    const groups = new Map();
+    registeredActions.forEach(action => {
+        if (action.fixed) return;
+        const section = action.section || 'Commands';
+        if (!groups.has(section)) groups.set(section, []);
+        groups.get(section).push(action);
+    });
+
+    getKeybindingDialog().querySelector('.keybinding-list').innerHTML = [...groups].map(([section, actions]) => `
+        <div class="keybinding-section">
+            <h4>${section}</h4>
+            <ul>${actions.map(renderKeybindingRow).join('')}</ul>
+        </div>
+    `).join('');
+}
+
+function renderKeybindingRow(action) {
+    const conflicts = action.keys.flatMap(combo => findConflictingActions(combo, action.id));
+    const conflictNames = [...new Set(conflicts.map(other => other.label))];
+    const recording = recordingActionId === action.id;
+    const chips = action.keys.map(combo => `
+        <span class="keybinding-chip">
+            ${renderKeyCombo(combo)}
+            <button type="button" class="keybinding-remove" data-remove="${escapeKeyLabel(combo)}" aria-label="Remove ${escapeKeyLabel(combo)}">
+                <span class="material-icons">close</span>
+            </button>
+        </span>
+    `).join('');
+
+    return `
+        <li class="keybinding-row${conflictNames.length > 0 ? ' conflict' : ''}" data-action="${action.id}">
+            <span class="keybinding-label">
+                ${action.label}
+                ${conflictNames.length > 0 ? `<span class="keybinding-conflict">Also used by ${conflictNames.join(', ')}</span>` : ''}
+            </span>
+            <span class="keybinding-keys">
+                ${chips}
+                <button type="button" class="keybinding-record${recording ? ' recording' : ''}">${recording ? 'Press a key…' : 'Add'}</button>
+                ${isActionCustomized(action.id) ? `<button type="button" class="keybinding-reset" title="Reset to default" aria-label="Reset to default">
+                    <span class="material-icons">undo</span>
+                </button>` : ''}
+            </span>
+        </li>
+    `;
+}
+
+function setupKeybindingSettings() {
+    // Another tab changed the bindings
+    window.addEventListener('storage', (e) => {
+        if (e.key !== KEYBINDINGS_KEY) return;
+        reloadKeybindings();
+        if (document.getElementById('keybinding-dialog')?.open) renderKeybindingSettings();
+        renderKeybindingHints();
+    });
+}
+
+export { openKeybindingSettings, setupKeybindingSettings };
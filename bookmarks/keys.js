@@ -0,0 +1,265 @@
+// Action and keybinding registry. Every keyboard shortcut is an action
+// registered here; the keydown handler, the command palette and the help
+// overlay all read from the same list so they can't drift apart.
+//
+// Key combos are written "Mod+k", "Alt+1", "Shift+ArrowUp", "?". Mod is Cmd on
+// macOS and Ctrl elsewhere. Modifiers come first in the order Ctrl, Alt,
+// Shift, Meta; letters are lowercase. "Alt+1-9" binds a digit range.
+//
+// Bindings are the action's defaults plus the active preset's, unless the
+// user remapped the action in the shortcuts panel (keybindings.js).
+
+const KEYBINDINGS_KEY = 'bookmarks.keybindings';
+const registeredActions = new Map();  // id -> action, in registration order
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+// Extra bindings layered over the defaults
+const KEYMAP_PRESETS = {
+    default: { label: 'Default', keys: {} },
+    vim: {
+        label: 'Vim (h/j/k/l to navigate)',
+        keys: { 'navigate.left': ['h'], 'navigate.down': ['j'], 'navigate.up': ['k'], 'navigate.right': ['l'] }
+    }
+};
+
+let keybindingSettings = loadKeybindings();  // { preset, bindings: { [actionId]: combos } }
+
+// action: { id, label, section?, keys?, keyLabel?, digits?, global?, palette?, fixed?, when?, run }
+//   section   help overlay group; actions without one are palette-only
+//   keys      default bindings
+//   keyLabel  shown in help for keys the browser handles itself, e.g. Enter on a link
+//   digits    bound to a digit range ("Alt+1-9"); run(e) reads the digit pressed
+//   global    also fires while typing in an input
+//   palette   list in the command palette (default true)
+//   fixed     can't be remapped (keyLabel-only actions)
+//   when()    whether the action applies right now
+//   run(e)    return false to let the key fall through to the next match
+function registerAction(action) {
+    const defaultKeys = (action.keys || []).map(normalizeKeyCombo);
+    const registered = { palette: true, ...action, defaultKeys, keys: [] };
+    registered.keys = resolveActionKeys(registered);
+    registeredActions.set(action.id, registered);
+}
+
+function resolveActionKeys(action) {
+    const custom = keybindingSettings.bindings[action.id];
+    if (custom) return custom.map(normalizeKeyCombo);
+    const preset = KEYMAP_PRESETS[keybindingSettings.preset].keys[action.id] || [];
+    return [...action.defaultKeys, ...preset.map(normalizeKeyCombo)];
+}
+
+function refreshActionKeys() {
+    registeredActions.forEach(action => {
+        action.keys = resolveActionKeys(action);
+    });
+}
+
+function loadKeybindings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(KEYBINDINGS_KEY) || '{}');
+        const bindings = settings.bindings && typeof settings.bindings === 'object' ? settings.bindings : {};
+        return {
+            preset: Object.hasOwn(KEYMAP_PRESETS, settings.preset) ? settings.preset : 'default',
+            bindings: Object.fromEntries(Object.entries(bindings)
+                .filter(([, combos]) => Array.isArray(combos) && combos.every(combo => typeof combo === 'string')))
+        };
+    } catch {
+        return { preset: 'default', bindings: {} };
+    }
+}
+
+function saveKeybindings() {
+    try {
+        localStorage.setItem(KEYBINDINGS_KEY, JSON.stringify(keybindingSettings));
+    } catch (error) {
+        console.warn('Could not save keyboard shortcuts:', error);
+    }
+    refreshActionKeys();
+}
+
+function setKeymapPreset(preset) {
+    keybindingSettings.preset = preset;
+    saveKeybindings();
+}
+
+// Replaces the action's bindings; null goes back to default + preset
+function setActionKeys(id, combos) {
+    if (combos === null) {
+        delete keybindingSettings.bindings[id];
+    } else {
+        keybindingSettings.bindings[id] = combos.map(normalizeKeyCombo);
+    }
+    saveKeybindings();
+}
+
+function isActionCustomized(id) {
+    return Object.hasOwn(keybindingSettings.bindings, id);
+}
+
+// After another tab saved them
+function reloadKeybindings() {
+    keybindingSettings = loadKeybindings();
+    refreshActionKeys();
+}
+
+function resetKeybindings() {
+    keybindingSettings = { preset: 'default', bindings: {} };
+    saveKeybindings();
+}
+
+// "Alt+1-9" -> ["Alt+1", ..., "Alt+9"]; plain combos -> [combo]
+function expandKeyCombo(combo) {
+    const range = /^(.*?)(\d)-(\d)$/.exec(combo);
+    if (!range) return [combo];
+    const keys = [];
+    for (let digit = Number(range[2]); digit <= Number(range[3]); digit++) keys.push(range[1] + digit);
+    return keys;
+}
+
+function comboMatches(binding, combo) {
+    return binding === combo || expandKeyCombo(binding).includes(combo);
+}
+
+// Other actions already bound to any key in combo
+function findConflictingActions(combo, exceptId) {
+    const keys = expandKeyCombo(normalizeKeyCombo(combo));
+    return [...registeredActions.values()].filter(action => action.id !== exceptId &&
+        action.keys.some(binding => expandKeyCombo(binding).some(key => keys.includes(key))));
+}
+
+function getAction(id) {
+    return registeredActions.get(id) || null;
+}
+
+function isActionAvailable(action) {
+    return !action.when || action.when();
+}
+
+function normalizeKeyCombo(combo) {
+    const parts = combo.split('+');
+    // "Shift++" style combos aren't used; a bare "+" is the key itself
+    const key = parts.pop() || '+';
+    const modifiers = parts.map(part => part === 'Mod' ? (isMacPlatform() ? 'Meta' : 'Ctrl') : part);
+    const orderedModifiers = MODIFIER_ORDER.filter(modifier => modifiers.includes(modifier));
+    return [...orderedModifiers, key.length === 1 ? key.toLowerCase() : key].join('+');
+}
+
+function isMacPlatform() {
+    return /Mac|iPhone|iPad|iPod/.test(navigator.userAgent);
+}
+
+// The combo a keydown event stands for, in normalizeKeyCombo form
+function eventToKeyCombo(e) {
+    let key = e.key;
+    // Alt and Shift turn digits into other characters ("¡", "!"); the physical key is what counts
+    const digit = /^Digit([0-9])$/.exec(e.code || '');
+    if (digit && (e.altKey || e.shiftKey)) key = digit[1];
+    // For "?" or "/" Shift is part of typing the character, not a modifier
+    const isSymbol = key.length === 1 && !/[a-z0-9]/i.test(key);
+
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey && !isSymbol) modifiers.push('Shift');
+    if (e.metaKey) modifiers.push('Meta');
+    return [...modifiers, key.length === 1 ? key.toLowerCase() : key].join('+');
+}
+
+// Whether the event's combo is one of the action's bindings
+function matchesAction(id, e) {
+    const combo = eventToKeyCombo(e);
+    return getAction(id)?.keys.some(binding => comboMatches(binding, combo)) ?? false;
+}
+
+// Run the first applicable action bound to the event's combo. Returns true when one ran.
+function dispatchKeybinding(e, { inInput = false } = {}) {
+    const combo = eventToKeyCombo(e);
+    for (const action of registeredActions.values()) {
+        if (!action.keys.some(binding => comboMatches(binding, combo))) continue;
+        if (inInput && !action.global) continue;
+        if (!isActionAvailable(action)) continue;
+        if (action.run(e) === false) continue;
+        e.preventDefault();
+        return true;
+    }
+    return false;
+}
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    ' ': 'Space'
+};
+
+function formatModifier(modifier) {
+    const names = isMacPlatform()
+        ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' }
+        : { Mod: 'Ctrl', Ctrl: 'Ctrl', Alt: 'Alt', Shift: '⇧', Meta: 'Win' };
+    return names[modifier] || modifier;
+}
+
+// ["⌘", "K"] on macOS, ["Ctrl", "K"] elsewhere
+function formatKeyCombo(combo) {
+    const parts = normalizeKeyCombo(combo).split('+');
+    const key = parts.pop() || '+';
+    return [...parts.map(formatModifier), KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key)];
+}
+
+// <kbd> markup for a combo; "Alt+1-9" renders the range as <kbd>Alt</kbd><kbd>1</kbd>-<kbd>9</kbd>
+function renderKeyCombo(combo) {
+    const range = /^((?:\w+\+)*)(\w)-(\w)$/.exec(combo);
+    if (range) {
+        const modifiers = range[1].split('+').filter(Boolean).map(formatModifier);
+        return modifiers.map(part => `<kbd>${part}</kbd>`).join('') +
+            `<kbd>${range[2].toUpperCase()}</kbd>-<kbd>${range[3].toUpperCase()}</kbd>`;
+    }
+    return formatKeyCombo(combo).map(part => `<kbd>${escapeKeyLabel(part)}</kbd>`).join('');
+}
+
+function escapeKeyLabel(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderActionKeys(action) {
+    if (action.keyLabel) return renderKeyCombo(action.keyLabel);
+    return action.keys.map(renderKeyCombo).join(' ');
+}
+
+// Help overlay sections: [{ section, actions }] in first-registered order
+function getHelpSections() {
+    const sections = new Map();
+    registeredActions.forEach(action => {
+        if (!action.section || (action.keys.length === 0 && !action.keyLabel)) return;
+        if (!sections.has(action.section)) sections.set(action.section, []);
+        sections.get(action.section).push(action);
+    });
+    return [...sections].map(([section, sectionActions]) => ({ section, actions: sectionActions }));
+}
+
+export {
+    KEYBINDINGS_KEY,
+    registeredActions,
+    KEYMAP_PRESETS,
+    keybindingSettings,
+    registerAction,
+    setKeymapPreset,
+    setActionKeys,
+    isActionCustomized,
+    reloadKeybindings,
+    resetKeybindings,
+    expandKeyCombo,
+    findConflictingActions,
+    getAction,
+    isActionAvailable,
+    isMacPlatform,
+    eventToKeyCombo,
+    matchesAction,
+    dispatchKeybinding,
+    formatKeyCombo,
+    renderKeyCombo,
+    escapeKeyLabel,
+    renderActionKeys,
+    getHelpSections
+};
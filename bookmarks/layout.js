@@ -0,0 +1,257 @@
+// How the grid is laid out: cards, a dense list or a sortable table, which
+// category and section groups are collapsed, and the jump-to-category outline.
+// Layout and collapsed groups are remembered in localStorage.
+
+import { renderCategoryColor } from './theme.js';
+import { tagMatchesFilter } from './tags.js';
+import { escapeHTML, safeUrl } from './html.js';
+import { bookmarkHost } from './search.js';
+import { groupBookmarks, groupKey, highlightMatch, renderFavicon, renderHealthBadge } from './markup.js';
+import { showCardRange } from './render.js';
+import {
+    bookmarkIds,
+    linkReport,
+    faviconIcons,
+    store,
+    getFilteredBookmarks,
+    gridLayout,
+    renderBookmarks
+} from './app.js';
+
+const LAYOUT_KEY = 'bookmarks.layout';
+const COLLAPSED_GROUPS_KEY = 'bookmarks.collapsedGroups';
+const LAYOUTS = {
+    cards: { label: 'Cards', icon: 'grid_view' },
+    list: { label: 'List', icon: 'view_list' },
+    table: { label: 'Table', icon: 'table_rows' }
+};
+const TABLE_COLUMNS = {
+    title: 'Title',
+    host: 'Host',
+    category: 'Category',
+    section: 'Section',
+    tags: 'Tags'
+};
+
+let layoutSettings = loadLayoutSettings();  // { layout, sortColumn, sortDirection }
+let collapsedGroups = loadCollapsedGroups();  // groupKey() values
+
+function loadLayoutSettings() {
+    const defaults = { layout: 'cards', sortColumn: null, sortDirection: 'asc' };
+    try {
+        const settings = JSON.parse(localStorage.getItem(LAYOUT_KEY) || '{}');
+        return {
+            layout: Object.hasOwn(LAYOUTS, settings.layout) ? settings.layout : defaults.layout,
+            sortColumn: Object.hasOwn(TABLE_COLUMNS, settings.sortColumn) ? settings.sortColumn : defaults.sortColumn,
+            sortDirection: settings.sortDirection === 'desc' ? 'desc' : defaults.sortDirection
+        };
+    } catch {
+        return defaults;
+    }
+}
+
+function saveLayoutSettings() {
+    try {
+        localStorage.setItem(LAYOUT_KEY, JSON.stringify(layoutSettings));
+    } catch (error) {
+        console.warn('Could not save layout:', error);
+    }
+}
+
+function loadCollapsedGroups() {
+    try {
+        const groups = JSON.parse(localStorage.getItem(COLLAPSED_GROUPS_KEY) || '[]');
+        return new Set(Array.isArray(groups) ? groups.filter(group => typeof group === 'string') : []);
+    } catch {
+        return new Set();
+    }
+}
+
+function saveCollapsedGroups() {
+    try {
+        localStorage.setItem(COLLAPSED_GROUPS_KEY, JSON.stringify([...collapsedGroups]));
+    } catch (error) {
+        console.warn('Could not save collapsed groups:', error);
+    }
+}
+
+function isGroupCollapsed(key) {
+    return collapsedGroups.has(key);
+}
+
+function toggleGroupCollapsed(key, collapse = !collapsedGroups.has(key)) {
+    if (collapse) {
+        collapsedGroups.add(key);
+    } else {
+        collapsedGroups.delete(key);
+    }
+    saveCollapsedGroups();
+    renderBookmarks();
+}
+
+// Collapse every category on screen, or expand them along with their sections
+function setAllCategoriesCollapsed(collapse) {
+    getFilteredCategories().forEach(category => {
+        if (collapse) {
+            collapsedGroups.add(groupKey(category));
+            return;
+        }
+        collapsedGroups.forEach(key => {
+            if (key === category || key.startsWith(`${category} › `)) collapsedGroups.delete(key);
+        });
+    });
+    saveCollapsedGroups();
+    renderBookmarks();
+}
+
+function getFilteredCategories() {
+    return Object.keys(groupBookmarks(getFilteredBookmarks())).sort((a, b) => a.localeCompare(b));
+}
+
+function setLayout(layout) {
+    if (layout === layoutSettings.layout) return;
+    layoutSettings.layout = layout;
+    saveLayoutSettings();
+    renderBookmarks();
+}
+
+// Header clicks cycle ascending -> descending -> back to the grid's own order
+function setTableSort(column) {
+    if (layoutSettings.sortColumn !== column) {
+        layoutSettings.sortColumn = column;
+        layoutSettings.sortDirection = 'asc';
+    } else if (layoutSettings.sortDirection === 'asc') {
+        layoutSettings.sortDirection = 'desc';
+    } else {
+        layoutSettings.sortColumn = null;
+        layoutSettings.sortDirection = 'asc';
+    }
+    saveLayoutSettings();
+    renderBookmarks();
+}
+
+function tableSortValue(bookmark, column) {
+    if (column === 'host') return bookmarkHost(bookmark);
+    if (column === 'tags') return bookmark.tags.join(' ');
+    return bookmark[column] || '';
+}
+
+function sortTableRows(bookmarkList) {
+    const { sortColumn, sortDirection } = layoutSettings;
+    if (!sortColumn) return bookmarkList;
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    return [...bookmarkList].sort((a, b) => {
+        const aValue = tableSortValue(a, sortColumn);
+        const bValue = tableSortValue(b, sortColumn);
+        // Empty cells last in either direction
+        if (!aValue !== !bValue) return aValue ? -1 : 1;
+        return direction * aValue.localeCompare(bValue) || a.title.localeCompare(b.title);
+    });
+}
+
+function renderLayoutSwitch() {
+    return `<div class="layout-switch" role="group" aria-label="Layout">${Object.entries(LAYOUTS).map(([layout, { label, icon }]) =>
+        `<button class="layout-option${layoutSettings.layout === layout ? ' selected' : ''}" data-layout="${layout}" title="${label}" aria-label="${label}" aria-pressed="${layoutSettings.layout === layout}"><span class="material-icons">${icon}</span></button>`
+    ).join('')}</div>`;
+}
+
+// The outline only makes sense while the grid is grouped by category
+function renderOutlineButton() {
+    return `
+        <div class="outline-wrapper">
+            <button class="outline-toggle" aria-haspopup="menu" aria-expanded="false" title="Jump to category"><span class="material-icons">toc</span>Jump to</button>
+            <div id="outline-menu" class="popover-menu outline-menu hidden" role="menu"></div>
+        </div>
+    `;
+}
+
+function renderOutlineMenu() {
+    const grouped = groupBookmarks(getFilteredBookmarks());
+    const count = category => grouped[category].noSection.length +
+        Object.values(grouped[category].sections).reduce((sum, list) => sum + list.length, 0);
+    document.getElementById('outline-menu').innerHTML = `
+        <span class="popover-label">Categories</span>
+        ${getFilteredCategories().map(category =>
+            `<button role="menuitem" data-jump="${escapeHTML(category)}">${escapeHTML(category)}<span class="outline-count">${count(category)}</span></button>`
+        ).join('')}
+    `;
+}
+
+function toggleOutlineMenu(force) {
+    const menu = document.getElementById('outline-menu');
+    if (!menu) return;
+    const open = force ?? menu.classList.contains('hidden');
+    if (open) renderOutlineMenu();
+    menu.classList.toggle('hidden', !open);
+    document.querySelector('.outline-toggle').setAttribute('aria-expanded', String(open));
+    if (open) menu.querySelector('button')?.focus();
+}
+
+// Scroll to a category, expanding it and rendering up to it first, and focus its first card
+function jumpToCategory(category) {
+    if (isGroupCollapsed(groupKey(category))) toggleGroupCollapsed(groupKey(category), false);
+    showCardRange(gridLayout.categoryStarts.get(category) ?? 0);
+    const group = [...document.querySelectorAll('.category-group[data-category]')].find(el => el.dataset.category === category);
+    if (!group) return;
+    group.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    const target = group.querySelector('.link-card') || group.querySelector('.group-toggle');
+    target?.focus({ preventScroll: true });
+}
+
+// rows come sorted (sortTableRows) and cut to the render window by the caller
+function renderBookmarkTable(rows) {
+    const { sortColumn, sortDirection } = layoutSettings;
+    const headers = Object.entries(TABLE_COLUMNS).map(([column, label]) => {
+        const sorted = sortColumn === column;
+        const ariaSort = sorted ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none';
+        const icon = sorted ? (sortDirection === 'asc' ? 'arrow_upward' : 'arrow_downward') : 'unfold_more';
+        return `<th aria-sort="${ariaSort}"><button class="table-sort${sorted ? ' sorted' : ''}" data-column="${column}">${label}<span class="material-icons">${icon}</span></button></th>`;
+    }).join('');
+
+    return { key: 'table', html: '<table class="bookmark-table"></table>', children: [
+        { key: 'head', html: `<thead><tr>${headers}</tr></thead>` },
+        { key: 'body', html: '<tbody data-group="results"></tbody>', children: rows.map(link => ({ key: bookmarkIds.get(link), html: renderBookmarkRow(link) })) }
+    ] };
+}
+
+// The title cell holds the .link-card, so opening, selection and arrow keys work as in the grid
+function renderBookmarkRow(link) {
+    const host = bookmarkHost(link);
+    const href = safeUrl(link.url);
+    const { searchQuery, selectedTags } = store.filters;
+    const title = searchQuery ? highlightMatch(link.title, searchQuery) : escapeHTML(link.title);
+    return `
+        <tr>
+            <td class="table-title">
+                <a${href ? ` href="${escapeHTML(href)}"` : ''} class="link-card table-card" data-id="${escapeHTML(bookmarkIds.get(link))}"${renderCategoryColor(link.category)} target="_blank" rel="noopener noreferrer"${link.description ? ` title="${escapeHTML(link.description)}"` : ''}>
+                    <span class="link-favicon" aria-hidden="true">${renderFavicon(host, faviconIcons)}</span>
+                    <span class="link-title">${title}</span>
+                </a>
+                ${renderHealthBadge(link, linkReport)}
+            </td>
+            <td class="table-host">${escapeHTML(host)}</td>
+            <td>${escapeHTML(link.category)}</td>
+            <td>${escapeHTML(link.section)}</td>
+            <td><span class="link-tags">${link.tags.map(t =>
+                `<span class="link-tag${[...selectedTags].some(s => tagMatchesFilter(t, s)) ? ' active' : ''}">${escapeHTML(t)}</span>`
+            ).join('')}</span></td>
+        </tr>
+    `;
+}
+
+export {
+    LAYOUTS,
+    layoutSettings,
+    collapsedGroups,
+    isGroupCollapsed,
+    toggleGroupCollapsed,
+    setAllCategoriesCollapsed,
+    setLayout,
+    setTableSort,
+    sortTableRows,
+    renderLayoutSwitch,
+    renderOutlineButton,
+    toggleOutlineMenu,
+    jumpToCategory,
+    renderBookmarkTable
+};
@@ -0,0 +1,5 @@
+// Entry point: index.html loads this one module, which imports the rest.
+
+import { startApp } from './app.js';
+
+startApp();
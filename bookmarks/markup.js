@@ -0,0 +1,338 @@
+// Markup shared by the app and tools/build-static.js, which pre-renders the
+// grid, tag list and category pills into index.html and a page per category and
+// tag. Nothing here reads the app's state or the DOM: callers pass in what the
+// markup depends on, so the build writes what the app would render and the app
+// can keep it (see adoptPrerendered in render.js).
+
+import { tagMatchesFilter } from './tags.js';
+import { escapeHTML, safeUrl, highlightHTML } from './html.js';
+import { getMatchIndices } from './search.js';
+import { classifyLinkResult, describeLinkResult } from './health.js';
+import { resolveFaviconUrl } from './favicons.js';
+
+const FALLBACK_FAVICON_HTML = '<span class="material-icons link-fallback-icon">link</span>';
+
+const HEALTH_BADGES = {
+    dead: { icon: 'link_off', label: 'Dead' },
+    redirected: { icon: 'alt_route', label: 'Redirected' },
+    slow: { icon: 'hourglass_bottom', label: 'Slow' }
+};
+
+function groupBookmarks(bookmarkList) {
+    // Group by category, then by section
+    const grouped = {};
+
+    bookmarkList.forEach(b => {
+        const cat = b.category || 'Uncategorized';
+        const sec = b.section || '';
+
+        if (!grouped[cat]) grouped[cat] = { noSection: [], sections: {} };
+
+        if (sec) {
+            if (!grouped[cat].sections[sec]) grouped[cat].sections[sec] = [];
+            grouped[cat].sections[sec].push(b);
+        } else {
+            grouped[cat].noSection.push(b);
+        }
+    });
+
+    return grouped;
+}
+
+// groupBookmarks() in grid order: [{ category, noSection, sections: [[section, bookmarks]] }]
+// with categories and sections A–Z and the bookmarks in each sorted (in place) by compare
+function sortBookmarkGroups(grouped, compare) {
+    return Object.keys(grouped).sort((a, b) => a.localeCompare(b)).map(category => ({
+        category,
+        noSection: grouped[category].noSection.sort(compare),
+        sections: Object.keys(grouped[category].sections).sort((a, b) => a.localeCompare(b))
+            .map(section => [section, grouped[category].sections[section].sort(compare)])
+    }));
+}
+
+// "Learning" for a category, "Learning › Courses" for a section in it
+function groupKey(category, section = '') {
+    return section ? `${category} › ${section}` : category;
+}
+
+// Escaped text with each run of fuzzy-matched characters in <mark>
+function highlightMatch(text, query) {
+    return highlightHTML(text, getMatchIndices(text, query));
+}
+
+// Attributes for a heading, pill or card of a category that has a colour
+function renderCategoryColorStyle(color) {
+    return color ? ` data-category-color style="--category-color: ${escapeHTML(color)}"` : '';
+}
+
+// style attribute setting --collection-color, when the manifest gives a colour
+function renderCollectionColor(collection) {
+    return collection.color ? ` style="--collection-color: ${escapeHTML(collection.color)}"` : '';
+}
+
+// Coloured dots for the collections a bookmark is in; callers pass none while there's only one
+function renderCollectionDots(collectionList) {
+    if (collectionList.length === 0) return '';
+    return `<span class="link-collections">${collectionList.map(collection =>
+        `<span class="collection-dot" title="${escapeHTML(collection.name)}"${renderCollectionColor(collection)}></span>`
+    ).join('')}</span>`;
+}
+
+// The site's icon; setupFaviconFallback() swaps in the generic one if it fails to load
+function renderFavicon(host, icons) {
+    return `<img data-favicon src="${escapeHTML(resolveFaviconUrl(host, icons))}" alt="" loading="lazy">`;
+}
+
+// report: url -> result from link-report.json
+function renderHealthBadge(link, report) {
+    const state = classifyLinkResult(link.url, report[link.url]);
+    const badge = HEALTH_BADGES[state];
+    if (!badge) return '';
+    return `<span class="health-badge ${state}" title="${escapeHTML(describeLinkResult(report[link.url]))}"><span class="material-icons">${badge.icon}</span>${badge.label}</span>`;
+}
+
+// context: { query, selectedTags, categoryColors, faviconIcons, linkReport,
+// bookmarkId(link), badgeLabel(position) (null for none), collectionsOf(link) }
+function renderLinkCard(link, index, showBreadcrumb, context) {
+    const { query, selectedTags, categoryColors } = context;
+    const host = new URL(link.url).hostname;
+    const href = safeUrl(link.url);
+    const title = query ? highlightMatch(link.title, query) : escapeHTML(link.title);
+    const desc = query ? highlightMatch(link.description || '', query) : escapeHTML(link.description);
+    const breadcrumb = showBreadcrumb ? [link.category || 'Uncategorized', link.section].filter(Boolean).join(' › ') : '';
+    const badgeLabel = index < 9 ? context.badgeLabel(index + 1) : null;
+    const badge = badgeLabel ? `<span class="position-badge">${badgeLabel}</span>` : '';
+    const color = Object.hasOwn(categoryColors, link.category) ? categoryColors[link.category] : '';
+    return `
+        <a${href ? ` href="${escapeHTML(href)}"` : ''} class="link-card" data-id="${escapeHTML(context.bookmarkId(link))}"${renderCategoryColorStyle(color)} target="_blank" rel="noopener noreferrer">
+            ${badge}
+            <span class="card-actions">
+                <button class="card-action edit-btn" aria-label="Edit bookmark"><span class="material-icons">edit</span></button>
+                <button class="card-action delete-btn" aria-label="Delete bookmark"><span class="material-icons">delete</span></button>
+            </span>
+            <div class="link-left">
+                <div class="link-favicon" aria-hidden="true">
+                    ${renderFavicon(host, context.faviconIcons)}
+                </div>
+                <button class="copy-btn" data-url="${escapeHTML(href)}" data-title="${escapeHTML(link.title)}" aria-label="Copy link">
+                    <span class="material-icons">content_copy</span>
+                </button>
+            </div>
+            <div class="link-info">
+                <span class="link-title">${title}</span>
+                <span class="link-url">${renderCollectionDots(context.collectionsOf(link))}${escapeHTML(host)}</span>
+                ${renderHealthBadge(link, context.linkReport)}
+                ${breadcrumb ? `<span class="link-breadcrumb">${escapeHTML(breadcrumb)}</span>` : ''}
+                ${desc ? `<span class="link-description">${desc}</span>` : ''}
+                <span class="link-tags">${link.tags.map(t =>
+                    `<span class="link-tag${[...selectedTags].some(s => tagMatchesFilter(t, s)) ? ' active' : ''}">${escapeHTML(t)}</span>`
+                ).join('')}</span>
+            </div>
+        </a>
+    `;
+}
+
+function renderGroupToggle(key, name, count, collapsed) {
+    return `<button class="group-toggle" data-group="${escapeHTML(key)}" aria-expanded="${!collapsed}"><span class="material-icons">expand_more</span>${escapeHTML(name)}${collapsed ? `<span class="group-count">${count}</span>` : ''}</button>`;
+}
+
+// group: a gridLayout.groups key
+function renderSelectGroupButton(group, name) {
+    return `<button class="select-group" data-group="${escapeHTML(group)}" title="Select all in ${escapeHTML(name)}" aria-label="Select all in ${escapeHTML(name)}"><span class="material-icons">select_all</span></button>`;
+}
+
+// A category's node in the grid, with its heading; grids and sections go after it
+function renderCategoryGroupNode(category, { count, collapsed, color }) {
+    const id = `category:${category}`;
+    return {
+        key: id,
+        html: `<div class="category-group${collapsed ? ' collapsed' : ''}" data-category="${escapeHTML(category)}"></div>`,
+        children: [{
+            key: 'heading',
+            html: `<h1 class="category-heading"${renderCategoryColorStyle(color)}>${renderGroupToggle(groupKey(category), category, count, collapsed)}${collapsed ? '' : renderSelectGroupButton(id, category)}</h1>`
+        }]
+    };
+}
+
+function renderSectionHeadingNode(category, section, { count, collapsed }) {
+    const key = groupKey(category, section);
+    return {
+        key: `heading:${section}`,
+        html: `<h2 class="section-heading">${renderGroupToggle(key, section, count, collapsed)}${collapsed ? '' : renderSelectGroupButton(`grid:${key}`, section)}</h2>`
+    };
+}
+
+// cards: [{ key, html }] from renderLinkCard
+function renderLinksGridNode(id, cards) {
+    return { key: id, html: `<div class="links-grid" data-group="${escapeHTML(id)}"></div>`, children: cards };
+}
+
+// The tag tree flattened into the rows the tag list shows, [{ tag, name, count,
+// state, depth, hasChildren, expanded }]. Without an active filter every tag
+// shows; with one, those in available (tag -> count) or part of the filter.
+// Children of collapsed parents are left out unless one of them is in the filter.
+function listTagRows(tree, { counts, available, selectedTags, excludedTags, expandedTags, active }) {
+    const stateOrder = { include: 2, exclude: 1 };
+    const getState = tag => selectedTags.has(tag) ? 'include' : (excludedTags.has(tag) ? 'exclude' : null);
+    const hasState = tag => [...selectedTags, ...excludedTags].some(t => tagMatchesFilter(t, tag));
+
+    const sortNodes = nodes => nodes
+        .map(node => ({ ...node, count: counts[node.tag] || 0, state: getState(node.tag) }))
+        .filter(({ tag }) => hasState(tag) || !active || available[tag])
+        .sort((a, b) => {
+            const aState = stateOrder[a.state] || 0;
+            const bState = stateOrder[b.state] || 0;
+            if (aState !== bState) return bState - aState;
+            if (b.count !== a.count) return b.count - a.count;
+            return a.tag.localeCompare(b.tag);
+        });
+
+    const rows = [];
+    const addRows = (nodes, depth) => sortNodes(nodes).forEach(node => {
+        const children = sortNodes(node.children);
+        const expanded = children.length > 0 &&
+            (expandedTags.has(node.tag) || children.some(child => hasState(child.tag)));
+        rows.push({ ...node, depth, hasChildren: children.length > 0, expanded });
+        if (expanded) addRows(node.children, depth + 1);
+    });
+    addRows(tree, 0);
+    return rows;
+}
+
+// Nodes for the tag list. With href (tag -> page URL), tags are links to
+// static pages, for the build; the app's are toggle buttons, pressed when the
+// tag is included. Keyboard users open parent tags with Right/Left, so the
+// expand buttons are left out of the Tab order.
+function renderTagRows(rows, href = null) {
+    const isTree = rows.some(row => row.hasChildren);
+    const maxCount = rows.reduce((max, { count }) => Math.max(max, count), 0);
+    const stateClass = { include: ' selected', exclude: ' excluded' };
+    const stateTitle = { include: 'Click to exclude', exclude: 'Click to clear' };
+
+    return rows.map(({ tag, name, count, state, depth, hasChildren, expanded }) => {
+        const fill = maxCount > 0 ? Math.round((count / maxCount) * 100) : 0;
+        const toggle = hasChildren
+            ? `<button class="tag-expand" data-expand="${escapeHTML(tag)}" tabindex="-1" aria-expanded="${expanded}" aria-label="${expanded ? 'Collapse' : 'Expand'} ${escapeHTML(tag)}"><span class="material-icons">chevron_right</span></button>`
+            : (isTree ? '<span class="tag-expand-spacer"></span>' : '');
+        const attributes = `class="tag-item${stateClass[state] || ''}" data-tag="${escapeHTML(tag)}"${hasChildren ? ` data-expanded="${expanded}"` : ''}`;
+        const opening = href
+            ? `<a ${attributes} href="${escapeHTML(href(tag))}" title="${escapeHTML(tag)}"${state === 'include' ? ' aria-current="true"' : ''} style="--tag-fill: ${fill}%">`
+            : `<button ${attributes} title="${escapeHTML(tag)} · ${stateTitle[state] || 'Click to include'}" aria-pressed="${state === 'include'}" style="--tag-fill: ${fill}%">`;
+        return { key: `tag:${tag}`, html: `
+        <div class="tag-node" style="--tag-depth: ${depth}">
+            ${toggle}
+            ${opening}
+                <span class="tag-label">${escapeHTML(name)}</span>
+                ${state === 'exclude' ? '<span class="visually-hidden">excluded,</span>' : ''}
+                <span class="tag-count">${count}</span>
+            ${href ? '</a>' : '</button>'}
+        </div>
+    ` };
+    });
+}
+
+// Nodes for the filter pills. options: { collections: [{ collection, count }]
+// (none while there's only one), selectedCollection, brokenCount,
+// showBrokenLinks, categories, selectedCategory, sections, selectedSection,
+// categoryColors, href }. With href (filter -> page URL or null), pills are
+// links to static pages and the ones without a page are left out.
+function renderFilterPills(options) {
+    const { selectedCollection, selectedCategory, selectedSection, categoryColors, href } = options;
+    const colorOf = category => renderCategoryColorStyle(Object.hasOwn(categoryColors, category) ? categoryColors[category] : '');
+    const pills = [];
+    // Adds a pill; false when it has no page to link to. Buttons are toggles;
+    // links to a selected filter's page are marked as current.
+    const pill = (key, filter, className, selected, attributes, content) => {
+        const url = href ? href(filter) : null;
+        if (href && url === null) return false;
+        const classes = `${className}${selected ? ' selected' : ''}`;
+        pills.push({ key, html: href
+            ? `<a class="${classes}" href="${escapeHTML(url)}"${selected ? ' aria-current="true"' : ''}${attributes}>${content}</a>`
+            : `<button class="${classes}" aria-pressed="${selected}"${attributes}>${content}</button>` });
+        return true;
+    };
+    const divider = key => pills.push({ key, html: `<span class="filter-divider"></span>` });
+
+    // Collection switcher - only once there's more than one
+    const collectionPills = options.collections.filter(({ collection, count }) =>
+        pill(`collection:${collection.id}`, { collection: collection.id }, 'filter-pill collection-pill', selectedCollection === collection.id,
+            ` data-collection="${escapeHTML(collection.id)}"${renderCollectionColor(collection)}`,
+            `<span class="collection-dot"></span>${escapeHTML(collection.name)}<span class="pill-count">${count}</span>`));
+    if (collectionPills.length > 0) divider('collection-divider');
+
+    // "All" pill - always visible
+    pill('all', {}, 'filter-pill', !selectedCategory, ' data-category="all"', 'All');
+
+    // Broken links pill - only when the link report found any
+    if (options.brokenCount > 0 || options.showBrokenLinks) {
+        const shown = pill('broken', { links: 'broken' }, 'filter-pill health-pill', options.showBrokenLinks,
+            ` data-health="broken" title="Links the last link check couldn't reach"`,
+            `<span class="material-icons">link_off</span>Broken links<span class="pill-count">${options.brokenCount}</span>`);
+        if (shown) divider('broken-divider');
+    }
+
+    if (!selectedCategory) {
+        // No category selected: show all category pills
+        options.categories.forEach(cat => {
+            pill(`category:${cat}`, { category: cat }, 'filter-pill', false, ` data-category="${escapeHTML(cat)}"${colorOf(cat)}`, escapeHTML(cat));
+        });
+    } else {
+        // Category selected: show only selected category + sections
+        pill(`category:${selectedCategory}`, { category: selectedCategory }, 'filter-pill', true,
+            ` data-category="${escapeHTML(selectedCategory)}"${colorOf(selectedCategory)}`, escapeHTML(selectedCategory));
+
+        // Sections with no page of their own are left out of the links
+        const sectionFilter = sec => ({ category: selectedCategory, section: sec });
+        const sections = options.sections.filter(sec => !href || href(sectionFilter(sec)) !== null);
+        if (sections.length > 0) {
+            divider('section-divider');
+            sections.forEach(sec => {
+                pill(`section:${sec}`, sectionFilter(sec), 'filter-pill section-pill', selectedSection === sec,
+                    ` data-section="${escapeHTML(sec)}"`, escapeHTML(sec));
+            });
+        }
+    }
+
+    return pills;
+}
+
+// FNV-1a of a node's html, for data-patch-hash
+function hashMarkup(html) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < html.length; i++) {
+        hash ^= html.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// Keyed nodes (see patchChildren) as one HTML string, each element marked with
+// its key and the hash of its markup so the app's first patch can adopt it.
+// Children go inside their parent's shell.
+function renderPatchedHTML(nodes) {
+    return nodes.map(node => {
+        const attributes = ` data-patch-key="${escapeHTML(node.key)}" data-patch-hash="${hashMarkup(node.html)}"`;
+        const html = node.html.trim().replace(/^<[a-z][a-z0-9-]*/i, tag => tag + attributes);
+        return node.children ? html.replace(/(<\/[a-z][a-z0-9-]*>)$/i, `${renderPatchedHTML(node.children)}$1`) : html;
+    }).join('');
+}
+
+export {
+    FALLBACK_FAVICON_HTML,
+    groupBookmarks,
+    sortBookmarkGroups,
+    groupKey,
+    highlightMatch,
+    renderCategoryColorStyle,
+    renderFavicon,
+    renderHealthBadge,
+    renderLinkCard,
+    renderCategoryGroupNode,
+    renderSectionHeadingNode,
+    renderLinksGridNode,
+    listTagRows,
+    renderTagRows,
+    renderFilterPills,
+    hashMarkup,
+    renderPatchedHTML
+};
@@ -0,0 +1,367 @@
+// Command palette (Ctrl/Cmd+K): one fuzzy list over actions, saved views,
+// collections, categories, sections, tags and bookmarks. Recently run commands are kept in
+// localStorage and listed first when the query is empty.
+
+import { bookmarkHost, fuzzyMatch } from './search.js';
+import { getTagState, getAllTags } from './filters.js';
+import { savedViews, applySavedView } from './views.js';
+import { registeredActions, isActionAvailable, isMacPlatform, renderKeyCombo } from './keys.js';
+import {
+    collections,
+    bookmarkEntries,
+    store,
+    getAllCategories,
+    getSectionsForCategory,
+    copyLink,
+    selectCollection,
+    selectCategory,
+    selectSection,
+    toggleTag,
+    openBookmark
+} from './app.js';
+
+const RECENT_COMMANDS_KEY = 'bookmarks.recentCommands';
+const MAX_RECENT_COMMANDS = 8;
+const MAX_PALETTE_RESULTS = 50;
+// Small nudges so an action beats a bookmark with the same match quality
+const PALETTE_KIND_BOOST = { action: 0.15, view: 0.1, collection: 0.05, category: 0.05, section: 0.05, tag: 0.05, bookmark: 0 };
+
+let paletteItems = [];
+let paletteResults = [];
+let paletteIndex = 0;
+let paletteReturnFocus = null;
+
+function getCommandPalette() {
+    return document.getElementById('command-palette') || createCommandPalette();
+}
+
+function createCommandPalette() {
+    const dialog = document.createElement('dialog');
+    dialog.id = 'command-palette';
+    dialog.className = 'command-palette';
+    dialog.setAttribute('aria-label', 'Command palette');
+    dialog.innerHTML = `
+        <div class="palette-search">
+            <span class="material-icons">search</span>
+            <input type="text" class="palette-input" placeholder="Search bookmarks, tags and commands…" autocomplete="off" spellcheck="false"
+                role="combobox" aria-expanded="true" aria-controls="palette-results" aria-autocomplete="list">
+        </div>
+        <ul id="palette-results" class="palette-results" role="listbox" aria-label="Results"></ul>
+        <div class="palette-footer">
+            <span><kbd>↑</kbd><kbd>↓</kbd> move</span>
+            <span><kbd>Enter</kbd> run</span>
+            <span>${renderKeyCombo('Mod+Enter')} copy link</span>
+            <span><kbd>Esc</kbd> close</span>
+        </div>
+    `;
+
+    const input = dialog.querySelector('.palette-input');
+    input.addEventListener('input', () => updatePaletteResults(input.value));
+    input.addEventListener('keydown', handlePaletteKeydown);
+
+    const list = dialog.querySelector('.palette-results');
+    list.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('.palette-item');
+        if (option && Number(option.dataset.index) !== paletteIndex) setPaletteIndex(Number(option.dataset.index));
+    });
+    list.addEventListener('click', (e) => {
+        const option = e.target.closest('.palette-item');
+        if (option) runPaletteItem(paletteResults[Number(option.dataset.index)].item);
+    });
+
+    // Click on the backdrop closes
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) closeCommandPalette();
+    });
+    dialog.addEventListener('close', () => {
+        if (paletteReturnFocus && document.contains(paletteReturnFocus)) paletteReturnFocus.focus();
+    });
+
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+function openCommandPalette() {
+    const dialog = getCommandPalette();
+    if (dialog.open) return;
+    // Actions like "Copy focused link" run against what had focus before the palette opened
+    paletteReturnFocus = document.activeElement;
+    paletteItems = buildPaletteItems();
+
+    const input = dialog.querySelector('.palette-input');
+    input.value = '';
+    updatePaletteResults('');
+    dialog.showModal();
+    input.focus();
+}
+
+function closeCommandPalette() {
+    const dialog = document.getElementById('command-palette');
+    if (dialog?.open) dialog.close();
+}
+
+// { id, kind, label, detail, keys, run, copy? } for everything the palette can do
+function buildPaletteItems() {
+    const items = [];
+
+    registeredActions.forEach(action => {
+        if (!action.palette || !isActionAvailable(action)) return;
+        items.push({
+            id: `action:${action.id}`,
+            kind: 'action',
+            label: action.label,
+            detail: action.section || 'Command',
+            keys: action.keyLabel || action.keys[0] || null,
+            run: () => action.run()
+        });
+    });
+
+    savedViews.forEach(view => items.push({
+        id: `view:${view.name}`,
+        kind: 'view',
+        label: view.name,
+        detail: 'Saved view',
+        keys: view.shortcut ? `Shift+${view.shortcut}` : null,
+        run: () => applySavedView(view)
+    }));
+
+    // Picking one runs the collection switcher, so a selected one toggles off
+    if (collections.length > 1) {
+        collections.forEach(collection => items.push({
+            id: `collection:${collection.id}`,
+            kind: 'collection',
+            label: collection.name,
+            detail: store.filters.selectedCollection === collection.id ? 'Collection · selected, run to show all' : 'Collection',
+            run: () => selectCollection(collection.id)
+        }));
+    }
+
+    getAllCategories().forEach(category => {
+        items.push({
+            id: `category:${category}`,
+            kind: 'category',
+            label: category,
+            detail: 'Category',
+            // Selects it even when it's the one being viewed
+            run: () => {
+                store.setFilters({ selectedCategory: null });
+                selectCategory(category);
+            }
+        });
+        getSectionsForCategory(category).forEach(section => items.push({
+            id: `section:${category}\u0000${section}`,
+            kind: 'section',
+            label: section,
+            detail: `Section in ${category}`,
+            run: () => {
+                store.setFilters({ selectedCategory: category, selectedSection: null });
+                selectSection(section);
+            }
+        }));
+    });
+
+    [...getAllTags(store.bookmarks)].sort((a, b) => a.localeCompare(b)).forEach(tag => {
+        const state = getTagState(store.filters, tag);
+        items.push({
+            id: `tag:${tag}`,
+            kind: 'tag',
+            label: `#${tag}`,
+            detail: state === 'include' ? 'Tag · included, run to exclude' : state === 'exclude' ? 'Tag · excluded, run to clear' : 'Toggle tag',
+            run: () => toggleTag(tag)
+        });
+    });
+
+    bookmarkEntries.forEach(({ id, bookmark }) => items.push({
+        id: `bookmark:${id}`,
+        kind: 'bookmark',
+        label: bookmark.title,
+        detail: bookmarkHost(bookmark),
+        run: () => openBookmark(bookmark),
+        copy: () => copyLink(bookmark.url, bookmark.title)
+    }));
+
+    return items;
+}
+
+// Every word of the query has to match the label (or a bookmark's host)
+function scorePaletteItem(item, terms) {
+    let total = 0;
+    const indices = new Set();
+    for (const term of terms) {
+        const labelMatch = fuzzyMatch(term, item.label);
+        const detailMatch = item.kind === 'bookmark' ? fuzzyMatch(term, item.detail) : null;
+        if (!labelMatch && !detailMatch) return null;
+        if (labelMatch && (!detailMatch || labelMatch.score >= detailMatch.score * 0.8)) {
+            total += labelMatch.score;
+            labelMatch.indices.forEach(i => indices.add(i));
+        } else {
+            total += detailMatch.score * 0.8;
+        }
+    }
+    return { score: total / terms.length + PALETTE_KIND_BOOST[item.kind], indices };
+}
+
+function updatePaletteResults(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (terms.length === 0) {
+        // Recent commands first, then every action
+        const recent = loadRecentCommands()
+            .map(id => paletteItems.find(item => item.id === id))
+            .filter(Boolean);
+        const rest = paletteItems.filter(item => item.kind === 'action' && !recent.includes(item));
+        paletteResults = [
+            ...recent.map(item => ({ item, indices: new Set(), recent: true })),
+            ...rest.map(item => ({ item, indices: new Set() }))
+        ];
+    } else {
+        paletteResults = paletteItems
+            .map(item => ({ item, ...scorePaletteItem(item, terms) }))
+            .filter(result => result.score !== undefined)
+            .sort((a, b) => b.score - a.score || a.item.label.localeCompare(b.item.label))
+            .slice(0, MAX_PALETTE_RESULTS);
+    }
+
+    renderPaletteResults();
+    setPaletteIndex(0);
+}
+
+const PALETTE_ICONS = { action: 'bolt', view: 'bookmarks', collection: 'collections_bookmark', category: 'folder', section: 'folder_open', tag: 'tag', bookmark: 'link' };
+
+function renderPaletteResults() {
+    const list = document.querySelector('#command-palette .palette-results');
+    list.innerHTML = '';
+
+    if (paletteResults.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'palette-empty';
+        empty.textContent = 'No matches';
+        list.appendChild(empty);
+        return;
+    }
+
+    paletteResults.forEach(({ item, indices, recent }, index) => {
+        const option = document.createElement('li');
+        option.className = 'palette-item';
+        option.id = `palette-item-${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+
+        const icon = document.createElement('span');
+        icon.className = 'material-icons palette-icon';
+        icon.textContent = recent ? 'history' : PALETTE_ICONS[item.kind];
+
+        const text = document.createElement('span');
+        text.className = 'palette-text';
+        const label = document.createElement('span');
+        label.className = 'palette-label';
+        appendHighlighted(label, item.label, indices);
+        const detail = document.createElement('span');
+        detail.className = 'palette-detail';
+        detail.textContent = item.detail;
+        text.append(label, detail);
+
+        option.append(icon, text);
+        if (item.keys) {
+            const keys = document.createElement('span');
+            keys.className = 'palette-keys';
+            keys.innerHTML = renderKeyCombo(item.keys);
+            option.appendChild(keys);
+        }
+        list.appendChild(option);
+    });
+}
+
+// Text with the matched characters wrapped in <mark>
+function appendHighlighted(element, text, indices) {
+    let run = '';
+    let marked = false;
+    const flush = () => {
+        if (!run) return;
+        if (marked) {
+            const mark = document.createElement('mark');
+            mark.textContent = run;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(run));
+        }
+        run = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+        if (indices.has(i) !== marked) {
+            flush();
+            marked = indices.has(i);
+        }
+        run += text[i];
+    }
+    flush();
+}
+
+function setPaletteIndex(index) {
+    const dialog = getCommandPalette();
+    const options = dialog.querySelectorAll('.palette-item');
+    const input = dialog.querySelector('.palette-input');
+    if (options.length === 0) {
+        input.removeAttribute('aria-activedescendant');
+        return;
+    }
+
+    paletteIndex = (index + options.length) % options.length;
+    options.forEach((option, i) => {
+        const active = i === paletteIndex;
+        option.classList.toggle('active', active);
+        option.setAttribute('aria-selected', active);
+    });
+    input.setAttribute('aria-activedescendant', options[paletteIndex].id);
+    options[paletteIndex].scrollIntoView({ block: 'nearest' });
+}
+
+function handlePaletteKeydown(e) {
+    const moves = { ArrowDown: 1, ArrowUp: -1, PageDown: 8, PageUp: -8 };
+    if (moves[e.key]) {
+        e.preventDefault();
+        const target = paletteIndex + moves[e.key];
+        // Arrows wrap around, paging stops at the ends
+        setPaletteIndex(Math.abs(moves[e.key]) === 1 ? target : Math.max(0, Math.min(target, paletteResults.length - 1)));
+        return;
+    }
+    if ((e.key === 'Home' || e.key === 'End') && e.ctrlKey) {
+        e.preventDefault();
+        setPaletteIndex(e.key === 'Home' ? 0 : paletteResults.length - 1);
+        return;
+    }
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        const result = paletteResults[paletteIndex];
+        if (!result) return;
+        const copy = (isMacPlatform() ? e.metaKey : e.ctrlKey) && result.item.copy;
+        runPaletteItem(result.item, copy ? 'copy' : 'run');
+    }
+}
+
+// Close first so focus is back where it was, then run
+function runPaletteItem(item, how = 'run') {
+    rememberRecentCommand(item.id);
+    closeCommandPalette();
+    item[how]();
+}
+
+function loadRecentCommands() {
+    try {
+        const recent = JSON.parse(localStorage.getItem(RECENT_COMMANDS_KEY) || '[]');
+        return Array.isArray(recent) ? recent : [];
+    } catch {
+        return [];
+    }
+}
+
+function rememberRecentCommand(id) {
+    const recent = [id, ...loadRecentCommands().filter(other => other !== id)].slice(0, MAX_RECENT_COMMANDS);
+    try {
+        localStorage.setItem(RECENT_COMMANDS_KEY, JSON.stringify(recent));
+    } catch (error) {
+        console.warn('Could not save recent commands:', error);
+    }
+}
+
+export { openCommandPalette };
@@ -0,0 +1,85 @@
+// Where a new bookmark probably goes: a category, section and tags suggested
+// from the most similar bookmarks already in the collection. Used by
+// tools/enrich-bookmarks.js and the browser extension's popup.
+// Pure functions only - no DOM access, so this file also loads in Node.
+
+import { DEFAULT_IMPORT_CATEGORY } from './importers.js';
+import { bookmarkHost } from './search.js';
+
+// Suggestions: which similar bookmarks vote, and what a tag needs to be kept
+const SIMILAR_BOOKMARKS = 5;
+const SIMILAR_SCORE_SHARE = 0.5;  // of the closest bookmark's score
+const SAME_HOST_BONUS = 2;
+const TAG_VOTE_SHARE = 0.5;  // of the voters' total score
+const MAX_SUGGESTED_TAGS = 5;
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'your', 'you', 'from', 'that', 'this', 'are', 'our', 'all', 'any',
+    'how', 'what', 'get', 'use', 'new', 'more', 'free', 'online', 'best', 'www', 'com', 'org', 'net'
+]);
+
+// Host without "www.", so both spellings of a site count as the same one
+function siteName(url) {
+    return bookmarkHost({ url }).replace(/^www\./, '');
+}
+
+function wordsOf(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Title, description, tags and host name, as a set of words
+function bookmarkWords({ title, description, url, tags }) {
+    return new Set(wordsOf([title, description, siteName(url), ...(tags || [])].join(' ')));
+}
+
+// Sums score for each key that vote() returns for the matches; highest first
+function tallyVotes(matches, vote) {
+    const totals = new Map();
+    matches.forEach(match => vote(match).forEach(key => totals.set(key, (totals.get(key) || 0) + match.score)));
+    return [...totals].sort((a, b) => b[1] - a[1]);
+}
+
+// page: { title, description, url }. Ranks the existing bookmarks by the words
+// they share with it, rarer words counting for more, and lets the closest few
+// vote: the category with the most weight, the section with the most weight
+// within it, and the tags of at least half of them by weight. Returns
+// { category, section, tags, similar }.
+function suggestPlacement(page, bookmarkList) {
+    const pageWords = bookmarkWords(page);
+    const pageHost = siteName(page.url);
+    const wordSets = bookmarkList.map(bookmarkWords);
+    const frequency = new Map();
+    wordSets.forEach(words => words.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1)));
+    const weight = word => Math.log((bookmarkList.length + 1) / ((frequency.get(word) || 0) + 1));
+
+    const similar = bookmarkList
+        .map((bookmark, index) => {
+            const words = wordSets[index];
+            let score = 0;
+            words.forEach(word => {
+                if (pageWords.has(word)) score += weight(word);
+            });
+            score /= Math.sqrt(words.size || 1);
+            if (pageHost && siteName(bookmark.url) === pageHost) score += SAME_HOST_BONUS;
+            return { bookmark, score };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SIMILAR_BOOKMARKS);
+    if (similar.length === 0) return { category: DEFAULT_IMPORT_CATEGORY, section: '', tags: [], similar: [] };
+
+    // Only the ones about as close as the closest get a say
+    const voters = similar.filter(match => match.score >= similar[0].score * SIMILAR_SCORE_SHARE);
+    const totalScore = voters.reduce((sum, match) => sum + match.score, 0);
+
+    const [[category]] = tallyVotes(voters, match => [match.bookmark.category]);
+    const [[section]] = tallyVotes(voters.filter(match => match.bookmark.category === category), match => [match.bookmark.section || '']);
+    const tags = tallyVotes(voters, match => match.bookmark.tags || [])
+        .filter(([, total]) => total >= totalScore * TAG_VOTE_SHARE)
+        .slice(0, MAX_SUGGESTED_TAGS)
+        .map(([tag]) => tag);
+    return { category, section, tags, similar: similar.map(match => match.bookmark) };
+}
+
+export {
+    suggestPlacement
+};
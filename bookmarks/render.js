@@ -0,0 +1,197 @@
+// Incremental rendering. Views describe their content as keyed nodes and
+// patchChildren() updates the DOM to match: elements whose markup didn't change
+// are kept (with their focus, scroll and image state), the rest are created,
+// moved or removed. Long grids only render a window of cards and grow it as
+// the end scrolls into view. Markup pre-rendered by tools/build-static.js is
+// adopted by the first patch, so it stays wherever it's still up to date.
+
+import { hashMarkup } from './markup.js';
+import { renderBookmarks } from './app.js';
+
+const CARD_WINDOW = 100;       // cards rendered at once to begin with
+const CARD_WINDOW_STEP = 100;  // added each time either end of the window comes into view
+
+let cardWindow = { start: 0, size: CARD_WINDOW };  // range of cards in grid order
+let cardWindowObserver = null;
+// Cards the page came with; the first window covers them so none are dropped
+let prerenderedCards = document.querySelectorAll('#bookmarks-grid .link-card[data-patch-key]').length;
+const patchTemplate = document.createElement('template');
+
+// nodes: [{ key, html, children? }], keys unique among siblings. html is the
+// element's markup; with children it's the empty shell they get patched into.
+function patchChildren(parent, nodes) {
+    const focused = parent.contains(document.activeElement) ? document.activeElement : null;
+    const replaced = new Map();  // old element -> the one that took its place
+    patchNodes(parent, nodes, replaced);
+    if (focused && document.activeElement !== focused) restorePatchedFocus(focused, replaced);
+}
+
+function patchNodes(parent, nodes, replaced) {
+    const existing = new Map();
+    [...parent.childNodes].forEach(child => {
+        if (child.patchKey === undefined && child.dataset?.patchKey !== undefined) adoptPrerendered(child);
+        // Anything that wasn't rendered by a patch (e.g. old innerHTML) goes
+        if (child.patchKey === undefined) {
+            child.remove();
+        } else {
+            existing.set(child.patchKey, child);
+        }
+    });
+
+    let next = parent.firstChild;
+    nodes.forEach(node => {
+        let el = existing.get(node.key);
+        existing.delete(node.key);
+        if (el?.patchHash !== undefined) {
+            if (el.patchHash === hashMarkup(node.html)) el.patchHTML = node.html;
+            delete el.patchHash;
+        }
+
+        if (!el || el.patchHTML !== node.html) {
+            const fresh = createPatchedElement(node);
+            if (el) {
+                if (el === next) next = fresh;
+                el.replaceWith(fresh);
+                replaced.set(el, fresh);
+            }
+            el = fresh;
+        }
+        if (node.children) patchNodes(el, node.children, replaced);
+
+        if (el === next) {
+            next = el.nextSibling;
+        } else {
+            parent.insertBefore(el, next);
+        }
+    });
+
+    existing.forEach(el => el.remove());
+}
+
+// Pre-rendered elements carry their key and a hash of their markup (see
+// renderPatchedHTML); the element is kept if the hash matches what the view renders now
+function adoptPrerendered(el) {
+    el.patchKey = el.dataset.patchKey;
+    el.patchHash = el.dataset.patchHash;
+    el.removeAttribute('data-patch-key');
+    el.removeAttribute('data-patch-hash');
+}
+
+function createPatchedElement({ key, html }) {
+    patchTemplate.innerHTML = html;
+    const el = patchTemplate.content.firstElementChild;
+    el.patchKey = key;
+    el.patchHTML = html;
+    return el;
+}
+
+// Moving an element drops its focus, and a replaced one takes it along. Focus
+// goes back to the element, or to its counterpart in whatever replaced it -
+// found by tag, first class and first data attribute (e.g. a tag's data-tag).
+function restorePatchedFocus(focused, replaced) {
+    if (focused.isConnected) {
+        focused.focus({ preventScroll: true });
+        return;
+    }
+    let old = focused;
+    while (old && !replaced.has(old)) old = old.parentElement;
+    if (!old) return;
+
+    const fresh = replaced.get(old);
+    const data = [...focused.attributes].find(attr => attr.name.startsWith('data-'));
+    const selector = focused.localName +
+        (focused.classList[0] ? `.${CSS.escape(focused.classList[0])}` : '') +
+        (data ? `[${data.name}="${CSS.escape(data.value)}"]` : '');
+    const target = fresh.matches(selector) ? fresh : fresh.querySelector(selector);
+    target?.focus({ preventScroll: true });
+}
+
+// Without IntersectionObserver nothing would grow the window, so render it all
+function getCardWindow() {
+    return 'IntersectionObserver' in window ? cardWindow : { start: 0, size: Infinity };
+}
+
+function resetCardWindow() {
+    cardWindow = { start: 0, size: Math.max(CARD_WINDOW, prerenderedCards) };
+    prerenderedCards = 0;
+}
+
+// Render more cards below the window
+function growCardWindow() {
+    cardWindow = { ...cardWindow, size: cardWindow.size + CARD_WINDOW_STEP };
+    renderBookmarks();
+}
+
+// Render more cards above the window, keeping the ones on screen where they are
+function growCardWindowBack() {
+    const start = Math.max(cardWindow.start - CARD_WINDOW_STEP, 0);
+    const anchor = document.querySelector('#bookmarks-grid .link-card');
+    const top = anchor?.getBoundingClientRect().top;
+    cardWindow = { start, size: cardWindow.size + cardWindow.start - start };
+    renderBookmarks();
+    const shift = anchor?.isConnected ? anchor.getBoundingClientRect().top - top : 0;
+    if (shift) getScrollParent(anchor).scrollBy(0, shift);
+}
+
+// Collapsing groups can leave the window starting past the last card
+function clampCardWindow(total) {
+    if (cardWindow.start === 0 || cardWindow.start < total) return false;
+    cardWindow = { start: Math.max(total - CARD_WINDOW, 0), size: CARD_WINDOW };
+    return true;
+}
+
+// Make sure cards [start, end) are rendered; a range far from the window
+// replaces it instead of rendering everything in between
+function showCardRange(start, end = start + 1) {
+    const windowEnd = cardWindow.start + cardWindow.size;
+    if (start >= cardWindow.start && end <= windowEnd) return;
+    if (start >= cardWindow.start && start <= windowEnd + CARD_WINDOW_STEP) {
+        cardWindow = { ...cardWindow, size: Math.max(end, start + CARD_WINDOW) - cardWindow.start };
+    } else {
+        cardWindow = { start, size: Math.max(end - start, CARD_WINDOW) };
+    }
+    renderBookmarks();
+}
+
+function getScrollParent(el) {
+    for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+        const { overflowY } = getComputedStyle(parent);
+        if ((overflowY === 'auto' || overflowY === 'scroll') && parent.scrollHeight > parent.clientHeight) return parent;
+    }
+    return document.scrollingElement;
+}
+
+// Sentinels mark cards left out above and below the window. Their markup
+// includes the window, so every render that moves it brings fresh elements
+// and the observer checks them again.
+function renderCardWindowSentinel(edge) {
+    return { key: `window-${edge}`, html: `<div class="grid-window-${edge}" data-window="${cardWindow.start}-${cardWindow.size}" aria-hidden="true"></div>` };
+}
+
+function watchCardWindow(grid) {
+    if (!('IntersectionObserver' in window)) return;
+    if (!cardWindowObserver) {
+        cardWindowObserver = new IntersectionObserver(entries => {
+            const visible = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+            if (visible.some(el => el.classList.contains('grid-window-end'))) {
+                growCardWindow();
+            } else if (visible.some(el => el.classList.contains('grid-window-start'))) {
+                growCardWindowBack();
+            }
+        }, { rootMargin: '800px 0px' });
+    }
+    cardWindowObserver.disconnect();
+    grid.querySelectorAll('.grid-window-start, .grid-window-end').forEach(sentinel => cardWindowObserver.observe(sentinel));
+}
+
+export {
+    patchChildren,
+    getCardWindow,
+    resetCardWindow,
+    growCardWindow,
+    growCardWindowBack,
+    clampCardWindow,
+    showCardRange,
+    renderCardWindowSentinel,
+    watchCardWindow
+};
@@ -0,0 +1,425 @@
+// Search engine: query parsing, fuzzy matching and weighted ranking.
+// Pure functions only - no DOM access, so this file also loads in Node.
+
+import { tagMatchesFilter } from './tags.js';
+
+// Relative weight of a match in each field (title > tags > description > host)
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    description: 3,
+    host: 2,
+    path: 1
+};
+
+// Query operators and the bookmark field they filter on
+const SEARCH_OPERATORS = {
+    tag: 'tags',
+    cat: 'category',
+    category: 'category',
+    sec: 'section',
+    section: 'section',
+    site: 'site'
+};
+
+const QUERY_TOKEN_RE = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/gi;
+
+function parseSearchQuery(query) {
+    const parsed = { terms: [], phrases: [], excludes: [], filters: [] };
+    if (!query) return parsed;
+
+    for (const match of query.matchAll(QUERY_TOKEN_RE)) {
+        const [raw, minus, op, quoted, bare] = match;
+        // Operator still being typed (e.g. "tag:") - nothing to apply yet
+        if (!op && /^[a-z]+:$/i.test(bare || '') && SEARCH_OPERATORS[bare.slice(0, -1).toLowerCase()]) continue;
+
+        const negate = minus === '-';
+        const isQuoted = quoted !== undefined;
+        let value = (isQuoted ? quoted : bare || '').trim().toLowerCase();
+        const field = op ? SEARCH_OPERATORS[op.toLowerCase()] : null;
+
+        if (op && !field) {
+            // Unknown operator - search for the token literally
+            value = raw.slice(negate ? 1 : 0).replace(/"/g, '').trim().toLowerCase();
+        }
+        if (!value) continue;
+
+        if (field) {
+            parsed.filters.push({ field, value, negate });
+        } else if (negate) {
+            parsed.excludes.push(value);
+        } else if (isQuoted) {
+            parsed.phrases.push(value);
+        } else {
+            parsed.terms.push(value);
+        }
+    }
+
+    return parsed;
+}
+
+function hasSearchTerms(parsed) {
+    return parsed.terms.length > 0 || parsed.phrases.length > 0;
+}
+
+function isSearchQueryEmpty(parsed) {
+    return !hasSearchTerms(parsed) && parsed.excludes.length === 0 && parsed.filters.length === 0;
+}
+
+function bookmarkHost(bookmark) {
+    try {
+        return new URL(bookmark.url).hostname;
+    } catch {
+        return '';
+    }
+}
+
+function bookmarkSearchFields(bookmark) {
+    let path = '';
+    try {
+        const url = new URL(bookmark.url);
+        path = url.pathname + url.search;
+    } catch {
+        path = bookmark.url || '';
+    }
+    return {
+        title: bookmark.title || '',
+        tags: bookmark.tags || [],
+        description: bookmark.description || '',
+        host: bookmarkHost(bookmark),
+        path
+    };
+}
+
+// Field text lowercased once, with the position of each word for typo matching.
+// fuzzyMatch() takes one of these in place of a string.
+function prepareSearchText(value) {
+    const text = value.toLowerCase();
+    return { text, words: [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(word => [word.index, word[0]]) };
+}
+
+// Prepared fields for each bookmark (see buildSearchIndex)
+function indexSearchFields(bookmark, prepare = prepareSearchText) {
+    const fields = bookmarkSearchFields(bookmark);
+    return {
+        title: prepare(fields.title),
+        tags: fields.tags.map(prepare),
+        description: prepare(fields.description),
+        host: prepare(fields.host),
+        path: prepare(fields.path)
+    };
+}
+
+// Bookmark -> prepared fields, built once per bookmark list so a keystroke
+// doesn't parse every URL and lowercase every title again. Tags and hosts
+// repeat a lot, so equal strings share one prepared entry.
+function buildSearchIndex(bookmarkList) {
+    const shared = new Map();
+    const prepare = value => {
+        if (!shared.has(value)) shared.set(value, prepareSearchText(value));
+        return shared.get(value);
+    };
+    return new Map(bookmarkList.map(bookmark => [bookmark, indexSearchFields(bookmark, prepare)]));
+}
+
+function isWordChar(ch) {
+    return /[\p{L}\p{N}]/u.test(ch);
+}
+
+function rangeIndices(start, length) {
+    return Array.from({ length }, (_, i) => start + i);
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions)
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[rows - 1][cols - 1];
+}
+
+const SUBSEQUENCE_MIN = 3;  // shorter needles only match exactly
+
+function maxTyposFor(needle) {
+    if (needle.length >= 8) return 2;
+    if (needle.length >= 4) return 1;
+    return 0;
+}
+
+// Compare the needle against the start of each word, allowing a few typos.
+// Returns { score, start, length } of the word's matched start, or null.
+function typoMatch(needle, words) {
+    const maxTypos = maxTyposFor(needle);
+    if (maxTypos === 0) return null;
+
+    let best = null;
+    for (const [start, word] of words) {
+        // People rarely get the first letter wrong; skipping those cuts noise
+        if (word[0] !== needle[0]) continue;
+        const match = typoMatchWord(needle, word, maxTypos);
+        if (match && (!best || match.distance < best.distance)) best = { ...match, start };
+    }
+    if (!best) return null;
+
+    return {
+        score: 0.75 - 0.15 * best.distance + (best.whole ? 0.05 : 0),
+        start: best.start,
+        length: best.length
+    };
+}
+
+// needle -> word -> typoMatchWord() result. The same few thousand words come up
+// for every bookmark, so each needle is only compared to each word once.
+const typoWordCache = new Map();
+const TYPO_CACHE_NEEDLES = 32;
+
+function typoMatchWord(needle, word, maxTypos) {
+    let cache = typoWordCache.get(needle);
+    if (!cache) {
+        if (typoWordCache.size >= TYPO_CACHE_NEEDLES) typoWordCache.clear();
+        cache = new Map();
+        typoWordCache.set(needle, cache);
+    }
+    if (cache.has(word)) return cache.get(word);
+
+    let best = null;
+    const n = needle.length;
+    // Try one char longer first so a missing letter highlights the whole word
+    for (const len of [n + 1, n, n - 1]) {
+        if (len < 1 || len > word.length) continue;
+        const distance = editDistance(needle, word.slice(0, len));
+        if (distance <= maxTypos && (!best || distance < best.distance)) {
+            best = { distance, length: len, whole: len === word.length };
+        }
+    }
+    cache.set(word, best);
+    return best;
+}
+
+// Needle characters in order, within a tight window: the first n of them within
+// 2n characters. That holds for every prefix, so typing another character
+// never matches more than before (see extendsSearch).
+function subsequenceMatch(needle, text) {
+    if (needle.length < SUBSEQUENCE_MIN) return null;
+
+    let best = null;
+    for (let start = text.indexOf(needle[0]); start !== -1; start = text.indexOf(needle[0], start + 1)) {
+        const indices = [start];
+        let pos = start;
+        for (let i = 1; i < needle.length; i++) {
+            pos = text.indexOf(needle[i], pos + 1);
+            if (pos === -1 || pos - start >= (i + 1) * 2) break;
+            indices.push(pos);
+        }
+        if (indices.length !== needle.length) continue;
+        const span = pos - start + 1;
+        if (!best || span < best.span) best = { span, indices };
+    }
+    if (!best) return null;
+
+    return {
+        score: 0.6 * (needle.length / best.span),
+        indices: best.indices
+    };
+}
+
+const MAX_MATCH_SCORE = 1.2;
+
+// Score of needle found in text at index: the whole text, a word start, or inside a word
+function exactScore(needle, text, index) {
+    if (text === needle) return MAX_MATCH_SCORE;
+    return index === 0 || !isWordChar(text[index - 1]) ? 1 : 0.85;
+}
+
+// Returns { score, indices } for the best match of needle in haystack, or null.
+// Exact substrings score 0.85-1.2, typos up to 0.65, loose subsequences below that.
+// haystack is a string or prepareSearchText() output.
+function fuzzyMatch(needle, haystack) {
+    if (!needle || !haystack) return null;
+    const prepared = typeof haystack === 'string' ? prepareSearchText(haystack) : haystack;
+    const { text } = prepared;
+    if (!text) return null;
+
+    const exact = text.indexOf(needle);
+    if (exact !== -1) return { score: exactScore(needle, text, exact), indices: rangeIndices(exact, needle.length) };
+
+    const typo = typoMatch(needle, prepared.words);
+    const subsequence = subsequenceMatch(needle, text);
+    if (typo && (!subsequence || typo.score >= subsequence.score)) {
+        return { score: typo.score, indices: rangeIndices(typo.start, typo.length) };
+    }
+    return subsequence;
+}
+
+// fuzzyMatch()'s score alone (0 for no match), without working out what to
+// highlight. Only exact matches count with fuzzy false.
+function matchScore(needle, prepared, fuzzy = true) {
+    const { text } = prepared;
+    if (!text) return 0;
+    const exact = text.indexOf(needle);
+    if (exact !== -1) return exactScore(needle, text, exact);
+    if (!fuzzy) return 0;
+    return Math.max(typoMatch(needle, prepared.words)?.score || 0, subsequenceMatch(needle, text)?.score || 0);
+}
+
+function fieldContains(fields, value) {
+    return fields.title.text.includes(value) ||
+        fields.description.text.includes(value) ||
+        fields.host.text.includes(value) ||
+        fields.path.text.includes(value) ||
+        fields.tags.some(t => t.text.includes(value));
+}
+
+function matchesSearchFilter(bookmark, fields, filter) {
+    const { field, value } = filter;
+    // tag:design also matches design/color
+    if (field === 'tags') return fields.tags.some(t => tagMatchesFilter(t.text, value));
+    if (field === 'site') return fields.host.text.includes(value);
+    return (bookmark[field] || '').toLowerCase().includes(value);
+}
+
+// Heaviest first, so scoreTerm() can stop once no field left could beat its best
+const SEARCH_FIELD_ENTRIES = Object.entries(SEARCH_FIELD_WEIGHTS).sort((a, b) => b[1] - a[1]);
+
+// memo (prepared text -> match score) saves re-matching tags and hosts that an
+// index shares between bookmarks; titles and descriptions are each their own.
+// Short needles would find a typo or a scattered subsequence in most
+// descriptions, so they only match those exactly.
+function scoreTerm(fields, term, memo = null) {
+    let best = 0;
+    for (const [name, weight] of SEARCH_FIELD_ENTRIES) {
+        if (best >= MAX_MATCH_SCORE * weight) break;
+        if (name === 'title' || name === 'description') {
+            const fuzzy = name === 'title' || term.length >= SUBSEQUENCE_MIN;
+            best = Math.max(best, matchScore(term, fields[name], fuzzy) * weight);
+            continue;
+        }
+        for (const value of name === 'tags' ? fields.tags : [fields[name]]) {
+            let score = memo?.get(value);
+            if (score === undefined) {
+                score = matchScore(term, value);
+                memo?.set(value, score);
+            }
+            best = Math.max(best, score * weight);
+        }
+    }
+    return best;
+}
+
+// Score a bookmark against a parsed query. Returns null when it doesn't match.
+// memos maps each term to a scoreTerm() memo.
+function scoreBookmark(bookmark, parsed, fields = indexSearchFields(bookmark), memos = null) {
+
+    for (const filter of parsed.filters) {
+        if (matchesSearchFilter(bookmark, fields, filter) === filter.negate) return null;
+    }
+    if (parsed.excludes.some(value => fieldContains(fields, value))) return null;
+    if (!parsed.phrases.every(value => fieldContains(fields, value))) return null;
+
+    let score = parsed.phrases.length * SEARCH_FIELD_WEIGHTS.title;
+    for (const term of parsed.terms) {
+        const termScore = scoreTerm(fields, term, memos?.get(term));
+        if (termScore === 0) return null;
+        score += termScore;
+    }
+    return score;
+}
+
+// Whether longer only matches where term does: exact matches always do, typos
+// and subsequences as long as longer is allowed them the same way as term
+function extendsTerm(term, longer) {
+    return longer.startsWith(term) &&
+        maxTyposFor(longer) === maxTyposFor(term) &&
+        (longer.length < SUBSEQUENCE_MIN) === (term.length < SUBSEQUENCE_MIN);
+}
+
+// Whether everything parsed matches, previous (a parsed query) matched too -
+// the same filters and excludes or more of them, and longer terms and phrases
+function extendsSearch(previous, parsed) {
+    const sameFilter = a => b => a.field === b.field && a.value === b.value && a.negate === b.negate;
+    return previous.filters.every(filter => parsed.filters.some(sameFilter(filter))) &&
+        previous.excludes.every(value => parsed.excludes.includes(value)) &&
+        previous.phrases.every(value => parsed.phrases.some(phrase => phrase.includes(value))) &&
+        previous.terms.every(term => parsed.terms.some(longer => extendsTerm(term, longer)));
+}
+
+// index -> { list, searches }: what the last few searches with that index
+// matched in list, newest first, so the next keystroke only has to look at what
+// one of them matched. Further back helps when the last one can't be narrowed
+// from, e.g. "design syst" from "design" once "syst" is allowed a typo.
+const lastSearches = new WeakMap();
+const LAST_SEARCHES = 8;
+
+// Filter a list by query. Results keep their input order; sort by score to rank.
+// Pass a buildSearchIndex() of the list (or a superset) to skip preparing fields,
+// and to narrow down from an earlier search when the query only got longer.
+function searchBookmarks(bookmarkList, query, index = null) {
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const memos = index ? new Map(parsed.terms.map(term => [term, new Map()])) : null;
+    const last = index && lastSearches.get(index);
+    const searches = last && sameList(last.list, bookmarkList) ? last.searches : [];
+    const narrowed = searches.find(search => extendsSearch(search.parsed, parsed));
+
+    const results = [];
+    (narrowed ? narrowed.matched : bookmarkList).forEach(bookmark => {
+        const score = scoreBookmark(bookmark, parsed, index?.get(bookmark), memos);
+        if (score !== null) results.push({ bookmark, score });
+    });
+    if (index) {
+        const search = { parsed, matched: results.map(result => result.bookmark) };
+        lastSearches.set(index, { list: bookmarkList, searches: [search, ...searches].slice(0, LAST_SEARCHES) });
+    }
+    return results;
+}
+
+function sameList(a, b) {
+    return a === b || (a.length === b.length && a.every((item, i) => item === b[i]));
+}
+
+function compareSearchResults(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    return a.bookmark.title.localeCompare(b.bookmark.title);
+}
+
+// Character positions in text matched by the query's terms and phrases
+function getMatchIndices(text, query) {
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const indices = new Set();
+    if (!text) return indices;
+
+    [...parsed.terms, ...parsed.phrases].forEach(needle => {
+        const match = fuzzyMatch(needle, text);
+        if (match) match.indices.forEach(i => indices.add(i));
+    });
+    return indices;
+}
+
+export {
+    SEARCH_FIELD_WEIGHTS,
+    parseSearchQuery,
+    hasSearchTerms,
+    isSearchQueryEmpty,
+    bookmarkHost,
+    buildSearchIndex,
+    editDistance,
+    fuzzyMatch,
+    scoreBookmark,
+    searchBookmarks,
+    compareSearchResults,
+    getMatchIndices
+};
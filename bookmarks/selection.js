@@ -0,0 +1,339 @@
+// Multi-select on the grid: Ctrl/Cmd-click toggles a card, Shift-click and
+// Shift+arrows select a range, and the selection bar runs bulk actions on the
+// selected bookmarks. Selection is by bookmark id and only lasts for the page;
+// bookmarks that get filtered out drop out of it.
+
+import { normalizeTagAliases, resolveTagAlias } from './tags.js';
+import { getAllTags } from './filters.js';
+import { normalizeTag, serializeBookmarks } from './store.js';
+import { fillDatalist, saveBookmarkList } from './editor.js';
+import { EXPORT_FORMATS, toMarkdownList, toHTMLList } from './exporters.js';
+import { groupBookmarks } from './markup.js';
+import {
+    bookmarkIds,
+    tagAliases,
+    store,
+    getBookmarkById,
+    getAllCategories,
+    getSectionsForCategory,
+    downloadFile,
+    writeClipboard,
+    gridLayout,
+    getCards,
+    openBookmark
+} from './app.js';
+
+const OPEN_ALL_CONFIRM = 10;  // ask before opening more tabs than this
+
+let selectedIds = new Set();
+let selectionAnchor = null;  // id Shift ranges start from
+
+// Selected bookmarks in grid order, including cards the window hasn't rendered yet
+function getSelectedBookmarks() {
+    const ids = [...new Set(gridLayout.ids)];
+    return ids.filter(id => selectedIds.has(id)).map(getBookmarkById).filter(Boolean);
+}
+
+function renderSelection() {
+    getCards().forEach(card => card.classList.toggle('selected', selectedIds.has(card.dataset.id)));
+
+    const bar = document.getElementById('selection-bar');
+    bar.classList.toggle('hidden', selectedIds.size === 0);
+    bar.querySelector('.selection-count').textContent = `${selectedIds.size} selected`;
+    if (selectedIds.size === 0) toggleSelectionExportMenu(false);
+}
+
+// After a re-render: keep only what's still on screen
+function syncSelection(visibleBookmarks) {
+    const visible = new Set(visibleBookmarks.map(b => bookmarkIds.get(b)));
+    selectedIds = new Set([...selectedIds].filter(id => visible.has(id)));
+    renderSelection();
+}
+
+function clearSelection() {
+    selectedIds.clear();
+    selectionAnchor = null;
+    renderSelection();
+}
+
+function toggleCardSelection(card) {
+    const id = card.dataset.id;
+    if (selectedIds.has(id)) {
+        selectedIds.delete(id);
+    } else {
+        selectedIds.add(id);
+    }
+    selectionAnchor = id;
+    renderSelection();
+}
+
+// Shift+arrows: a range starts at id unless the anchor is still selected
+function anchorSelectionAt(id) {
+    if (!selectedIds.has(selectionAnchor)) selectionAnchor = id;
+}
+
+// Select the cards from the anchor to card, in grid order
+function selectCardRange(card) {
+    const cards = [...getCards()];
+    const end = cards.indexOf(card);
+    let start = cards.findIndex(other => other.dataset.id === selectionAnchor);
+    if (start === -1) {
+        start = end;
+        selectionAnchor = card.dataset.id;
+    }
+    const [from, to] = start < end ? [start, end] : [end, start];
+    selectedIds = new Set(cards.slice(from, to + 1).map(other => other.dataset.id));
+    renderSelection();
+}
+
+// Select every bookmark in the group (ids), or deselect them if they're all selected already
+function toggleCardGroup(ids) {
+    const allSelected = ids.every(id => selectedIds.has(id));
+    ids.forEach(id => {
+        if (allSelected) {
+            selectedIds.delete(id);
+        } else {
+            selectedIds.add(id);
+        }
+    });
+    renderSelection();
+}
+
+// In grid order, until the browser blocks a tab. What's left stays selected,
+// so Open picks up from there once pop-ups are allowed.
+function openSelected() {
+    const list = getSelectedBookmarks();
+    if (list.length > OPEN_ALL_CONFIRM && !window.confirm(`Open ${list.length} bookmarks in new tabs?`)) return;
+    const blocked = list.findIndex(bookmark => !openBookmark(bookmark));
+    if (blocked === -1) return;
+
+    list.slice(0, blocked).forEach(bookmark => selectedIds.delete(bookmarkIds.get(bookmark)));
+    renderSelection();
+    window.alert(`Opened ${blocked} of ${list.length} bookmarks - the browser blocked the rest, which are still selected. Allow pop-ups for this page to open them too.`);
+}
+
+// Both formats put a link list on the clipboard as rich text; they differ in the plain text
+async function copySelected(format) {
+    const list = getSelectedBookmarks();
+    const html = toHTMLList(list);
+    return writeClipboard(html, format === 'html' ? html : toMarkdownList(list));
+}
+
+function exportSelected(format) {
+    const list = getSelectedBookmarks();
+    if (format === 'json') {
+        downloadFile('selected-bookmarks.json', serializeBookmarks(list, tagAliases), 'application/json');
+        return;
+    }
+    const { extension, type, serialize } = EXPORT_FORMATS[format];
+    const title = `${list.length} selected bookmark${list.length !== 1 ? 's' : ''}`;
+    downloadFile(`selected-bookmarks.${extension}`, serialize(groupBookmarks(list), title), type);
+}
+
+function renderSelectionExportMenu() {
+    document.getElementById('selection-export-menu').innerHTML = `
+        <span class="popover-label">Selection</span>
+        ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) =>
+            `<button role="menuitem" data-export="${format}">${label}</button>`
+        ).join('')}
+        <button role="menuitem" data-export="json">bookmarks.json</button>
+    `;
+}
+
+function toggleSelectionExportMenu(force) {
+    const menu = document.getElementById('selection-export-menu');
+    const open = force ?? menu.classList.contains('hidden');
+    if (open) renderSelectionExportMenu();
+    menu.classList.toggle('hidden', !open);
+    document.querySelector('#selection-bar [data-bulk="export"]').setAttribute('aria-expanded', String(open));
+    if (open) menu.querySelector('button')?.focus();
+}
+
+// Bulk re-tag ('tags') and move ('move') share one dialog
+function getBulkEditor() {
+    let dialog = document.getElementById('bulk-editor');
+    if (!dialog) {
+        dialog = createBulkEditor();
+        document.body.appendChild(dialog);
+    }
+    return dialog;
+}
+
+function createBulkEditor() {
+    const dialog = document.createElement('dialog');
+    dialog.id = 'bulk-editor';
+    dialog.className = 'editor-dialog';
+    dialog.innerHTML = `
+        <form class="editor-form">
+            <h3 class="editor-heading"></h3>
+            <div class="bulk-fields" data-mode="tags">
+                <label class="editor-field">
+                    Add tags
+                    <input name="add" list="bulk-tags" placeholder="tag, other/tag" autocomplete="off">
+                </label>
+                <label class="editor-field">
+                    Remove tags
+                    <input name="remove" list="bulk-tags" placeholder="tag, other/tag" autocomplete="off">
+                </label>
+            </div>
+            <div class="bulk-fields editor-row" data-mode="move">
+                <label class="editor-field">
+                    Category
+                    <input name="category" list="bulk-categories" autocomplete="off">
+                </label>
+                <label class="editor-field">
+                    Section
+                    <input name="section" list="bulk-sections" placeholder="None" autocomplete="off">
+                </label>
+            </div>
+            <datalist id="bulk-tags"></datalist>
+            <datalist id="bulk-categories"></datalist>
+            <datalist id="bulk-sections"></datalist>
+            <p class="editor-error hidden"></p>
+            <div class="editor-actions">
+                <button type="button" class="editor-button editor-cancel">Cancel</button>
+                <button type="submit" class="editor-button primary">Apply</button>
+            </div>
+        </form>
+    `;
+
+    const form = dialog.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await applyBulkEdit(form);
+    });
+    form.elements.category.addEventListener('input', () => {
+        fillDatalist('bulk-sections', getSectionsForCategory(form.elements.category.value.trim()));
+    });
+    dialog.querySelector('.editor-cancel').addEventListener('click', () => dialog.close());
+    // Click on the backdrop closes
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    return dialog;
+}
+
+function openBulkEditor(mode) {
+    const count = getSelectedBookmarks().length;
+    if (count === 0) return;
+
+    const dialog = getBulkEditor();
+    const form = dialog.querySelector('form');
+    form.reset();
+    form.dataset.mode = mode;
+    showBulkEditorError('');
+    dialog.querySelector('.editor-heading').textContent =
+        `${mode === 'tags' ? 'Tag' : 'Move'} ${count} bookmark${count !== 1 ? 's' : ''}`;
+    dialog.querySelectorAll('.bulk-fields').forEach(fields => fields.classList.toggle('hidden', fields.dataset.mode !== mode));
+
+    fillDatalist('bulk-tags', [...getAllTags(store.bookmarks)].sort((a, b) => a.localeCompare(b)));
+    fillDatalist('bulk-categories', getAllCategories());
+    fillDatalist('bulk-sections', []);
+    dialog.showModal();
+    dialog.querySelector(`.bulk-fields[data-mode="${mode}"] input`).focus();
+}
+
+function showBulkEditorError(message) {
+    const error = document.querySelector('#bulk-editor .editor-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+}
+
+// Comma-separated tags, normalized and with aliases resolved like the editor does
+function parseBulkTags(value) {
+    const aliases = normalizeTagAliases(tagAliases);
+    return value.split(',').map(tag => resolveTagAlias(normalizeTag(tag), aliases)).filter(Boolean);
+}
+
+async function applyBulkEdit(form) {
+    let update;
+    if (form.dataset.mode === 'tags') {
+        const add = parseBulkTags(form.elements.add.value);
+        const remove = new Set(parseBulkTags(form.elements.remove.value));
+        if (add.length === 0 && remove.size === 0) {
+            showBulkEditorError('Enter tags to add or remove');
+            return;
+        }
+        update = bookmark => ({ ...bookmark, tags: [...new Set([...bookmark.tags.filter(tag => !remove.has(tag)), ...add])] });
+    } else {
+        const category = form.elements.category.value.trim();
+        const section = form.elements.section.value.trim();
+        if (!category) {
+            showBulkEditorError('Category is required');
+            return;
+        }
+        update = bookmark => ({ ...bookmark, category, section });
+    }
+
+    const changes = getSelectedBookmarks().map(bookmark => ({ id: bookmarkIds.get(bookmark), bookmark: update(bookmark) }));
+    try {
+        await saveBookmarkList(changes);
+        getBulkEditor().close();
+    } catch (err) {
+        console.error('Error saving bookmarks:', err);
+        showBulkEditorError('Could not save - local storage is unavailable');
+    }
+}
+
+function setupSelection() {
+    const bar = document.getElementById('selection-bar');
+    bar.addEventListener('click', async (e) => {
+        const exportItem = e.target.closest('[data-export]');
+        if (exportItem) {
+            exportSelected(exportItem.dataset.export);
+            toggleSelectionExportMenu(false);
+            return;
+        }
+
+        const button = e.target.closest('[data-bulk]');
+        if (!button) return;
+        switch (button.dataset.bulk) {
+            case 'open':
+                openSelected();
+                break;
+            case 'copy-markdown':
+            case 'copy-html': {
+                await copySelected(button.dataset.bulk === 'copy-html' ? 'html' : 'markdown');
+                // Visual feedback
+                const icon = button.querySelector('.material-icons');
+                const previous = icon.textContent;
+                icon.textContent = 'check';
+                setTimeout(() => {
+                    icon.textContent = previous;
+                }, 1500);
+                break;
+            }
+            case 'export':
+                e.stopPropagation();
+                toggleSelectionExportMenu();
+                break;
+            case 'tags':
+            case 'move':
+                openBulkEditor(button.dataset.bulk);
+                break;
+            case 'clear':
+                clearSelection();
+                break;
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!document.getElementById('selection-export-menu').contains(e.target)) toggleSelectionExportMenu(false);
+    });
+}
+
+export {
+    selectedIds,
+    syncSelection,
+    clearSelection,
+    toggleCardSelection,
+    anchorSelectionAt,
+    selectCardRange,
+    toggleCardGroup,
+    openSelected,
+    copySelected,
+    exportSelected,
+    openBulkEditor,
+    setupSelection
+};
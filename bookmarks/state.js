@@ -0,0 +1,72 @@
+// App state without the DOM: the merged bookmark list, the filter state, and
+// what's derived from them - the search index, the tag tree and the filter
+// results - built on first use and kept until what they depend on changes.
+// app.js renders from it; the tests drive it directly.
+
+import { createFilters, normalizeFilters, filterUntagged, filterByTags, isRankedView, getAllTags } from './filters.js';
+import { buildSearchIndex } from './search.js';
+import { buildTagTree } from './tags.js';
+
+// context: { getLinkHealth(bookmark), getCollections(bookmark) }, for the
+// broken links and collection filters
+function createStateStore(context) {
+    let bookmarks = [];
+    let filters = createFilters();
+    let searchIndex = null;    // buildSearchIndex(bookmarks), built by the first search after a change
+    let tagTree = null;        // buildTagTree() of every tag, likewise
+    let filterResults = null;  // { key, untagged, filtered } for the last filter state asked about
+
+    function getSearchIndex() {
+        searchIndex ??= buildSearchIndex(bookmarks);
+        return searchIndex;
+    }
+
+    function getTagTree() {
+        tagTree ??= buildTagTree(getAllTags(bookmarks));
+        return tagTree;
+    }
+
+    // Filtering runs once per filter state; the tag list, the grid, the outline and
+    // the export menu all share the result. The arrays are shared too, so callers
+    // copy before sorting.
+    function getFilterResults() {
+        const { searchQuery, selectedCollection, selectedCategory, selectedSection, showBrokenLinks, selectedTags, excludedTags, tagMode } = filters;
+        const key = JSON.stringify([searchQuery, selectedCollection, selectedCategory, selectedSection, showBrokenLinks,
+            [...selectedTags], [...excludedTags], tagMode, isRankedView(filters)]);
+        if (filterResults?.key !== key) {
+            const untagged = filterUntagged(bookmarks, filters, { ...context, getSearchIndex });
+            filterResults = { key, untagged, filtered: filterByTags(untagged, filters) };
+        }
+        return filterResults;
+    }
+
+    return {
+        get bookmarks() {
+            return bookmarks;
+        },
+
+        get filters() {
+            return filters;
+        },
+
+        setBookmarks(bookmarkList) {
+            bookmarks = bookmarkList;
+            searchIndex = null;
+            tagTree = null;
+            filterResults = null;
+        },
+
+        // Starts from the current state; a whole state from parseFilterParams() replaces it
+        setFilters(changes) {
+            filters = normalizeFilters({ ...filters, ...changes });
+        },
+
+        getSearchIndex,
+        getTagTree,
+        getFilterResults
+    };
+}
+
+export {
+    createStateStore
+};
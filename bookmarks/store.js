@@ -0,0 +1,147 @@
+// Local edits: an IndexedDB overlay on top of the shipped bookmarks.json.
+// Shipped bookmarks are keyed by their original URL, so editing a URL keeps the
+// link to the entry it replaces; local additions get a generated id.
+
+const OVERLAY_DB_NAME = 'bookmarks-overlay';
+const OVERLAY_DB_VERSION = 1;
+const OVERLAY_STORE = 'edits';
+
+// Field order of entries in bookmarks.json
+const BOOKMARK_FIELDS = ['title', 'url', 'description', 'category', 'section', 'tags'];
+
+let overlayDbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openOverlayDb() {
+    if (!overlayDbPromise) {
+        const request = indexedDB.open(OVERLAY_DB_NAME, OVERLAY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OVERLAY_STORE, { keyPath: 'id' });
+        };
+        overlayDbPromise = requestToPromise(request);
+    }
+    return overlayDbPromise;
+}
+
+async function overlayStore(mode) {
+    const db = await openOverlayDb();
+    return db.transaction(OVERLAY_STORE, mode).objectStore(OVERLAY_STORE);
+}
+
+async function getBookmarkEdits() {
+    return requestToPromise((await overlayStore('readonly')).getAll());
+}
+
+async function putBookmarkEdit(edit) {
+    return requestToPromise((await overlayStore('readwrite')).put({ ...edit, updatedAt: Date.now() }));
+}
+
+async function removeBookmarkEdit(id) {
+    return requestToPromise((await overlayStore('readwrite')).delete(id));
+}
+
+// Write many edits in a single transaction (imports)
+async function putBookmarkEditList(edits) {
+    const store = await overlayStore('readwrite');
+    const updatedAt = Date.now();
+    await Promise.all(edits.map(edit => requestToPromise(store.put({ ...edit, updatedAt }))));
+}
+
+async function clearBookmarkEdits() {
+    return requestToPromise((await overlayStore('readwrite')).clear());
+}
+
+function createLocalBookmarkId() {
+    return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// The id of a shipped bookmark: its URL, or "<n>:<url>" for the nth entry with
+// that URL (lint only warns about those). Neither clashes with a URL or a local id.
+function shippedBookmarkId(url, occurrence) {
+    return occurrence > 1 ? `${occurrence}:${url}` : url;
+}
+
+// The URL a shipped bookmark's id stands for
+function shippedBookmarkUrl(id) {
+    return id.replace(/^\d+:/, '');
+}
+
+// Apply edits to the shipped list. Returns [{ id, bookmark, origin }] where
+// origin is 'shipped', 'edited' or 'local'.
+function mergeBookmarkOverlay(baseList, edits) {
+    const editsById = new Map(edits.map(edit => [edit.id, edit]));
+    const occurrences = new Map();  // url -> entries with it so far
+    const merged = [];
+
+    baseList.forEach(bookmark => {
+        const occurrence = (occurrences.get(bookmark.url) || 0) + 1;
+        occurrences.set(bookmark.url, occurrence);
+        const id = shippedBookmarkId(bookmark.url, occurrence);
+        const edit = editsById.get(id);
+        editsById.delete(id);
+
+        if (!edit) {
+            merged.push({ id, bookmark, origin: 'shipped' });
+        } else if (!edit.deleted) {
+            merged.push({ id, bookmark: edit.bookmark, origin: 'edited' });
+        }
+    });
+
+    // Whatever is left was added locally (or edited after being removed upstream)
+    [...editsById.values()]
+        .filter(edit => !edit.deleted)
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        .forEach(edit => merged.push({ id: edit.id, bookmark: edit.bookmark, origin: 'local' }));
+
+    return merged;
+}
+
+// Normalize a bookmark to exactly the fields and order used in bookmarks.json
+function toSchemaBookmark(bookmark) {
+    const entry = {};
+    BOOKMARK_FIELDS.forEach(field => {
+        if (field === 'tags') {
+            entry.tags = [...(bookmark.tags || [])];
+        } else {
+            entry[field] = (bookmark[field] || '').trim();
+        }
+    });
+    return entry;
+}
+
+// "Design / Color Theory" -> "design/color-theory"
+function normalizeTag(tag) {
+    return tag.toLowerCase()
+        .split('/')
+        .map(segment => segment.trim().replace(/\s+/g, '-'))
+        .filter(Boolean)
+        .join('/');
+}
+
+// tagAliases is written only when there are any, ahead of the list
+function serializeBookmarks(bookmarkList, tagAliases = {}) {
+    const data = Object.keys(tagAliases).length > 0 ? { tagAliases } : {};
+    data.bookmarks = bookmarkList.map(toSchemaBookmark);
+    return JSON.stringify(data, null, 2);
+}
+
+export {
+    BOOKMARK_FIELDS,
+    getBookmarkEdits,
+    putBookmarkEdit,
+    removeBookmarkEdit,
+    putBookmarkEditList,
+    clearBookmarkEdits,
+    createLocalBookmarkId,
+    shippedBookmarkUrl,
+    mergeBookmarkOverlay,
+    toSchemaBookmark,
+    normalizeTag,
+    serializeBookmarks
+};
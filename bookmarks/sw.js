@@ -0,0 +1,156 @@
+// Service worker: offline app shell, stale-while-revalidate for bookmarks.json
+// and fonts, cache-first for favicons.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `bookmarks-shell-${CACHE_VERSION}`;
+const FONT_CACHE = `bookmarks-fonts-${CACHE_VERSION}`;
+const FAVICON_CACHE = 'bookmarks-favicons';  // unversioned: icons outlive app updates
+const MAX_FAVICONS = 500;
+
+// Keep in sync with index.html's <script> and <link> tags and with the
+// modules main.js imports
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'favicon.png',
+    'manifest.webmanifest',
+    'bookmarks.json',
+    'theme-init.js',
+    'main.js',
+    'theme.js',
+    'tags.js',
+    'html.js',
+    'search.js',
+    'filters.js',
+    'url-state.js',
+    'state.js',
+    'store.js',
+    'editor.js',
+    'importers.js',
+    'import.js',
+    'exporters.js',
+    'validate.js',
+    'collections.js',
+    'health.js',
+    'favicons.js',
+    'markup.js',
+    'usage.js',
+    'views.js',
+    'render.js',
+    'accessibility.js',
+    'selection.js',
+    'layout.js',
+    'keys.js',
+    'keybindings.js',
+    'palette.js',
+    'app.js'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, FONT_CACHE, FAVICON_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (isFaviconURL(url)) {
+        event.respondWith(cacheFirstFavicon(request));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(FONT_CACHE, request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(SHELL_CACHE, request, event));
+    }
+});
+
+function isFaviconURL(url) {
+    return url.hostname === 'www.google.com' && url.pathname === '/s2/favicons';
+}
+
+// Serve from cache immediately, refresh the cache in the background
+async function staleWhileRevalidate(cacheName, request, event) {
+    const cache = await caches.open(cacheName);
+    // Query strings on the page are filter state (?q=, ?tag=), not different files
+    const key = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+    const cached = await cache.match(key);
+    // The page reads cached's body before the fetch below finishes
+    const cachedCopy = cached?.clone();
+
+    const update = fetch(request)
+        .then(async (response) => {
+            if (response.ok || response.type === 'opaque') {
+                if (cachedCopy && isBookmarksData(request)) await notifyIfChanged(cachedCopy, response.clone());
+                await cache.put(key, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    if (cached) {
+        if (event) event.waitUntil(update);
+        return cached;
+    }
+    return update;
+}
+
+// bookmarks.json, or collections.json and the collection files it lists
+function isBookmarksData(request) {
+    const { pathname } = new URL(request.url);
+    return pathname.endsWith('.json') && !pathname.endsWith('/link-report.json') && !pathname.endsWith('/favicons.json');
+}
+
+// Tell open pages to reload their data when it changed upstream
+async function notifyIfChanged(cached, fresh) {
+    const [before, after] = await Promise.all([cached.text(), fresh.text()]);
+    if (before === after) return;
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'bookmarks-updated' }));
+}
+
+async function cacheFirstFavicon(request) {
+    const cache = await caches.open(FAVICON_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    let response;
+    try {
+        // Prefer a CORS response: opaque ones count heavily against storage quota
+        response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    } catch {
+        try {
+            response = await fetch(request.url, { mode: 'no-cors', credentials: 'omit' });
+        } catch {
+            // Offline and not cached - the page falls back to a generic icon
+            return Response.error();
+        }
+    }
+
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        await trimCache(cache, MAX_FAVICONS);
+    }
+    return response;
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    // keys() is in insertion order, so the oldest entries go first
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,97 @@
+// Tag hierarchy and aliases. Tags are namespaced with "/" ("design/color"); a
+// parent tag matches all of its children. Aliases come from the "tagAliases"
+// map in bookmarks.json and are resolved once at load time.
+
+const TAG_SEPARATOR = '/';
+
+// "design/color/palettes" -> ["design", "design/color", "design/color/palettes"]
+function tagAncestors(tag) {
+    const segments = tag.split(TAG_SEPARATOR);
+    return segments.map((_, i) => segments.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+function tagParent(tag) {
+    const index = tag.lastIndexOf(TAG_SEPARATOR);
+    return index === -1 ? null : tag.slice(0, index);
+}
+
+function tagLeafName(tag) {
+    return tag.slice(tag.lastIndexOf(TAG_SEPARATOR) + 1);
+}
+
+// True when tag is filter itself or one of its descendants
+function tagMatchesFilter(tag, filter) {
+    return tag === filter || tag.startsWith(filter + TAG_SEPARATOR);
+}
+
+function hasTagOrDescendant(tags, filter) {
+    return tags.some(tag => tagMatchesFilter(tag, filter));
+}
+
+// Lowercased lookup of the alias map; non-string targets are ignored (validate.js reports them)
+function normalizeTagAliases(aliases) {
+    const map = new Map();
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) return map;
+    Object.entries(aliases).forEach(([alias, tag]) => {
+        if (typeof tag === 'string' && tag.trim()) map.set(alias.trim().toLowerCase(), tag.trim());
+    });
+    return map;
+}
+
+// The longest aliased prefix wins, so "ms" -> "microsoft" also maps "ms/excel"
+function resolveTagAlias(tag, aliases) {
+    const ancestors = tagAncestors(tag);
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+        const target = aliases.get(ancestors[i].toLowerCase());
+        if (target) return target + tag.slice(ancestors[i].length);
+    }
+    return tag;
+}
+
+// Returns the same object when nothing changed
+function applyTagAliases(bookmark, aliases) {
+    if (aliases.size === 0) return bookmark;
+    const tags = [...new Set(bookmark.tags.map(tag => resolveTagAlias(tag, aliases)))];
+    const changed = tags.length !== bookmark.tags.length || tags.some((tag, i) => tag !== bookmark.tags[i]);
+    return changed ? { ...bookmark, tags } : bookmark;
+}
+
+// Nested [{ tag, name, children }] for a set of full tag paths (parents are added)
+function buildTagTree(tags) {
+    const nodes = new Map();
+    const roots = [];
+    [...tags].flatMap(tagAncestors).forEach(tag => {
+        if (nodes.has(tag)) return;
+        const node = { tag, name: tagLeafName(tag), children: [] };
+        nodes.set(tag, node);
+        const parent = tagParent(tag);
+        (parent ? nodes.get(parent).children : roots).push(node);
+    });
+    return roots;
+}
+
+// tag -> number of bookmarks. Rolled up: a parent counts each bookmark tagged
+// with it or any of its children once
+function getTagCounts(bookmarkList) {
+    const counts = {};
+    bookmarkList.forEach(b => {
+        new Set(b.tags.flatMap(tagAncestors)).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+export {
+    TAG_SEPARATOR,
+    tagAncestors,
+    tagParent,
+    tagLeafName,
+    tagMatchesFilter,
+    hasTagOrDescendant,
+    normalizeTagAliases,
+    resolveTagAlias,
+    applyTagAliases,
+    buildTagTree,
+    getTagCounts
+};
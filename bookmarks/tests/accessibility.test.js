@@ -0,0 +1,160 @@
+import { before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, pressKey, auditPage } from './dom.js';
+
+let app;
+
+before(async () => {
+    app = await loadApp({ styles: true });
+});
+
+beforeEach(() => {
+    app.clearFilters();
+    document.activeElement?.blur();
+});
+
+const tag = name => document.querySelector(`.tag-item[data-tag="${name}"]`);
+const pill = category => document.querySelector(`.filter-pill[data-category="${category}"]`);
+const tabStops = selector => [...document.querySelectorAll(selector)].filter(el => el.getAttribute('tabindex') === '0');
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One line per problem, so a failure says what's wrong
+async function expectNoViolations() {
+    const violations = await auditPage();
+    assert.deepEqual(violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(' ')).join(', ')}`), []);
+}
+
+test('tags and filter pills are toggle buttons', () => {
+    assert.equal(tag('web').getAttribute('aria-pressed'), 'false');
+    tag('web').click();
+    assert.equal(tag('web').getAttribute('aria-pressed'), 'true');
+    // Excluded isn't pressed, but says so
+    tag('web').click();
+    assert.equal(tag('web').getAttribute('aria-pressed'), 'false');
+    assert.match(tag('web').textContent, /excluded/);
+
+    assert.equal(pill('all').getAttribute('aria-pressed'), 'true');
+    pill('Dev').click();
+    assert.equal(pill('Dev').getAttribute('aria-pressed'), 'true');
+    assert.equal(pill('all').getAttribute('aria-pressed'), 'false');
+});
+
+test('the tag list and the filter bar are one Tab stop each', () => {
+    assert.equal(tabStops('#tag-list .tag-item').length, 1);
+    assert.deepEqual(tabStops('#category-filter .filter-pill'), [pill('all')], 'the pressed pill to begin with');
+    // Expanding parent tags is Right/Left on the tag
+    assert.ok([...document.querySelectorAll('.tag-expand')].every(button => button.tabIndex === -1));
+
+    pill('Learning').focus();
+    assert.deepEqual(tabStops('#category-filter .filter-pill'), [pill('Learning')]);
+    // A click re-renders the bar, and the stop stays where it was
+    pill('Learning').click();
+    assert.deepEqual(tabStops('#category-filter .filter-pill'), [pill('Learning')]);
+});
+
+test('arrow keys, Home and End move along the filter bar', () => {
+    const pills = () => [...document.querySelectorAll('#category-filter .filter-pill')];
+    pills()[0].focus();
+    pressKey('ArrowRight');
+    assert.equal(document.activeElement, pills()[1]);
+    pressKey('End');
+    assert.equal(document.activeElement, pills().at(-1));
+    pressKey('Home');
+    assert.equal(document.activeElement, pills()[0]);
+    assert.deepEqual(tabStops('#category-filter .filter-pill'), [pills()[0]]);
+});
+
+test('Home and End go to either end of the tag list', () => {
+    const tags = [...document.querySelectorAll('#tag-list .tag-item')];
+    tags[1].focus();
+    pressKey('End');
+    assert.equal(document.activeElement, tags.at(-1));
+    pressKey('Home');
+    assert.equal(document.activeElement, tags[0]);
+});
+
+test('result counts are read out once filtering settles', async () => {
+    const status = document.getElementById('live-status');
+    assert.equal(status.getAttribute('aria-live'), 'polite');
+    pill('Dev').click();
+    tag('reference').click();
+    await wait(600);
+    assert.equal(status.textContent, '2 bookmarks');
+
+    const input = document.getElementById('search-input');
+    input.value = 'zzzz';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    await wait(800);
+    assert.equal(status.textContent, 'No bookmarks match your filters');
+    input.value = '';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+});
+
+test('the help is a labelled dialog that keeps focus until it closes', () => {
+    const search = document.getElementById('search-input');
+    pill('all').focus();
+    pressKey('?', { shiftKey: true });
+    const dialog = document.querySelector('#help-overlay [role="dialog"]');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.equal(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, 'Keyboard Shortcuts');
+    assert.equal(document.activeElement, dialog);
+
+    // Tab goes round the dialog's controls - here there's just the one
+    const customize = dialog.querySelector('.help-customize');
+    customize.focus();
+    assert.ok(pressKey('Tab').defaultPrevented);
+    assert.ok(pressKey('Tab', { shiftKey: true }).defaultPrevented);
+    assert.equal(document.activeElement, customize);
+
+    // Other shortcuts wait until it's closed
+    pressKey('/');
+    assert.notEqual(document.activeElement, search);
+
+    pressKey('Escape');
+    assert.ok(!document.getElementById('help-overlay').classList.contains('visible'));
+    assert.equal(document.activeElement, pill('all'), 'focus goes back to where it was');
+    assert.equal(document.querySelector('.help-trigger').getAttribute('aria-expanded'), 'false');
+});
+
+test('Up and Down follow grid order when nothing is laid out', () => {
+    // jsdom has no layout: every card measures 0×0
+    const cards = [...document.querySelectorAll('#bookmarks-grid .link-card')];
+    cards[2].focus();
+    pressKey('ArrowDown');
+    assert.equal(document.activeElement, cards[3]);
+    pressKey('ArrowUp');
+    pressKey('ArrowUp');
+    assert.equal(document.activeElement, cards[1]);
+});
+
+test('axe finds nothing to fix', async (t) => {
+    await t.test('on the start page', expectNoViolations);
+
+    await t.test('with filters applied', async () => {
+        pill('Dev').click();
+        tag('web').click();
+        tag('web').click();
+        await expectNoViolations();
+    });
+
+    await t.test('with the help open', async () => {
+        pressKey('?', { shiftKey: true });
+        await expectNoViolations();
+        pressKey('Escape');
+    });
+
+    await t.test('in the list and table layouts', async () => {
+        document.querySelector('.layout-option[data-layout="list"]').click();
+        await expectNoViolations();
+        document.querySelector('.layout-option[data-layout="table"]').click();
+        await expectNoViolations();
+        document.querySelector('.layout-option[data-layout="cards"]').click();
+    });
+
+    await t.test('with nothing found', async () => {
+        const input = document.getElementById('search-input');
+        input.value = 'zzzz';
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        await expectNoViolations();
+    });
+});
@@ -0,0 +1,116 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { checkLink, checkLinks } from '../tools/check-links.js';
+import { SLOW_LINK_MS, classifyLinkResult } from '../health.js';
+
+// path -> (req, res); requests lists what the server got, as "METHOD /path"
+const ROUTES = {
+    '/ok': (req, res) => res.writeHead(200).end(),
+    '/moved': (req, res) => res.writeHead(301, { location: '/moved-again' }).end(),
+    '/moved-again': (req, res) => res.writeHead(302, { location: '/ok' }).end(),
+    '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+    '/loop': (req, res) => res.writeHead(302, { location: '/loop' }).end(),
+    '/slow': (req, res) => setTimeout(() => res.writeHead(200).end(), 1000)
+};
+const requests = [];
+let server;
+let base;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        (ROUTES[req.url] || ((_, response) => response.writeHead(404).end()))(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('a 200 is the status, with nothing followed', async () => {
+    const result = await checkLink(`${base}/ok`);
+    assert.equal(result.status, 200);
+    assert.equal(result.finalUrl, `${base}/ok`);
+    assert.deepEqual(result.redirects, []);
+    assert.equal(result.error, null);
+    assert.ok(result.durationMs >= 0);
+    assert.ok(!Number.isNaN(Date.parse(result.checkedAt)));
+});
+
+test('redirect chains are followed and recorded', async () => {
+    const result = await checkLink(`${base}/moved`);
+    assert.equal(result.status, 200);
+    assert.equal(result.finalUrl, `${base}/ok`);
+    assert.deepEqual(result.redirects, [
+        { url: `${base}/moved`, status: 301 },
+        { url: `${base}/moved-again`, status: 302 }
+    ]);
+});
+
+test('a server that rejects HEAD gets a GET', async () => {
+    requests.length = 0;
+    const result = await checkLink(`${base}/no-head`);
+    assert.equal(result.status, 200);
+    assert.deepEqual(requests, ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('a redirect loop stops after maxRedirects', async () => {
+    const result = await checkLink(`${base}/loop`, { maxRedirects: 3 });
+    assert.equal(result.status, null);
+    assert.equal(result.error, 'More than 3 redirects');
+    assert.equal(result.redirects.length, 4);
+});
+
+test('a 404 is the status, after trying GET too', async () => {
+    requests.length = 0;
+    const result = await checkLink(`${base}/missing`);
+    assert.equal(result.status, 404);
+    assert.equal(result.error, null);
+    assert.deepEqual(requests, ['HEAD /missing', 'GET /missing']);
+});
+
+test('a refused connection and a timeout are errors', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    const refused = await checkLink(`http://127.0.0.1:${port}/`);
+    assert.equal(refused.status, null);
+    assert.equal(refused.error, 'ECONNREFUSED');
+
+    const slow = await checkLink(`${base}/slow`, { timeout: 100 });
+    assert.equal(slow.status, null);
+    assert.equal(slow.error, 'Timed out after 100 ms');
+});
+
+test('checkLinks checks each URL once and keeps the input order', async () => {
+    requests.length = 0;
+    const urls = [`${base}/missing`, `${base}/ok`, `${base}/missing`];
+    const seen = [];
+    const results = await checkLinks(urls, { concurrency: 2, onResult: url => seen.push(url) });
+    assert.deepEqual(Object.keys(results), [`${base}/missing`, `${base}/ok`]);
+    assert.deepEqual(seen.sort(), [`${base}/missing`, `${base}/ok`]);
+    assert.equal(requests.filter(line => line === 'HEAD /missing').length, 1);
+});
+
+test('classifyLinkResult badges dead, redirected and slow links', () => {
+    const url = 'https://example.com/page';
+    const result = fields => ({ status: 200, finalUrl: url, redirects: [], durationMs: 100, error: null, ...fields });
+    assert.equal(classifyLinkResult(url, undefined), null);
+    assert.equal(classifyLinkResult(url, result()), 'ok');
+    assert.equal(classifyLinkResult(url, result({ status: 404 })), 'dead');
+    assert.equal(classifyLinkResult(url, result({ status: 500 })), 'dead');
+    assert.equal(classifyLinkResult(url, result({ status: null, error: 'ECONNREFUSED' })), 'dead');
+    // Up, but turning away scripts
+    assert.equal(classifyLinkResult(url, result({ status: 403 })), 'ok');
+    assert.equal(classifyLinkResult(url, result({ status: 429 })), 'ok');
+    assert.equal(classifyLinkResult(url, result({ finalUrl: 'https://example.org/elsewhere' })), 'redirected');
+    assert.equal(classifyLinkResult(url, result({ finalUrl: 'http://www.example.com/page/' })), 'ok');
+    assert.equal(classifyLinkResult(url, result({ durationMs: SLOW_LINK_MS + 1 })), 'slow');
+    // Dead wins over everything else
+    assert.equal(classifyLinkResult(url, result({ status: 404, finalUrl: 'https://example.org/', durationMs: SLOW_LINK_MS + 1 })), 'dead');
+});
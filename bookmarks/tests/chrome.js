@@ -0,0 +1,77 @@
+// A stand-in for the chrome.* APIs the browser extension uses, so its tests
+// run offline in Node: events that keep their listeners and can be fired,
+// storage in memory, and tabs that record what was opened instead of opening it.
+
+const EXTENSION_ORIGIN = 'chrome-extension://bookmarks-test/';
+
+// dispatch() resolves once every listener has, async ones included
+function createEvent() {
+    const listeners = [];
+    return {
+        addListener: listener => listeners.push(listener),
+        dispatch: (...args) => Promise.all(listeners.map(listener => listener(...args)))
+    };
+}
+
+// tab: what tabs.query() finds active. selection: the text selected on it, or
+// null for a page scripts can't run in. chrome.opened lists tabs.create() and
+// tabs.update() calls as { method, ...properties }.
+function createChromeMock({ tab = { id: 1, title: '', url: 'about:blank' }, selection = '', settings = {}, grantPermissions = true } = {}) {
+    const stored = { ...settings };
+    const chrome = {
+        opened: [],
+        optionsOpened: 0,
+        runtime: {
+            getURL: file => new URL(file, EXTENSION_ORIGIN).href,
+            openOptionsPage: async () => {
+                chrome.optionsOpened++;
+            }
+        },
+        storage: {
+            sync: {
+                get: async key => (Object.hasOwn(stored, key) ? { [key]: stored[key] } : {}),
+                set: async values => {
+                    const changes = {};
+                    Object.entries(values).forEach(([key, newValue]) => {
+                        changes[key] = { oldValue: stored[key], newValue };
+                        stored[key] = newValue;
+                    });
+                    await chrome.storage.onChanged.dispatch(changes, 'sync');
+                }
+            },
+            onChanged: createEvent()
+        },
+        permissions: {
+            request: async () => grantPermissions
+        },
+        tabs: {
+            query: async () => [tab],
+            create: async properties => {
+                chrome.opened.push({ method: 'create', ...properties });
+            },
+            update: async properties => {
+                chrome.opened.push({ method: 'update', ...properties });
+            }
+        },
+        scripting: {
+            executeScript: async () => {
+                if (selection === null) throw new Error('Cannot access contents of the page');
+                return [{ result: selection }];
+            }
+        },
+        omnibox: {
+            defaultSuggestion: null,
+            setDefaultSuggestion: suggestion => {
+                chrome.omnibox.defaultSuggestion = suggestion;
+            },
+            onInputChanged: createEvent(),
+            onInputEntered: createEvent()
+        }
+    };
+    return chrome;
+}
+
+export {
+    EXTENSION_ORIGIN,
+    createChromeMock
+};
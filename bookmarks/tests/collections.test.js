@@ -0,0 +1,57 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mergeCollections } from '../collections.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const LINT = fileURLToPath(new URL('../tools/lint-bookmarks.js', import.meta.url));
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-collections-'));
+const TEAM = { id: 'team', name: 'Team', src: 'team.json' };
+const PERSONAL = { id: 'personal', name: 'Personal', src: 'bookmarks.json' };
+const [mdn, cssTricks, node] = SAMPLE_BOOKMARKS;
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Resolves to { code, stdout } of lint-bookmarks run with args
+function runLint(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [LINT, ...args], (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+    });
+}
+
+test('a link in two collections is kept in the first and reported for the other', () => {
+    const merged = mergeCollections([
+        { collection: TEAM, data: { bookmarks: [mdn, cssTricks] } },
+        { collection: PERSONAL, data: { bookmarks: [{ ...mdn, title: 'My MDN', url: 'https://developer.mozilla.org' }, node] } }
+    ]);
+    assert.deepEqual(merged.bookmarks, [mdn, cssTricks, node]);
+    assert.deepEqual(merged.bookmarkSources.get(mdn.url), ['team', 'personal']);
+    assert.deepEqual(merged.issues.map(issue => issue.message), [
+        'Personal: "My MDN" is left out: Team has the same link as "MDN Web Docs"'
+    ]);
+});
+
+test('a link twice in one collection is kept twice', () => {
+    const merged = mergeCollections([{ collection: PERSONAL, data: { bookmarks: [mdn, { ...mdn, title: 'Again' }] } }]);
+    assert.equal(merged.bookmarks.length, 2);
+    assert.ok(merged.issues.every(issue => issue.severity === 'warning'));
+});
+
+test('lint-bookmarks reports links another collection hides', async () => {
+    fs.writeFileSync(path.join(tmp, 'collections.json'), JSON.stringify({ collections: [TEAM, PERSONAL] }));
+    fs.writeFileSync(path.join(tmp, 'team.json'), JSON.stringify({ bookmarks: [mdn] }));
+    fs.writeFileSync(path.join(tmp, 'bookmarks.json'), JSON.stringify({ bookmarks: [mdn, node] }));
+
+    const manifest = await runLint([path.join(tmp, 'collections.json'), '--strict']);
+    assert.equal(manifest.code, 1);
+    assert.match(manifest.stdout, /warning {2}Personal: "MDN Web Docs" is left out: Team has the same link as "MDN Web Docs"/);
+    assert.match(manifest.stdout, /collections\.json: 2 valid bookmarks, 0 errors, 1 warning/);
+
+    // One file on its own has nothing to clash with
+    const single = await runLint([path.join(tmp, 'bookmarks.json'), '--strict']);
+    assert.equal(single.code, 0);
+});
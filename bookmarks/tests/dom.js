@@ -0,0 +1,146 @@
+// Runs the app in jsdom for the integration tests: index.html's markup, a
+// window whose properties are the globals the modules use, and a fetch that
+// serves bookmarks.json from test data. Each test file runs in its own
+// process, so each gets a fresh window and freshly evaluated modules.
+
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const PAGE = fs.readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+// Node has its own versions of these; the DOM only takes jsdom's
+const DOM_OVERRIDES = ['Event', 'CustomEvent', 'EventTarget'];
+
+// Resolves to the app's module once it has started on the page at url: page's
+// markup, index.html's by default. bookmarks.json is data, or just bookmarks;
+// files are other JSON files by name, such as collections.json and the files it
+// lists. With styles, styles.css applies too, for checks that depend on what's hidden.
+async function loadApp({ url = 'http://localhost/bookmarks/', page = PAGE, bookmarks = SAMPLE_BOOKMARKS, data = { bookmarks }, files = {}, styles = false } = {}) {
+    const { window } = new JSDOM(page, { url, pretendToBeVisual: true });
+    if (styles) {
+        const style = window.document.createElement('style');
+        style.textContent = fs.readFileSync(new URL('../styles.css', import.meta.url), 'utf8');
+        window.document.head.append(style);
+    }
+    for (const key of Object.getOwnPropertyNames(window)) {
+        if (!(key in globalThis) || DOM_OVERRIDES.includes(key)) globalThis[key] = window[key];
+    }
+    globalThis.window = window;
+    installBrowserStubs(window);
+    const served = { ...files, 'bookmarks.json': data };
+    window.fetch = globalThis.fetch = async (input) => {
+        const name = new URL(input, window.location.href).pathname.split('/').pop();
+        return Object.hasOwn(served, name)
+            ? new Response(JSON.stringify(served[name]), { headers: { 'Content-Type': 'application/json' } })
+            : new Response('', { status: 404 });
+    };
+
+    const app = await import('../app.js');
+    await app.startApp();
+    return app;
+}
+
+// An in-memory IndexedDB with just what store.js uses. Requests succeed a tick
+// later, like the real ones; with indexedDB.broken set they fail instead, as
+// they do when storage has become unavailable.
+function createIndexedDB() {
+    const databases = new Map();
+    const indexedDB = { broken: false };
+
+    const settle = (run) => {
+        const request = {};
+        queueMicrotask(() => {
+            if (indexedDB.broken) {
+                request.error = new Error('Storage is unavailable');
+                request.onerror?.();
+            } else {
+                request.result = run(request);
+                request.onsuccess?.();
+            }
+        });
+        return request;
+    };
+
+    const objectStore = ({ keyPath, records }) => ({
+        getAll: () => settle(() => [...records.keys()].sort().map(key => structuredClone(records.get(key)))),
+        put: value => settle(() => {
+            records.set(value[keyPath], structuredClone(value));
+            return value[keyPath];
+        }),
+        delete: key => settle(() => {
+            records.delete(key);
+        }),
+        clear: () => settle(() => {
+            records.clear();
+        })
+    });
+
+    const createDatabase = () => {
+        const stores = new Map();
+        return {
+            createObjectStore: (name, { keyPath }) => {
+                stores.set(name, { keyPath, records: new Map() });
+            },
+            transaction: name => ({ objectStore: () => objectStore(stores.get(name)) })
+        };
+    };
+
+    indexedDB.open = name => settle(request => {
+        if (!databases.has(name)) {
+            databases.set(name, createDatabase());
+            request.result = databases.get(name);
+            request.onupgradeneeded?.();
+        }
+        return databases.get(name);
+    });
+    return indexedDB;
+}
+
+// What jsdom doesn't implement. window.opened lists the URLs window.open()
+// opened; past window.popupLimit of them it's blocked, and returns null.
+function installBrowserStubs(window) {
+    window.indexedDB = globalThis.indexedDB = createIndexedDB();
+    window.matchMedia = globalThis.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.CSS = globalThis.CSS = { escape: value => String(value).replace(/[^\w-]/g, c => `\\${c}`) };
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+    window.scrollTo = (x, y) => {
+        window.scrollX = x;
+        window.scrollY = y;
+    };
+    window.HTMLDialogElement.prototype.showModal ??= function () {
+        this.open = true;
+    };
+    window.HTMLDialogElement.prototype.close ??= function () {
+        this.open = false;
+        this.dispatchEvent(new window.Event('close'));
+    };
+    window.opened = [];
+    window.popupLimit = Infinity;
+    window.open = (url) => {
+        if (window.opened.length >= window.popupLimit) return null;
+        window.opened.push(url);
+        return { opener: window };
+    };
+}
+
+// Dispatches a keydown where the browser would: on the focused element
+function pressKey(key, options = {}) {
+    const target = document.activeElement || document.body;
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+// axe-core's violations on the page as it is. Colour contrast needs real
+// rendering, which jsdom doesn't do.
+async function auditPage() {
+    const { default: axe } = await import('axe-core');
+    const { violations } = await axe.run(document, { rules: { 'color-contrast': { enabled: false } } });
+    return violations;
+}
+
+export {
+    loadApp,
+    pressKey,
+    auditPage
+};
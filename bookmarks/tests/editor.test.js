@@ -0,0 +1,70 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './dom.js';
+import { toSchemaBookmark } from '../store.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+// Two collections: Team, listed first, with a tag alias of its own, then Personal
+const TEAM = { tagAliases: { js: 'javascript' }, bookmarks: SAMPLE_BOOKMARKS.slice(0, 3) };
+const PERSONAL = { bookmarks: SAMPLE_BOOKMARKS.slice(3) };
+const COLLECTIONS = {
+    collections: [
+        { name: 'Team', src: 'lists/team.json' },
+        { name: 'Personal', src: 'bookmarks.json' }
+    ]
+};
+
+let app;
+
+before(async () => {
+    app = await loadApp({ data: PERSONAL, files: { 'collections.json': COLLECTIONS, 'team.json': TEAM } });
+});
+
+// Runs the JSON export from the export menu; resolves to { name, data } of the download
+async function exportCollectionFile(t) {
+    let blob = null;
+    let name = null;
+    t.mock.method(URL, 'createObjectURL', value => {
+        blob = value;
+        return 'blob:export';
+    });
+    t.mock.method(URL, 'revokeObjectURL', () => {});
+    t.mock.method(window.HTMLAnchorElement.prototype, 'click', function () {
+        name = this.download;
+    });
+    document.getElementById('export-bookmarks').click();
+    const item = document.querySelector('#export-menu [data-export="json"]');
+    const label = item.previousElementSibling.textContent;
+    item.click();
+    return { label, name, data: JSON.parse(await blob.text()) };
+}
+
+test('the JSON export writes the first collection\'s file when all are shown', async (t) => {
+    const { label, name, data } = await exportCollectionFile(t);
+    assert.equal(label, 'Team collection');
+    assert.equal(name, 'team.json');
+    assert.deepEqual(data, { ...TEAM, bookmarks: TEAM.bookmarks.map(toSchemaBookmark) });
+});
+
+test('the JSON export writes the file of the collection being viewed', async (t) => {
+    app.selectCollection('personal');
+    const { label, name, data } = await exportCollectionFile(t);
+    app.selectCollection('personal');
+    assert.equal(label, 'Personal collection');
+    assert.equal(name, 'bookmarks.json');
+    assert.deepEqual(data, { bookmarks: PERSONAL.bookmarks.map(toSchemaBookmark) });
+});
+
+test('discarding local changes says so when storage is unavailable', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const alerts = [];
+    t.mock.method(window, 'confirm', () => true);
+    t.mock.method(window, 'alert', message => alerts.push(message));
+
+    indexedDB.broken = true;
+    document.getElementById('reset-edits').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    indexedDB.broken = false;
+    assert.deepEqual(alerts, ['Could not discard local changes - local storage is unavailable']);
+    assert.equal(errors.mock.calls[0].arguments[0], 'Error discarding local changes:');
+});
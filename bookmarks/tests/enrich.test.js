@@ -0,0 +1,107 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { extractMetadata, fetchPageMetadata, fetchFavicon } from '../tools/enrich-bookmarks.js';
+import { startFixtureServer } from '../tools/fixture-server.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const SITE_DIR = fileURLToPath(new URL('../fixtures/site/', import.meta.url));
+const ENRICH = fileURLToPath(new URL('../tools/enrich-bookmarks.js', import.meta.url));
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-enrich-'));
+let server;
+
+before(async () => {
+    server = await startFixtureServer(SITE_DIR, { port: 0 });
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// Runs the tool on a bookmarks.json of its own holding bookmarks; resolves to its directory
+async function runEnrich(name, bookmarks, args) {
+    const dir = path.join(tmp, name);
+    fs.mkdirSync(dir);
+    const file = path.join(dir, 'bookmarks.json');
+    fs.writeFileSync(file, JSON.stringify({ bookmarks }, null, 2) + '\n');
+    await promisify(execFile)(process.execPath, [ENRICH, ...args, '--file', file, '--timeout', '5000']);
+    return dir;
+}
+
+const readJSON = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('metadata comes from the head, meta description first', async () => {
+    const page = await fetchPageMetadata(`${server.url}docs.html`);
+    assert.equal(page.title, 'RegexLab & Friends');
+    assert.equal(page.description, 'Test and debug regular expressions with live matching. Supports JavaScript, PCRE and Python flavours.');
+    assert.equal(page.canonicalUrl, `${server.url}regexlab/`);
+    assert.equal(page.finalUrl, `${server.url}docs.html`);
+});
+
+test('meta tags in the body are ignored', () => {
+    const html = fs.readFileSync(path.join(SITE_DIR, 'docs.html'), 'utf8').replace(/<meta name="description"[^>]*>/, '');
+    assert.equal(extractMetadata(html, `${server.url}docs.html`).description, 'Not this one: meta description comes first');
+});
+
+test('OpenGraph fills in for a missing title, description and canonical link', async () => {
+    const page = await fetchPageMetadata(`${server.url}og.html`);
+    assert.equal(page.title, 'Palette Studio');
+    assert.equal(page.description, 'Generate color palettes and schemes from a photo');
+    assert.equal(page.canonicalUrl, 'https://palette.example/studio');
+});
+
+test('the SVG icon is preferred, and commented-out links are ignored', async () => {
+    const { iconUrls } = await fetchPageMetadata(`${server.url}docs.html`);
+    assert.deepEqual(iconUrls, [`${server.url}icon.svg`, `${server.url}icon-32.png`, `${server.url}favicon.ico`]);
+    const icon = await fetchFavicon(iconUrls);
+    assert.equal(icon.url, `${server.url}icon.svg`);
+    assert.equal(icon.contentType, 'image/svg+xml');
+    assert.deepEqual(icon.data, fs.readFileSync(path.join(SITE_DIR, 'icon.svg')));
+});
+
+test('an icon that is missing is skipped for the next one', async () => {
+    const { iconUrls } = await fetchPageMetadata(`${server.url}og.html`);
+    assert.equal(iconUrls[0], `${server.url}missing.png`);
+    const icon = await fetchFavicon(iconUrls);
+    assert.equal(icon.url, `${server.url}icon-32.png`);
+    assert.equal(icon.contentType, 'image/png');
+});
+
+test('a page without icon links gets /favicon.ico', async () => {
+    const { iconUrls } = await fetchPageMetadata(`${server.url}plain.html`);
+    assert.deepEqual(iconUrls, [`${server.url}favicon.ico`]);
+});
+
+test('--write appends the new bookmark and leaves favicons alone', async () => {
+    const dir = await runEnrich('write', SAMPLE_BOOKMARKS, [`${server.url}docs.html`, '--write']);
+    const text = fs.readFileSync(path.join(dir, 'bookmarks.json'), 'utf8');
+    assert.ok(text.endsWith('}\n'));
+    const { bookmarks } = JSON.parse(text);
+    assert.deepEqual(bookmarks.slice(0, -1), SAMPLE_BOOKMARKS);
+    const added = bookmarks.at(-1);
+    assert.equal(added.title, 'RegexLab & Friends');
+    assert.equal(added.url, `${server.url}regexlab/`);
+    assert.equal(added.description, 'Test and debug regular expressions with live matching');
+    assert.ok(added.category);
+    assert.ok(!fs.existsSync(path.join(dir, 'favicons.json')));
+    assert.ok(!fs.existsSync(path.join(dir, 'favicons')));
+});
+
+test('without --write the new bookmark goes to enriched.json', async () => {
+    const dir = await runEnrich('review', SAMPLE_BOOKMARKS, [`${server.url}docs.html`]);
+    assert.deepEqual(readJSON(path.join(dir, 'bookmarks.json')).bookmarks, SAMPLE_BOOKMARKS);
+    assert.deepEqual(readJSON(path.join(dir, 'enriched.json')).bookmarks.map(bookmark => bookmark.url), [`${server.url}regexlab/`]);
+});
+
+test('--favicons saves the icon and lists it in favicons.json', async () => {
+    const dir = await runEnrich('favicons', [], [`${server.url}docs.html`, '--write', '--favicons']);
+    const { icons } = readJSON(path.join(dir, 'favicons.json'));
+    assert.deepEqual(icons, { '127.0.0.1': 'favicons/127.0.0.1.svg' });
+    assert.deepEqual(fs.readFileSync(path.join(dir, icons['127.0.0.1'])), fs.readFileSync(path.join(SITE_DIR, 'icon.svg')));
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toNetscapeHTML, toMarkdown, toMarkdownList, toHTMLList } from '../exporters.js';
+import { groupBookmarks } from '../markup.js';
+
+const LINKS = [
+    { title: 'MDN <Docs>', url: 'https://developer.mozilla.org/', description: 'Reference', category: 'Dev', tags: ['web'] },
+    { title: 'Alert', url: 'javascript:alert(1)', description: 'Runs script', category: 'Dev', tags: [] },
+    { title: 'Page', url: 'data:text/html,<script>alert(2)</script>', category: 'Dev', tags: [] },
+    { title: 'Broken out', url: 'https://example.com/a> [x](javascript:alert(3)', category: 'Dev', tags: [] }
+];
+
+test('toHTMLList copies unsafe links as plain text', () => {
+    assert.equal(toHTMLList(LINKS), [
+        '<ul>',
+        '    <li><a href="https://developer.mozilla.org/">MDN &lt;Docs&gt;</a></li>',
+        '    <li>Alert</li>',
+        '    <li>Page</li>',
+        '    <li><a href="https://example.com/a&gt; [x](javascript:alert(3)">Broken out</a></li>',
+        '</ul>'
+    ].join('\n'));
+});
+
+test('toNetscapeHTML leaves unsafe links out of the file', () => {
+    const html = toNetscapeHTML(groupBookmarks(LINKS), 'Bookmarks');
+    assert.match(html, /<DT><A HREF="https:\/\/developer\.mozilla\.org\/" TAGS="web">MDN &lt;Docs&gt;<\/A>\n\s*<DD>Reference/);
+    assert.doesNotMatch(html, /javascript:alert\(1\)|data:|Runs script/);
+    assert.equal(html.match(/<A HREF=/g).length, 2);
+});
+
+test('Markdown exports only link safe URLs that stay inside the brackets', () => {
+    assert.equal(toMarkdownList(LINKS), [
+        '- [MDN <Docs>](<https://developer.mozilla.org/>)',
+        '- Alert',
+        '- Page',
+        '- Broken out'
+    ].join('\n'));
+    const markdown = toMarkdown(groupBookmarks(LINKS), 'Bookmarks');
+    assert.match(markdown, /^- Alert - Runs script$/m);
+    assert.doesNotMatch(markdown, /\]\(<(?!https:)/);
+});
@@ -0,0 +1,216 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { JSDOM } from 'jsdom';
+import { buildExtension } from '../tools/build-extension.js';
+import { createStateStore } from '../state.js';
+import { parseDraftHash } from '../url-state.js';
+import { EXTENSION_ORIGIN, createChromeMock } from './chrome.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const SITE_URL = 'https://example.com/bookmarks/';
+const out = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-extension-'));
+let chrome;
+let collection;
+
+// The site serves the sample bookmarks; the extension's own files come from
+// the build. Anything else is offline.
+globalThis.fetch = async (input) => {
+    const url = new URL(input);
+    if (url.href.startsWith(EXTENSION_ORIGIN)) {
+        const file = path.join(out, url.pathname);
+        if (!fs.existsSync(file)) throw new TypeError('Failed to fetch');
+        return new Response(fs.readFileSync(file));
+    }
+    if (url.href === new URL('bookmarks.json', SITE_URL).href) {
+        return new Response(JSON.stringify({ bookmarks: SAMPLE_BOOKMARKS }));
+    }
+    if (url.href.startsWith(SITE_URL)) return new Response('', { status: 404 });
+    throw new TypeError('Failed to fetch');
+};
+
+before(async () => {
+    buildExtension(out);
+    chrome = globalThis.chrome = createChromeMock({ settings: { siteUrl: SITE_URL } });
+    collection = await import(pathToFileURL(path.join(out, 'collection.js')));
+    await import(pathToFileURL(path.join(out, 'background.js')));
+});
+
+after(() => {
+    fs.rmSync(out, { recursive: true, force: true });
+});
+
+const built = file => pathToFileURL(path.join(out, file));
+
+// What the app's getFilteredBookmarks() has for query, on the same bookmarks
+function appResults(query) {
+    const store = createStateStore({ getLinkHealth: () => null, getCollections: () => [] });
+    store.setBookmarks(SAMPLE_BOOKMARKS);
+    store.setFilters({ searchQuery: query });
+    return store.getFilterResults().filtered;
+}
+
+async function omniboxSuggestions(text) {
+    let suggestions = null;
+    await chrome.omnibox.onInputChanged.dispatch(text, results => {
+        suggestions = results;
+    });
+    return suggestions;
+}
+
+// The popup on a fresh page, for a tab with the text selected on it
+async function openPopup({ tab, selection = '', settings = { siteUrl: SITE_URL } }) {
+    const dom = new JSDOM(fs.readFileSync(path.join(out, 'popup.html'), 'utf8'), { url: `${EXTENSION_ORIGIN}popup.html` });
+    const popup = { window: dom.window, document: dom.window.document, closed: false };
+    dom.window.close = () => {
+        popup.closed = true;
+    };
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    popup.chrome = globalThis.chrome = createChromeMock({ tab, selection, settings });
+    collection.resetCollection();
+    const { startPopup } = await import(built('popup.js'));
+    await startPopup();
+    popup.form = popup.document.getElementById('save-form');
+    popup.status = popup.document.getElementById('save-status');
+    return popup;
+}
+
+test('the build is a Manifest V3 extension with everything it refers to', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.manifest_version, 3);
+    assert.equal(manifest.omnibox.keyword, 'bm');
+    [manifest.background.service_worker, manifest.action.default_popup, manifest.options_ui.page, ...Object.values(manifest.icons)]
+        .forEach(file => assert.ok(fs.existsSync(path.join(out, file)), file));
+
+    // Every import resolves inside the build
+    fs.readdirSync(out).filter(file => file.endsWith('.js')).forEach(file => {
+        const source = fs.readFileSync(path.join(out, file), 'utf8');
+        for (const [, specifier] of source.matchAll(/\bfrom\s+'([^']+)'/g)) {
+            assert.match(specifier, /^\.\/[\w.-]+\.js$/, `${file} imports ${specifier}`);
+            assert.ok(fs.existsSync(path.join(out, specifier)), `${file} imports ${specifier}`);
+        }
+    });
+    assert.ok(fs.existsSync(path.join(out, 'bookmarks.json')));
+});
+
+test('the build only empties a directory it wrote', () => {
+    const other = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-other-'));
+    fs.writeFileSync(path.join(other, 'notes.txt'), 'keep me');
+    assert.throws(() => buildExtension(other), /isn't an extension build/);
+    assert.ok(fs.existsSync(path.join(other, 'notes.txt')));
+    fs.rmSync(other, { recursive: true });
+});
+
+test('bm suggests what the app finds for the same search, best first', async () => {
+    for (const query of ['reference', 'web', 'cours -khan', 'tag:web/css']) {
+        const suggestions = await omniboxSuggestions(query);
+        assert.deepEqual(suggestions.map(suggestion => suggestion.content), appResults(query).map(bookmark => bookmark.url), query);
+    }
+    const [mdn] = await omniboxSuggestions('reference');
+    assert.equal(mdn.description, '<match>MDN Web Docs</match> <dim>Dev / Docs</dim> <url>https://developer.mozilla.org/</url>');
+    assert.deepEqual(await omniboxSuggestions('  '), []);
+});
+
+test('Enter opens the picked bookmark, or the page with the results', async () => {
+    chrome.opened = [];
+    await chrome.omnibox.onInputEntered.dispatch('https://nodejs.org/', 'currentTab');
+    await chrome.omnibox.onInputEntered.dispatch('css grid', 'newBackgroundTab');
+    await chrome.omnibox.onInputEntered.dispatch('css grid', 'newForegroundTab');
+    assert.deepEqual(chrome.opened, [
+        { method: 'update', url: 'https://nodejs.org/' },
+        { method: 'create', url: `${SITE_URL}?q=css+grid`, active: false },
+        { method: 'create', url: `${SITE_URL}?q=css+grid`, active: true }
+    ]);
+});
+
+test('without the site it searches the copy bundled in the build', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    // Unreachable: falls back
+    await chrome.storage.sync.set({ siteUrl: 'https://offline.example/' });
+    const [regex101] = await omniboxSuggestions('regex101');
+    assert.equal(regex101.content, 'https://regex101.com/');
+
+    // Not set: Enter goes straight to the best match
+    await chrome.storage.sync.set({ siteUrl: '' });
+    chrome.opened = [];
+    await chrome.omnibox.onInputEntered.dispatch('regex101', 'currentTab');
+    assert.deepEqual(chrome.opened, [{ method: 'update', url: 'https://regex101.com/' }]);
+
+    await chrome.storage.sync.set({ siteUrl: SITE_URL });
+    assert.equal((await omniboxSuggestions('regex101')).length, 0);
+});
+
+test('the popup fills in the tab and suggests where it goes', async () => {
+    const popup = await openPopup({
+        tab: { id: 7, title: 'A Complete Guide to CSS Grid', url: 'https://css-tricks.com/snippets/css/complete-guide-grid/' },
+        selection: '  Our comprehensive\n guide to CSS grid  '
+    });
+    const { elements } = popup.form;
+    assert.equal(elements.title.value, 'A Complete Guide to CSS Grid');
+    assert.equal(elements.url.value, 'https://css-tricks.com/snippets/css/complete-guide-grid/');
+    assert.equal(elements.description.value, 'Our comprehensive guide to CSS grid');
+    assert.equal(elements.category.value, 'Dev');
+    assert.equal(elements.section.value, 'Articles');
+    assert.equal(elements.tags.value, 'web/css');
+    assert.match(popup.status.textContent, /Suggested from "CSS-Tricks"/);
+
+    // From the collection's taxonomy
+    const options = id => [...popup.document.getElementById(id).options].map(option => option.value);
+    assert.deepEqual(options('categories'), ['Design', 'Dev', 'Learning']);
+    assert.deepEqual(options('sections'), ['Articles', 'Docs']);
+    elements.tags.value = 'web/css, ma';
+    elements.tags.dispatchEvent(new popup.window.Event('input'));
+    assert.deepEqual(options('tags'), ['web/css, maths']);
+});
+
+test('Save opens the bookmarks page with the editor filled in', async () => {
+    const popup = await openPopup({ tab: { id: 2, title: 'Grid Garden', url: 'https://cssgridgarden.com/' } });
+    const { elements } = popup.form;
+    elements.category.value = 'Learning';
+    elements.section.value = '';
+    elements.tags.value = 'Games, web/css, games';
+    popup.form.requestSubmit();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.equal(popup.chrome.opened.length, 1);
+    const url = new URL(popup.chrome.opened[0].url);
+    assert.equal(url.origin + url.pathname, SITE_URL);
+    assert.deepEqual(parseDraftHash(url.hash), {
+        title: 'Grid Garden',
+        url: 'https://cssgridgarden.com/',
+        description: '',
+        category: 'Learning',
+        section: '',
+        tags: ['games', 'web/css']
+    });
+    assert.ok(popup.closed);
+});
+
+test('the popup says what stops a save', async () => {
+    const existing = await openPopup({ tab: { id: 3, title: 'Node', url: 'https://nodejs.org' }, selection: null });
+    assert.equal(existing.form.elements.description.value, '', 'nothing from a page scripts can\'t run in');
+    assert.equal(existing.status.textContent, 'Already bookmarked as "Node.js"');
+    existing.form.elements.url.value = 'javascript:alert(1)';
+    existing.form.requestSubmit();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(existing.status.textContent, 'Only http:// and https:// pages can be saved');
+    assert.equal(existing.chrome.opened.length, 0);
+
+    const unset = await openPopup({ tab: { id: 4, title: 'Example', url: 'https://example.org/' }, settings: {} });
+    assert.ok(unset.form.querySelector('[type="submit"]').disabled);
+    assert.match(unset.status.textContent, /Options/);
+    unset.document.getElementById('open-options').click();
+    assert.equal(unset.chrome.optionsOpened, 1);
+});
+
+test('the site address is the directory the page is in', () => {
+    assert.equal(collection.normalizeSiteUrl(' https://example.com/bookmarks '), 'https://example.com/bookmarks/');
+    assert.equal(collection.normalizeSiteUrl('https://example.com/bookmarks/index.html?q=css#top'), 'https://example.com/bookmarks/index.html');
+    assert.equal(collection.normalizeSiteUrl('https://example.com'), 'https://example.com/');
+    assert.equal(collection.normalizeSiteUrl('file:///home/me/bookmarks/'), null);
+    assert.equal(collection.normalizeSiteUrl('bookmarks'), null);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createFilters,
+    normalizeFilters,
+    filterUntagged,
+    filterByTags,
+    hasAnyFilter,
+    getTagState,
+    isRankedView,
+    getAllTags,
+    listCategories,
+    listSections
+} from '../filters.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const titles = list => list.map(b => b.title);
+
+// Node.js is dead and only MDN is in the "docs" collection
+const context = {
+    getLinkHealth: b => b.title === 'Node.js' ? 'dead' : 'ok',
+    getCollections: b => b.title === 'MDN Web Docs' ? ['docs', 'main'] : ['main'],
+    getSearchIndex: () => null
+};
+const filterAll = changes => {
+    const filters = createFilters(changes);
+    return filterByTags(filterUntagged(SAMPLE_BOOKMARKS, filters, context), filters);
+};
+
+test('createFilters starts with nothing filtered', () => {
+    const filters = createFilters();
+    assert.equal(hasAnyFilter(filters), false);
+    assert.equal(filters.sortMode, 'best');
+    assert.equal(filters.tagMode, 'all');
+    assert.equal(filterAll({}).length, SAMPLE_BOOKMARKS.length);
+});
+
+test('a section without a category is dropped', () => {
+    assert.equal(createFilters({ selectedSection: 'Docs' }).selectedSection, null);
+    assert.equal(createFilters({ selectedCategory: 'Dev', selectedSection: 'Docs' }).selectedSection, 'Docs');
+    // Clearing the category clears the section with it
+    const filters = createFilters({ selectedCategory: 'Dev', selectedSection: 'Docs' });
+    assert.equal(normalizeFilters({ ...filters, selectedCategory: null }).selectedSection, null);
+});
+
+test('a tag both included and excluded stays included', () => {
+    const filters = createFilters({ selectedTags: new Set(['web']), excludedTags: new Set(['web', 'maths']) });
+    assert.deepEqual([...filters.selectedTags], ['web']);
+    assert.deepEqual([...filters.excludedTags], ['maths']);
+    assert.equal(getTagState(filters, 'web'), 'include');
+    assert.equal(getTagState(filters, 'maths'), 'exclude');
+    assert.equal(getTagState(filters, 'courses'), null);
+});
+
+test('unknown sort and tag modes fall back to the defaults', () => {
+    const filters = createFilters({ sortMode: 'sideways', tagMode: 'some' });
+    assert.equal(filters.sortMode, 'best');
+    assert.equal(filters.tagMode, 'all');
+    assert.equal(createFilters({ sortMode: 'recent' }).sortMode, 'recent');
+});
+
+test('normalizeFilters copies the tag Sets', () => {
+    const selectedTags = new Set(['web']);
+    const filters = normalizeFilters({ ...createFilters(), selectedTags });
+    selectedTags.add('maths');
+    assert.deepEqual([...filters.selectedTags], ['web']);
+});
+
+test('category and section filters', () => {
+    assert.deepEqual(titles(filterAll({ selectedCategory: 'Learning' })), ['Coursera', 'Khan Academy']);
+    assert.deepEqual(titles(filterAll({ selectedCategory: 'Dev', selectedSection: 'Docs' })), ['MDN Web Docs', 'Node.js']);
+});
+
+test('collection and broken link filters', () => {
+    assert.deepEqual(titles(filterAll({ selectedCollection: 'docs' })), ['MDN Web Docs']);
+    assert.deepEqual(titles(filterAll({ showBrokenLinks: true })), ['Node.js']);
+});
+
+test('search ranks results only in the "best" sort mode', () => {
+    const ranked = createFilters({ searchQuery: 'courses' });
+    assert.equal(isRankedView(ranked), true);
+    assert.equal(isRankedView(createFilters({ searchQuery: 'courses', sortMode: 'az' })), false);
+    // Operators alone filter without ranking
+    assert.equal(isRankedView(createFilters({ searchQuery: 'cat:Learning' })), false);
+    assert.deepEqual(titles(filterUntagged(SAMPLE_BOOKMARKS, ranked, context)), ['Coursera', 'Khan Academy']);
+});
+
+test('a parent tag matches its children', () => {
+    assert.deepEqual(titles(filterAll({ selectedTags: new Set(['web']) })), ['MDN Web Docs', 'CSS-Tricks', 'Dribbble']);
+    assert.deepEqual(titles(filterAll({ excludedTags: new Set(['web']) })), ['Node.js', 'Coursera', 'Khan Academy']);
+});
+
+test('included tags match all or any of them', () => {
+    const selectedTags = new Set(['courses', 'reference']);
+    assert.deepEqual(titles(filterAll({ selectedTags })), []);
+    assert.deepEqual(titles(filterAll({ selectedTags, tagMode: 'any' })), ['MDN Web Docs', 'Node.js', 'Coursera', 'Khan Academy']);
+    assert.deepEqual(titles(filterAll({ selectedTags, tagMode: 'any', excludedTags: new Set(['maths']) })), ['MDN Web Docs', 'Node.js', 'Coursera']);
+});
+
+test('hasAnyFilter ignores sort and tag modes', () => {
+    assert.equal(hasAnyFilter(createFilters({ sortMode: 'recent', tagMode: 'any' })), false);
+    assert.equal(hasAnyFilter(createFilters({ searchQuery: '  ' })), false);
+    assert.equal(hasAnyFilter(createFilters({ searchQuery: 'css' })), true);
+    assert.equal(hasAnyFilter(createFilters({ excludedTags: new Set(['web']) })), true);
+});
+
+test('tags, categories and sections of a list', () => {
+    assert.deepEqual([...getAllTags(SAMPLE_BOOKMARKS)].sort(), ['courses', 'inspiration', 'javascript', 'maths', 'reference', 'web', 'web/css', 'web/design']);
+    assert.deepEqual(listCategories(SAMPLE_BOOKMARKS), ['Design', 'Dev', 'Learning']);
+    assert.deepEqual(listSections(SAMPLE_BOOKMARKS, 'Dev'), ['Articles', 'Docs']);
+    assert.deepEqual(listSections(SAMPLE_BOOKMARKS, 'Design'), []);
+});
@@ -0,0 +1,118 @@
+import { before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './dom.js';
+
+let app;
+
+before(async () => {
+    app = await loadApp();
+});
+
+// Clearing the filters keeps the sort order
+beforeEach(() => {
+    app.clearFilters();
+    app.setSortMode('best');
+});
+
+const cards = () => [...document.querySelectorAll('#bookmarks-grid .link-card')];
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once the app has handled the popstate for history.go(delta)
+function go(delta) {
+    return new Promise(resolve => {
+        window.addEventListener('popstate', () => resolve(), { once: true });
+        window.history.go(delta);
+    });
+}
+
+function typeSearch(value) {
+    const input = document.getElementById('search-input');
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+test('Back and Forward step through filter changes', async () => {
+    const start = window.history.length;
+    document.querySelector('.filter-pill[data-category="Dev"]').click();
+    document.querySelector('.filter-pill[data-section="Docs"]').click();
+    document.querySelector('.tag-item[data-tag="reference"]').click();
+    assert.equal(window.history.length, start + 3);
+
+    await go(-1);
+    assert.equal(window.location.search, '?category=Dev&section=Docs');
+    assert.equal(app.store.filters.selectedTags.size, 0);
+    assert.ok(document.querySelector('.filter-pill[data-section="Docs"]').classList.contains('selected'));
+
+    await go(-1);
+    assert.equal(window.location.search, '?category=Dev');
+    assert.equal(app.store.filters.selectedSection, null);
+
+    await go(1);
+    assert.equal(app.store.filters.selectedSection, 'Docs');
+});
+
+test('sort order and tag matching replace the current entry', () => {
+    document.querySelector('.tag-item[data-tag="web"]').click();
+    document.querySelector('.tag-item[data-tag="reference"]').click();
+    const length = window.history.length;
+    document.querySelector('.sort-option[data-sort="recent"]').click();
+    document.querySelector('.tag-mode-option[data-tag-mode="any"]').click();
+    assert.equal(window.history.length, length);
+    assert.equal(window.location.search, '?tag=reference&tag=web&tagmode=any&sort=recent');
+});
+
+test('a change that leaves the URL as it is adds no entry', () => {
+    const length = window.history.length;
+    app.clearFilters();
+    assert.equal(window.history.length, length);
+});
+
+test('a search is one entry however long it takes to type', async () => {
+    const length = window.history.length;
+    typeSearch('c');
+    await wait(200);
+    typeSearch('co');
+    await wait(200);
+    typeSearch('cours');
+    await wait(200);
+    assert.equal(window.history.length, length + 1);
+    assert.equal(window.location.search, '?q=cours');
+
+    await go(-1);
+    assert.equal(app.store.filters.searchQuery, '');
+    assert.equal(document.getElementById('search-input').value, '');
+});
+
+test('committing a search starts a new entry for the next one', async () => {
+    const input = document.getElementById('search-input');
+    typeSearch('node');
+    // Enter or leaving the box straight away still applies it
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    assert.equal(window.location.search, '?q=node');
+    typeSearch('node docs');
+    await wait(200);
+
+    await go(-1);
+    assert.equal(input.value, 'node');
+    await go(-1);
+    assert.equal(input.value, '');
+});
+
+test('Back returns to the scroll position and the card that had focus', async () => {
+    const card = cards()[3];
+    card.focus();
+    window.scrollTo(0, 480);
+    // Clicking a filter takes the focus off the card
+    document.querySelector('.tag-item[data-tag="courses"]').focus();
+    document.querySelector('.tag-item[data-tag="courses"]').click();
+    window.scrollTo(0, 0);
+
+    await go(-1);
+    assert.equal(window.scrollY, 480);
+    assert.equal(document.activeElement.dataset.id, card.dataset.id);
+
+    // Forward had nothing focused, and was at the top
+    await go(1);
+    assert.equal(window.scrollY, 0);
+    assert.ok(!document.activeElement.classList.contains('link-card'));
+});
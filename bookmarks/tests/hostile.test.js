@@ -0,0 +1,105 @@
+import { before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { loadApp } from './dom.js';
+import { safeUrl } from '../html.js';
+
+// The same fixtures as hostile.html, which runs these checks in a real browser
+const FIXTURES = JSON.parse(fs.readFileSync(new URL('../fixtures/hostile-bookmarks.json', import.meta.url), 'utf8'));
+const HOSTILE_QUERIES = ['<img', '"><', 'onerror', '&amp;', 'mark', "'"];
+const HOSTILE_ELEMENTS = ['script', 'iframe', 'object', 'embed', 'svg', 'math', 'style', 'base', 'meta', 'link'];
+
+let app;
+let layout;
+let selection;
+const runs = [];
+const reported = [];  // what the app logged about the data it skipped
+
+// The modules need the app's window before they're evaluated
+before(async (t) => {
+    t.mock.method(console, 'groupCollapsed', () => {});
+    t.mock.method(console, 'error', message => reported.push(message));
+    app = await loadApp({ data: FIXTURES });
+    layout = await import('../layout.js');
+    selection = await import('../selection.js');
+    window.hostilePayloadRan = name => runs.push(name);
+});
+
+beforeEach(() => {
+    app.clearFilters();
+    layout.setLayout('cards');
+});
+
+// Handlers, injected elements and unsafe links under root, as strings
+function findInjected(root) {
+    const problems = [];
+    root.querySelectorAll('*').forEach(el => {
+        const handlers = [...el.attributes].filter(attr => attr.name.startsWith('on'));
+        if (handlers.length > 0) problems.push(`<${el.localName}> has ${handlers.map(attr => attr.name).join(', ')}`);
+        if (HOSTILE_ELEMENTS.includes(el.localName)) problems.push(`<${el.localName}>`);
+        if (el.localName === 'img' && !el.matches('img[data-favicon]')) problems.push(`<img src="${el.getAttribute('src')}">`);
+        if (el.localName === 'a' && el.hasAttribute('href') && !safeUrl(el.getAttribute('href'))) problems.push(`link to ${el.getAttribute('href')}`);
+    });
+    return problems;
+}
+
+function assertNothingInjected() {
+    const problems = [document.querySelector('.app'), ...document.querySelectorAll('dialog')].flatMap(findInjected);
+    assert.deepEqual(problems, []);
+    assert.deepEqual(runs, []);
+}
+
+const cards = () => [...document.querySelectorAll('#bookmarks-grid .link-card')];
+
+test('hostile bookmarks render as text', () => {
+    const unsafe = FIXTURES.bookmarks.filter(bookmark => !safeUrl(bookmark.url.trim()));
+    assert.ok(unsafe.length > 0);
+    unsafe.forEach(bookmark => assert.ok(!app.store.bookmarks.some(loaded => loaded.url === bookmark.url), `${bookmark.url} was loaded`));
+    assert.equal(reported.length, unsafe.length);
+    reported.forEach(message => assert.match(message, /has unsupported URL scheme/));
+
+    assert.ok(cards().length > 0);
+    cards().forEach(card => {
+        const bookmark = app.store.bookmarks.find(loaded => loaded.url === card.dataset.id);
+        assert.equal(card.querySelector('.link-title').textContent, bookmark.title);
+    });
+    assertNothingInjected();
+});
+
+test('searches, layouts, categories and tags add no markup', () => {
+    for (const name of Object.keys(layout.LAYOUTS)) {
+        layout.setLayout(name);
+        for (const query of HOSTILE_QUERIES) {
+            app.store.setFilters({ searchQuery: query });
+            app.render();
+            assertNothingInjected();
+        }
+        app.clearFilters();
+    }
+    app.getAllCategories().forEach(category => {
+        app.selectCategory(category);
+        assertNothingInjected();
+        app.clearFilters();
+    });
+    [...new Set(app.store.bookmarks.flatMap(bookmark => bookmark.tags))].forEach(tag => {
+        app.toggleTag(tag);
+        assertNothingInjected();
+        app.clearFilters();
+    });
+});
+
+test('Copy as HTML puts only safe links on the clipboard', async () => {
+    let copied = null;
+    Object.defineProperty(window.navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: async text => { copied = text; } }
+    });
+    cards().forEach(card => selection.selectedIds.add(card.dataset.id));
+    await selection.copySelected('html');
+    selection.selectedIds.clear();
+
+    const template = document.createElement('template');
+    template.innerHTML = copied;
+    assert.equal(template.content.querySelectorAll('li').length, app.store.bookmarks.length);
+    assert.deepEqual(findInjected(template.content), []);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_IMPORT_CATEGORY, parseImportFile } from '../importers.js';
+import { checkBookmarkEntry } from '../validate.js';
+
+const urls = text => parseImportFile(text).bookmarks.map(bookmark => bookmark.url);
+
+test('Netscape HTML keeps folders as category and section', () => {
+    const { format, bookmarks } = parseImportFile(`<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+    <DT><H3>Dev</H3>
+    <DL><p>
+        <DT><H3>Docs</H3>
+        <DL><p>
+            <DT><A HREF="https://developer.mozilla.org/" TAGS="web,reference">MDN</A>
+            <DD>Web docs
+        </DL><p>
+    </DL><p>
+</DL><p>`);
+    assert.equal(format, 'Netscape bookmark HTML');
+    assert.deepEqual(bookmarks, [{ title: 'MDN', url: 'https://developer.mozilla.org/', description: 'Web docs', category: 'Dev', section: 'Docs', tags: ['web', 'reference'] }]);
+});
+
+test('Chrome bookmarks keep only web links', () => {
+    const file = JSON.stringify({
+        roots: {
+            bookmark_bar: {
+                name: 'Bookmarks bar',
+                children: [
+                    { type: 'url', name: 'Node.js', url: 'https://nodejs.org/' },
+                    { type: 'url', name: 'Alert', url: 'javascript:alert(1)' },
+                    { type: 'url', name: 'Settings', url: 'chrome://settings' }
+                ]
+            }
+        }
+    });
+    assert.deepEqual(urls(file), ['https://nodejs.org/']);
+});
+
+test('Pinboard posts keep only web links', () => {
+    const file = JSON.stringify([
+        { href: 'https://css-tricks.com/', description: 'CSS-Tricks', extended: '', tags: 'web css' },
+        { href: 'javascript:alert(2)', description: 'Alert', extended: '', tags: '' },
+        { href: 'data:text/html,<script>alert(3)</script>', description: 'Data', extended: '', tags: '' }
+    ]);
+    assert.deepEqual(urls(file), ['https://css-tricks.com/']);
+});
+
+test('Firefox backups and bookmarks.json keep only web links', () => {
+    const firefox = JSON.stringify({
+        type: 'text/x-moz-place-container',
+        children: [
+            { type: 'text/x-moz-place', title: 'Coursera', uri: 'https://www.coursera.org/' },
+            { type: 'text/x-moz-place', title: 'Recent', uri: 'place:sort=8' }
+        ]
+    });
+    assert.deepEqual(urls(firefox), ['https://www.coursera.org/']);
+
+    const bookmarksJson = JSON.stringify({
+        bookmarks: [
+            { title: 'Dribbble', url: 'https://dribbble.com/', category: 'Design', tags: [] },
+            { title: 'Alert', url: 'JavaScript:alert(4)', category: 'Design', tags: [] }
+        ]
+    });
+    assert.deepEqual(urls(bookmarksJson), ['https://dribbble.com/']);
+});
+
+test('bookmarks.json entries are filled in or listed as rejected, never dropped later', () => {
+    const { bookmarks, rejected } = parseImportFile(JSON.stringify({
+        bookmarks: [
+            { title: 'Dribbble', url: 'https://dribbble.com/', tags: 'design, inspiration web' },
+            { url: 'https://nodejs.org/', category: '  ', tags: ['javascript'] },
+            { title: 42, url: 'https://example.com/number', category: 'Dev', tags: [] },
+            { title: 'Bad tags', url: 'https://example.com/tags', category: 'Dev', tags: ['ok', ''] },
+            { title: '   ', url: 'https://example.com/blank', category: 'Dev', tags: [] },
+            { title: 'Tags object', url: 'https://example.com/object', category: 'Dev', tags: { web: true } }
+        ]
+    }));
+    assert.deepEqual(bookmarks, [
+        { title: 'Dribbble', url: 'https://dribbble.com/', description: '', category: DEFAULT_IMPORT_CATEGORY, section: '', tags: ['design', 'inspiration', 'web'] },
+        { title: 'https://nodejs.org/', url: 'https://nodejs.org/', description: '', category: DEFAULT_IMPORT_CATEGORY, section: '', tags: ['javascript'] },
+        { title: 'https://example.com/blank', url: 'https://example.com/blank', description: '', category: 'Dev', section: '', tags: [] }
+    ]);
+    assert.deepEqual(rejected, [
+        { bookmark: { title: 'https://example.com/number', url: 'https://example.com/number' }, errors: ['"title" must be a string'] },
+        { bookmark: { title: 'Bad tags', url: 'https://example.com/tags' }, errors: ['"tags" must only contain non-empty strings'] },
+        { bookmark: { title: 'Tags object', url: 'https://example.com/object' }, errors: ['"tags" must be an array'] }
+    ]);
+    bookmarks.forEach(bookmark => assert.deepEqual(checkBookmarkEntry(bookmark), []));
+});
@@ -0,0 +1,150 @@
+import { before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, pressKey } from './dom.js';
+
+let app;
+let selection;
+
+before(async () => {
+    app = await loadApp();
+    selection = await import('../selection.js');
+});
+
+beforeEach(() => {
+    app.clearFilters();
+    selection.clearSelection();
+    document.activeElement?.blur();
+});
+
+const cards = () => [...document.querySelectorAll('#bookmarks-grid .link-card')];
+const cardTitles = () => [...document.querySelectorAll('#bookmarks-grid .category-group:not(.frequent-group) .link-title')].map(title => title.textContent);
+const focusedIndex = () => cards().indexOf(document.activeElement);
+
+// jsdom doesn't lay anything out: put the cards on a three-column grid in grid order
+function layOutCards() {
+    cards().forEach((card, index) => {
+        const left = (index % 3) * 200;
+        const top = Math.floor(index / 3) * 100;
+        card.getBoundingClientRect = () => ({ left, top, right: left + 180, bottom: top + 80, width: 180, height: 80 });
+    });
+}
+
+test('/ focuses the search box', () => {
+    pressKey('/');
+    assert.equal(document.activeElement, document.getElementById('search-input'));
+});
+
+test('typing anywhere starts a search', async () => {
+    pressKey('n');
+    const input = document.getElementById('search-input');
+    assert.equal(document.activeElement, input);
+    assert.equal(input.value, 'n');
+    // The search box is debounced
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(app.store.filters.searchQuery, 'n');
+});
+
+test('shortcuts stay out of the way while typing', () => {
+    document.getElementById('search-input').focus();
+    pressKey('t');
+    assert.equal(document.activeElement, document.getElementById('search-input'));
+});
+
+test('arrow keys move between cards', () => {
+    layOutCards();
+    pressKey('ArrowDown');
+    assert.equal(focusedIndex(), 0, 'the first arrow key focuses the first card');
+    pressKey('ArrowRight');
+    assert.equal(focusedIndex(), 1);
+    pressKey('ArrowDown');
+    assert.equal(focusedIndex(), 4, 'down keeps to the same column');
+    pressKey('ArrowLeft');
+    assert.equal(focusedIndex(), 3);
+    pressKey('ArrowUp');
+    assert.equal(focusedIndex(), 0);
+    pressKey('ArrowLeft');
+    assert.equal(focusedIndex(), 0, 'stops at the first card');
+});
+
+test('Shift+arrows select from the focused card', () => {
+    layOutCards();
+    cards()[1].focus();
+    pressKey('ArrowRight', { shiftKey: true });
+    pressKey('ArrowRight', { shiftKey: true });
+    assert.equal(focusedIndex(), 3);
+    assert.deepEqual([...selection.selectedIds], cards().slice(1, 4).map(card => card.dataset.id));
+
+    pressKey('Escape');
+    assert.equal(selection.selectedIds.size, 0);
+});
+
+test('Alt+digit opens the card at that position', () => {
+    window.opened.length = 0;
+    // Alt+1 types "¡" on some layouts; the physical key is what counts
+    pressKey('¡', { altKey: true, code: 'Digit1' });
+    pressKey('™', { altKey: true, code: 'Digit2' });
+    assert.deepEqual(window.opened, cards().slice(0, 2).map(card => card.href));
+});
+
+test('arrow keys move within the tag list', () => {
+    const tags = [...document.querySelectorAll('.tag-item')];
+    tags[0].focus();
+    pressKey('ArrowDown');
+    assert.equal(document.activeElement, tags[1]);
+    pressKey('ArrowUp');
+    assert.equal(document.activeElement, tags[0]);
+});
+
+test('Escape clears the filters', () => {
+    document.querySelector('.filter-pill[data-category="Dev"]').click();
+    assert.equal(app.store.filters.selectedCategory, 'Dev');
+    assert.equal(cardTitles().length, 3);
+
+    pressKey('Escape');
+    assert.equal(app.store.filters.selectedCategory, null);
+    assert.equal(cardTitles().length, 6);
+    assert.equal(window.location.search, '');
+});
+
+test('? shows and hides the shortcut help', () => {
+    const overlay = document.getElementById('help-overlay');
+    pressKey('?', { shiftKey: true });
+    assert.ok(overlay.classList.contains('visible'));
+    pressKey('Escape');
+    assert.ok(!overlay.classList.contains('visible'));
+});
+
+test('Ctrl+K opens the command palette', () => {
+    pressKey('k', { ctrlKey: true });
+    const palette = document.querySelector('dialog[open]');
+    assert.ok(palette);
+    assert.equal(document.activeElement, palette.querySelector('.palette-input'));
+    palette.close();
+});
+
+test('opening the selection stops at the first blocked tab and says so', async (t) => {
+    const { getFrecency } = await import('../usage.js');
+    const alerts = [];
+    t.mock.method(window, 'alert', message => alerts.push(message));
+    const unopened = app.store.bookmarks.filter(bookmark => getFrecency(bookmark) === 0).slice(0, 3);
+    unopened.forEach(bookmark => selection.selectedIds.add(app.bookmarkIds.get(bookmark)));
+    window.opened.length = 0;
+    window.popupLimit = 1;
+
+    document.querySelector('#selection-bar [data-bulk="open"]').click();
+    window.popupLimit = Infinity;
+    assert.equal(window.opened.length, 1);
+    assert.deepEqual(alerts, ['Opened 1 of 3 bookmarks - the browser blocked the rest, which are still selected. Allow pop-ups for this page to open them too.']);
+
+    // Only the tab that opened counts as a visit
+    const [opened, ...rest] = app.gridLayout.ids.map(app.getBookmarkById).filter(bookmark => unopened.includes(bookmark));
+    assert.equal(window.opened[0], opened.url);
+    assert.ok(getFrecency(opened) > 0);
+    rest.forEach(bookmark => assert.equal(getFrecency(bookmark), 0));
+    assert.deepEqual([...selection.selectedIds], rest.map(bookmark => app.bookmarkIds.get(bookmark)));
+
+    // Once pop-ups are allowed, Open goes on from there
+    document.querySelector('#selection-bar [data-bulk="open"]').click();
+    assert.deepEqual(window.opened, [opened, ...rest].map(bookmark => bookmark.url));
+    assert.equal(alerts.length, 1);
+});
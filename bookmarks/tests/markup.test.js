@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupBookmarks, sortBookmarkGroups, groupKey, highlightMatch } from '../markup.js';
+import { resolveFaviconUrl } from '../favicons.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+test('groupBookmarks groups by category, then section', () => {
+    const grouped = groupBookmarks(SAMPLE_BOOKMARKS);
+    assert.deepEqual(Object.keys(grouped).sort(), ['Design', 'Dev', 'Learning']);
+    assert.deepEqual(grouped.Dev.noSection, []);
+    assert.deepEqual(Object.keys(grouped.Dev.sections).sort(), ['Articles', 'Docs']);
+    assert.deepEqual(grouped.Learning.noSection.map(b => b.title), ['Coursera']);
+    assert.deepEqual(grouped.Learning.sections.Maths.map(b => b.title), ['Khan Academy']);
+});
+
+test('bookmarks without a category are grouped as Uncategorized', () => {
+    const grouped = groupBookmarks([{ title: 'Loose', url: 'https://example.com/', tags: [] }]);
+    assert.deepEqual(Object.keys(grouped), ['Uncategorized']);
+});
+
+test('sortBookmarkGroups orders categories and sections A–Z, bookmarks by compare', () => {
+    const groups = sortBookmarkGroups(groupBookmarks(SAMPLE_BOOKMARKS), byTitle);
+    assert.deepEqual(groups.map(group => group.category), ['Design', 'Dev', 'Learning']);
+    const dev = groups[1];
+    assert.deepEqual(dev.sections.map(([section]) => section), ['Articles', 'Docs']);
+    assert.deepEqual(dev.sections[1][1].map(b => b.title), ['MDN Web Docs', 'Node.js']);
+    const reversed = sortBookmarkGroups(groupBookmarks(SAMPLE_BOOKMARKS), (a, b) => byTitle(b, a));
+    assert.deepEqual(reversed[1].sections[1][1].map(b => b.title), ['Node.js', 'MDN Web Docs']);
+});
+
+test('groupKey names a category or a section in it', () => {
+    assert.equal(groupKey('Learning'), 'Learning');
+    assert.equal(groupKey('Learning', 'Courses'), 'Learning › Courses');
+});
+
+test('highlightMatch marks matched characters', () => {
+    assert.equal(highlightMatch('Node.js', 'node'), '<mark>Node</mark>.js');
+    assert.equal(highlightMatch('Node.js', ''), 'Node.js');
+    // A typo marks the whole word it matched
+    assert.equal(highlightMatch('Coursera', 'corsera'), '<mark>Coursera</mark>');
+});
+
+test('highlightMatch escapes the text around and inside marks', () => {
+    assert.equal(highlightMatch('<b>bold</b> & co', 'bold'), '&lt;b&gt;<mark>bold</mark>&lt;/b&gt; &amp; co');
+    assert.equal(highlightMatch('"quoted"', 'quoted'), '&quot;<mark>quoted</mark>&quot;');
+});
+
+test('hosts without a self-hosted icon still get Google\'s', () => {
+    const google = 'https://www.google.com/s2/favicons?domain=nodejs.org&sz=32';
+    assert.equal(resolveFaviconUrl('nodejs.org', null), google);
+    assert.equal(resolveFaviconUrl('nodejs.org', { 'github.com': 'favicons/github.com.svg' }), google);
+    assert.equal(resolveFaviconUrl('github.com', { 'github.com': 'favicons/github.com.svg' }), 'favicons/github.com.svg');
+});
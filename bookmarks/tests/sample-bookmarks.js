@@ -0,0 +1,13 @@
+// A small collection for the tests: three categories, sections in two of
+// them, namespaced tags, and bookmarks without a section.
+
+const SAMPLE_BOOKMARKS = [
+    { title: 'MDN Web Docs', url: 'https://developer.mozilla.org/', description: 'Reference for the web platform', category: 'Dev', section: 'Docs', tags: ['web', 'reference'] },
+    { title: 'CSS-Tricks', url: 'https://css-tricks.com/', description: 'Articles about CSS', category: 'Dev', section: 'Articles', tags: ['web/css'] },
+    { title: 'Node.js', url: 'https://nodejs.org/', description: 'JavaScript runtime', category: 'Dev', section: 'Docs', tags: ['javascript', 'reference'] },
+    { title: 'Coursera', url: 'https://www.coursera.org/', description: 'Online courses', category: 'Learning', tags: ['courses'] },
+    { title: 'Khan Academy', url: 'https://www.khanacademy.org/', description: 'Free lessons', category: 'Learning', section: 'Maths', tags: ['courses', 'maths'] },
+    { title: 'Dribbble', url: 'https://dribbble.com/', description: 'Design inspiration', category: 'Design', tags: ['inspiration', 'web/design'] }
+];
+
+export { SAMPLE_BOOKMARKS };
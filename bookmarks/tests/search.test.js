@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, fuzzyMatch, searchBookmarks } from '../search.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+// A search index that counts the bookmarks a search looks at
+class CountingIndex extends Map {
+    looked = 0;
+
+    get(bookmark) {
+        this.looked++;
+        return super.get(bookmark);
+    }
+}
+
+const titles = results => results.map(result => result.bookmark.title);
+
+test('a longer query only looks at what the shorter one matched', () => {
+    const index = new CountingIndex(buildSearchIndex(SAMPLE_BOOKMARKS));
+    assert.deepEqual(titles(searchBookmarks(SAMPLE_BOOKMARKS, 'co', index)), ['CSS-Tricks', 'Coursera', 'Khan Academy', 'Dribbble']);
+    assert.equal(index.looked, SAMPLE_BOOKMARKS.length);
+    index.looked = 0;
+    assert.deepEqual(titles(searchBookmarks(SAMPLE_BOOKMARKS, 'co -free', index)), ['CSS-Tricks', 'Coursera', 'Dribbble']);
+    assert.equal(index.looked, 4);
+
+    // Back to a shorter query
+    index.looked = 0;
+    assert.equal(searchBookmarks(SAMPLE_BOOKMARKS, 'c', index).length, SAMPLE_BOOKMARKS.length);
+    assert.equal(index.looked, SAMPLE_BOOKMARKS.length);
+});
+
+test('a term that is allowed a typo now looks at everything again', () => {
+    const index = new CountingIndex(buildSearchIndex(SAMPLE_BOOKMARKS));
+    assert.deepEqual(searchBookmarks(SAMPLE_BOOKMARKS, 'drx', index), []);
+    index.looked = 0;
+    assert.deepEqual(titles(searchBookmarks(SAMPLE_BOOKMARKS, 'drxb', index)), ['Dribbble']);
+    assert.equal(index.looked, SAMPLE_BOOKMARKS.length);
+});
+
+test('narrowed searches find what a fresh search does', () => {
+    const index = buildSearchIndex(SAMPLE_BOOKMARKS);
+    const typed = ['n', 'no', 'nod', 'node', 'nodej', 'nodejs', 'web', 'web d', 'web do', 'web doc', '"web', '"web d', 'tag:web', 'tag:web c', 'coursrea', 'khan acadmey'];
+    typed.forEach(query => {
+        const fresh = searchBookmarks(SAMPLE_BOOKMARKS, query, buildSearchIndex(SAMPLE_BOOKMARKS));
+        assert.deepEqual(searchBookmarks(SAMPLE_BOOKMARKS, query, index), fresh, query);
+    });
+});
+
+test('each part of a subsequence stays within twice its length', () => {
+    assert.deepEqual(fuzzyMatch('abc', 'a-bc'), { score: 0.6 * 3 / 4, indices: [0, 2, 3] });
+    // The whole of "abcd" would fit in 8, but "ab" doesn't fit in 4, so "abc" wouldn't match
+    assert.equal(fuzzyMatch('abc', 'a---bc'), null);
+    assert.equal(fuzzyMatch('abcd', 'a---bcd'), null);
+});
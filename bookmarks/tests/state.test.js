@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStateStore } from '../state.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const createStore = () => {
+    const store = createStateStore({ getLinkHealth: () => 'ok', getCollections: () => [] });
+    store.setBookmarks(SAMPLE_BOOKMARKS);
+    return store;
+};
+
+test('setFilters replaces the filter state instead of changing it', () => {
+    const store = createStore();
+    const before = store.filters;
+    store.setFilters({ selectedTags: new Set(['web']) });
+    assert.notEqual(store.filters, before);
+    assert.equal(before.selectedTags.size, 0);
+    assert.deepEqual([...store.filters.selectedTags], ['web']);
+    // Changes apply on top of what's there
+    store.setFilters({ selectedCategory: 'Dev' });
+    assert.deepEqual([...store.filters.selectedTags], ['web']);
+});
+
+test('setFilters keeps the filter state valid', () => {
+    const store = createStore();
+    store.setFilters({ selectedCategory: 'Dev', selectedSection: 'Docs' });
+    store.setFilters({ selectedCategory: null });
+    assert.equal(store.filters.selectedSection, null);
+});
+
+test('filter results are kept until the filters change', () => {
+    const store = createStore();
+    const results = store.getFilterResults();
+    assert.equal(results.filtered.length, SAMPLE_BOOKMARKS.length);
+    assert.equal(store.getFilterResults(), results);
+
+    // The same state again, e.g. from the URL, keeps them too
+    store.setFilters({});
+    assert.equal(store.getFilterResults(), results);
+
+    store.setFilters({ selectedCategory: 'Learning' });
+    const learning = store.getFilterResults();
+    assert.notEqual(learning, results);
+    assert.deepEqual(learning.filtered.map(b => b.title), ['Coursera', 'Khan Academy']);
+});
+
+test('tag filters apply after the others', () => {
+    const store = createStore();
+    store.setFilters({ selectedCategory: 'Dev', excludedTags: new Set(['web']) });
+    const { untagged, filtered } = store.getFilterResults();
+    assert.equal(untagged.length, 3);
+    assert.deepEqual(filtered.map(b => b.title), ['Node.js']);
+});
+
+test('new bookmarks drop what was derived from the old ones', () => {
+    const store = createStore();
+    const results = store.getFilterResults();
+    const index = store.getSearchIndex();
+    const tree = store.getTagTree();
+    assert.equal(store.getSearchIndex(), index);
+    assert.equal(store.getTagTree(), tree);
+
+    store.setBookmarks(SAMPLE_BOOKMARKS.slice(0, 2));
+    assert.notEqual(store.getFilterResults(), results);
+    assert.notEqual(store.getSearchIndex(), index);
+    assert.notEqual(store.getTagTree(), tree);
+    assert.equal(store.getFilterResults().filtered.length, 2);
+});
+
+test('stores are independent', () => {
+    const a = createStore();
+    const b = createStore();
+    a.setFilters({ searchQuery: 'css' });
+    assert.equal(b.filters.searchQuery, '');
+    assert.equal(b.getFilterResults().filtered.length, SAMPLE_BOOKMARKS.length);
+});
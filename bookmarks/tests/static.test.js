@@ -0,0 +1,75 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildStaticPages } from '../tools/build-static.js';
+import { loadApp } from './dom.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const PAGE = fs.readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+// More than the nine cards with shortcut badges, which the build leaves to the app,
+// with titles lint doesn't take for duplicates of each other
+const ZINES = ['Aperture', 'Bramble', 'Cinder', 'Driftwood', 'Ember', 'Fathom', 'Gossamer', 'Harbor', 'Inkwell', 'Juniper'].map((title, i) => ({
+    title,
+    url: `https://zines.example/${i + 1}`,
+    description: '',
+    category: 'Zines',
+    tags: []
+}));
+const BOOKMARKS = [...SAMPLE_BOOKMARKS, ...ZINES];
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-site-'));
+const out = path.join(dir, 'dist', 'site');
+let pages;
+
+before(() => {
+    fs.writeFileSync(path.join(dir, 'index.html'), PAGE);
+    fs.writeFileSync(path.join(dir, 'bookmarks.json'), JSON.stringify({ bookmarks: BOOKMARKS }));
+    fs.mkdirSync(path.join(dir, 'tests'));
+    fs.writeFileSync(path.join(dir, 'tests', 'notes.test.js'), '');
+    pages = buildStaticPages(dir, out);
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const built = file => fs.readFileSync(path.join(out, file), 'utf8');
+
+test('the build goes to out and leaves the source as it was', () => {
+    assert.equal(fs.readFileSync(path.join(dir, 'index.html'), 'utf8'), PAGE);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['bookmarks.json', 'dist', 'index.html', 'tests']);
+    assert.ok(fs.existsSync(path.join(out, 'bookmarks.json')));
+    assert.ok(!fs.existsSync(path.join(out, 'tests')), 'development files aren\'t deployed');
+    assert.ok(!fs.existsSync(path.join(out, 'dist')), 'out isn\'t copied into itself');
+
+    const index = built('index.html');
+    BOOKMARKS.forEach(bookmark => assert.ok(index.includes(`data-patch-key="${bookmark.url}"`), bookmark.title));
+    assert.ok(pages.some(page => page.file === 'category-learning.html'));
+    assert.match(built('category-learning.html'), /<meta name="bookmarks-filter" content="category=Learning">/);
+    assert.match(built('tag-web-css.html'), /<meta name="bookmarks-filter" content="tag=web%2Fcss">/);
+});
+
+test('the build only empties a directory it wrote', () => {
+    const other = fs.mkdtempSync(path.join(os.tmpdir(), 'bookmarks-other-'));
+    fs.writeFileSync(path.join(other, 'notes.txt'), 'keep me');
+    assert.throws(() => buildStaticPages(dir, other), /isn't a site build/);
+    assert.ok(fs.existsSync(path.join(other, 'notes.txt')));
+    fs.rmSync(other, { recursive: true });
+    assert.throws(() => buildStaticPages(dir, dir), /would contain the site/);
+});
+
+test('the app adopts prerendered markup that is still up to date', async () => {
+    // Marks on the elements show whether they're the page's or the app's
+    const page = built('index.html')
+        .replace('<a data-patch-key="https://zines.example/9"', '<a data-test-marker data-patch-key="https://zines.example/9"')
+        .replace(/<a data-patch-key="https:\/\/zines\.example\/10" data-patch-hash="\w+"/, '<a data-test-marker data-patch-key="https://zines.example/10" data-patch-hash="stale"');
+    assert.equal(page.match(/data-test-marker/g).length, 2);
+    await loadApp({ page, bookmarks: BOOKMARKS });
+
+    const card = url => document.querySelector(`#bookmarks-grid .link-card[data-id="${url}"]`);
+    assert.ok(card('https://zines.example/9').hasAttribute('data-test-marker'), 'kept');
+    assert.ok(!card('https://zines.example/10').hasAttribute('data-test-marker'), 'rendered again');
+    assert.equal(document.querySelectorAll('#bookmarks-grid .link-card').length, BOOKMARKS.length);
+    assert.equal(document.querySelectorAll('[data-patch-key], [data-patch-hash]').length, 0);
+});
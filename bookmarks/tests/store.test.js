@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeBookmarkOverlay, shippedBookmarkUrl } from '../store.js';
+import { SAMPLE_BOOKMARKS } from './sample-bookmarks.js';
+
+const [mdn, cssTricks] = SAMPLE_BOOKMARKS;
+
+test('edits replace or hide the shipped entry they are keyed to', () => {
+    const edited = { ...mdn, title: 'MDN' };
+    const local = { ...cssTricks, url: 'https://example.com/' };
+    const merged = mergeBookmarkOverlay(SAMPLE_BOOKMARKS.slice(0, 3), [
+        { id: mdn.url, bookmark: edited },
+        { id: cssTricks.url, deleted: true },
+        { id: 'local-1', bookmark: local, createdAt: 1 }
+    ]);
+    assert.deepEqual(merged, [
+        { id: mdn.url, bookmark: edited, origin: 'edited' },
+        { id: SAMPLE_BOOKMARKS[2].url, bookmark: SAMPLE_BOOKMARKS[2], origin: 'shipped' },
+        { id: 'local-1', bookmark: local, origin: 'local' }
+    ]);
+});
+
+test('shipped entries with the same URL are edited and deleted one at a time', () => {
+    const again = { ...mdn, title: 'MDN again' };
+    const base = [mdn, cssTricks, again];
+    const shipped = mergeBookmarkOverlay(base, []);
+    assert.deepEqual(shipped.map(entry => entry.id), [mdn.url, cssTricks.url, `2:${mdn.url}`]);
+    assert.equal(shippedBookmarkUrl(shipped[2].id), mdn.url);
+    assert.equal(shippedBookmarkUrl(shipped[0].id), mdn.url);
+
+    const edited = { ...again, title: 'Edited' };
+    assert.deepEqual(mergeBookmarkOverlay(base, [{ id: `2:${mdn.url}`, bookmark: edited }]).map(entry => entry.bookmark), [mdn, cssTricks, edited]);
+    assert.deepEqual(mergeBookmarkOverlay(base, [{ id: `2:${mdn.url}`, deleted: true }]).map(entry => entry.bookmark), [mdn, cssTricks]);
+    assert.deepEqual(mergeBookmarkOverlay(base, [{ id: mdn.url, deleted: true }]).map(entry => entry.bookmark), [cssTricks, again]);
+});
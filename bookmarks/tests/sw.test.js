@@ -0,0 +1,121 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+
+const SITE_URL = 'https://example.com/bookmarks/';
+const SOURCE = fs.readFileSync(new URL('../sw.js', import.meta.url), 'utf8');
+
+let worker;
+
+// A cache that, like the browser's, hands out a fresh response on every match
+function createCache() {
+    const entries = new Map();
+    const keyOf = key => (typeof key === 'string' ? key : key.url);
+    return {
+        entries,
+        match: async key => entries.get(keyOf(key))?.clone(),
+        put: async (key, response) => {
+            entries.set(keyOf(key), response);
+        },
+        keys: async () => [...entries.keys()],
+        delete: async key => entries.delete(keyOf(key))
+    };
+}
+
+// sw.js evaluated against stand-ins for the worker's globals, with one cache
+// behind every name. The network answers once release() is called, so the page
+// can read what was cached first.
+function loadWorker() {
+    const listeners = {};
+    const cache = createCache();
+    const posted = [];
+    let release;
+    const network = new Promise(resolve => {
+        release = resolve;
+    });
+    const self = {
+        location: new URL(SITE_URL),
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        clients: {
+            matchAll: async () => [{ postMessage: message => posted.push(structuredClone(message)) }]
+        }
+    };
+    const context = {
+        self,
+        URL,
+        Response,
+        caches: {
+            open: async () => cache
+        },
+        fetch: async request => {
+            const body = await network;
+            return new Response(body[request.url] ?? '', { status: request.url in body ? 200 : 404 });
+        }
+    };
+    vm.runInNewContext(SOURCE, context);
+    return { listeners, cache, posted, release };
+}
+
+// What the page gets for url, and the background work the worker keeps going
+function dispatchFetch(url) {
+    let response;
+    const pending = [];
+    worker.listeners.fetch({
+        request: new Request(url),
+        respondWith: promise => {
+            response = promise;
+        },
+        waitUntil: promise => pending.push(promise)
+    });
+    return { response, settled: () => Promise.all(pending) };
+}
+
+async function cacheFile(url, body) {
+    await worker.cache.put(url, new Response(body));
+}
+
+beforeEach(() => {
+    worker = loadWorker();
+});
+
+test('changed bookmarks are served from the cache, then refreshed and announced', async () => {
+    const url = new URL('bookmarks.json', SITE_URL).href;
+    await cacheFile(url, '{"bookmarks":[]}');
+
+    const { response, settled } = dispatchFetch(url);
+    assert.equal(await (await response).text(), '{"bookmarks":[]}');
+    worker.release({ [url]: '{"bookmarks":[1]}' });
+    await settled();
+
+    assert.equal(await worker.cache.entries.get(url).text(), '{"bookmarks":[1]}');
+    assert.deepEqual(worker.posted, [{ type: 'bookmarks-updated' }]);
+});
+
+test('unchanged bookmarks are refreshed without a message', async () => {
+    const url = new URL('collections.json', SITE_URL).href;
+    await cacheFile(url, '{"collections":[]}');
+
+    const { response, settled } = dispatchFetch(url);
+    await (await response).text();
+    worker.release({ [url]: '{"collections":[]}' });
+    await settled();
+
+    assert.equal(await worker.cache.entries.get(url).text(), '{"collections":[]}');
+    assert.deepEqual(worker.posted, []);
+});
+
+test('other files are refreshed without a message', async () => {
+    const url = new URL('styles.css', SITE_URL).href;
+    await cacheFile(url, 'body {}');
+
+    const { response, settled } = dispatchFetch(url);
+    await (await response).text();
+    worker.release({ [url]: 'body { margin: 0 }' });
+    await settled();
+
+    assert.equal(await worker.cache.entries.get(url).text(), 'body { margin: 0 }');
+    assert.deepEqual(worker.posted, []);
+});
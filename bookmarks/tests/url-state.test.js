@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilterParams, parseTagParams, buildFilterParams, buildDraftHash, parseDraftHash } from '../url-state.js';
+import { createFilters } from '../filters.js';
+
+const parse = (query, options) => parseFilterParams(new URLSearchParams(query), options);
+const roundTrip = query => buildFilterParams(parse(query)).toString();
+
+test('every filter survives a round trip', () => {
+    const query = 'q=css+grid&collection=work&category=Dev&section=Docs&tag=reference&tag=web&notag=maths&tagmode=any&links=broken&sort=recent';
+    assert.equal(roundTrip(query), query);
+});
+
+test('no params is no filter, and the defaults are left out', () => {
+    assert.deepEqual(parse(''), createFilters());
+    assert.equal(buildFilterParams(createFilters()).toString(), '');
+    assert.equal(roundTrip('sort=best&tagmode=all'), '');
+});
+
+test('a section without its category is dropped', () => {
+    const filters = parse('section=Docs&tag=web');
+    assert.equal(filters.selectedSection, null);
+    assert.equal(buildFilterParams(filters).toString(), 'tag=web');
+    // Even from a state that was put together by hand
+    assert.equal(buildFilterParams({ ...createFilters(), selectedSection: 'Docs' }).toString(), '');
+});
+
+test('tags may be repeated or comma-separated', () => {
+    assert.deepEqual([...parseTagParams(['a,b', ' c ', 'a', ','])], ['a', 'b', 'c']);
+    assert.equal(roundTrip('tag=web,courses'), 'tag=courses&tag=web');
+});
+
+test('an included tag is not also excluded', () => {
+    assert.equal(roundTrip('tag=web&notag=web&notag=maths'), 'tag=web&notag=maths');
+});
+
+test('tag mode is only written with two or more included tags', () => {
+    assert.equal(roundTrip('tag=web&tagmode=any'), 'tag=web');
+    assert.equal(parse('tag=web&tagmode=any').tagMode, 'any');
+});
+
+test('unknown values are ignored', () => {
+    const filters = parse('collection=gone&sort=sideways&links=all', { isCollection: id => id === 'work' });
+    assert.equal(filters.selectedCollection, null);
+    assert.equal(filters.sortMode, 'best');
+    assert.equal(filters.showBrokenLinks, false);
+    assert.equal(parse('collection=work', { isCollection: id => id === 'work' }).selectedCollection, 'work');
+});
+
+test('the search query is trimmed', () => {
+    assert.equal(roundTrip('q=+react+'), 'q=react');
+    assert.equal(roundTrip('q=+++'), '');
+});
+
+test('a bookmark to add survives the #add link', () => {
+    const bookmark = { title: 'Grid & Flexbox', url: 'https://example.com/?a=1&b=2#top', description: '', category: 'Dev', section: '', tags: ['web/css', 'layout'] };
+    const hash = buildDraftHash(bookmark);
+    assert.match(hash, /^#add\?title=Grid\+%26\+Flexbox&url=/);
+    assert.deepEqual(parseDraftHash(hash), bookmark);
+    assert.equal(parseDraftHash('#top'), null);
+    assert.equal(parseDraftHash(''), null);
+});
@@ -0,0 +1,122 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './dom.js';
+import { buildDraftHash } from '../url-state.js';
+
+let app;
+
+before(async () => {
+    app = await loadApp({ url: 'http://localhost/bookmarks/?category=Dev&section=Docs&tag=reference&sort=az' });
+});
+
+const cardTitles = () => [...document.querySelectorAll('#bookmarks-grid .link-title')].map(title => title.textContent);
+const params = () => new URLSearchParams(window.location.search);
+
+// Loads a query string the way opening the page would
+function openURL(search) {
+    window.history.replaceState(null, '', `/bookmarks/${search}`);
+    app.applyFiltersFromURL();
+    app.render();
+}
+
+test('the page starts on the filters in its URL', () => {
+    const { filters } = app.store;
+    assert.equal(filters.selectedCategory, 'Dev');
+    assert.equal(filters.selectedSection, 'Docs');
+    assert.deepEqual([...filters.selectedTags], ['reference']);
+    assert.equal(filters.sortMode, 'az');
+    assert.deepEqual(cardTitles(), ['MDN Web Docs', 'Node.js']);
+    assert.ok(document.querySelector('.filter-pill[data-section="Docs"]').classList.contains('selected'));
+});
+
+test('filter changes are written to the URL', () => {
+    openURL('');
+    document.querySelector('.filter-pill[data-category="Learning"]').click();
+    assert.equal(window.location.search, '?category=Learning');
+
+    document.querySelector('.filter-pill[data-section="Maths"]').click();
+    assert.equal(window.location.search, '?category=Learning&section=Maths');
+
+    // Leaving the category drops its section too
+    document.querySelector('.filter-pill[data-category="Learning"]').click();
+    assert.equal(window.location.search, '');
+
+    document.querySelector('.filter-pill[data-category="Dev"]').click();
+    assert.equal(window.location.search, '?category=Dev');
+
+    // Tags cycle include -> exclude -> off
+    const tag = () => document.querySelector('.tag-item[data-tag="web"]');
+    tag().click();
+    assert.deepEqual(params().getAll('tag'), ['web']);
+    tag().click();
+    assert.deepEqual(params().getAll('tag'), []);
+    assert.deepEqual(params().getAll('notag'), ['web']);
+    tag().click();
+    assert.equal(window.location.search, '?category=Dev');
+
+    document.querySelector('.sort-option[data-sort="recent"]').click();
+    assert.equal(window.location.search, '?category=Dev&sort=recent');
+});
+
+test('a search is written to the URL once typing pauses', async () => {
+    openURL('');
+    const input = document.getElementById('search-input');
+    input.value = 'courses';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(window.location.search, '');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(window.location.search, '?q=courses');
+    assert.deepEqual(cardTitles(), ['Coursera', 'Khan Academy']);
+});
+
+test('a section without its category is ignored', () => {
+    openURL('?section=Docs&tag=web');
+    assert.equal(app.store.filters.selectedSection, null);
+    assert.deepEqual(cardTitles(), ['Dribbble', 'CSS-Tricks', 'MDN Web Docs']);
+    app.updateURLParams();
+    assert.equal(window.location.search, '?tag=web');
+});
+
+test('the URL the app writes brings back the same view', () => {
+    openURL('');
+    document.querySelector('.filter-pill[data-category="Dev"]').click();
+    document.querySelector('.tag-item[data-tag="javascript"]').click();
+    document.querySelector('.tag-item[data-tag="javascript"]').click();
+    document.querySelector('.sort-option[data-sort="recent"]').click();
+    const written = window.location.search;
+    const shown = cardTitles();
+
+    app.clearFilters();
+    assert.notDeepEqual(cardTitles(), shown);
+    openURL(written);
+    assert.equal(window.location.search, written);
+    assert.deepEqual(cardTitles(), shown);
+    assert.equal(document.getElementById('search-input').value, '');
+});
+
+test('the search box shows the query from the URL', () => {
+    openURL('?q=node');
+    assert.equal(document.getElementById('search-input').value, 'node');
+    assert.deepEqual(cardTitles(), ['Node.js']);
+});
+
+test('an #add link opens the editor with the bookmark filled in', async () => {
+    openURL('?category=Dev');
+    const bookmark = { title: 'Grid Garden', url: 'https://cssgridgarden.com/', description: 'A game for learning CSS grid', category: 'Learning', section: '', tags: ['Games', 'web/css'] };
+    window.location.hash = buildDraftHash(bookmark);
+    await new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+
+    const dialog = document.getElementById('bookmark-editor');
+    assert.ok(dialog.open);
+    const { elements } = dialog.querySelector('form');
+    assert.equal(elements.title.value, 'Grid Garden');
+    assert.equal(elements.url.value, 'https://cssgridgarden.com/');
+    assert.equal(elements.description.value, 'A game for learning CSS grid');
+    assert.equal(elements.category.value, 'Learning', 'not the category being viewed');
+    assert.deepEqual([...dialog.querySelectorAll('.tag-chip')].map(chip => chip.dataset.tag), ['games', 'web/css']);
+    // Nothing is saved until the editor is, and a reload doesn't open it again
+    assert.equal(app.store.bookmarks.length, 6);
+    assert.equal(window.location.hash, '');
+    assert.equal(window.location.search, '?category=Dev');
+    dialog.close();
+});
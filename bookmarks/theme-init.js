@@ -0,0 +1,19 @@
+// Applies the saved theme before first paint. A classic script in <head>:
+// the app's modules only run once the page is parsed. theme.js takes over
+// from there, so keep this in step with loadThemeSettings() and applyTheme().
+
+(() => {
+    try {
+        const settings = JSON.parse(localStorage.getItem('bookmarks.theme') || '{}');
+        const root = document.documentElement;
+        const light = settings.mode === 'light' ||
+            (settings.mode === 'system' && window.matchMedia('(prefers-color-scheme: light)').matches);
+        root.dataset.theme = light ? 'light' : 'dark';
+        if (settings.highContrast === true) root.dataset.contrast = 'high';
+        if (/^#[0-9a-f]{6}$/i.test(settings.accent)) {
+            root.style.setProperty('--accent-rgb', [1, 3, 5].map(i => parseInt(settings.accent.slice(i, i + 2), 16)).join(' '));
+        }
+    } catch {
+        // Unreadable settings: theme.js falls back to the defaults too
+    }
+})();
@@ -0,0 +1,274 @@
+// Appearance: dark, light or the system's colour scheme, high contrast, an
+// accent colour and optional colours per category. Saved in localStorage and
+// applied to <html> as data-theme, data-contrast and --accent-rgb; styles.css
+// does the rest. theme-init.js applies them before first paint.
+
+import { escapeHTML } from './html.js';
+import { renderCategoryColorStyle } from './markup.js';
+import { getAllCategories, render } from './app.js';
+
+const THEME_KEY = 'bookmarks.theme';
+const THEME_MODES = {
+    system: { label: 'System', icon: 'brightness_auto' },
+    dark: { label: 'Dark', icon: 'dark_mode' },
+    light: { label: 'Light', icon: 'light_mode' }
+};
+const ACCENT_COLORS = {
+    blue: '#3b82f6',
+    violet: '#8b5cf6',
+    pink: '#ec4899',
+    orange: '#f97316',
+    green: '#22c55e',
+    teal: '#14b8a6'
+};
+// --bg-primary of each theme, for the browser's own UI (meta theme-color)
+const THEME_BACKGROUNDS = { dark: '#0b0d10', light: '#f5f7fa' };
+// Colours end up in style attributes, so only #rrggbb (what <input type="color"> gives)
+const THEME_COLOR = /^#[0-9a-f]{6}$/i;
+
+const systemColorScheme = window.matchMedia('(prefers-color-scheme: light)');
+
+let themeSettings = loadThemeSettings();  // { mode, highContrast, accent, categoryColors }
+applyTheme();
+
+function loadThemeSettings() {
+    const defaults = { mode: 'dark', highContrast: false, accent: ACCENT_COLORS.blue, categoryColors: {} };
+    try {
+        const settings = JSON.parse(localStorage.getItem(THEME_KEY) || '{}');
+        const categoryColors = settings.categoryColors && typeof settings.categoryColors === 'object' ? settings.categoryColors : {};
+        return {
+            mode: Object.hasOwn(THEME_MODES, settings.mode) ? settings.mode : defaults.mode,
+            highContrast: settings.highContrast === true,
+            accent: THEME_COLOR.test(settings.accent) ? settings.accent.toLowerCase() : defaults.accent,
+            categoryColors: Object.fromEntries(Object.entries(categoryColors).filter(([, color]) => THEME_COLOR.test(color)))
+        };
+    } catch {
+        return defaults;
+    }
+}
+
+function saveThemeSettings() {
+    try {
+        localStorage.setItem(THEME_KEY, JSON.stringify(themeSettings));
+    } catch (error) {
+        console.warn('Could not save appearance settings:', error);
+    }
+}
+
+// 'dark' or 'light'; 'system' follows prefers-color-scheme
+function resolveThemeMode(mode = themeSettings.mode) {
+    if (mode !== 'system') return mode;
+    return systemColorScheme.matches ? 'light' : 'dark';
+}
+
+// "#3b82f6" -> "59 130 246", for rgb(var(--accent-rgb) / 0.5)
+function hexToRgbChannels(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ');
+}
+
+function applyTheme() {
+    const root = document.documentElement;
+    const mode = resolveThemeMode();
+    root.dataset.theme = mode;
+    if (themeSettings.highContrast) {
+        root.dataset.contrast = 'high';
+    } else {
+        delete root.dataset.contrast;
+    }
+    root.style.setProperty('--accent-rgb', hexToRgbChannels(themeSettings.accent));
+
+    // The dev pages (hostile.html, bench.html) don't have one
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.content = themeSettings.highContrast ? (mode === 'light' ? '#ffffff' : '#000000') : THEME_BACKGROUNDS[mode];
+    }
+}
+
+// Saves, applies, and redraws what shows category colours
+function updateThemeSettings(changes) {
+    themeSettings = { ...themeSettings, ...changes };
+    saveThemeSettings();
+    applyTheme();
+    if (changes.categoryColors) render();
+}
+
+function setThemeMode(mode) {
+    updateThemeSettings({ mode });
+}
+
+function setCategoryColor(category, color) {
+    const categoryColors = { ...themeSettings.categoryColors };
+    if (color) {
+        categoryColors[category] = color.toLowerCase();
+    } else {
+        delete categoryColors[category];
+    }
+    updateThemeSettings({ categoryColors });
+}
+
+function getCategoryColor(category) {
+    return Object.hasOwn(themeSettings.categoryColors, category) ? themeSettings.categoryColors[category] : '';
+}
+
+// Attributes for a heading, pill or card of the category (see markup.js)
+function renderCategoryColor(category) {
+    return renderCategoryColorStyle(getCategoryColor(category));
+}
+
+function getThemeDialog() {
+    let dialog = document.getElementById('theme-dialog');
+    if (!dialog) {
+        dialog = createThemeDialog();
+        document.body.appendChild(dialog);
+    }
+    return dialog;
+}
+
+function createThemeDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.id = 'theme-dialog';
+    dialog.className = 'editor-dialog theme-dialog';
+    dialog.innerHTML = `
+        <form method="dialog" class="editor-form">
+            <h3 class="editor-heading">Appearance</h3>
+            <fieldset class="theme-modes">
+                <legend class="editor-field">Theme</legend>
+                ${Object.entries(THEME_MODES).map(([mode, { label, icon }]) => `
+                    <label class="theme-mode">
+                        <input type="radio" name="theme-mode" value="${mode}">
+                        <span class="material-icons">${icon}</span>${label}
+                    </label>
+                `).join('')}
+            </fieldset>
+            <label class="theme-contrast">
+                <input type="checkbox" class="theme-high-contrast">
+                High contrast
+            </label>
+            <fieldset class="theme-accents">
+                <legend class="editor-field">Accent colour</legend>
+                ${Object.entries(ACCENT_COLORS).map(([name, color]) => `
+                    <label class="theme-swatch" title="${name}" style="--swatch: ${color}">
+                        <input type="radio" name="theme-accent" value="${color}" aria-label="${name}">
+                    </label>
+                `).join('')}
+                <label class="theme-swatch theme-swatch-custom" title="Custom colour">
+                    <input type="color" class="theme-accent-custom" aria-label="Custom accent colour">
+                </label>
+            </fieldset>
+            <div class="theme-categories">
+                <span class="editor-field">Category colours</span>
+                <ul class="theme-category-list"></ul>
+            </div>
+            <div class="editor-actions">
+                <button type="button" class="editor-button danger theme-reset">Reset</button>
+                <button type="submit" class="editor-button primary">Done</button>
+            </div>
+        </form>
+    `;
+
+    dialog.addEventListener('change', (e) => {
+        if (e.target.name === 'theme-mode') {
+            setThemeMode(e.target.value);
+        } else if (e.target.name === 'theme-accent') {
+            updateThemeSettings({ accent: e.target.value });
+        } else if (e.target.matches('.theme-high-contrast')) {
+            updateThemeSettings({ highContrast: e.target.checked });
+        }
+        // A closed category picker: redraw the list and keep focus on the picker
+        const category = e.target.closest('[data-category]')?.dataset.category;
+        renderThemeSettings();
+        if (category !== undefined) dialog.querySelector(`[data-category="${CSS.escape(category)}"] .theme-category-color`)?.focus();
+    });
+
+    // Colour pickers update as they're dragged; the dialog redraws once they close
+    dialog.addEventListener('input', (e) => {
+        if (e.target.matches('.theme-accent-custom')) {
+            updateThemeSettings({ accent: e.target.value });
+        } else if (e.target.matches('.theme-category-color')) {
+            setCategoryColor(e.target.closest('[data-category]').dataset.category, e.target.value);
+        }
+    });
+
+    dialog.querySelector('.theme-category-list').addEventListener('click', (e) => {
+        if (!e.target.closest('.theme-category-clear')) return;
+        setCategoryColor(e.target.closest('[data-category]').dataset.category, '');
+        renderThemeSettings();
+    });
+
+    dialog.querySelector('.theme-reset').addEventListener('click', () => {
+        if (!window.confirm('Reset the theme, accent and category colours to the defaults?')) return;
+        localStorage.removeItem(THEME_KEY);
+        themeSettings = loadThemeSettings();
+        applyTheme();
+        render();
+        renderThemeSettings();
+    });
+
+    // Click on the backdrop closes
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    return dialog;
+}
+
+function openThemeSettings() {
+    renderThemeSettings();
+    getThemeDialog().showModal();
+}
+
+function renderThemeSettings() {
+    const dialog = getThemeDialog();
+    dialog.querySelectorAll('input[name="theme-mode"]').forEach(input => {
+        input.checked = input.value === themeSettings.mode;
+    });
+    dialog.querySelector('.theme-high-contrast').checked = themeSettings.highContrast;
+
+    let preset = false;
+    dialog.querySelectorAll('input[name="theme-accent"]').forEach(input => {
+        input.checked = input.value === themeSettings.accent;
+        preset = preset || input.checked;
+    });
+    const custom = dialog.querySelector('.theme-accent-custom');
+    custom.value = themeSettings.accent;
+    custom.closest('.theme-swatch').classList.toggle('selected', !preset);
+
+    dialog.querySelector('.theme-category-list').innerHTML = getAllCategories().map(category => {
+        const color = getCategoryColor(category);
+        return `
+            <li class="theme-category" data-category="${escapeHTML(category)}">
+                <input type="color" class="theme-category-color" value="${escapeHTML(color || themeSettings.accent)}" aria-label="Colour for ${escapeHTML(category)}">
+                <span class="theme-category-name${color ? '' : ' unset'}">${escapeHTML(category)}</span>
+                ${color ? `<button type="button" class="theme-category-clear" title="Remove colour" aria-label="Remove colour for ${escapeHTML(category)}"><span class="material-icons">close</span></button>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+function setupThemeSettings() {
+    document.getElementById('theme-settings').addEventListener('click', openThemeSettings);
+
+    systemColorScheme.addEventListener('change', () => {
+        if (themeSettings.mode === 'system') applyTheme();
+    });
+
+    // Another tab changed the settings
+    window.addEventListener('storage', (e) => {
+        if (e.key !== THEME_KEY) return;
+        themeSettings = loadThemeSettings();
+        applyTheme();
+        render();
+        if (document.getElementById('theme-dialog')?.open) renderThemeSettings();
+    });
+}
+
+export {
+    THEME_MODES,
+    themeSettings,
+    updateThemeSettings,
+    setThemeMode,
+    getCategoryColor,
+    renderCategoryColor,
+    openThemeSettings,
+    setupThemeSettings
+};
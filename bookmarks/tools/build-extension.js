@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// Build the browser extension in extension/ into a directory to load unpacked,
+// or zip for a store:
+//
+//   node tools/build-extension.js [out]
+//
+// out defaults to dist/extension, and is emptied first. The extension's
+// scripts import the site's modules as ../name.js; those (and what they
+// import) are copied in next to them, and the imports become ./name.js. The
+// collection - collections.json and its local files, or bookmarks.json - and
+// favicon.png come too, so the popup's suggestions and the omnibox work before
+// the site's address is set, or when it can't be reached.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { COLLECTIONS_FILE, DEFAULT_COLLECTIONS, parseCollectionManifest } from '../collections.js';
+
+const DEFAULT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const EXTENSION_DIR = 'extension';
+const DEFAULT_OUT = path.join(DEFAULT_DIR, 'dist', EXTENSION_DIR);
+const ASSETS = ['favicon.png'];
+const SITE_IMPORT = /(\bfrom\s+')\.\.\/([\w.-]+\.js')/g;  // in the extension's scripts
+const LOCAL_IMPORT = /\bfrom\s+'\.\/([\w.-]+\.js)'/g;      // in the site's modules
+
+// Local files of the collection, relative to dir, manifest first
+function listCollectionFiles(dir) {
+    const manifestFile = path.join(dir, COLLECTIONS_FILE);
+    if (!fs.existsSync(manifestFile)) return DEFAULT_COLLECTIONS.map(collection => collection.src);
+
+    const { collections } = parseCollectionManifest(JSON.parse(fs.readFileSync(manifestFile, 'utf8')));
+    // Remote ones are fetched like the app fetches them
+    const local = collections.map(collection => collection.src).filter(src => !/^[a-z][a-z\d+.-]*:/i.test(src));
+    local.forEach(src => {
+        if (path.isAbsolute(src) || path.normalize(src).startsWith('..')) {
+            throw new Error(`${COLLECTIONS_FILE}: ${src} is outside the site, so it can't be bundled`);
+        }
+    });
+    return [COLLECTIONS_FILE, ...local];
+}
+
+// The site's modules the extension's scripts import, directly or not
+function findSiteModules(dir, scripts) {
+    const modules = new Set();
+    const queue = scripts.flatMap(source => [...source.matchAll(SITE_IMPORT)].map(match => match[2].slice(0, -1)));
+    while (queue.length > 0) {
+        const name = queue.shift();
+        if (modules.has(name)) continue;
+        modules.add(name);
+        const source = fs.readFileSync(path.join(dir, name), 'utf8');
+        queue.push(...[...source.matchAll(LOCAL_IMPORT)].map(match => match[1]));
+    }
+    return modules;
+}
+
+// Only a directory this wrote before (or nothing) gets emptied
+function emptyOutDir(out) {
+    if (fs.existsSync(out) && fs.readdirSync(out).length > 0 && !fs.existsSync(path.join(out, 'manifest.json'))) {
+        throw new Error(`${out} has files in it but isn't an extension build; not emptying it`);
+    }
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+}
+
+function copyFile(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+}
+
+// Returns { files, modules, collection }: the extension's own files, the site
+// modules and the collection files written to out
+function buildExtension(out = DEFAULT_OUT, dir = DEFAULT_DIR) {
+    const extensionDir = path.join(dir, EXTENSION_DIR);
+    const files = fs.readdirSync(extensionDir);
+    const scripts = files.filter(file => file.endsWith('.js')).map(file => fs.readFileSync(path.join(extensionDir, file), 'utf8'));
+    const modules = findSiteModules(dir, scripts);
+    const clash = files.find(file => modules.has(file));
+    if (clash) throw new Error(`${EXTENSION_DIR}/${clash} has the same name as the site's ${clash}`);
+    const collection = listCollectionFiles(dir);
+
+    emptyOutDir(out);
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(extensionDir, file), 'utf8');
+        fs.writeFileSync(path.join(out, file), file.endsWith('.js') ? source.replace(SITE_IMPORT, '$1./$2') : source);
+    });
+    [...modules, ...collection, ...ASSETS].forEach(file => copyFile(path.join(dir, file), path.join(out, file)));
+    return { files, modules: [...modules], collection };
+}
+
+function main() {
+    const out = process.argv.slice(2).find(arg => !arg.startsWith('--')) || DEFAULT_OUT;
+    try {
+        const { files, modules, collection } = buildExtension(path.resolve(out));
+        console.log(`Wrote ${out}: ${files.length} extension files, ${modules.length} site modules and ${collection.join(', ')}`);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Run as a script rather than imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export {
+    buildExtension
+};
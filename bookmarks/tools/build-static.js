@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// Pre-render the bookmarks page, so it works without JavaScript, can be
+// crawled, and paints before bookmarks.json has loaded:
+//
+//   node tools/build-static.js [out]
+//
+// Copies the site to out (dist/site by default; emptied first) with the
+// prerender markers in index.html filled with the grouped grid, the tag list
+// and the category pills, and a page per category and per tag next to it
+// (category-learning.html, tag-design-color.html) with the markers filled for
+// that filter. The source stays as it is; out is what gets deployed (see
+// .github/workflows/pages.yml). The markup comes from markup.js like the app's,
+// and the app adopts it rather than rendering it again. Reads collections.json
+// (local files only), link-report.json and favicons.json as the app does, so
+// build again after any of them change.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHTML } from '../html.js';
+import { COLLECTIONS_FILE, DEFAULT_COLLECTIONS, parseCollectionManifest, mergeCollections } from '../collections.js';
+import { mergeBookmarkOverlay, shippedBookmarkUrl } from '../store.js';
+import { normalizeTagAliases, applyTagAliases, hasTagOrDescendant, buildTagTree, getTagCounts } from '../tags.js';
+import { LINK_REPORT_FILE } from '../health.js';
+import { FAVICON_INDEX_FILE } from '../favicons.js';
+import {
+    groupBookmarks,
+    sortBookmarkGroups,
+    groupKey,
+    renderLinkCard,
+    renderCategoryGroupNode,
+    renderSectionHeadingNode,
+    renderLinksGridNode,
+    listTagRows,
+    renderTagRows,
+    renderFilterPills,
+    renderPatchedHTML
+} from '../markup.js';
+
+const DEFAULT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const DEFAULT_OUT = path.join(DEFAULT_DIR, 'dist', 'site');
+// Development, tests and what builds the site; dotfiles are left out too
+const NOT_DEPLOYED = new Set(['node_modules', 'dist', 'tests', 'tools', 'extension', 'package.json', 'package-lock.json']);
+const PAGE_FILE = 'index.html';
+const PRERENDER_MARKER = /(<!-- prerender:([\w-]+) -->)[\s\S]*?(<!-- \/prerender -->)/g;
+// The app reads a page's filter from this (getPageFilter in app.js)
+const PAGE_FILTER_META = 'bookmarks-filter';
+const GENERATED_PAGE = /^(?:category|tag)-.+\.html$/;
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// null when the file doesn't exist; the app treats these files as optional too
+function readOptionalJSON(file) {
+    if (!fs.existsSync(file)) return null;
+    return readJSON(file);
+}
+
+// The bookmarks as the app merges them, without local edits. Returns
+// { bookmarks, ids, collections, bookmarkSources, linkReport, faviconIcons }.
+function loadSite(dir) {
+    let listed = DEFAULT_COLLECTIONS;
+    const manifest = readOptionalJSON(path.join(dir, COLLECTIONS_FILE));
+    if (manifest) {
+        const parsed = parseCollectionManifest(manifest);
+        parsed.issues.forEach(issue => console.warn(`${COLLECTIONS_FILE}: ${issue.message}`));
+        if (parsed.collections.length > 0) listed = parsed.collections;
+    }
+
+    const sources = [];
+    listed.forEach(collection => {
+        if (/^[a-z][a-z\d+.-]*:/i.test(collection.src)) {
+            console.warn(`Skipping ${collection.name}: ${collection.src} is not a local file`);
+            return;
+        }
+        try {
+            sources.push({ collection, data: readJSON(path.join(dir, collection.src)) });
+        } catch (error) {
+            console.warn(`Skipping ${collection.name}: ${error.message}`);
+        }
+    });
+    if (sources.length === 0) throw new Error('No bookmarks to render');
+
+    const merged = mergeCollections(sources);
+    if (merged.issues.length > 0) {
+        console.warn(`${merged.issues.length} issue(s) in the bookmarks; see node tools/lint-bookmarks.js`);
+    }
+    const aliases = normalizeTagAliases(merged.tagAliases);
+    const entries = mergeBookmarkOverlay(merged.bookmarks, [])
+        .map(entry => ({ ...entry, bookmark: applyTagAliases(entry.bookmark, aliases) }));
+    const favicons = readOptionalJSON(path.join(dir, FAVICON_INDEX_FILE));
+
+    return {
+        bookmarks: entries.map(entry => entry.bookmark),
+        ids: new Map(entries.map(entry => [entry.bookmark, entry.id])),
+        collections: sources.map(source => source.collection),
+        bookmarkSources: merged.bookmarkSources,
+        linkReport: readOptionalJSON(path.join(dir, LINK_REPORT_FILE))?.links || {},
+        faviconIcons: favicons?.icons && typeof favicons.icons === 'object' ? favicons.icons : null
+    };
+}
+
+// "Design/Color" -> "design-color"
+function pageSlug(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'page';
+}
+
+// [{ file, title, filter, bookmarks, selectedTags }] for the main page, each
+// category and each tag; file names are unique
+function planPages(site) {
+    const used = new Set();
+    const fileName = (prefix, name) => {
+        const base = `${prefix}-${pageSlug(name)}`;
+        let file = `${base}.html`;
+        for (let n = 2; used.has(file); n++) file = `${base}-${n}.html`;
+        used.add(file);
+        return file;
+    };
+
+    const categories = [...new Set(site.bookmarks.map(b => b.category).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    const tags = Object.keys(getTagCounts(site.bookmarks)).sort((a, b) => a.localeCompare(b));
+    return [
+        { file: PAGE_FILE, title: 'Bookmarks', filter: null, bookmarks: site.bookmarks, selectedTags: new Set() },
+        ...categories.map(category => ({
+            file: fileName('category', category),
+            title: `${category} · Bookmarks`,
+            filter: { category },
+            bookmarks: site.bookmarks.filter(b => b.category === category),
+            selectedTags: new Set()
+        })),
+        ...tags.map(tag => ({
+            file: fileName('tag', tag),
+            title: `#${tag} · Bookmarks`,
+            filter: { tag },
+            bookmarks: site.bookmarks.filter(b => hasTagOrDescendant(b.tags, tag)),
+            selectedTags: new Set([tag])
+        }))
+    ];
+}
+
+// The grid as the app renders it with nothing collapsed, sorted A–Z, minus the
+// toolbar and the Frequent group (both depend on the browser)
+function renderGridNodes(page, site) {
+    const context = {
+        query: '',
+        selectedTags: page.selectedTags,
+        categoryColors: {},
+        faviconIcons: site.faviconIcons,
+        linkReport: site.linkReport,
+        bookmarkId: link => site.ids.get(link),
+        // Shortcut badges depend on the platform and the user's key bindings
+        badgeLabel: () => null,
+        collectionsOf: link => site.collections.length > 1
+            ? (site.bookmarkSources.get(shippedBookmarkUrl(site.ids.get(link))) || []).map(id => site.collections.find(collection => collection.id === id))
+            : []
+    };
+    let position = 0;
+    const cards = list => list.map(link => ({ key: site.ids.get(link), html: renderLinkCard(link, position++, false, context) }));
+
+    return sortBookmarkGroups(groupBookmarks(page.bookmarks), (a, b) => a.title.localeCompare(b.title))
+        .map(({ category, noSection, sections }) => {
+            const count = noSection.length + sections.reduce((sum, [, list]) => sum + list.length, 0);
+            const group = renderCategoryGroupNode(category, { count, collapsed: false, color: '' });
+            if (noSection.length > 0) group.children.push(renderLinksGridNode(`grid:${groupKey(category)}`, cards(noSection)));
+            sections.forEach(([section, list]) => {
+                group.children.push(
+                    renderSectionHeadingNode(category, section, { count: list.length, collapsed: false }),
+                    renderLinksGridNode(`grid:${groupKey(category, section)}`, cards(list))
+                );
+            });
+            return group;
+        });
+}
+
+// Markup for each prerender marker of a page. Tags and pills link to the other
+// pages; a selected tag links back to the main one.
+function renderPageSections(page, site, pageFiles) {
+    const link = file => encodeURIComponent(file);
+    const tagHref = tag => link(page.filter?.tag === tag ? PAGE_FILE : pageFiles.get(`tag:${tag}`));
+    const counts = getTagCounts(page.bookmarks);
+    const rows = listTagRows(buildTagTree(site.bookmarks.flatMap(b => b.tags)), {
+        counts,
+        available: counts,
+        selectedTags: page.selectedTags,
+        excludedTags: new Set(),
+        // A tag's page lists its children
+        expandedTags: new Set(page.filter?.tag ? [page.filter.tag] : []),
+        active: page.filter !== null
+    });
+    const selectedCategory = page.filter?.category || null;
+
+    return {
+        'tag-list': renderPatchedHTML(renderTagRows(rows, tagHref)),
+        'category-filter': renderPatchedHTML(renderFilterPills({
+            // Collections, broken links and sections have no pages of their own
+            collections: [],
+            selectedCollection: null,
+            brokenCount: 0,
+            showBrokenLinks: false,
+            categories: [...new Set(site.bookmarks.map(b => b.category).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+            selectedCategory,
+            sections: [],
+            selectedSection: null,
+            categoryColors: {},
+            href: filter => {
+                if (filter.category && !filter.section) return link(pageFiles.get(`category:${filter.category}`));
+                return Object.keys(filter).length === 0 ? PAGE_FILE : null;
+            }
+        })),
+        'bookmarks-grid': renderPatchedHTML(renderGridNodes(page, site))
+    };
+}
+
+// template: index.html; sections: marker name -> markup ('' empties it)
+function fillPage(template, page, sections) {
+    let html = template.replace(PRERENDER_MARKER, (match, open, name, close) => open + (sections[name] || '') + close);
+    if (page.filter) {
+        const params = new URLSearchParams(page.filter).toString();
+        const count = `${page.bookmarks.length} bookmark${page.bookmarks.length !== 1 ? 's' : ''}`;
+        const description = page.filter.category ? `${count} in ${page.filter.category}` : `${count} tagged ${page.filter.tag}`;
+        html = html.replace(/<title>[^<]*<\/title>/, [
+            `<title>${escapeHTML(page.title)}</title>`,
+            `<meta name="description" content="${escapeHTML(description)}">`,
+            `<meta name="${PAGE_FILTER_META}" content="${escapeHTML(params)}">`
+        ].join('\n    '));
+    }
+    return html;
+}
+
+// Pages from an earlier build into the source directory, from before builds
+// went to out; they're the only ones with a filter meta tag
+function findGeneratedPages(dir) {
+    return fs.readdirSync(dir).filter(file =>
+        GENERATED_PAGE.test(file) && fs.readFileSync(path.join(dir, file), 'utf8').includes(`<meta name="${PAGE_FILTER_META}"`)
+    );
+}
+
+// Copies what's served from dir to out, after emptying out. Only a directory
+// this wrote before (or nothing) gets emptied.
+function copySite(dir, out) {
+    const source = path.resolve(dir);
+    const target = path.resolve(out);
+    const outside = path.relative(target, source);
+    if (!outside.startsWith('..') && !path.isAbsolute(outside)) throw new Error(`${out} would contain the site it's built from`);
+    if (fs.existsSync(target) && fs.readdirSync(target).length > 0 && !fs.existsSync(path.join(target, PAGE_FILE))) {
+        throw new Error(`${out} has files in it but isn't a site build; not emptying it`);
+    }
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.mkdirSync(target, { recursive: true });
+
+    const skipped = new Set([...NOT_DEPLOYED, ...findGeneratedPages(source)]);
+    // An out inside dir isn't copied into itself
+    const inside = path.relative(source, target);
+    if (!inside.startsWith('..') && !path.isAbsolute(inside)) skipped.add(inside.split(path.sep)[0]);
+    fs.readdirSync(source)
+        .filter(file => !file.startsWith('.') && !skipped.has(file))
+        .forEach(file => fs.cpSync(path.join(source, file), path.join(target, file), { recursive: true }));
+}
+
+// Builds the site in dir into out. Returns the pages written, main page first.
+function buildStaticPages(dir = DEFAULT_DIR, out = DEFAULT_OUT) {
+    const template = fs.readFileSync(path.join(dir, PAGE_FILE), 'utf8');
+    const site = loadSite(dir);
+    const pages = planPages(site);
+    const pageFiles = new Map(pages.filter(page => page.filter).map(page =>
+        [page.filter.category ? `category:${page.filter.category}` : `tag:${page.filter.tag}`, page.file]
+    ));
+
+    copySite(dir, out);
+    pages.forEach(page => {
+        fs.writeFileSync(path.join(out, page.file), fillPage(template, page, renderPageSections(page, site, pageFiles)));
+    });
+    return pages;
+}
+
+function main() {
+    const out = process.argv.slice(2).find(arg => !arg.startsWith('--')) || DEFAULT_OUT;
+
+    try {
+        const pages = buildStaticPages(DEFAULT_DIR, out);
+        const categories = pages.filter(page => page.filter?.category).length;
+        const tags = pages.filter(page => page.filter?.tag).length;
+        console.log(`Wrote ${out}: ${PAGE_FILE} (${pages[0].bookmarks.length} bookmarks), ${categories} category and ${tags} tag pages`);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Run as a script rather than imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export {
+    pageSlug,
+    buildStaticPages
+};
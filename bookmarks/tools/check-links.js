@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Check every URL in bookmarks.json and write link-report.json next to it,
+// which the app reads to badge dead, redirected and slow links.
+//
+//   node tools/check-links.js [file] [--out report.json] [--timeout ms] [--concurrency n] [--strict]
+//
+// Exits with 1 on dead links with --strict. checkLink/checkLinks are exported
+// so they can be pointed at a local stub server.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LINK_REPORT_FILE, classifyLinkResult } from '../health.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_CONCURRENCY = 6;
+const MAX_REDIRECTS = 10;
+const USER_AGENT = 'Mozilla/5.0 (compatible; bookmarks-link-check)';
+
+async function request(url, method, timeout) {
+    const response = await fetch(url, {
+        method,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout),
+        headers: { 'user-agent': USER_AGENT, accept: '*/*' }
+    });
+    // Only the status line and headers matter
+    await response.body?.cancel();
+    return response;
+}
+
+// Follows redirects by hand so the chain can be recorded. HEAD first, GET when
+// the server rejects HEAD. Resolves to { status, finalUrl, redirects,
+// durationMs, checkedAt, error } - it never throws.
+async function checkLink(url, { timeout = DEFAULT_TIMEOUT_MS, maxRedirects = MAX_REDIRECTS } = {}) {
+    const started = Date.now();
+    const redirects = [];
+    let current = url;
+    const result = fields => ({
+        status: null,
+        finalUrl: current,
+        redirects,
+        durationMs: Date.now() - started,
+        checkedAt: new Date(started).toISOString(),
+        error: null,
+        ...fields
+    });
+
+    try {
+        for (;;) {
+            let response = await request(current, 'HEAD', timeout);
+            if (response.status >= 400) response = await request(current, 'GET', timeout);
+
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                redirects.push({ url: current, status: response.status });
+                if (redirects.length > maxRedirects) return result({ error: `More than ${maxRedirects} redirects` });
+                current = new URL(location, current).href;
+                continue;
+            }
+            return result({ status: response.status });
+        }
+    } catch (error) {
+        const message = error.name === 'TimeoutError'
+            ? `Timed out after ${timeout} ms`
+            : (error.cause && (error.cause.code || error.cause.message)) || error.message;
+        return result({ error: message });
+    }
+}
+
+// Check URLs with a fixed number of requests in flight. Returns { [url]: result }.
+async function checkLinks(urls, { concurrency = DEFAULT_CONCURRENCY, onResult, ...options } = {}) {
+    const results = {};
+    const queue = [...new Set(urls)];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            results[url] = await checkLink(url, options);
+            if (onResult) onResult(url, results[url]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    // Same order as the input, whatever order the checks finished in
+    return Object.fromEntries(urls.filter(url => results[url]).map(url => [url, results[url]]));
+}
+
+function buildLinkReport(links) {
+    return { generatedAt: new Date().toISOString(), links };
+}
+
+function readOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const valueOptions = ['--out', '--timeout', '--concurrency'];
+    const file = args.find((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1])) ||
+        fileURLToPath(new URL('../bookmarks.json', import.meta.url));
+    const out = readOption(args, '--out', path.join(path.dirname(file), LINK_REPORT_FILE));
+    const timeout = Number(readOption(args, '--timeout', DEFAULT_TIMEOUT_MS));
+    const concurrency = Number(readOption(args, '--concurrency', DEFAULT_CONCURRENCY));
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const urls = [...new Set((Array.isArray(data.bookmarks) ? data.bookmarks : [])
+        .map(bookmark => bookmark && bookmark.url)
+        .filter(url => typeof url === 'string' && /^https?:\/\//.test(url)))];
+    const counts = { ok: 0, dead: 0, redirected: 0, slow: 0 };
+    let done = 0;
+
+    const links = await checkLinks(urls, {
+        timeout,
+        concurrency,
+        onResult: (url, result) => {
+            const state = classifyLinkResult(url, result);
+            counts[state]++;
+            done++;
+            if (state !== 'ok') {
+                const detail = result.error || (state === 'redirected' ? `-> ${result.finalUrl}` : state === 'slow' ? `${result.durationMs} ms` : result.status);
+                console.log(`[${done}/${urls.length}] ${state.padEnd(10)} ${url} ${detail}`);
+            }
+        }
+    });
+
+    fs.writeFileSync(out, JSON.stringify(buildLinkReport(links), null, 2) + '\n');
+    console.log(`${path.basename(out)}: ${Object.keys(links).length} links, ${counts.dead} dead, ${counts.redirected} redirected, ${counts.slow} slow`);
+
+    if (strict && counts.dead > 0) {
+        process.exit(1);
+    }
+}
+
+// Run as a script rather than imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export {
+    checkLink,
+    checkLinks,
+    buildLinkReport
+};
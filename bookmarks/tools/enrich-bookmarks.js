@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+// Fill in new bookmarks from their pages: title, description, canonical URL and
+// the site's own favicon, with a category, section and tags suggested from the
+// most similar entries already in bookmarks.json (placement.js).
+//
+//   node tools/enrich-bookmarks.js <url>... [--file bookmarks.json] [--out enriched.json] [--write] [--favicons] [--timeout ms]
+//   node tools/enrich-bookmarks.js --favicons [--file bookmarks.json] [--timeout ms] [--concurrency n]
+//
+// New entries go to enriched.json next to the file, in the same format, for
+// review (the app's Import reads it too); --write appends them to the file
+// instead. With --favicons, sites' own icons are saved to favicons/ next to the
+// file and listed in favicons.json, which the app prefers to Google's favicon
+// service (see favicons.js): the new entries' icons, and one for every host in
+// the file that has none yet. fetchPageMetadata/fetchFavicon are exported so
+// they can be pointed at a local fixture server (tools/fixture-server.js).
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toSchemaBookmark, serializeBookmarks } from '../store.js';
+import { stripTags, parseAttributes, normalizeUrlForCompare } from '../importers.js';
+import { suggestPlacement } from '../placement.js';
+import { FAVICON_INDEX_FILE, FAVICON_EXTENSIONS, faviconPath } from '../favicons.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_CONCURRENCY = 6;
+const ENRICHED_FILE = 'enriched.json';
+const USER_AGENT = 'Mozilla/5.0 (compatible; bookmarks-enrich)';
+const MAX_PAGE_BYTES = 512 * 1024;  // the <head> is all that's needed
+const MAX_FAVICON_BYTES = 100 * 1024;
+const MAX_DESCRIPTION_LENGTH = 120;
+const ICON_RELS = ['icon', 'apple-touch-icon', 'apple-touch-icon-precomposed'];
+
+function fetchResource(url, accept, timeout) {
+    return fetch(url, {
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout),
+        headers: { 'user-agent': USER_AGENT, accept }
+    });
+}
+
+// Reads at most maxBytes of the body and drops the rest
+async function readBody(response, maxBytes) {
+    if (!response.body) return Buffer.alloc(0);
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (size < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+    }
+    await reader.cancel();
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+function decodeBody(bytes, contentType) {
+    const charset = /charset=["']?([\w-]+)/i.exec(contentType || '');
+    try {
+        return new TextDecoder(charset ? charset[1] : 'utf-8').decode(bytes);
+    } catch {
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+function linkRels(attrs) {
+    return (attrs.rel || '').toLowerCase().split(/\s+/);
+}
+
+// Lower is better: the site's own icon (SVG, or closest to 32 px) before
+// apple-touch-icons, which are large and often padded
+function iconPreference(attrs) {
+    const apple = linkRels(attrs).some(rel => rel.startsWith('apple-touch-icon'));
+    const svg = /svg/i.test(attrs.type || '') || /\.svg(?:$|[?#])/i.test(attrs.href);
+    const size = Math.max(0, ...(attrs.sizes || '').split(/\s+/).map(value => parseInt(value, 10)).filter(value => value > 0));
+    return (apple ? 1000 : 0) + (svg ? 0 : size ? 1 + Math.abs(size - 32) : 16);
+}
+
+// Title, description, canonical URL and favicon candidates (best first, ending
+// with /favicon.ico) from a page's HTML. String-based like importers.js.
+function extractMetadata(html, pageUrl) {
+    const head = html.split(/<\/head>/i)[0].replace(/<!--[\s\S]*?-->|<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>/gi, '');
+    const resolve = href => {
+        try {
+            const url = new URL(href, pageUrl);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+        } catch {
+            return '';
+        }
+    };
+
+    // name= for description, property= for OpenGraph; the first of each wins
+    const meta = {};
+    for (const [, source] of head.matchAll(/<meta\b([^>]*)>/gi)) {
+        const attrs = parseAttributes(source);
+        const key = (attrs.property || attrs.name || '').toLowerCase();
+        if (key && attrs.content && !Object.hasOwn(meta, key)) meta[key] = attrs.content.replace(/\s+/g, ' ').trim();
+    }
+    const links = [...head.matchAll(/<link\b([^>]*)>/gi)].map(([, source]) => parseAttributes(source));
+    const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(head);
+    const canonical = links.find(attrs => attrs.href && linkRels(attrs).includes('canonical'));
+
+    const iconUrls = links
+        .filter(attrs => attrs.href && linkRels(attrs).some(rel => ICON_RELS.includes(rel)))
+        .sort((a, b) => iconPreference(a) - iconPreference(b))
+        .map(attrs => resolve(attrs.href));
+    iconUrls.push(resolve('/favicon.ico'));
+
+    return {
+        title: (titleMatch && stripTags(titleMatch[1])) || meta['og:title'] || meta['twitter:title'] || '',
+        description: meta.description || meta['og:description'] || meta['twitter:description'] || '',
+        canonicalUrl: (canonical && resolve(canonical.href)) || resolve(meta['og:url'] || '') || pageUrl,
+        iconUrls: [...new Set(iconUrls.filter(Boolean))]
+    };
+}
+
+// Fetches a page (following redirects) and returns extractMetadata() of it plus
+// finalUrl. Throws on HTTP errors and anything that isn't HTML.
+async function fetchPageMetadata(url, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    const response = await fetchResource(url, 'text/html,application/xhtml+xml', timeout);
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || (contentType && !/html/i.test(contentType))) {
+        await response.body?.cancel();
+        throw new Error(response.ok ? `Not an HTML page (${contentType.split(';')[0]})` : `HTTP ${response.status}`);
+    }
+    const html = decodeBody(await readBody(response, MAX_PAGE_BYTES), contentType);
+    return { ...extractMetadata(html, response.url), finalUrl: response.url };
+}
+
+// The icon's type from its Content-Type, or from the file name when the server
+// sends a generic one; null for anything else (often an HTML error page)
+function iconContentType(header, url) {
+    const type = (header || '').split(';')[0].trim().toLowerCase();
+    if (FAVICON_EXTENSIONS[type]) return type;
+    if (type && type !== 'application/octet-stream') return null;
+    const ext = /\.(\w+)$/.exec(new URL(url).pathname);
+    return ext ? Object.keys(FAVICON_EXTENSIONS).find(known => FAVICON_EXTENSIONS[known] === ext[1].toLowerCase()) || null : null;
+}
+
+// Tries the candidates in order. Resolves to { url, contentType, data } for the
+// first that is an image of a sensible size, or null.
+async function fetchFavicon(iconUrls, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    for (const url of iconUrls) {
+        try {
+            const response = await fetchResource(url, 'image/*', timeout);
+            const contentType = response.ok ? iconContentType(response.headers.get('content-type'), response.url) : null;
+            if (!contentType) {
+                await response.body?.cancel();
+                continue;
+            }
+            const data = await readBody(response, MAX_FAVICON_BYTES + 1);
+            if (data.length > 0 && data.length <= MAX_FAVICON_BYTES) return { url: response.url, contentType, data };
+        } catch {
+            // Unreachable or timed out; try the next one
+        }
+    }
+    return null;
+}
+
+// A site's icon for a bookmark without fetched metadata: its <link rel=icon>, or /favicon.ico
+async function fetchSiteFavicon(url, options) {
+    let iconUrls;
+    try {
+        iconUrls = (await fetchPageMetadata(url, options)).iconUrls;
+    } catch {
+        iconUrls = [new URL('/favicon.ico', url).href];
+    }
+    return fetchFavicon(iconUrls, options);
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return '';
+    }
+}
+
+// Meta descriptions run to a paragraph; the ones in bookmarks.json are a phrase
+function shortenDescription(text) {
+    const sentence = text.split(/(?<=[.!?])\s/)[0].replace(/\.$/, '');
+    if (sentence.length <= MAX_DESCRIPTION_LENGTH) return sentence;
+    const cut = sentence.slice(0, MAX_DESCRIPTION_LENGTH);
+    const space = cut.lastIndexOf(' ');
+    return (space > MAX_DESCRIPTION_LENGTH / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:-]+$/, '') + '…';
+}
+
+function readFaviconIndex(file) {
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return data.icons && typeof data.icons === 'object' ? data.icons : {};
+    } catch {
+        return {};
+    }
+}
+
+function writeFaviconIndex(file, icons) {
+    const sorted = Object.fromEntries(Object.keys(icons).sort().map(host => [host, icons[host]]));
+    fs.writeFileSync(file, JSON.stringify({ generatedAt: new Date().toISOString(), icons: sorted }, null, 2) + '\n');
+}
+
+// Writes the icon under dir and returns its path relative to it, replacing an
+// earlier icon of another type
+function saveFavicon(dir, host, icon, previous) {
+    const relative = faviconPath(host, icon.contentType);
+    fs.mkdirSync(path.join(dir, path.dirname(relative)), { recursive: true });
+    fs.writeFileSync(path.join(dir, relative), icon.data);
+    if (previous && previous !== relative) fs.rmSync(path.join(dir, previous), { force: true });
+    return relative;
+}
+
+function describeError(error, timeout) {
+    return error.name === 'TimeoutError'
+        ? `Timed out after ${timeout} ms`
+        : (error.cause && (error.cause.code || error.cause.message)) || error.message;
+}
+
+function readOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+// icons: host -> saved icon, to add the new entries' icons to; null to skip them
+async function enrichUrls(urls, { data, dir, icons, timeout }) {
+    const existing = data.bookmarks.filter(bookmark => bookmark && typeof bookmark.url === 'string');
+    const known = new Map(existing.map(bookmark => [normalizeUrlForCompare(bookmark.url), bookmark]));
+    const entries = [];
+    let failed = 0;
+
+    for (const url of urls) {
+        if (!/^https?:\/\//i.test(url)) {
+            console.error(`failed   ${url}: not an http(s) URL`);
+            failed++;
+            continue;
+        }
+
+        let page;
+        try {
+            page = await fetchPageMetadata(url, { timeout });
+        } catch (error) {
+            console.error(`failed   ${url}: ${describeError(error, timeout)}`);
+            failed++;
+            continue;
+        }
+
+        const duplicate = known.get(normalizeUrlForCompare(url)) || known.get(normalizeUrlForCompare(page.canonicalUrl));
+        if (duplicate) {
+            console.log(`skipped  ${url}: already there as "${duplicate.title}"`);
+            continue;
+        }
+
+        const placement = suggestPlacement({ ...page, url: page.canonicalUrl }, existing);
+        const entry = toSchemaBookmark({
+            title: page.title || page.canonicalUrl,
+            url: page.canonicalUrl,
+            description: shortenDescription(page.description),
+            category: placement.category,
+            section: placement.section,
+            tags: placement.tags
+        });
+        entries.push(entry);
+        known.set(normalizeUrlForCompare(entry.url), entry);
+
+        const host = hostOf(entry.url);
+        const icon = icons && await fetchFavicon(page.iconUrls, { timeout });
+        if (icon) icons[host] = saveFavicon(dir, host, icon, icons[host]);
+
+        console.log(`added    ${entry.title} <${entry.url}>`);
+        console.log(`         ${[entry.category, entry.section].filter(Boolean).join(' › ')} [${entry.tags.join(', ')}]${icons && !icon ? ', no favicon' : ''}`);
+        if (placement.similar.length > 0) console.log(`         like ${placement.similar.slice(0, 3).map(bookmark => `"${bookmark.title}"`).join(', ')}`);
+    }
+    return { entries, failed };
+}
+
+// Fetches icons for the hosts in the file that have none yet, a few at a time
+async function fetchMissingFavicons(data, { dir, icons, timeout, concurrency }) {
+    const firstUrlByHost = new Map();
+    data.bookmarks.forEach(bookmark => {
+        const host = bookmark && typeof bookmark.url === 'string' && /^https?:\/\//i.test(bookmark.url) ? hostOf(bookmark.url) : '';
+        if (host && !Object.hasOwn(icons, host) && !firstUrlByHost.has(host)) firstUrlByHost.set(host, bookmark.url);
+    });
+
+    const queue = [...firstUrlByHost];
+    let done = 0;
+    let missing = 0;
+    const worker = async () => {
+        while (queue.length > 0) {
+            const [host, url] = queue.shift();
+            const icon = await fetchSiteFavicon(url, { timeout });
+            done++;
+            if (icon) {
+                icons[host] = saveFavicon(dir, host, icon, icons[host]);
+            } else {
+                missing++;
+                console.log(`[${done}/${firstUrlByHost.size}] no favicon ${host}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    console.log(`${FAVICON_INDEX_FILE}: ${firstUrlByHost.size - missing} of ${firstUrlByHost.size} hosts fetched`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const write = args.includes('--write');
+    const refreshFavicons = args.includes('--favicons');
+    const valueOptions = ['--file', '--out', '--timeout', '--concurrency'];
+    const urls = args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]));
+    const file = readOption(args, '--file', fileURLToPath(new URL('../bookmarks.json', import.meta.url)));
+    const dir = path.dirname(file);
+    const out = readOption(args, '--out', path.join(dir, ENRICHED_FILE));
+    const timeout = Number(readOption(args, '--timeout', DEFAULT_TIMEOUT_MS));
+    const concurrency = Number(readOption(args, '--concurrency', DEFAULT_CONCURRENCY));
+
+    if (urls.length === 0 && !refreshFavicons) {
+        console.error('Usage: node tools/enrich-bookmarks.js <url>... [--file bookmarks.json] [--out enriched.json] [--write] [--favicons]');
+        console.error('       node tools/enrich-bookmarks.js --favicons [--file bookmarks.json]');
+        process.exit(1);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(data.bookmarks)) throw new Error('no "bookmarks" array');
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const indexFile = path.join(dir, FAVICON_INDEX_FILE);
+    const icons = refreshFavicons ? readFaviconIndex(indexFile) : null;
+    const { entries, failed } = await enrichUrls(urls, { data, dir, icons, timeout });
+
+    if (entries.length > 0) {
+        if (write) {
+            // Appended as is, so the rest of the file keeps its formatting
+            data.bookmarks.push(...entries);
+            fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+            console.log(`${path.basename(file)}: added ${entries.length} bookmark${entries.length === 1 ? '' : 's'}`);
+        } else {
+            fs.writeFileSync(out, serializeBookmarks(entries) + '\n');
+            console.log(`${path.basename(out)}: ${entries.length} bookmark${entries.length === 1 ? '' : 's'} to review`);
+        }
+    }
+
+    if (refreshFavicons) {
+        await fetchMissingFavicons(data, { dir, icons, timeout, concurrency });
+        if (Object.keys(icons).length > 0) writeFaviconIndex(indexFile, icons);
+    }
+
+    if (failed > 0) process.exit(1);
+}
+
+// Run as a script rather than imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export {
+    extractMetadata,
+    fetchPageMetadata,
+    fetchFavicon,
+    shortenDescription
+};
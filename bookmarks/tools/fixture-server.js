@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Serve a directory on localhost, to run the tools against pages that don't
+// change under them:
+//
+//   node tools/fixture-server.js [dir] [--port n]
+//   node tools/enrich-bookmarks.js http://127.0.0.1:8787/docs.html --file /tmp/bookmarks.json
+//
+// Serves fixtures/site by default. startFixtureServer is exported for scripts
+// that start and stop it themselves.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = fileURLToPath(new URL('../fixtures/site/', import.meta.url));
+const DEFAULT_PORT = 8787;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Resolves to { url, close() } once listening; port 0 picks a free one
+function startFixtureServer(dir = DEFAULT_DIR, { port = 0 } = {}) {
+    const root = path.resolve(dir);
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        let file = path.join(root, decodeURIComponent(pathname));
+        if (pathname.endsWith('/')) file = path.join(file, 'index.html');
+
+        if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            res.writeHead(404, { 'content-type': 'text/html; charset=utf-8' });
+            res.end('<!DOCTYPE html><title>Not found</title>');
+            return;
+        }
+        res.writeHead(200, { 'content-type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        fs.createReadStream(file).pipe(res);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+function readOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dir = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--port') || DEFAULT_DIR;
+    const port = Number(readOption(args, '--port', DEFAULT_PORT));
+    const { url } = await startFixtureServer(dir, { port });
+    console.log(`Serving ${path.relative(process.cwd(), path.resolve(dir)) || '.'} at ${url}`);
+}
+
+// Run as a script rather than imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export {
+    startFixtureServer
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Validate and lint bookmarks.json from the command line.
+//
+//   node tools/lint-bookmarks.js [file] [--strict]
+//
+// Given a collections.json, lints every local file it lists and the conflicts
+// between them, as the app would merge them; collections at URLs are skipped.
+// Without a file it lints the site's collections.json if there is one, so
+// bookmarks that another collection hides show up, and bookmarks.json otherwise.
+// Exits with 1 when there are errors (entries the app would skip), or on any
+// warning with --strict.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateBookmarks } from '../validate.js';
+import { COLLECTIONS_FILE, parseCollectionManifest, mergeCollections } from '../collections.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const manifestFile = fileURLToPath(new URL(`../${COLLECTIONS_FILE}`, import.meta.url));
+const file = args.find(arg => !arg.startsWith('--'))
+    || (fs.existsSync(manifestFile) ? manifestFile : fileURLToPath(new URL('../bookmarks.json', import.meta.url)));
+
+let data;
+try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+    console.error(`${file}: ${error.message}`);
+    process.exit(1);
+}
+
+let result;
+if (data && Array.isArray(data.collections)) {
+    const manifest = parseCollectionManifest(data);
+    const sources = [];
+    manifest.collections.forEach(collection => {
+        if (/^[a-z][a-z\d+.-]*:/i.test(collection.src)) {
+            console.log(`skipped  ${collection.name}: ${collection.src} is not a local file`);
+            return;
+        }
+        const src = path.join(path.dirname(file), collection.src);
+        try {
+            sources.push({ collection, data: JSON.parse(fs.readFileSync(src, 'utf8')) });
+        } catch (error) {
+            manifest.issues.push({ severity: 'error', index: null, message: `${collection.name}: ${error.message}` });
+        }
+    });
+    const merged = mergeCollections(sources);
+    result = { bookmarks: merged.bookmarks, issues: [...manifest.issues, ...merged.issues] };
+} else {
+    result = validateBookmarks(data);
+}
+
+const { bookmarks, issues } = result;
+const errors = issues.filter(issue => issue.severity === 'error');
+const warnings = issues.filter(issue => issue.severity === 'warning');
+
+issues.forEach(issue => {
+    console.log(`${issue.severity === 'error' ? 'error  ' : 'warning'}  ${issue.message}`);
+});
+console.log(`${path.basename(file)}: ${bookmarks.length} valid bookmarks, ${errors.length} error${errors.length !== 1 ? 's' : ''}, ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}`);
+
+if (errors.length > 0 || (strict && warnings.length > 0)) {
+    process.exit(1);
+}
@@ -0,0 +1,113 @@
+// Filter state <-> query string, for the address bar and saved views:
+// ?q=…&collection=…&category=…&section=…&tag=…&notag=…&tagmode=any&links=broken&sort=…
+// and a bookmark to add <-> the #add?… hash the browser extension opens the page with.
+// Pure functions only - no DOM access, so this file also loads in Node.
+
+import { createFilters } from './filters.js';
+
+// The filter state params describe; anything they leave out is unfiltered.
+// isCollection(id) says whether a collection is one that loaded; unknown ones
+// (e.g. removed from the manifest) are ignored.
+function parseFilterParams(params, { isCollection = () => true } = {}) {
+    const collection = params.get('collection');
+    return createFilters({
+        searchQuery: params.get('q') || '',
+        selectedCollection: collection && isCollection(collection) ? collection : null,
+        // A section without its category is dropped (see normalizeFilters)
+        selectedCategory: params.get('category'),
+        selectedSection: params.get('section'),
+        selectedTags: parseTagParams(params.getAll('tag')),
+        excludedTags: parseTagParams(params.getAll('notag')),
+        tagMode: params.get('tagmode'),
+        showBrokenLinks: params.get('links') === 'broken',
+        sortMode: params.get('sort')
+    });
+}
+
+// Tags may be repeated (tag=a&tag=b) or comma-separated (tag=a,b)
+function parseTagParams(values) {
+    const parsedTags = new Set();
+    values.forEach(value => {
+        value.split(',').forEach(tag => {
+            const trimmed = tag.trim();
+            if (trimmed) parsedTags.add(trimmed);
+        });
+    });
+    return parsedTags;
+}
+
+// Serialize a filter state; the inverse of parseFilterParams
+function buildFilterParams(filters) {
+    const params = new URLSearchParams();
+    const trimmedQuery = filters.searchQuery.trim();
+    if (trimmedQuery) {
+        params.set('q', trimmedQuery);
+    }
+
+    if (filters.selectedCollection) {
+        params.set('collection', filters.selectedCollection);
+    }
+
+    // Add category and section to URL; a section never goes without its category
+    if (filters.selectedCategory) {
+        params.set('category', filters.selectedCategory);
+        if (filters.selectedSection) {
+            params.set('section', filters.selectedSection);
+        }
+    }
+
+    [...filters.selectedTags].sort((a, b) => a.localeCompare(b)).forEach(tag => {
+        params.append('tag', tag);
+    });
+    [...filters.excludedTags].sort((a, b) => a.localeCompare(b)).forEach(tag => {
+        params.append('notag', tag);
+    });
+    if (filters.tagMode === 'any' && filters.selectedTags.size > 1) {
+        params.set('tagmode', 'any');
+    }
+
+    if (filters.showBrokenLinks) {
+        params.set('links', 'broken');
+    }
+
+    if (filters.sortMode !== 'best') {
+        params.set('sort', filters.sortMode);
+    }
+
+    return params;
+}
+
+// #add?title=…&url=…&description=…&category=…&section=…&tag=… - the app
+// opens its editor with these filled in, and nothing is saved until the
+// editor is. In the hash, so the page's server never sees what's being saved.
+const ADD_HASH_PREFIX = '#add?';
+const DRAFT_FIELDS = ['title', 'url', 'description', 'category', 'section'];
+
+function buildDraftHash(bookmark) {
+    const params = new URLSearchParams();
+    DRAFT_FIELDS.forEach(field => {
+        const value = (bookmark[field] || '').trim();
+        if (value) params.set(field, value);
+    });
+    (bookmark.tags || []).forEach(tag => params.append('tag', tag));
+    return ADD_HASH_PREFIX + params;
+}
+
+// The bookmark in a location.hash from buildDraftHash(), or null
+function parseDraftHash(hash) {
+    if (!hash.startsWith(ADD_HASH_PREFIX)) return null;
+    const params = new URLSearchParams(hash.slice(ADD_HASH_PREFIX.length));
+    const draft = { tags: [...parseTagParams(params.getAll('tag'))] };
+    DRAFT_FIELDS.forEach(field => {
+        draft[field] = (params.get(field) || '').trim();
+    });
+    return draft;
+}
+
+export {
+    parseFilterParams,
+    parseTagParams,
+    buildFilterParams,
+    buildDraftHash,
+    parseDraftHash
+};
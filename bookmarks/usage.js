@@ -0,0 +1,96 @@
+// Local usage history: which bookmarks get opened, how often and when. It
+// stays in localStorage and is keyed by URL, so editing a bookmark's title or
+// tags keeps its history.
+
+import { render } from './app.js';
+
+const USAGE_KEY = 'bookmarks.usage';
+const MAX_VISITS = 10;      // timestamps kept per URL for the frecency sample
+const FREQUENT_LIMIT = 9;   // one per Alt+1-9 badge
+// Visit weight by age in days, as in Firefox's frecency
+const FRECENCY_BUCKETS = [[4, 100], [14, 70], [31, 50], [90, 30], [Infinity, 10]];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let usageHistory = loadUsageHistory();
+
+function loadUsageHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(USAGE_KEY) || '{}');
+        return history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+    } catch {
+        return {};
+    }
+}
+
+function saveUsageHistory() {
+    try {
+        localStorage.setItem(USAGE_KEY, JSON.stringify(usageHistory));
+    } catch (error) {
+        console.warn('Could not save usage history:', error);
+    }
+}
+
+// Adds a visit to history ({ [url]: { count, visits } }) in place
+function recordVisit(history, url, now = Date.now()) {
+    const entry = history[url] || { count: 0, visits: [] };
+    entry.count++;
+    entry.visits = [...entry.visits, now].slice(-MAX_VISITS);
+    history[url] = entry;
+    return entry;
+}
+
+// Total opens scaled by how recent the sampled visits are
+function frecencyScore(entry, now = Date.now()) {
+    if (!entry || !Array.isArray(entry.visits) || entry.visits.length === 0) return 0;
+    const weights = entry.visits.map(time => {
+        const age = (now - time) / DAY_MS;
+        return FRECENCY_BUCKETS.find(([days]) => age <= days)[1];
+    });
+    const average = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+    return Math.round(entry.count * average);
+}
+
+function getFrecency(bookmark) {
+    return frecencyScore(usageHistory[bookmark.url]);
+}
+
+function recordBookmarkOpen(bookmark) {
+    if (!bookmark) return;
+    recordVisit(usageHistory, bookmark.url);
+    saveUsageHistory();
+}
+
+function hasUsageHistory() {
+    return Object.keys(usageHistory).length > 0;
+}
+
+// Most used first; only bookmarks that were opened at least once
+function getFrequentBookmarks(bookmarkList) {
+    return bookmarkList
+        .map(bookmark => ({ bookmark, score: getFrecency(bookmark) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.bookmark.title.localeCompare(b.bookmark.title))
+        .slice(0, FREQUENT_LIMIT)
+        .map(({ bookmark }) => bookmark);
+}
+
+function clearUsageHistory() {
+    if (!window.confirm('Clear the history of opened bookmarks? Frequent links and frecency sorting start over.')) return;
+    usageHistory = {};
+    try {
+        localStorage.removeItem(USAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear usage history:', error);
+    }
+    render();
+}
+
+export {
+    recordVisit,
+    frecencyScore,
+    getFrecency,
+    recordBookmarkOpen,
+    hasUsageHistory,
+    getFrequentBookmarks,
+    clearUsageHistory
+};
@@ -0,0 +1,200 @@
+// Validation and lint rules for bookmarks.json (see bookmarks.schema.json).
+// Errors make an entry unusable - the app skips it. Warnings are lint only.
+
+import { normalizeTagAliases, resolveTagAlias } from './tags.js';
+import { editDistance } from './search.js';
+import { normalizeUrlForCompare } from './importers.js';
+
+// Mirrors the bookmark definition in bookmarks.schema.json
+const REQUIRED_FIELDS = ['title', 'url', 'category', 'tags'];
+const STRING_FIELDS = ['title', 'url', 'description', 'category', 'section'];
+const KNOWN_FIELDS = [...STRING_FIELDS, 'tags'];
+
+function describeEntry(bookmark, index) {
+    const title = bookmark && typeof bookmark.title === 'string' && bookmark.title.trim();
+    return title ? `#${index + 1} "${title}"` : `#${index + 1}`;
+}
+
+// Problems that make a single entry unusable
+function checkBookmarkEntry(bookmark) {
+    if (!bookmark || typeof bookmark !== 'object' || Array.isArray(bookmark)) {
+        return ['is not an object'];
+    }
+
+    const errors = [];
+    REQUIRED_FIELDS.forEach(field => {
+        if (bookmark[field] === undefined || bookmark[field] === '') errors.push(`is missing "${field}"`);
+    });
+    STRING_FIELDS.forEach(field => {
+        if (bookmark[field] !== undefined && typeof bookmark[field] !== 'string') {
+            errors.push(`"${field}" must be a string`);
+        }
+    });
+    if (bookmark.tags !== undefined) {
+        if (!Array.isArray(bookmark.tags)) {
+            errors.push('"tags" must be an array');
+        } else if (bookmark.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+            errors.push('"tags" must only contain non-empty strings');
+        } else if (bookmark.tags.some(tag => tag.split('/').some(segment => !segment.trim()))) {
+            errors.push('"tags" must not have empty "/" segments');
+        }
+    }
+    if (typeof bookmark.url === 'string' && bookmark.url) {
+        try {
+            const { protocol } = new URL(bookmark.url);
+            if (protocol !== 'http:' && protocol !== 'https:') errors.push(`has unsupported URL scheme "${protocol}"`);
+        } catch {
+            errors.push(`has invalid URL "${bookmark.url}"`);
+        }
+    }
+    return errors;
+}
+
+function comparableTitle(title) {
+    return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Crude singular form, enough to pair "icon"/"icons" and "library"/"libraries"
+function singularTag(tag) {
+    const lower = tag.toLowerCase();
+    if (/ies$/.test(lower)) return lower.slice(0, -3) + 'y';
+    if (/(s|x|z|ch|sh)es$/.test(lower)) return lower.slice(0, -2);
+    if (/[^s]s$/.test(lower)) return lower.slice(0, -1);
+    return lower;
+}
+
+// Check the "tagAliases" map ({ alias: tag }). Returns { tagAliases, issues }
+// where tagAliases keeps only the usable entries.
+function validateTagAliases(aliases) {
+    if (aliases === undefined) return { tagAliases: {}, issues: [] };
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+        return { tagAliases: {}, issues: [{ severity: 'error', index: null, message: '"tagAliases" must be an object' }] };
+    }
+
+    const issues = [];
+    const tagAliases = {};
+    Object.entries(aliases).forEach(([alias, tag]) => {
+        if (typeof tag !== 'string' || !tag.trim()) {
+            issues.push({ severity: 'error', index: null, message: `Tag alias "${alias}" must map to a non-empty string` });
+        } else if (alias.toLowerCase() === tag.toLowerCase()) {
+            issues.push({ severity: 'warning', index: null, message: `Tag alias "${alias}" maps to itself` });
+        } else {
+            tagAliases[alias] = tag;
+        }
+    });
+    // Aliases are resolved once, so a target that is itself an alias never gets applied
+    const keys = new Set(Object.keys(tagAliases).map(alias => alias.toLowerCase()));
+    Object.entries(tagAliases).forEach(([alias, tag]) => {
+        if (keys.has(tag.toLowerCase())) {
+            issues.push({ severity: 'warning', index: null, message: `Tag alias "${alias}" points at "${tag}", which is an alias too` });
+        }
+    });
+    return { tagAliases, issues };
+}
+
+// Collection-wide lint over entries that passed checkBookmarkEntry
+function lintBookmarks(entries, tagAliases = {}) {
+    const warnings = [];
+    const warn = (index, message) => warnings.push({ severity: 'warning', index, message });
+    const aliases = normalizeTagAliases(tagAliases);
+
+    // Duplicate URLs
+    const firstByUrl = new Map();
+    entries.forEach(({ bookmark, index }) => {
+        const key = normalizeUrlForCompare(bookmark.url);
+        const first = firstByUrl.get(key);
+        if (first) {
+            warn(index, `${describeEntry(bookmark, index)} duplicates the URL of ${describeEntry(first.bookmark, first.index)}`);
+        } else {
+            firstByUrl.set(key, { bookmark, index });
+        }
+    });
+
+    // Near-duplicate titles: equal once normalized, or one typo apart among sorted neighbours
+    const titles = entries
+        .map(entry => ({ ...entry, key: comparableTitle(entry.bookmark.title) }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    titles.forEach((entry, i) => {
+        for (let j = i + 1; j < Math.min(i + 4, titles.length); j++) {
+            const other = titles[j];
+            const similar = entry.key === other.key ||
+                (entry.key.length >= 5 && Math.abs(entry.key.length - other.key.length) <= 1 && editDistance(entry.key, other.key) <= 1);
+            if (similar && normalizeUrlForCompare(entry.bookmark.url) !== normalizeUrlForCompare(other.bookmark.url)) {
+                warn(other.index, `${describeEntry(other.bookmark, other.index)} has a title very similar to ${describeEntry(entry.bookmark, entry.index)}`);
+            }
+        }
+    });
+
+    // Tags written as an alias - they work, but the file should use the real tag
+    entries.forEach(({ bookmark, index }) => bookmark.tags.forEach(tag => {
+        const resolved = resolveTagAlias(tag, aliases);
+        if (resolved !== tag) warn(index, `${describeEntry(bookmark, index)} uses tag alias "${tag}" for "${resolved}"`);
+    }));
+
+    // Tags that differ only in case or plural form (after aliases are applied)
+    const tagSpellings = new Map();
+    entries.forEach(({ bookmark }) => bookmark.tags.map(tag => resolveTagAlias(tag, aliases)).forEach(tag => {
+        const key = singularTag(tag);
+        if (!tagSpellings.has(key)) tagSpellings.set(key, new Map());
+        const spellings = tagSpellings.get(key);
+        spellings.set(tag, (spellings.get(tag) || 0) + 1);
+    }));
+    tagSpellings.forEach(spellings => {
+        if (spellings.size > 1) {
+            const variants = [...spellings].map(([tag, count]) => `"${tag}" (${count})`).join(', ');
+            warn(null, `Tags differ only in case or plural form: ${variants}`);
+        }
+    });
+
+    // Sections reused under different categories
+    const sectionCategories = new Map();
+    entries.forEach(({ bookmark }) => {
+        if (!bookmark.section) return;
+        if (!sectionCategories.has(bookmark.section)) sectionCategories.set(bookmark.section, new Set());
+        sectionCategories.get(bookmark.section).add(bookmark.category);
+    });
+    sectionCategories.forEach((categories, section) => {
+        if (categories.size > 1) {
+            warn(null, `Section "${section}" is used under ${categories.size} categories: ${[...categories].map(c => `"${c}"`).join(', ')}`);
+        }
+    });
+
+    // Fields the schema doesn't know about
+    entries.forEach(({ bookmark, index }) => {
+        const unknown = Object.keys(bookmark).filter(key => !KNOWN_FIELDS.includes(key));
+        if (unknown.length > 0) {
+            warn(index, `${describeEntry(bookmark, index)} has unknown field${unknown.length > 1 ? 's' : ''} ${unknown.map(k => `"${k}"`).join(', ')}`);
+        }
+    });
+
+    return warnings;
+}
+
+// Validate a parsed bookmarks.json. Returns { bookmarks, tagAliases, issues } where
+// bookmarks and tagAliases hold only the usable entries and issues are
+// { severity, index, message }. Aliases are not applied here.
+function validateBookmarks(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.bookmarks)) {
+        return {
+            bookmarks: [],
+            tagAliases: {},
+            issues: [{ severity: 'error', index: null, message: 'File must be an object with a "bookmarks" array' }]
+        };
+    }
+
+    const { tagAliases, issues } = validateTagAliases(data.tagAliases);
+    const entries = [];
+    data.bookmarks.forEach((bookmark, index) => {
+        const errors = checkBookmarkEntry(bookmark);
+        if (errors.length > 0) {
+            issues.push({ severity: 'error', index, message: `${describeEntry(bookmark, index)} ${errors.join(', ')}` });
+        } else {
+            entries.push({ bookmark, index });
+        }
+    });
+
+    issues.push(...lintBookmarks(entries, tagAliases));
+    return { bookmarks: entries.map(entry => entry.bookmark), tagAliases, issues };
+}
+
+export { checkBookmarkEntry, validateTagAliases, lintBookmarks, validateBookmarks };
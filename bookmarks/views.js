@@ -0,0 +1,303 @@
+// Saved views: named filter presets stored in localStorage. A view is the
+// query string buildFilterParams() produces, so anything the URL can express
+// can be saved. Views can get a Shift+1-9 shortcut and are reordered by drag
+// and drop or Alt+Up/Down.
+
+import { buildFilterParams } from './url-state.js';
+import { store, applyFilterParams, updateURLParams, downloadFile, describeCurrentView, render } from './app.js';
+
+const SAVED_VIEWS_KEY = 'bookmarks.savedViews';
+
+let savedViews = loadSavedViews();
+
+function loadSavedViews() {
+    try {
+        return parseSavedViews(JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) || '[]'));
+    } catch {
+        return [];
+    }
+}
+
+function persistSavedViews() {
+    try {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(savedViews));
+    } catch (error) {
+        console.warn('Could not save views:', error);
+    }
+}
+
+// Keep only well-formed { name, query, shortcut } entries with unique names
+function parseSavedViews(list) {
+    if (!Array.isArray(list)) return [];
+    const names = new Set();
+    return list
+        .filter(view => view && typeof view.name === 'string' && view.name.trim() && typeof view.query === 'string')
+        .map(view => ({
+            name: view.name.trim(),
+            query: view.query,
+            shortcut: /^[1-9]$/.test(view.shortcut) ? view.shortcut : null
+        }))
+        .filter(view => {
+            const key = view.name.toLowerCase();
+            if (names.has(key)) return false;
+            names.add(key);
+            return true;
+        });
+}
+
+function findSavedView(name) {
+    const key = name.trim().toLowerCase();
+    return savedViews.find(view => view.name.toLowerCase() === key) || null;
+}
+
+function applySavedView(view) {
+    applyFilterParams(new URLSearchParams(view.query));
+    updateURLParams({ push: true });
+    render();
+}
+
+function promptViewName(message, initial) {
+    const name = window.prompt(message, initial);
+    return name === null ? null : name.trim();
+}
+
+function saveCurrentView() {
+    const suggested = describeCurrentView().replace(/^Bookmarks:?\s*/, '') || 'All bookmarks';
+    const name = promptViewName('Save current filters as:', suggested);
+    if (!name) return;
+
+    const query = buildFilterParams(store.filters).toString();
+    const existing = findSavedView(name);
+    if (existing) {
+        if (!window.confirm(`Replace the saved view "${existing.name}"?`)) return;
+        existing.query = query;
+    } else {
+        const used = new Set(savedViews.map(view => view.shortcut));
+        const free = ['1', '2', '3', '4', '5', '6', '7', '8', '9'].find(key => !used.has(key)) || null;
+        savedViews.push({ name, query, shortcut: free });
+    }
+    persistSavedViews();
+    renderSavedViews();
+}
+
+function renameSavedView(index) {
+    const view = savedViews[index];
+    const name = promptViewName('Rename view:', view.name);
+    if (!name || name === view.name) return;
+
+    const clash = findSavedView(name);
+    if (clash && clash !== view) {
+        window.alert(`There is already a view called "${clash.name}"`);
+        return;
+    }
+    view.name = name;
+    persistSavedViews();
+    renderSavedViews();
+}
+
+function assignViewShortcut(index) {
+    const view = savedViews[index];
+    const key = window.prompt(`Shortcut for "${view.name}": Shift + 1-9 (empty to remove)`, view.shortcut || '');
+    if (key === null) return;
+
+    const digit = key.trim();
+    if (digit && !/^[1-9]$/.test(digit)) {
+        window.alert('Use a single digit from 1 to 9');
+        return;
+    }
+    // A shortcut belongs to one view at a time
+    savedViews.forEach(other => {
+        if (digit && other.shortcut === digit) other.shortcut = null;
+    });
+    view.shortcut = digit || null;
+    persistSavedViews();
+    renderSavedViews();
+}
+
+function deleteSavedView(index) {
+    if (!window.confirm(`Delete the saved view "${savedViews[index].name}"?`)) return;
+    savedViews.splice(index, 1);
+    persistSavedViews();
+    renderSavedViews();
+}
+
+function moveSavedView(from, to) {
+    if (to < 0 || to >= savedViews.length || from === to) return;
+    const [view] = savedViews.splice(from, 1);
+    savedViews.splice(to, 0, view);
+    persistSavedViews();
+    renderSavedViews();
+}
+
+function openViewByShortcut(digit) {
+    const view = savedViews.find(v => v.shortcut === digit);
+    if (view) applySavedView(view);
+    return Boolean(view);
+}
+
+function exportSavedViews() {
+    downloadFile('bookmark-views.json', JSON.stringify({ views: savedViews }, null, 2), 'application/json');
+}
+
+function chooseSavedViewsFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            importSavedViews(JSON.parse(await file.text()));
+        } catch (error) {
+            window.alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    });
+    input.click();
+}
+
+// Views with a name we already have replace the existing filters; the rest are appended
+function importSavedViews(data) {
+    const incoming = parseSavedViews(data && data.views);
+    if (incoming.length === 0) throw new Error('no saved views in file');
+
+    incoming.forEach(view => {
+        const existing = findSavedView(view.name);
+        if (existing) {
+            existing.query = view.query;
+        } else {
+            savedViews.push({ ...view });
+        }
+    });
+    // Imported shortcuts win over older assignments of the same key
+    const claimed = new Map();
+    [...savedViews].reverse().forEach(view => {
+        if (!view.shortcut) return;
+        if (claimed.has(view.shortcut)) view.shortcut = null;
+        else claimed.set(view.shortcut, view);
+    });
+    persistSavedViews();
+    renderSavedViews();
+}
+
+function renderSavedViews() {
+    const list = document.getElementById('saved-view-list');
+    const current = buildFilterParams(store.filters).toString();
+    list.innerHTML = '';
+
+    if (savedViews.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'saved-views-empty';
+        empty.textContent = 'Filter, then save the combination here';
+        list.appendChild(empty);
+        return;
+    }
+
+    savedViews.forEach((view, index) => {
+        const item = document.createElement('div');
+        item.className = 'saved-view';
+        item.draggable = true;
+        item.dataset.index = index;
+
+        const open = document.createElement('button');
+        open.className = `saved-view-open${view.query === current ? ' selected' : ''}`;
+        open.dataset.action = 'open';
+        const name = document.createElement('span');
+        name.className = 'saved-view-name';
+        name.textContent = view.name;
+        open.appendChild(name);
+        if (view.shortcut) {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = `⇧${view.shortcut}`;
+            open.appendChild(kbd);
+        }
+
+        const actions = document.createElement('span');
+        actions.className = 'saved-view-actions';
+        [['rename', 'edit', 'Rename view'], ['shortcut', 'keyboard', 'Set shortcut'], ['delete', 'close', 'Delete view']]
+            .forEach(([action, icon, label]) => {
+                const button = document.createElement('button');
+                button.className = 'saved-view-action';
+                button.dataset.action = action;
+                button.setAttribute('aria-label', label);
+                button.title = label;
+                button.innerHTML = `<span class="material-icons">${icon}</span>`;
+                actions.appendChild(button);
+            });
+
+        item.append(open, actions);
+        list.appendChild(item);
+    });
+}
+
+function setupSavedViews() {
+    const list = document.getElementById('saved-view-list');
+    let dragIndex = null;
+
+    document.getElementById('save-view').addEventListener('click', saveCurrentView);
+    document.getElementById('export-views').addEventListener('click', exportSavedViews);
+    document.getElementById('import-views').addEventListener('click', chooseSavedViewsFile);
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const index = Number(button.closest('.saved-view').dataset.index);
+        const actions = {
+            open: () => applySavedView(savedViews[index]),
+            rename: () => renameSavedView(index),
+            shortcut: () => assignViewShortcut(index),
+            delete: () => deleteSavedView(index)
+        };
+        actions[button.dataset.action]();
+    });
+
+    // Alt+Up/Down moves the focused view
+    list.addEventListener('keydown', (e) => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        const item = e.target.closest('.saved-view');
+        if (!item) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const from = Number(item.dataset.index);
+        const to = from + (e.key === 'ArrowUp' ? -1 : 1);
+        moveSavedView(from, to);
+        list.querySelector(`.saved-view[data-index="${to}"] .saved-view-open`)?.focus();
+    });
+
+    list.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.saved-view');
+        if (!item) return;
+        dragIndex = Number(item.dataset.index);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    list.addEventListener('dragover', (e) => {
+        if (dragIndex === null || !e.target.closest('.saved-view')) return;
+        e.preventDefault();
+    });
+    list.addEventListener('drop', (e) => {
+        const item = e.target.closest('.saved-view');
+        if (dragIndex === null || !item) return;
+        e.preventDefault();
+        moveSavedView(dragIndex, Number(item.dataset.index));
+        dragIndex = null;
+    });
+    list.addEventListener('dragend', () => {
+        dragIndex = null;
+    });
+
+    // Another tab changed the views
+    window.addEventListener('storage', (e) => {
+        if (e.key !== SAVED_VIEWS_KEY) return;
+        savedViews = loadSavedViews();
+        renderSavedViews();
+    });
+}
+
+export {
+    savedViews,
+    findSavedView,
+    applySavedView,
+    saveCurrentView,
+    openViewByShortcut,
+    renderSavedViews,
+    setupSavedViews
+};